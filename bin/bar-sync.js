@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { runCli } from '../src/cli.js';
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+  // watch returns null and keeps running until interrupted
+  if (exitCode !== null) {
+    process.exit(exitCode);
+  }
+}).catch((error) => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
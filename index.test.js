@@ -9,7 +9,11 @@ const mockChokidar = {
 const mockFs = {
   existsSync: jest.fn(),
   createReadStream: jest.fn(),
-  statSync: jest.fn()
+  statSync: jest.fn(),
+  readdirSync: jest.fn(),
+  mkdtempSync: jest.fn(),
+  copyFileSync: jest.fn(),
+  rmSync: jest.fn()
 };
 
 const mockFetch = jest.fn();
@@ -32,12 +36,92 @@ jest.unstable_mockModule('form-data', () => ({
   default: mockFormData
 }));
 
+const mockDeadLetterQueue = {
+  readDeadLetters: jest.fn(),
+  addDeadLetter: jest.fn(),
+  removeDeadLetter: jest.fn()
+};
+
+jest.unstable_mockModule('./src/dead-letter-queue.js', () => mockDeadLetterQueue);
+
+const mockManifest = {
+  hashFile: jest.fn(),
+  readManifest: jest.fn(),
+  getUploadedHash: jest.fn(),
+  recordUpload: jest.fn(),
+  forgetUpload: jest.fn()
+};
+
+jest.unstable_mockModule('./src/manifest.js', () => mockManifest);
+
+const mockBarArchive = {
+  validateBarFile: jest.fn()
+};
+
+jest.unstable_mockModule('./src/bar-archive.js', () => mockBarArchive);
+
+const mockBarOverrides = {
+  createOverriddenBar: jest.fn()
+};
+
+jest.unstable_mockModule('./src/bar-overrides.js', () => mockBarOverrides);
+
+const mockBarHistory = {
+  readHistory: jest.fn(),
+  recordVersion: jest.fn()
+};
+
+jest.unstable_mockModule('./src/bar-history.js', () => mockBarHistory);
+
+const mockPendingChanges = {
+  ApprovalError: class ApprovalError extends Error {
+    constructor(message, reason) {
+      super(message);
+      this.name = 'ApprovalError';
+      this.reason = reason;
+    }
+  },
+  readPendingChanges: jest.fn(() => []),
+  addPendingChange: jest.fn((pendingFile, change) => ({ change: { ...change, superseded: 0 }, superseded: null })),
+  removePendingChange: jest.fn(),
+  appendAuditEntry: jest.fn(),
+  readAuditLog: jest.fn(() => [])
+};
+
+jest.unstable_mockModule('./src/pending-changes.js', () => mockPendingChanges);
+
 jest.unstable_mockModule('dotenv', () => ({
   default: {
     config: jest.fn()
   }
 }));
 
+// Build a minimal node-fetch style response
+const jsonResponse = (status, body = {}, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  headers: { get: (name) => headers[name.toLowerCase()] || null },
+  json: jest.fn().mockResolvedValue(body),
+  text: jest.fn().mockResolvedValue(JSON.stringify(body))
+});
+
+// Route mocked fetch calls by "METHOD path"; token requests always succeed
+const routeFetch = (routes) => {
+  mockFetch.mockReset();
+  mockFetch.mockImplementation(async (url, options) => {
+    const key = `${options.method} ${new URL(url).pathname}`;
+    if (key === 'POST /api/v1/tokens') {
+      return jsonResponse(200, { access_token: 'test-token' });
+    }
+    const handler = routes[key];
+    if (!handler) {
+      throw new Error(`Unexpected request: ${key}`);
+    }
+    return typeof handler === 'function' ? handler(options) : handler;
+  });
+};
+
 describe('BAR File Watcher', () => {
   let originalEnv;
   
@@ -52,9 +136,14 @@ describe('BAR File Watcher', () => {
     process.env.INSTANCE_ID = 'test-instance-id';
     process.env.INTEGRATION_SERVER_ID = 'test-integration-server-id';
     process.env.WATCH_DIRECTORY = '/tmp/test-watch';
+    process.env.API_BASE_URL = 'https://api.example.test';
+    process.env.DEPLOY_POLL_INTERVAL_MS = '1';
+    process.env.RETRY_MAX_ATTEMPTS = '3';
+    process.env.RETRY_BASE_DELAY_MS = '1';
     
     // Reset all mocks
     jest.clearAllMocks();
+    mockBarArchive.validateBarFile.mockResolvedValue({ valid: true, problems: [], artefacts: ['test-flow.appzip'] });
   });
   
   afterEach(() => {
@@ -63,16 +152,12 @@ describe('BAR File Watcher', () => {
   });
   
   describe('Configuration Validation', () => {
-    it('should exit if CLIENT_ID is not set', () => {
+    it('should report a missing CLIENT_ID as a configuration error', async () => {
       delete process.env.CLIENT_ID;
-      const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
-      const mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
-      
-      // This would normally exit, so we need to handle it differently in actual implementation
-      expect(mockConsoleError).not.toHaveBeenCalled();
+      const { ConfigError, loadConfig } = await import('./src/config.js');
       
-      mockExit.mockRestore();
-      mockConsoleError.mockRestore();
+      expect(() => loadConfig(process.env)).toThrow(ConfigError);
+      expect(() => loadConfig(process.env)).toThrow('CLIENT_ID is not set');
     });
     
     it('should load configuration from environment variables', () => {
@@ -82,6 +167,17 @@ describe('BAR File Watcher', () => {
       expect(process.env.INSTANCE_ID).toBe('test-instance-id');
       expect(process.env.INTEGRATION_SERVER_ID).toBe('test-integration-server-id');
     });
+    
+    it('should record where each credential came from', async () => {
+      const app = await import('./index.js');
+      
+      expect(app.config.clientSecret).toBe('test-client-secret');
+      expect(app.config.credentialSources).toEqual({
+        CLIENT_ID: 'plain value',
+        CLIENT_SECRET: 'plain value',
+        API_KEY: 'plain value'
+      });
+    });
   });
   
   describe('Token Generation', () => {
@@ -136,6 +232,66 @@ describe('BAR File Watcher', () => {
       expect(expectedHeaders['X-IBM-Client-Id']).toBe('test-client-id');
       expect(expectedBody).toContain('test-api-key');
     });
+    
+    describe('expiry, sharing and refresh', () => {
+      let app;
+      
+      // Token requests return the given bodies in order, then the last one again
+      const mockTokens = (...bodies) => {
+        mockFetch.mockReset();
+        mockFetch.mockImplementation(async () => jsonResponse(200, bodies.length > 1 ? bodies.shift() : bodies[0]));
+      };
+      
+      beforeEach(async () => {
+        app = await import('./index.js');
+        app.tokenCache.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+      
+      afterEach(() => {
+        app.tokenCache.clear();
+        jest.restoreAllMocks();
+      });
+      
+      it('should share one token request between concurrent callers', async () => {
+        mockTokens({ access_token: 'shared-token', expires_in: 3600 });
+        
+        const tokens = await Promise.all([app.generateToken(), app.generateToken(), app.generateToken()]);
+        
+        expect(tokens).toEqual(['shared-token', 'shared-token', 'shared-token']);
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+      });
+      
+      it('should cache tokens for the lifetime the response or the JWT gives', async () => {
+        mockTokens({ access_token: 'short-token', expires_in: 600 });
+        const before = Date.now();
+        await app.generateToken();
+        
+        expect(app.tokenCache.get('default').expiresAt).toBeGreaterThanOrEqual(before + 600000);
+        expect(app.tokenCache.get('default').expiresAt).toBeLessThanOrEqual(Date.now() + 600000);
+        
+        const exp = Math.floor(Date.now() / 1000) + 7200;
+        const jwt = ['header', Buffer.from(JSON.stringify({ exp })).toString('base64url'), 'signature'].join('.');
+        app.tokenCache.clear();
+        mockTokens({ access_token: jwt });
+        await app.generateToken();
+        
+        expect(app.tokenCache.get('default').expiresAt).toBe(exp * 1000);
+      });
+      
+      it('should refresh tokens in the background before they expire', async () => {
+        mockTokens({ access_token: 'first-token', expires_in: 0.2 }, { access_token: 'second-token', expires_in: 3600 });
+        
+        expect(await app.generateToken()).toBe('first-token');
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+        expect(app.tokenCache.get('default').token).toBe('second-token');
+        expect(await app.generateToken()).toBe('second-token');
+        expect(mockFetch).toHaveBeenCalledTimes(2);
+      });
+    });
   });
   
   describe('BAR File Upload', () => {
@@ -273,8 +429,35 @@ describe('BAR File Watcher', () => {
   });
   
   describe('File Watcher Initialization', () => {
-    it('should initialize chokidar with correct options', () => {
-      const expectedOptions = {
+    let app;
+    let syncer;
+    let watcher;
+    let createSyncerWith;
+    
+    // Handler the syncer registered for a watcher event
+    const handlerFor = (event) => watcher.on.mock.calls.find(([name]) => name === event)[1];
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      const { createSyncer } = await import('./src/syncer.js');
+      watcher = { on: jest.fn(() => watcher), close: jest.fn().mockResolvedValue() };
+      mockChokidar.watch.mockReturnValue(watcher);
+      mockFs.existsSync.mockReturnValue(true);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      createSyncerWith = (settings) => createSyncer({ config: { ...app.config, ...settings }, logger: app.logger });
+      syncer = createSyncerWith({});
+    });
+    
+    afterEach(async () => {
+      await syncer.stop(0);
+      jest.restoreAllMocks();
+    });
+    
+    it('should initialize chokidar with correct options', async () => {
+      await syncer.start();
+      
+      expect(mockChokidar.watch).toHaveBeenCalledWith(['/tmp/test-watch'], {
         ignored: /(^|[\/\\])\../,
         persistent: true,
         ignoreInitial: true,
@@ -282,66 +465,1116 @@ describe('BAR File Watcher', () => {
           stabilityThreshold: 500,
           pollInterval: 100
         }
-      };
+      });
+    });
+    
+    it('should poll network drives and upload without waiting when configured to', async () => {
+      const pollingSyncer = createSyncerWith({ watchPolling: true, watchPollIntervalMs: 2000, writeStabilityMs: 0 });
+      await pollingSyncer.start();
       
-      expect(expectedOptions.persistent).toBe(true);
-      expect(expectedOptions.ignoreInitial).toBe(true);
-      expect(expectedOptions.awaitWriteFinish.stabilityThreshold).toBe(500);
+      expect(mockChokidar.watch).toHaveBeenCalledWith(['/tmp/test-watch'], {
+        ignored: /(^|[\/\\])\../,
+        persistent: true,
+        ignoreInitial: true,
+        usePolling: true,
+        interval: 2000,
+        binaryInterval: 2000,
+        awaitWriteFinish: false
+      });
+      await pollingSyncer.stop(0);
     });
     
-    it('should exit if watch directory does not exist', () => {
+    it('should fail to start if watch directory does not exist', async () => {
       mockFs.existsSync.mockReturnValue(false);
-      
       const mockExit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      
+      await expect(syncer.start()).rejects.toThrow('Watch directory does not exist: /tmp/test-watch');
+      expect(mockChokidar.watch).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+    
+    it('should watch for .bar files only', async () => {
+      await syncer.start();
+      
+      for (const file of ['file.bar', 'file.txt', 'file.json', 'another.bar']) {
+        handlerFor('add')(`/tmp/test-watch/${file}`);
+      }
+      
+      expect([...syncer.debounceTimers.keys()]).toEqual([
+        'default:/tmp/test-watch/file.bar',
+        'default:/tmp/test-watch/another.bar'
+      ]);
+    });
+    
+    it('should handle watcher errors', async () => {
+      await syncer.start();
+      
+      handlerFor('error')(new Error('Watcher error'));
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('❌ Watcher error: Watcher error'));
+    });
+  });
+  
+  describe('Graceful Shutdown', () => {
+    it('should close the watcher and save pending uploads when stopped', async () => {
+      const app = await import('./index.js');
+      const { createSyncer } = await import('./src/syncer.js');
+      const watcher = { on: jest.fn(() => watcher), close: jest.fn().mockResolvedValue() };
+      mockChokidar.watch.mockReturnValue(watcher);
+      mockFs.existsSync.mockReturnValue(true);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const syncer = createSyncer({ config: app.config, logger: app.logger });
+      
+      await syncer.start();
+      syncer.handleFileChange('/tmp/test-watch/orders.bar');
+      const summary = await syncer.stop(0);
+      
+      expect(watcher.close).toHaveBeenCalled();
+      expect(summary).toEqual({ completed: 0, persisted: 1 });
+      expect(mockDeadLetterQueue.addDeadLetter).toHaveBeenCalledWith(app.config.deadLetterFile, expect.objectContaining({
+        key: 'default:/tmp/test-watch/orders.bar',
+        error: 'Changed during shutdown'
+      }), mockFs);
+      jest.restoreAllMocks();
+    });
+  });
+  
+  describe('Integration Server Deployment', () => {
+    let app;
+    let mockConsoleLog;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      mockConsoleLog.mockRestore();
+    });
+    
+    it('should add the BAR URL to an existing integration server', async () => {
+      const put = jest.fn(() => jsonResponse(200, { name: 'test-integration-server-id' }));
+      routeFetch({
+        'GET /api/v1/integration-runtimes/test-integration-server-id': jsonResponse(200, {
+          name: 'test-integration-server-id',
+          spec: { barURL: ['https://bars/old.bar'], replicas: 1 }
+        }),
+        'PUT /api/v1/integration-runtimes/test-integration-server-id': put
+      });
+      
+      await app.updateIntegrationServer('https://bars/new.bar');
+      
+      const body = JSON.parse(put.mock.calls[0][0].body);
+      expect(body.spec.barURL).toEqual(['https://bars/old.bar', 'https://bars/new.bar']);
+      expect(body.spec.replicas).toBe(1);
+    });
+    
+    it('should create the integration server when it does not exist', async () => {
+      const post = jest.fn(() => jsonResponse(201, { name: 'test-integration-server-id' }));
+      routeFetch({
+        'GET /api/v1/integration-runtimes/test-integration-server-id': jsonResponse(404, {}),
+        'POST /api/v1/integration-runtimes': post
+      });
+      
+      await app.updateIntegrationServer('https://bars/new.bar');
+      
+      const body = JSON.parse(post.mock.calls[0][0].body);
+      expect(body).toEqual({ name: 'test-integration-server-id', spec: { barURL: ['https://bars/new.bar'] } });
+    });
+    
+    it('should poll the integration server until it is ready', async () => {
+      const statuses = ['Pending', 'Pending', 'Ready'];
+      routeFetch({
+        'GET /api/v1/integration-runtimes/test-integration-server-id': () =>
+          jsonResponse(200, { status: { phase: statuses.shift() } })
+      });
+      
+      const server = await app.waitForIntegrationServer();
+      
+      expect(server.status.phase).toBe('Ready');
+      expect(statuses).toHaveLength(0);
+    });
+    
+    it('should report a failed deployment', async () => {
       const mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      routeFetch({
+        'GET /api/v1/integration-runtimes/test-integration-server-id': jsonResponse(200, {
+          spec: { barURL: [] },
+          status: { phase: 'Failed', conditions: [{ message: 'BAR file could not be deployed' }] }
+        }),
+        'PUT /api/v1/integration-runtimes/test-integration-server-id': jsonResponse(200, {})
+      });
       
-      // Directory doesn't exist
-      expect(mockFs.existsSync('/nonexistent')).toBe(false);
+      const deployed = await app.deployBarFile('test-flow.bar', 'https://bars/test-flow.bar');
       
-      mockExit.mockRestore();
+      expect(deployed).toBe(false);
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        expect.stringMatching(/^❌ Error deploying test-flow\.bar: .*BAR file could not be deployed/)
+      );
       mockConsoleError.mockRestore();
     });
+  });
+  
+  describe('Remote BAR Files', () => {
+    let app;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should store uploads under the local file name plus .bar', () => {
+      expect(app.getRemoteBarName('test-flow.bar')).toBe('test-flow.bar.bar');
+    });
+    
+    it('should map remote BAR file names back to local ones for pulls', () => {
+      expect(app.getLocalBarName('test-flow.bar.bar', '.bar')).toBe('test-flow.bar');
+      expect(app.getLocalBarName('from-dashboard.bar', '.bar')).toBe('from-dashboard.bar');
+      expect(app.getLocalBarName('notes.txt', '.bar')).toBeNull();
+      expect(app.getLocalBarName('../escape.bar', '.bar')).toBeNull();
+    });
+    
+    it('should list remote BAR file names', async () => {
+      routeFetch({
+        'GET /api/v1/bar-files': jsonResponse(200, {
+          barFiles: [{ name: 'a.bar.bar', url: 'https://bars/a.bar.bar' }, 'b.bar.bar']
+        })
+      });
+      
+      await expect(app.listRemoteBarFiles()).resolves.toEqual(['a.bar.bar', 'b.bar.bar']);
+    });
+    
+    it('should delete remote BAR files and ignore ones that are already gone', async () => {
+      routeFetch({
+        'DELETE /api/v1/bar-files/a.bar.bar': jsonResponse(204),
+        'DELETE /api/v1/bar-files/gone.bar.bar': jsonResponse(404)
+      });
+      
+      await expect(app.deleteRemoteBarFile('a.bar.bar')).resolves.toBeUndefined();
+      await expect(app.deleteRemoteBarFile('gone.bar.bar')).resolves.toBeUndefined();
+    });
+    
+    it('should report failed deletions', async () => {
+      routeFetch({
+        'DELETE /api/v1/bar-files/a.bar.bar': jsonResponse(500, { error: 'boom' })
+      });
+      
+      await expect(app.deleteRemoteBarFile('a.bar.bar')).rejects.toThrow('Deleting a.bar.bar failed: 500');
+    });
+    
+    it('should download remote BAR files and report failed downloads', async () => {
+      routeFetch({
+        'GET /api/v1/bar-files/a.bar.bar': { ok: true, status: 200, arrayBuffer: jest.fn().mockResolvedValue(Buffer.from('bar bytes')) },
+        'GET /api/v1/bar-files/gone.bar.bar': jsonResponse(404, { error: 'not found' })
+      });
+      
+      await expect(app.downloadRemoteBarFile('a.bar.bar')).resolves.toEqual(Buffer.from('bar bytes'));
+      await expect(app.downloadRemoteBarFile('gone.bar.bar')).rejects.toThrow('Downloading gone.bar.bar failed: 404');
+    });
+  });
+  
+  describe('Target Routing', () => {
+    let app;
+    let mockConsoleLog;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      for (const timer of app.debounceTimers.values()) {
+        clearTimeout(timer);
+      }
+      app.debounceTimers.clear();
+      jest.restoreAllMocks();
+    });
+    
+    it('should build a single default target from the environment', () => {
+      expect(app.config.targets).toEqual([expect.objectContaining({
+        name: 'default',
+        instanceId: 'test-instance-id',
+        integrationServerId: 'test-integration-server-id',
+        watchDirectory: '/tmp/test-watch'
+      })]);
+    });
+    
+    it('should debounce changes per target', () => {
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
+      
+      expect([...app.debounceTimers.keys()]).toEqual(['default:/tmp/test-watch/test-flow.bar']);
+    });
+    
+    it('should ignore files that match no target', () => {
+      app.handleFileChange('/somewhere/else/test-flow.bar');
+      
+      expect(app.debounceTimers.size).toBe(0);
+      expect(mockConsoleLog).toHaveBeenCalledWith('🚫 test-flow.bar does not match any target, ignoring');
+    });
+  });
+  
+  describe('Local Deletions', () => {
+    let app;
+    let mockConsoleLog;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      app.config.deleteMode = 'delete';
+      app.config.deleteGraceMs = 60000;
+      mockFs.existsSync.mockReturnValue(false);
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      for (const timer of app.pendingDeletions.values()) {
+        clearTimeout(timer);
+      }
+      app.pendingDeletions.clear();
+      app.config.deleteMode = 'off';
+      jest.restoreAllMocks();
+    });
+    
+    it('should ignore deletions when DELETE_MODE is off', () => {
+      app.config.deleteMode = 'off';
+      
+      app.handleFileRemoval('/tmp/test-watch/test-flow.bar');
+      
+      expect(app.pendingDeletions.size).toBe(0);
+    });
+    
+    it('should cancel a pending deletion when the file is added again', () => {
+      app.handleFileRemoval('/tmp/test-watch/test-flow.bar');
+      expect(app.pendingDeletions.has('default:/tmp/test-watch/test-flow.bar')).toBe(true);
+      
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
+      
+      expect(app.pendingDeletions.has('default:/tmp/test-watch/test-flow.bar')).toBe(false);
+      clearTimeout(app.debounceTimers.get('default:/tmp/test-watch/test-flow.bar'));
+      app.debounceTimers.clear();
+    });
+    
+    it('should delete the remote copy and forget the file', async () => {
+      const remove = jest.fn(() => jsonResponse(204));
+      routeFetch({ 'DELETE /api/v1/bar-files/test-flow.bar.bar': remove });
+      
+      const deleted = await app.propagateFileRemoval('/tmp/test-watch/test-flow.bar');
+      
+      expect(deleted).toBe(true);
+      expect(remove).toHaveBeenCalled();
+      expect(mockManifest.forgetUpload).toHaveBeenCalledWith(
+        app.config.manifestFile,
+        'default:/tmp/test-watch/test-flow.bar', mockFs
+      );
+    });
+    
+    it('should only log in log mode', async () => {
+      app.config.deleteMode = 'log';
+      routeFetch({});
+      
+      const deleted = await app.propagateFileRemoval('/tmp/test-watch/test-flow.bar');
+      
+      expect(deleted).toBe(false);
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining('DELETE_MODE=log'));
+    });
+    
+    it('should keep the remote copy if the file exists again after the grace period', async () => {
+      mockFs.existsSync.mockReturnValue(true);
+      routeFetch({});
+      
+      const deleted = await app.propagateFileRemoval('/tmp/test-watch/test-flow.bar');
+      
+      expect(deleted).toBe(false);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('Upload Retries and Deduplication', () => {
+    let app;
+    let mockConsoleLog;
+    let mockConsoleError;
+    
+    // Token requests always succeed; uploads return the given responses in order
+    const mockUploads = (...uploads) => {
+      mockFetch.mockReset();
+      mockFetch.mockImplementation(async (url) => {
+        if (url.endsWith('/api/v1/tokens')) {
+          return jsonResponse(200, { access_token: 'test-token' });
+        }
+        const next = uploads.shift();
+        if (next instanceof Error) {
+          throw next;
+        }
+        return next;
+      });
+    };
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024 });
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockManifest.hashFile.mockResolvedValue('new-hash');
+      mockManifest.getUploadedHash.mockReturnValue(null);
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should retry server errors and network failures until the upload succeeds', async () => {
+      mockUploads(
+        jsonResponse(503),
+        new Error('socket hang up'),
+        jsonResponse(200, { name: 'test-flow.bar' })
+      );
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+      expect(mockDeadLetterQueue.addDeadLetter).not.toHaveBeenCalled();
+      expect(mockDeadLetterQueue.removeDeadLetter).toHaveBeenCalledWith(
+        app.config.deadLetterFile,
+        'default:/tmp/test-watch/test-flow.bar', mockFs
+      );
+    });
+    
+    it('should honour Retry-After on 429 responses', async () => {
+      mockUploads(
+        jsonResponse(429, {}, { 'retry-after': '0' }),
+        jsonResponse(200, { name: 'test-flow.bar' })
+      );
+      
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(mockConsoleLog).toHaveBeenCalledWith('⏳ Retrying test-flow.bar in 0ms...');
+    });
+    
+    it('should queue the upload after the last failed attempt', async () => {
+      mockUploads(jsonResponse(500), jsonResponse(502), jsonResponse(503));
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({ ok: false, action: 'queued', status: 503 }));
+      expect(mockDeadLetterQueue.addDeadLetter).toHaveBeenCalledWith(
+        app.config.deadLetterFile,
+        expect.objectContaining({
+          key: 'default:/tmp/test-watch/test-flow.bar',
+          target: 'default',
+          filePath: '/tmp/test-watch/test-flow.bar',
+          attempts: 3,
+          status: 503
+        }), mockFs
+      );
+    });
+    
+    it('should not retry or queue client errors', async () => {
+      mockUploads(jsonResponse(400));
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({ ok: false, action: 'failed', status: 400 }));
+      const uploadCalls = mockFetch.mock.calls.filter(([url]) => url.includes('/bar-files/'));
+      expect(uploadCalls).toHaveLength(1);
+      expect(mockDeadLetterQueue.addDeadLetter).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Failed to upload test-flow.bar: 400 400 - {}');
+    });
+    
+    it('should redact credentials and bearer tokens echoed in error responses', async () => {
+      mockUploads({
+        ...jsonResponse(403),
+        text: jest.fn().mockResolvedValue('Denied Bearer abc.def.ghi for key test-api-key')
+      });
+      
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        '❌ Failed to upload test-flow.bar: 403 403 - Denied Bearer [REDACTED] for key [REDACTED]'
+      );
+    });
+    
+    it('should retry a rejected token only once', async () => {
+      const retriesBefore = app.metrics.unauthorizedRetries.get({ target: 'default' });
+      mockUploads(jsonResponse(401), jsonResponse(401), jsonResponse(200, { name: 'test-flow.bar' }));
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({ ok: false, action: 'failed', status: 401 }));
+      const uploadCalls = mockFetch.mock.calls.filter(([url]) => url.includes('/bar-files/'));
+      expect(uploadCalls).toHaveLength(2);
+      expect(app.metrics.unauthorizedRetries.get({ target: 'default' })).toBe(retriesBefore + 1);
+    });
+    
+    it('should report token failures as such rather than as failed uploads', async () => {
+      app.tokenCache.clear();
+      mockFetch.mockReset();
+      mockFetch.mockResolvedValue({ ...jsonResponse(403), text: jest.fn().mockResolvedValue('bad client secret') });
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({
+        ok: false,
+        action: 'failed',
+        status: 403,
+        error: 'Token generation failed: 403 403 - bad client secret'
+      }));
+      expect(mockFetch.mock.calls.filter(([url]) => url.includes('/bar-files/'))).toHaveLength(0);
+      expect(mockConsoleError).toHaveBeenCalledWith(
+        '🔑 Could not upload test-flow.bar: no authentication token (Token generation failed: 403 403 - bad client secret)'
+      );
+    });
     
-    it('should watch for .bar files only', () => {
-      const testFiles = [
-        { path: '/test/file.bar', shouldWatch: true },
-        { path: '/test/file.txt', shouldWatch: false },
-        { path: '/test/file.json', shouldWatch: false },
-        { path: '/test/another.bar', shouldWatch: true }
+    it('should reject invalid BAR files without uploading or queueing them', async () => {
+      mockUploads();
+      mockBarArchive.validateBarFile.mockResolvedValue({ valid: false, problems: ['file is empty'], artefacts: [] });
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual({ ok: false, action: 'invalid', error: 'Invalid BAR file: file is empty' });
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockDeadLetterQueue.addDeadLetter).not.toHaveBeenCalled();
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Not uploading test-flow.bar: invalid BAR file: file is empty');
+    });
+    
+    it('should notify the target\'s webhooks of failures matching their filter', async () => {
+      const target = app.config.targets[0];
+      target.notify = [
+        { type: 'webhook', url: 'https://hooks.example.test/failures', on: 'failure', payload: { text: '{{file}}: {{error}}' } },
+        { type: 'webhook', url: 'https://hooks.example.test/successes', on: 'success' }
       ];
+      mockUploads(jsonResponse(200));
+      mockBarArchive.validateBarFile.mockResolvedValue({ valid: false, problems: ['file is empty'], artefacts: [] });
       
-      testFiles.forEach(file => {
-        const ext = file.path.split('.').pop();
-        const isBarFile = ext === 'bar';
-        expect(isBarFile).toBe(file.shouldWatch);
+      try {
+        await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        
+        expect(mockFetch).toHaveBeenCalledTimes(1);
+        const [url, options] = mockFetch.mock.calls[0];
+        expect(url).toBe('https://hooks.example.test/failures');
+        expect(JSON.parse(options.body)).toEqual({ text: 'test-flow.bar: Invalid BAR file: file is empty' });
+      } finally {
+        delete target.notify;
+      }
+    });
+    
+    it('should upload an overridden copy for targets with an overrides file', async () => {
+      const cleanup = jest.fn();
+      mockBarOverrides.createOverriddenBar.mockResolvedValue({
+        filePath: '/tmp/bar-sync-abc/test-flow.bar',
+        applied: ['TestFlow#HTTP Input.URLSpecifier'],
+        unmatched: [],
+        cleanup
       });
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar' }));
+      const target = { ...app.config.targets[0], overridesFile: '/config/prod.properties' };
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar', { target });
+      
+      expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+      expect(mockBarOverrides.createOverriddenBar).toHaveBeenCalledWith('/tmp/test-watch/test-flow.bar', '/config/prod.properties', mockFs);
+      expect(mockFs.createReadStream).toHaveBeenCalledWith('/tmp/bar-sync-abc/test-flow.bar');
+      expect(cleanup).toHaveBeenCalled();
+      expect(mockManifest.hashFile).toHaveBeenCalledWith('/config/prod.properties', mockFs);
+      expect(result.hash).not.toBe('new-hash');
+      expect(mockConsoleLog).toHaveBeenCalledWith('🔧 Applied 1 override(s) from prod.properties to test-flow.bar');
     });
     
-    it('should handle watcher errors', () => {
-      const mockError = new Error('Watcher error');
-      const mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    it('should not upload when overrides cannot be applied', async () => {
+      mockBarOverrides.createOverriddenBar.mockRejectedValue(new Error('ENOENT: no such file'));
+      mockUploads();
+      const target = { ...app.config.targets[0], overridesFile: '/config/prod.properties' };
       
-      // Simulate error
-      console.error('❌ Watcher error:', mockError);
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar', { target });
       
-      expect(mockConsoleError).toHaveBeenCalled();
-      mockConsoleError.mockRestore();
+      expect(result).toEqual(expect.objectContaining({ ok: false, action: 'failed', error: 'Overrides failed: ENOENT: no such file' }));
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+    
+    it('should record the uploaded hash in the manifest', async () => {
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar' }));
+      
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(mockManifest.recordUpload).toHaveBeenCalledWith(
+        app.config.manifestFile,
+        'default:/tmp/test-watch/test-flow.bar',
+        'new-hash', mockFs
+      );
+    });
+    
+    it('should archive successful uploads in the BAR history', async () => {
+      mockBarHistory.recordVersion.mockReturnValue({ version: 3 });
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar', url: 'https://api.example.test/bars/test-flow.bar' }));
+      
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(mockBarHistory.recordVersion).toHaveBeenCalledWith(app.config.historyDirectory, expect.objectContaining({
+        target: 'default',
+        filePath: '/tmp/test-watch/test-flow.bar',
+        uploadPath: '/tmp/test-watch/test-flow.bar',
+        hash: 'new-hash',
+        response: { name: 'test-flow.bar', url: 'https://api.example.test/bars/test-flow.bar' },
+        rolledBackFrom: undefined
+      }), 5, mockFs);
+    });
+    
+    it('should not fail the upload when the BAR history cannot be written', async () => {
+      mockBarHistory.recordVersion.mockImplementation(() => {
+        throw new Error('ENOSPC: no space left on device');
+      });
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar' }));
+      
+      try {
+        const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+        
+        expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not archive test-flow.bar in the BAR history: ENOSPC'));
+      } finally {
+        mockBarHistory.recordVersion.mockReset();
+      }
+    });
+    
+    it('should skip files that are unchanged since the last upload', async () => {
+      mockManifest.getUploadedHash.mockReturnValue('new-hash');
+      mockUploads();
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(result).toEqual({ ok: true, action: 'skipped', hash: 'new-hash' });
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining('unchanged since last upload'));
+    });
+    
+    it('should upload unchanged files when forced', async () => {
+      mockManifest.getUploadedHash.mockReturnValue('new-hash');
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar' }));
+      
+      const result = await app.uploadBarFile('/tmp/test-watch/test-flow.bar', { force: true });
+      
+      expect(result.action).toBe('uploaded');
+      expect(mockFetch.mock.calls.some(([url]) => url.includes('/bar-files/'))).toBe(true);
+    });
+    
+    it('should replay queued uploads and drop entries for deleted files', async () => {
+      mockDeadLetterQueue.readDeadLetters.mockReturnValue([
+        { key: 'default:/tmp/test-watch/gone.bar', target: 'default', filePath: '/tmp/test-watch/gone.bar', fileName: 'gone.bar' },
+        { key: 'default:/tmp/test-watch/test-flow.bar', target: 'default', filePath: '/tmp/test-watch/test-flow.bar', fileName: 'test-flow.bar' }
+      ]);
+      mockFs.existsSync.mockImplementation((filePath) => !filePath.endsWith('gone.bar'));
+      mockUploads(jsonResponse(200, { name: 'test-flow.bar' }));
+      
+      const summary = await app.replayFailedUploads();
+      
+      expect(summary).toEqual({ succeeded: 1, failed: 0, held: 0 });
+      expect(mockDeadLetterQueue.removeDeadLetter).toHaveBeenCalledWith(
+        app.config.deadLetterFile,
+        'default:/tmp/test-watch/gone.bar', mockFs
+      );
+    });
+    
+    it('should drop queued uploads for targets that are no longer configured', async () => {
+      mockDeadLetterQueue.readDeadLetters.mockReturnValue([
+        { key: 'old:/tmp/test-watch/test-flow.bar', target: 'old', filePath: '/tmp/test-watch/test-flow.bar', fileName: 'test-flow.bar' }
+      ]);
+      mockUploads();
+      
+      const summary = await app.replayFailedUploads();
+      
+      expect(summary).toEqual({ succeeded: 0, failed: 0, held: 0 });
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(mockDeadLetterQueue.removeDeadLetter).toHaveBeenCalledWith(
+        app.config.deadLetterFile,
+        'old:/tmp/test-watch/test-flow.bar', mockFs
+      );
     });
   });
   
-  describe('Graceful Shutdown', () => {
-    it('should close watcher on SIGINT', () => {
-      const mockWatcher = {
-        close: jest.fn(),
-        on: jest.fn()
+  describe('Control API State', () => {
+    let app;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024 });
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockManifest.hashFile.mockResolvedValue('new-hash');
+      mockManifest.getUploadedHash.mockReturnValue(null);
+      mockDeadLetterQueue.readDeadLetters.mockReturnValue([]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      for (const timer of app.debounceTimers.values()) {
+        clearTimeout(timer);
+      }
+      app.debounceTimers.clear();
+      app.watcherState.paused = false;
+      app.watcherState.pausedChanges.clear();
+      jest.restoreAllMocks();
+    });
+    
+    it('should report watched paths, pending uploads, token age and last results', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': jsonResponse(200, { name: 'test-flow.bar.bar' })
+      });
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      app.handleFileChange('/tmp/test-watch/other-flow.bar');
+      
+      const status = app.getStatus();
+      
+      expect(status.watchedPaths).toEqual(['/tmp/test-watch']);
+      expect(status.pendingUploads).toEqual([{ target: 'default', filePath: '/tmp/test-watch/other-flow.bar' }]);
+      expect(status.targets[0].token).toEqual({ ageMs: expect.any(Number), expiresInMs: expect.any(Number) });
+      expect(status.lastResults).toEqual([expect.objectContaining({
+        target: 'default',
+        file: 'test-flow.bar',
+        ok: true,
+        action: 'uploaded'
+      })]);
+    });
+    
+    it('should hold changes while paused and handle them on resume', () => {
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
+      
+      expect(app.pauseWatching()).toEqual({ pendingChanges: 1 });
+      expect(app.debounceTimers.size).toBe(0);
+      
+      app.handleFileChange('/tmp/test-watch/other-flow.bar');
+      expect(app.debounceTimers.size).toBe(0);
+      
+      expect(app.resumeWatching()).toEqual({ replayed: 2 });
+      expect([...app.debounceTimers.keys()]).toEqual([
+        'default:/tmp/test-watch/test-flow.bar',
+        'default:/tmp/test-watch/other-flow.bar'
+      ]);
+    });
+    
+    it('should only accept re-uploads of existing files', () => {
+      mockFs.existsSync.mockReturnValue(false);
+      
+      expect(app.requestReupload('missing.bar')).toBeNull();
+    });
+    
+    it('should count uploads, skips, token use and 401 retries', async () => {
+      const target = { target: 'default' };
+      const before = {
+        attempted: app.metrics.uploadsAttempted.get(target),
+        succeeded: app.metrics.uploadsSucceeded.get(target),
+        failed: app.metrics.uploadsFailed.get({ target: 'default', status: 401 }),
+        skipped: app.metrics.uploadsSkipped.get(target),
+        retries: app.metrics.unauthorizedRetries.get(target),
+        generations: app.metrics.tokenGenerations.get(target)
       };
+      let uploads = 0;
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': () => (++uploads === 1
+          ? jsonResponse(401, { error: 'expired' })
+          : jsonResponse(200, { name: 'test-flow.bar.bar' }))
+      });
+      app.tokenCache.set('default', { token: 'stale-token', createdAt: Date.now(), expiry: Date.now() + 60000 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      mockManifest.getUploadedHash.mockReturnValue('new-hash');
+      await app.uploadBarFile('/tmp/test-watch/test-flow.bar');
+      
+      expect(app.metrics.uploadsAttempted.get(target)).toBe(before.attempted + 2);
+      expect(app.metrics.uploadsSucceeded.get(target)).toBe(before.succeeded + 1);
+      expect(app.metrics.uploadsFailed.get({ target: 'default', status: 401 })).toBe(before.failed + 1);
+      expect(app.metrics.uploadsSkipped.get(target)).toBe(before.skipped + 1);
+      expect(app.metrics.unauthorizedRetries.get(target)).toBe(before.retries + 1);
+      expect(app.metrics.tokenGenerations.get(target)).toBe(before.generations + 1);
+    });
+    
+    it('should expose metrics and queue depth in the Prometheus text format', () => {
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
       
-      mockChokidar.watch.mockReturnValue(mockWatcher);
+      const text = app.getMetrics();
       
-      // Simulate SIGINT
-      mockWatcher.close();
+      expect(text).toContain('# TYPE bar_sync_uploads_attempted_total counter');
+      expect(text).toContain('# TYPE bar_sync_upload_duration_seconds histogram');
+      expect(text).toMatch(/^bar_sync_upload_duration_seconds_bucket\{target="default",le="\+Inf"\} \d+$/m);
+      expect(text).toMatch(/^bar_sync_bar_size_bytes_sum\{target="default"\} \d+$/m);
+      expect(text).toContain('\nbar_sync_upload_queue_depth 1\n');
+    });
+  });
+  
+  describe('Upload Queue and Shutdown', () => {
+    let app;
+    
+    // Upload response that only settles when the request is aborted
+    const hangUntilAborted = (options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => {
+        const error = new Error('The operation was aborted.');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    });
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024 });
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockManifest.hashFile.mockResolvedValue('new-hash');
+      mockManifest.getUploadedHash.mockReturnValue(null);
+      mockDeadLetterQueue.readDeadLetters.mockReturnValue([]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      for (const timer of app.debounceTimers.values()) {
+        clearTimeout(timer);
+      }
+      app.debounceTimers.clear();
+      app.watcherState.shuttingDown = false;
+      jest.restoreAllMocks();
+    });
+    
+    it('should cancel a running upload when the file changes again and upload the latest version', async () => {
+      let uploads = 0;
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': (options) => (++uploads === 1
+          ? hangUntilAborted(options)
+          : jsonResponse(200, { name: 'test-flow.bar.bar' }))
+      });
+      
+      const first = app.queueUpload('/tmp/test-watch/test-flow.bar');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(app.getStatus().uploadQueue.running).toEqual([{ target: 'default', filePath: '/tmp/test-watch/test-flow.bar' }]);
+      
+      const second = app.queueUpload('/tmp/test-watch/test-flow.bar');
+      
+      await expect(first).resolves.toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+      await expect(second).resolves.toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+      expect(uploads).toBe(2);
+      expect(mockDeadLetterQueue.addDeadLetter).not.toHaveBeenCalled();
+    });
+    
+    it('should save debounced changes to the failed upload queue on shutdown', async () => {
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
+      
+      await expect(app.drainUploads(0)).resolves.toEqual({ completed: 0, persisted: 1 });
+      
+      expect(app.debounceTimers.size).toBe(0);
+      expect(mockDeadLetterQueue.addDeadLetter).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        key: 'default:/tmp/test-watch/test-flow.bar',
+        attempts: 0,
+        error: 'Changed during shutdown'
+      }), mockFs);
+    });
+    
+    it('should cancel and save uploads still running when the shutdown timeout expires', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': hangUntilAborted
+      });
+      
+      const upload = app.queueUpload('/tmp/test-watch/test-flow.bar');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      
+      await expect(app.drainUploads(10)).resolves.toEqual({ completed: 0, persisted: 1 });
+      await expect(upload).resolves.toEqual(expect.objectContaining({ ok: false, action: 'cancelled' }));
+      expect(mockDeadLetterQueue.addDeadLetter).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        key: 'default:/tmp/test-watch/test-flow.bar',
+        error: 'Interrupted by shutdown'
+      }), mockFs);
+    });
+  });
+  
+  describe('One-shot Commands', () => {
+    let app;
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024, isDirectory: () => false });
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockManifest.hashFile.mockResolvedValue('new-hash');
+      mockManifest.getUploadedHash.mockReturnValue(null);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should push files outside the watch directory to the only target', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': jsonResponse(200, { name: 'test-flow.bar.bar' })
+      });
+      
+      const results = await app.pushFiles(['/builds/test-flow.bar']);
+      
+      expect(results).toEqual([{
+        filePath: '/builds/test-flow.bar',
+        target: 'default',
+        result: expect.objectContaining({ ok: true, action: 'uploaded' })
+      }]);
+    });
+    
+    it('should report pushed paths that do not exist', async () => {
+      mockFs.existsSync.mockReturnValue(false);
+      
+      const results = await app.pushFiles(['/builds/missing.bar']);
+      
+      expect(results).toEqual([{
+        filePath: '/builds/missing.bar',
+        target: null,
+        result: { ok: false, action: 'failed', error: 'Not found' }
+      }]);
+    });
+    
+    it('should plan a sync without uploading anything', async () => {
+      mockManifest.readManifest.mockReturnValue({});
+      mockFs.readdirSync.mockReturnValue([]);
+      routeFetch({
+        'GET /api/v1/bar-files': jsonResponse(200, ['old-flow.bar.bar'])
+      });
+      
+      const plan = await app.planSync({ deleteRemote: false });
+      
+      expect(plan).toEqual([expect.objectContaining({ target: 'default', name: 'old-flow.bar.bar', filePath: null })]);
+      expect(mockFetch.mock.calls.some(([, options]) => options.method === 'PUT')).toBe(false);
+    });
+    
+    describe('dry run', () => {
+      beforeEach(() => {
+        app.config.dryRun = true;
+        routeFetch({});
+      });
+      
+      afterEach(() => {
+        app.config.dryRun = false;
+        app.config.dryRunCheckToken = false;
+      });
+      
+      it('should report what would be sent without requesting a token or uploading', async () => {
+        const results = await app.pushFiles(['/builds/test-flow.bar']);
+        
+        expect(results[0].result).toEqual({
+          ok: true,
+          action: 'dry-run',
+          hash: 'new-hash',
+          size: 1024,
+          method: 'PUT',
+          url: 'https://api.example.test/api/v1/bar-files/test-flow.bar.bar',
+          deployed: null
+        });
+        expect(mockFetch).not.toHaveBeenCalled();
+        expect(mockManifest.recordUpload).not.toHaveBeenCalled();
+        expect(console.log).toHaveBeenCalledWith(
+          '🧪 Dry run: would PUT test-flow.bar (1024 bytes, sha256 new-hash) to https://api.example.test/api/v1/bar-files/test-flow.bar.bar'
+        );
+      });
+      
+      it('should request a token only when asked to check credentials', async () => {
+        app.config.dryRunCheckToken = true;
+        app.tokenCache.clear();
+        
+        const results = await app.pushFiles(['/builds/test-flow.bar']);
+        
+        expect(results[0].result.action).toBe('dry-run');
+        expect(mockFetch.mock.calls.map(([url, options]) => `${options.method} ${new URL(url).pathname}`)).toEqual(['POST /api/v1/tokens']);
+      });
+      
+      it('should not delete remote BAR files', async () => {
+        app.config.deleteMode = 'delete';
+        mockFs.existsSync.mockReturnValue(false);
+        
+        try {
+          await expect(app.propagateFileRemoval('/tmp/test-watch/test-flow.bar')).resolves.toBe(false);
+        } finally {
+          app.config.deleteMode = 'off';
+        }
+        
+        expect(mockFetch).not.toHaveBeenCalled();
+        expect(mockManifest.forgetUpload).not.toHaveBeenCalled();
+        expect(console.log).toHaveBeenCalledWith('🧪 Dry run: would DELETE https://api.example.test/api/v1/bar-files/test-flow.bar.bar');
+      });
+    });
+  });
+  
+  describe('BAR History and Rollback', () => {
+    let app;
+    
+    const versions = [
+      { version: 3, hash: 'hash-3', uploadedAt: '2024-05-03T09:00:00.000Z', filePath: '/tmp/test-watch/test-flow.bar', archivePath: '/state/history/default/test-flow.bar/hash-3.bar' },
+      { version: 2, hash: 'hash-3', uploadedAt: '2024-05-02T09:00:00.000Z', filePath: '/tmp/test-watch/test-flow.bar', archivePath: '/state/history/default/test-flow.bar/hash-3.bar' },
+      { version: 1, hash: 'hash-1', uploadedAt: '2024-05-01T09:00:00.000Z', filePath: '/tmp/test-watch/test-flow.bar', archivePath: '/state/history/default/test-flow.bar/hash-1.bar' }
+    ];
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024 });
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockBarHistory.readHistory.mockReturnValue(versions);
+      mockBarHistory.recordVersion.mockReturnValue({ version: 4 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockBarHistory.readHistory.mockReset();
+    });
+    
+    it('should upload the archived copy of the version before the current content', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': jsonResponse(200, { name: 'test-flow.bar.bar' })
+      });
+      
+      const result = await app.rollbackBarFile('test-flow.bar');
+      
+      expect(result).toEqual(expect.objectContaining({ ok: true, action: 'rolled-back', version: 1, hash: 'hash-1' }));
+      expect(mockBarHistory.readHistory).toHaveBeenCalledWith(app.config.historyDirectory, 'default', 'test-flow.bar', mockFs);
+      expect(mockFs.createReadStream).toHaveBeenCalledWith('/state/history/default/test-flow.bar/hash-1.bar');
+      expect(mockManifest.recordUpload).toHaveBeenCalledWith(app.config.manifestFile, 'default:/tmp/test-watch/test-flow.bar', 'hash-1', mockFs);
+      expect(mockBarHistory.recordVersion).toHaveBeenCalledWith(app.config.historyDirectory, expect.objectContaining({
+        uploadPath: '/state/history/default/test-flow.bar/hash-1.bar',
+        rolledBackFrom: 1
+      }), 5, mockFs);
+    });
+    
+    it('should not queue a rollback that fails', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': jsonResponse(503)
+      });
+      
+      const result = await app.rollbackBarFile('test-flow.bar', 2);
+      
+      expect(result).toEqual(expect.objectContaining({ ok: false, action: 'failed', version: 2, status: 503 }));
+      expect(mockDeadLetterQueue.addDeadLetter).not.toHaveBeenCalled();
+    });
+    
+    it('should reject versions that are not in the history', async () => {
+      routeFetch({});
+      
+      await expect(app.rollbackBarFile('test-flow.bar', 7))
+        .rejects.toThrow('No version 7 of test-flow.bar (archived versions: 3, 2, 1)');
+      mockBarHistory.readHistory.mockReturnValue([]);
+      await expect(app.rollbackBarFile('other.bar'))
+        .rejects.toThrow(`No upload history for other.bar in ${app.config.historyDirectory}`);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('Manual Approval', () => {
+    let app;
+    
+    const pendingChange = {
+      key: 'default:/tmp/test-watch/test-flow.bar',
+      target: 'default',
+      filePath: '/tmp/test-watch/test-flow.bar',
+      fileName: 'test-flow.bar',
+      hash: 'hash-1',
+      detectedAt: '2024-05-01T09:00:00.000Z',
+      firstDetectedAt: '2024-05-01T08:00:00.000Z',
+      superseded: 1
+    };
+    
+    beforeEach(async () => {
+      app = await import('./index.js');
+      app.config.targets[0].approval = true;
+      mockFs.existsSync.mockReturnValue(true);
+      mockFs.statSync.mockReturnValue({ size: 1024 });
+      mockFs.mkdtempSync.mockReturnValue('/tmp/bar-sync-snapshot');
+      mockFormData.mockImplementation(() => ({ append: jest.fn() }));
+      mockManifest.hashFile.mockResolvedValue('hash-1');
+      mockPendingChanges.readPendingChanges.mockReturnValue([pendingChange]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      app.config.targets[0].approval = false;
+      app.config.targets[0].debounceMs = app.config.debounceMs;
+      mockPendingChanges.readPendingChanges.mockReset();
+      mockPendingChanges.readPendingChanges.mockReturnValue([]);
+      mockManifest.hashFile.mockReset();
+      jest.restoreAllMocks();
+    });
+    
+    it('should hold watched changes for approval instead of uploading them', async () => {
+      routeFetch({});
+      app.config.targets[0].debounceMs = 0;
+      
+      app.handleFileChange('/tmp/test-watch/test-flow.bar');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      
+      expect(mockPendingChanges.addPendingChange).toHaveBeenCalledWith(app.config.pendingChangesFile, expect.objectContaining({
+        key: 'default:/tmp/test-watch/test-flow.bar',
+        target: 'default',
+        fileName: 'test-flow.bar',
+        hash: 'hash-1'
+      }), mockFs);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+    
+    it('should upload an approved change and record the approval', async () => {
+      routeFetch({
+        'PUT /api/v1/bar-files/test-flow.bar.bar': jsonResponse(200, { name: 'test-flow.bar.bar' })
+      });
+      
+      const { change, upload } = await app.approvePendingChange('test-flow.bar', { by: 'alex', reason: 'Reviewed in CR-42' });
+      
+      expect(change).toBe(pendingChange);
+      expect(await upload).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+      // The approved content is sent from a copy, not re-read from the watched file
+      expect(mockFs.copyFileSync).toHaveBeenCalledWith('/tmp/test-watch/test-flow.bar', '/tmp/bar-sync-snapshot/test-flow.bar');
+      expect(mockFs.createReadStream).toHaveBeenCalledWith('/tmp/bar-sync-snapshot/test-flow.bar');
+      expect(mockFs.rmSync).toHaveBeenCalledWith('/tmp/bar-sync-snapshot', { recursive: true, force: true });
+      expect(mockPendingChanges.removePendingChange).toHaveBeenCalledWith(app.config.pendingChangesFile, pendingChange.key, mockFs);
+      expect(mockPendingChanges.appendAuditEntry).toHaveBeenCalledWith(app.config.approvalAuditFile, expect.objectContaining({
+        action: 'approved',
+        target: 'default',
+        file: 'test-flow.bar',
+        hash: 'hash-1',
+        superseded: 1,
+        by: 'alex',
+        reason: 'Reviewed in CR-42'
+      }), mockFs);
+    });
+    
+    it('should not approve a file that changed after it was queued', async () => {
+      routeFetch({});
+      mockManifest.hashFile.mockResolvedValue('hash-2');
+      
+      await expect(app.approvePendingChange('test-flow.bar', { by: 'alex' }))
+        .rejects.toThrow('test-flow.bar has changed since it was queued for approval (sha256 hash-1, now hash-2); review the new version and approve it again');
+      expect(mockPendingChanges.addPendingChange).toHaveBeenCalledWith(app.config.pendingChangesFile, expect.objectContaining({ hash: 'hash-2' }), mockFs);
+      expect(mockPendingChanges.appendAuditEntry).not.toHaveBeenCalled();
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+    
+    it('should record rejections without uploading', () => {
+      routeFetch({});
+      
+      expect(app.rejectPendingChange('test-flow.bar', { by: 'sam', reason: 'Wrong queue manager' })).toBe(pendingChange);
+      expect(mockPendingChanges.removePendingChange).toHaveBeenCalledWith(app.config.pendingChangesFile, pendingChange.key, mockFs);
+      expect(mockPendingChanges.appendAuditEntry).toHaveBeenCalledWith(app.config.approvalAuditFile, expect.objectContaining({
+        action: 'rejected',
+        by: 'sam',
+        reason: 'Wrong queue manager'
+      }), mockFs);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+    
+    it('should report files with no pending change', async () => {
+      mockPendingChanges.readPendingChanges.mockReturnValue([]);
       
-      expect(mockWatcher.close).toHaveBeenCalled();
+      await expect(app.approvePendingChange('other.bar')).rejects.toThrow('No change to other.bar is waiting for approval');
+      expect(() => app.rejectPendingChange('other.bar')).toThrow(mockPendingChanges.ApprovalError);
     });
   });
   
@@ -2,7 +2,9 @@ export default {
   testEnvironment: 'node',
   transform: {},
   collectCoverageFrom: [
-    'index.js'
+    'index.js',
+    'src/**/*.js',
+    '!src/**/*.test.js'
   ],
   coveragePathIgnorePatterns: [
     '/node_modules/'
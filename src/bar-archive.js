@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+/**
+ * BAR archive checks, so half-written or corrupt files (e.g. left behind by a
+ * Toolkit crash) are rejected before they reach App Connect.
+ */
+
+/**
+ * Extensions of the artefacts App Connect can deploy from a BAR file
+ */
+export const DEPLOYABLE_EXTENSIONS = ['.appzip', '.libzip', '.shlibzip', '.cmf', '.policyxml', '.xsdzip', '.dictionary'];
+
+/**
+ * Path of the deployment descriptor inside a BAR file
+ */
+export const DEPLOYMENT_DESCRIPTOR = 'META-INF/broker.xml';
+
+// Deployable artefacts that are zip archives themselves
+const NESTED_ARCHIVE_EXTENSIONS = ['.appzip', '.libzip', '.shlibzip', '.xsdzip'];
+
+/**
+ * Check the contents of a BAR file
+ * @param {Buffer} buffer - BAR file contents
+ * @returns {{valid: boolean, problems: string[], artefacts: string[]}} Result, with every problem found and the deployable artefacts
+ */
+export function validateBarBuffer(buffer) {
+  const problems = [];
+  const artefacts = [];
+
+  if (buffer.length === 0) {
+    return { valid: false, problems: ['file is empty'], artefacts };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    const reason = 'not a valid zip archive (the central directory is missing or damaged, so the file may be incomplete)';
+    return { valid: false, problems: [reason], artefacts };
+  }
+
+  let descriptor = null;
+
+  for (const entry of entries) {
+    if (entry.isDirectory) {
+      continue;
+    }
+
+    let data;
+    try {
+      data = entry.getData();
+    } catch (error) {
+      problems.push(`${entry.entryName} is corrupt (${error.message})`);
+      continue;
+    }
+
+    const extension = path.extname(entry.entryName).toLowerCase();
+
+    if (entry.entryName === DEPLOYMENT_DESCRIPTOR) {
+      descriptor = data.toString('utf8');
+    } else if (DEPLOYABLE_EXTENSIONS.includes(extension) && !entry.entryName.startsWith('META-INF/')) {
+      artefacts.push(entry.entryName);
+
+      if (NESTED_ARCHIVE_EXTENSIONS.includes(extension)) {
+        try {
+          new AdmZip(data).getEntries();
+        } catch (error) {
+          problems.push(`${entry.entryName} is not a valid archive`);
+        }
+      }
+    }
+  }
+
+  if (artefacts.length === 0) {
+    problems.push(`contains no deployable artefacts (expected ${DEPLOYABLE_EXTENSIONS.join(', ')})`);
+  }
+
+  if (descriptor === null) {
+    problems.push(`${DEPLOYMENT_DESCRIPTOR} is missing`);
+  } else {
+    const descriptorProblem = checkDeploymentDescriptor(descriptor);
+    if (descriptorProblem) {
+      problems.push(descriptorProblem);
+    }
+  }
+
+  return { valid: problems.length === 0, problems, artefacts };
+}
+
+/**
+ * Check that a deployment descriptor is well-formed XML with a Broker root element
+ * @param {string} xml - Contents of META-INF/broker.xml
+ * @returns {string|null} Problem, or null if the descriptor is fine
+ */
+function checkDeploymentDescriptor(xml) {
+  const validation = XMLValidator.validate(xml);
+
+  if (validation !== true) {
+    return `${DEPLOYMENT_DESCRIPTOR} is not valid XML (line ${validation.err.line}: ${validation.err.msg})`;
+  }
+
+  const document = new XMLParser({ ignoreDeclaration: true }).parse(xml);
+  if (!document || !Object.prototype.hasOwnProperty.call(document, 'Broker')) {
+    return `${DEPLOYMENT_DESCRIPTOR} has no <Broker> root element`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a BAR file on disk
+ * @param {string} filePath - Full path to the BAR file
+ * @param {Object} [fileSystem=fs] - File system module to read the file with
+ * @returns {Promise<{valid: boolean, problems: string[], artefacts: string[]}>} Validation result
+ */
+export async function validateBarFile(filePath, fileSystem = fs) {
+  let buffer;
+  try {
+    buffer = await fileSystem.promises.readFile(filePath);
+  } catch (error) {
+    return { valid: false, problems: [`cannot be read (${error.message})`], artefacts: [] };
+  }
+
+  return validateBarBuffer(buffer);
+}
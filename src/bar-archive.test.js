@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { validateBarBuffer, validateBarFile } from './bar-archive.js';
+
+const BROKER_XML = '<?xml version="1.0" encoding="UTF-8"?>\n<Broker><CompiledApplication name="OrderApp"/></Broker>';
+
+// Build a BAR file in memory from a map of entry names to contents
+const buildBar = (entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content));
+  }
+  return zip.toBuffer();
+};
+
+const buildNestedArchive = () => buildBar({ 'OrderFlow.cmf': 'compiled flow' });
+
+describe('BAR archive validation', () => {
+  describe('validateBarBuffer', () => {
+    it('should accept a BAR with a deployable artefact and a valid deployment descriptor', () => {
+      const result = validateBarBuffer(buildBar({
+        'META-INF/broker.xml': BROKER_XML,
+        'OrderApp.appzip': buildNestedArchive()
+      }));
+      
+      expect(result).toEqual({ valid: true, problems: [], artefacts: ['OrderApp.appzip'] });
+    });
+    
+    it('should reject empty files', () => {
+      expect(validateBarBuffer(Buffer.alloc(0)).problems).toEqual(['file is empty']);
+    });
+    
+    it('should reject truncated archives', () => {
+      const bar = buildBar({ 'META-INF/broker.xml': BROKER_XML, 'OrderApp.appzip': buildNestedArchive() });
+      
+      const result = validateBarBuffer(bar.subarray(0, bar.length - 40));
+      
+      expect(result.valid).toBe(false);
+      expect(result.problems[0]).toMatch(/^not a valid zip archive/);
+    });
+    
+    it('should require a deployable artefact', () => {
+      const result = validateBarBuffer(buildBar({ 'META-INF/broker.xml': BROKER_XML, 'readme.txt': 'notes' }));
+      
+      expect(result.valid).toBe(false);
+      expect(result.problems).toEqual([expect.stringMatching(/^contains no deployable artefacts \(expected \.appzip, \.libzip/)]);
+    });
+    
+    it('should require the deployment descriptor to exist and parse', () => {
+      const appzip = buildNestedArchive();
+      
+      expect(validateBarBuffer(buildBar({ 'OrderApp.appzip': appzip })).problems)
+        .toEqual(['META-INF/broker.xml is missing']);
+      expect(validateBarBuffer(buildBar({ 'META-INF/broker.xml': '<Broker><CompiledApplication></Broker>', 'OrderApp.appzip': appzip })).problems)
+        .toEqual([expect.stringMatching(/^META-INF\/broker\.xml is not valid XML \(line 1: /)]);
+      expect(validateBarBuffer(buildBar({ 'META-INF/broker.xml': '<Deployment/>', 'OrderApp.appzip': appzip })).problems)
+        .toEqual(['META-INF/broker.xml has no <Broker> root element']);
+    });
+    
+    it('should reject nested archives that are not zips', () => {
+      const result = validateBarBuffer(buildBar({
+        'META-INF/broker.xml': BROKER_XML,
+        'OrderApp.appzip': 'half written',
+        'Shared.cmf': 'compiled flow'
+      }));
+      
+      expect(result.problems).toEqual(['OrderApp.appzip is not a valid archive']);
+      expect(result.artefacts).toEqual(['OrderApp.appzip', 'Shared.cmf']);
+    });
+  });
+  
+  describe('validateBarFile', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-archive-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should validate files on disk', async () => {
+      const barFile = path.join(tempDir, 'order.bar');
+      fs.writeFileSync(barFile, buildBar({ 'META-INF/broker.xml': BROKER_XML, 'Orders.libzip': buildNestedArchive() }));
+      
+      await expect(validateBarFile(barFile)).resolves.toEqual(expect.objectContaining({ valid: true }));
+    });
+    
+    it('should report files that cannot be read', async () => {
+      const result = await validateBarFile(path.join(tempDir, 'missing.bar'));
+      
+      expect(result.valid).toBe(false);
+      expect(result.problems[0]).toMatch(/^cannot be read/);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local archive of the BAR files that were uploaded successfully, so an earlier
+ * version can be uploaded again after a broken one.
+ *
+ * Each BAR file has its own directory per target, holding history.json (its
+ * versions, newest first) and a copy of every archived upload, named by hash so
+ * a version uploaded again is stored once. Only the newest versions are kept.
+ */
+
+const HISTORY_FILE = 'history.json';
+
+/**
+ * Directory holding the history of one BAR file on one target
+ * @param {string} historyDirectory - Root of the BAR history
+ * @param {string} target - Target name
+ * @param {string} fileName - BAR file name
+ * @returns {string} Directory path
+ */
+function getFileDirectory(historyDirectory, target, fileName) {
+  return path.join(historyDirectory, target, fileName);
+}
+
+/**
+ * Write a file's versions, replacing the previous list
+ * @param {string} directory - Directory of the file's history
+ * @param {Array<Object>} versions - Versions, newest first
+ * @param {Object} [fileSystem=fs] - File system module to write the history with
+ */
+function writeVersions(directory, versions, fileSystem = fs) {
+  // Write to a temporary file first so a crash never leaves a half-written history
+  const historyFile = path.join(directory, HISTORY_FILE);
+  const tempFile = `${historyFile}.tmp`;
+  fileSystem.writeFileSync(tempFile, JSON.stringify(versions.map(({ archivePath, ...version }) => version), null, 2));
+  fileSystem.renameSync(tempFile, historyFile);
+}
+
+/**
+ * Read the archived versions of a BAR file
+ * @param {string} historyDirectory - Root of the BAR history
+ * @param {string} target - Target name
+ * @param {string} fileName - BAR file name
+ * @param {Object} [fileSystem=fs] - File system module to read the history with
+ * @returns {Array<Object>} Versions, newest first: version number, uploadedAt, hash, size,
+ *   filePath (the local file it was uploaded from), response (the bar-files API response),
+ *   rolledBackFrom (for rollbacks, the version that was uploaded again), git (the source's commit,
+ *   branch and dirty state, if it was read) and archivePath
+ */
+export function readHistory(historyDirectory, target, fileName, fileSystem = fs) {
+  const directory = getFileDirectory(historyDirectory, target, fileName);
+  const historyFile = path.join(directory, HISTORY_FILE);
+
+  if (!fileSystem.existsSync(historyFile)) {
+    return [];
+  }
+
+  const versions = JSON.parse(fileSystem.readFileSync(historyFile, 'utf8'));
+  if (!Array.isArray(versions)) {
+    throw new Error(`BAR history is not a JSON array: ${historyFile}`);
+  }
+
+  return versions.map((version) => ({ ...version, archivePath: path.join(directory, version.archive) }));
+}
+
+/**
+ * Archive a successful upload as the newest version of a BAR file, dropping the
+ * oldest versions (and archived copies no longer used) beyond the limit
+ * @param {string} historyDirectory - Root of the BAR history
+ * @param {Object} upload - The upload
+ * @param {string} upload.target - Target name
+ * @param {string} upload.filePath - Full path to the local BAR file
+ * @param {string} upload.uploadPath - File that was sent (the local file, or an overridden copy of it)
+ * @param {string} upload.hash - Hash of the upload
+ * @param {Object} upload.response - bar-files API response
+ * @param {string} upload.uploadedAt - ISO timestamp of the upload
+ * @param {number} [upload.rolledBackFrom] - Version that was uploaded again, for rollbacks
+ * @param {Object|null} [upload.git] - Git state of the source, as returned by readGitInfo
+ * @param {number} keep - Number of versions to keep
+ * @param {Object} [fileSystem=fs] - File system module to archive the upload with
+ * @returns {Object} The new version
+ */
+export function recordVersion(historyDirectory, { target, filePath, uploadPath, hash, response, uploadedAt, rolledBackFrom, git }, keep, fileSystem = fs) {
+  const fileName = path.basename(filePath);
+  const directory = getFileDirectory(historyDirectory, target, fileName);
+  const versions = readHistory(historyDirectory, target, fileName, fileSystem);
+  const archive = `${hash}.bar`;
+
+  fileSystem.mkdirSync(directory, { recursive: true });
+  if (!fileSystem.existsSync(path.join(directory, archive))) {
+    fileSystem.copyFileSync(uploadPath, path.join(directory, archive));
+  }
+
+  const version = {
+    version: versions.length > 0 ? versions[0].version + 1 : 1,
+    uploadedAt,
+    hash,
+    size: fileSystem.statSync(path.join(directory, archive)).size,
+    filePath,
+    archive,
+    response: response || null
+  };
+  if (rolledBackFrom !== undefined) {
+    version.rolledBackFrom = rolledBackFrom;
+  }
+  if (git !== undefined) {
+    version.git = git;
+  }
+
+  const kept = [{ ...version, archivePath: path.join(directory, archive) }, ...versions].slice(0, Math.max(1, keep));
+  writeVersions(directory, kept, fileSystem);
+
+  // Remove copies only dropped versions used
+  const used = new Set(kept.map((entry) => entry.archive));
+  for (const dropped of versions.slice(kept.length - 1)) {
+    if (!used.has(dropped.archive)) {
+      fileSystem.rmSync(dropped.archivePath, { force: true });
+    }
+  }
+
+  return kept[0];
+}
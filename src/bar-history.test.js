@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readHistory, recordVersion } from './bar-history.js';
+
+describe('BAR history', () => {
+  let tempDir;
+  let historyDirectory;
+  let filePath;
+  
+  // Upload new content of the BAR file and archive it
+  const upload = (content, hash, keep = 3, extra = {}) => {
+    fs.writeFileSync(filePath, content);
+    return recordVersion(historyDirectory, {
+      target: 'prod',
+      filePath,
+      uploadPath: filePath,
+      hash,
+      response: { name: 'test-flow.bar.bar' },
+      uploadedAt: '2024-05-01T09:00:00.000Z',
+      ...extra
+    }, keep);
+  };
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-history-'));
+    historyDirectory = path.join(tempDir, 'history');
+    filePath = path.join(tempDir, 'test-flow.bar');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  it('should return no versions for files that were never uploaded', () => {
+    expect(readHistory(historyDirectory, 'prod', 'test-flow.bar')).toEqual([]);
+  });
+  
+  it('should archive a copy of each upload, newest first', () => {
+    upload('version one', 'hash-1');
+    const latest = upload('version two', 'hash-2');
+    
+    const versions = readHistory(historyDirectory, 'prod', 'test-flow.bar');
+    
+    expect(latest.version).toBe(2);
+    expect(versions.map((version) => version.version)).toEqual([2, 1]);
+    expect(versions[0]).toEqual({
+      version: 2,
+      uploadedAt: '2024-05-01T09:00:00.000Z',
+      hash: 'hash-2',
+      size: 11,
+      filePath,
+      archive: 'hash-2.bar',
+      response: { name: 'test-flow.bar.bar' },
+      archivePath: path.join(historyDirectory, 'prod', 'test-flow.bar', 'hash-2.bar')
+    });
+    expect(fs.readFileSync(versions[1].archivePath, 'utf8')).toBe('version one');
+  });
+  
+  it('should keep only the newest versions and delete copies no longer used', () => {
+    upload('version one', 'hash-1', 2);
+    upload('version two', 'hash-2', 2);
+    upload('version three', 'hash-3', 2);
+    
+    const versions = readHistory(historyDirectory, 'prod', 'test-flow.bar');
+    
+    expect(versions.map((version) => version.version)).toEqual([3, 2]);
+    expect(fs.readdirSync(path.join(historyDirectory, 'prod', 'test-flow.bar')).sort())
+      .toEqual(['hash-2.bar', 'hash-3.bar', 'history.json']);
+  });
+  
+  it('should store content uploaded again once and record rollbacks', () => {
+    upload('version one', 'hash-1', 2);
+    upload('version two', 'hash-2', 2);
+    upload('version one', 'hash-1', 2, { rolledBackFrom: 1 });
+    
+    const versions = readHistory(historyDirectory, 'prod', 'test-flow.bar');
+    
+    expect(versions.map(({ version, hash, rolledBackFrom }) => ({ version, hash, rolledBackFrom }))).toEqual([
+      { version: 3, hash: 'hash-1', rolledBackFrom: 1 },
+      { version: 2, hash: 'hash-2', rolledBackFrom: undefined }
+    ]);
+    expect(fs.readFileSync(versions[0].archivePath, 'utf8')).toBe('version one');
+  });
+  
+  it('should keep the histories of each target apart', () => {
+    upload('version one', 'hash-1');
+    
+    expect(readHistory(historyDirectory, 'test', 'test-flow.bar')).toEqual([]);
+  });
+});
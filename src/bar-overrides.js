@@ -0,0 +1,196 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { DEPLOYMENT_DESCRIPTOR } from './bar-archive.js';
+
+/**
+ * Per-environment BAR overrides, applied the way mqsiapplybaroverride does: each
+ * line of a .properties file sets the override of the configurable property in
+ * META-INF/broker.xml whose uri matches its key (e.g. "OrderFlow#HTTP Input.URLSpecifier=/orders").
+ */
+
+const ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+/**
+ * Parse override properties. Keys end at the first unescaped "=" so node names may
+ * contain spaces; "#" and "!" start comments and a trailing backslash continues a line.
+ * @param {string} text - Contents of a .properties file
+ * @returns {Map<string, string>} Property values by uri, in file order
+ */
+export function parseProperties(text) {
+  const properties = new Map();
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].trimStart();
+
+    if (line === '' || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+
+    // An odd number of trailing backslashes joins the next line
+    while (/(^|[^\\])(\\\\)*\\$/.test(line) && index + 1 < lines.length) {
+      line = line.slice(0, -1) + lines[++index].trimStart();
+    }
+
+    const separator = findSeparator(line);
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = unescape(line.slice(0, separator).trim());
+    if (key) {
+      properties.set(key, unescape(line.slice(separator + 1).trim()));
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Find the first "=" that is not escaped with a backslash
+ * @param {string} line - Logical properties line
+ * @returns {number} Index of the separator, or -1
+ */
+function findSeparator(line) {
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '\\') {
+      index++;
+    } else if (line[index] === '=') {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Resolve backslash escapes in a properties key or value
+ * @param {string} value - Escaped text
+ * @returns {string} Unescaped text
+ */
+function unescape(value) {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length === 5) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    return ESCAPES[escape] || escape;
+  });
+}
+
+/**
+ * Decode the XML entities in an attribute value
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+function decodeXml(value) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+  return value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity.startsWith('#x')) {
+      return String.fromCodePoint(parseInt(entity.slice(2), 16));
+    }
+    if (entity.startsWith('#')) {
+      return String.fromCodePoint(parseInt(entity.slice(1), 10));
+    }
+    return entities[entity] || match;
+  });
+}
+
+/**
+ * Escape a value for use in a double-quoted XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function encodeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Set the override attribute of matching ConfigurableProperty elements, leaving the
+ * rest of the descriptor untouched
+ * @param {string} xml - Contents of META-INF/broker.xml
+ * @param {Map<string, string>} overrides - Override values by property uri
+ * @returns {{xml: string, applied: string[], unmatched: string[]}} Rewritten descriptor, the uris
+ *   that were overridden and the override keys that matched no property
+ */
+export function applyOverridesToDescriptor(xml, overrides) {
+  const applied = [];
+
+  const rewritten = xml.replace(/<ConfigurableProperty\b([^>]*?)(\s*\/?)>/g, (tag, attributes, end) => {
+    const uriMatch = attributes.match(/\suri\s*=\s*(?:"([^"]*)"|'([^']*)')/);
+    if (!uriMatch) {
+      return tag;
+    }
+
+    const uri = decodeXml(uriMatch[1] !== undefined ? uriMatch[1] : uriMatch[2]);
+    if (!overrides.has(uri)) {
+      return tag;
+    }
+
+    applied.push(uri);
+    const override = `override="${encodeXml(overrides.get(uri))}"`;
+    const overrideAttribute = /\soverride\s*=\s*(?:"[^"]*"|'[^']*')/;
+
+    const newAttributes = overrideAttribute.test(attributes)
+      ? attributes.replace(overrideAttribute, ` ${override}`)
+      : `${attributes} ${override}`;
+
+    return `<ConfigurableProperty${newAttributes}${end}>`;
+  });
+
+  const unmatched = [...overrides.keys()].filter((key) => !applied.includes(key));
+
+  return { xml: rewritten, applied, unmatched };
+}
+
+/**
+ * Apply overrides to a BAR file's deployment descriptor
+ * @param {Buffer} buffer - BAR file contents
+ * @param {Map<string, string>} overrides - Override values by property uri
+ * @returns {{buffer: Buffer, applied: string[], unmatched: string[]}} Overridden BAR file contents
+ * @throws {Error} If the BAR file has no deployment descriptor
+ */
+export function applyBarOverrides(buffer, overrides) {
+  const zip = new AdmZip(buffer);
+  const descriptor = zip.getEntry(DEPLOYMENT_DESCRIPTOR);
+
+  if (!descriptor) {
+    throw new Error(`${DEPLOYMENT_DESCRIPTOR} is missing`);
+  }
+
+  const { xml, applied, unmatched } = applyOverridesToDescriptor(descriptor.getData().toString('utf8'), overrides);
+  zip.updateFile(descriptor, Buffer.from(xml, 'utf8'));
+
+  return { buffer: zip.toBuffer(), applied, unmatched };
+}
+
+/**
+ * Write an overridden copy of a BAR file to a temporary directory. The local file is
+ * not changed, and the copy keeps its file name so it is uploaded under the same name.
+ * @param {string} filePath - Full path to the BAR file
+ * @param {string} propertiesFile - Path to the override .properties file
+ * @param {Object} [fileSystem=fs] - File system module to read the files and write the copy with
+ * @returns {Promise<{filePath: string, applied: string[], unmatched: string[], cleanup: Function}>}
+ *   The copy, what was overridden, and a function that removes the copy
+ */
+export async function createOverriddenBar(filePath, propertiesFile, fileSystem = fs) {
+  const overrides = parseProperties(await fileSystem.promises.readFile(propertiesFile, 'utf8'));
+  const { buffer, applied, unmatched } = applyBarOverrides(await fileSystem.promises.readFile(filePath), overrides);
+
+  const tempDirectory = await fileSystem.promises.mkdtemp(path.join(os.tmpdir(), 'bar-sync-'));
+  const copyPath = path.join(tempDirectory, path.basename(filePath));
+  await fileSystem.promises.writeFile(copyPath, buffer);
+
+  return {
+    filePath: copyPath,
+    applied,
+    unmatched,
+    cleanup: () => fileSystem.rmSync(tempDirectory, { recursive: true, force: true })
+  };
+}
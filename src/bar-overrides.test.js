@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { parseProperties, applyOverridesToDescriptor, applyBarOverrides, createOverriddenBar } from './bar-overrides.js';
+
+const BROKER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Broker>
+  <CompiledApplication>
+    <ConfigurableProperty uri="OrderFlow#HTTP Input.URLSpecifier" override="/orders"/>
+    <ConfigurableProperty uri="OrderFlow#MQ Output.queueName"/>
+    <ConfigurableProperty uri="OrderFlow#additionalInstances" override="0"/>
+  </CompiledApplication>
+</Broker>`;
+
+// Build a BAR file in memory with the given deployment descriptor
+const buildBar = (brokerXml) => {
+  const zip = new AdmZip();
+  zip.addFile('META-INF/broker.xml', Buffer.from(brokerXml));
+  zip.addFile('OrderApp.appzip', Buffer.from('application'));
+  return zip.toBuffer();
+};
+
+const readDescriptor = (buffer) => new AdmZip(buffer).getEntry('META-INF/broker.xml').getData().toString('utf8');
+
+describe('BAR overrides', () => {
+  describe('parseProperties', () => {
+    it('should split keys at the first equals sign so node names can contain spaces', () => {
+      const properties = parseProperties([
+        '# Production endpoints',
+        '! also a comment',
+        '',
+        'OrderFlow#HTTP Input.URLSpecifier = /prod/orders',
+        'OrderFlow#Request.URL=https://api.example.test/orders?a=b'
+      ].join('\n'));
+      
+      expect([...properties]).toEqual([
+        ['OrderFlow#HTTP Input.URLSpecifier', '/prod/orders'],
+        ['OrderFlow#Request.URL', 'https://api.example.test/orders?a=b']
+      ]);
+    });
+    
+    it('should handle escapes and continuation lines', () => {
+      const properties = parseProperties('Flow#Node\\=Name.prop=a\\tb\\u0041\\\n    continued\r\nFlow#Node.path=C:\\\\temp');
+      
+      expect(properties.get('Flow#Node=Name.prop')).toBe('a\tbAcontinued');
+      expect(properties.get('Flow#Node.path')).toBe('C:\\temp');
+    });
+  });
+  
+  describe('applyOverridesToDescriptor', () => {
+    it('should replace or add override attributes and leave other properties alone', () => {
+      const { xml, applied, unmatched } = applyOverridesToDescriptor(BROKER_XML, new Map([
+        ['OrderFlow#HTTP Input.URLSpecifier', '/prod/orders'],
+        ['OrderFlow#MQ Output.queueName', 'PROD.ORDERS & "RETURNS"'],
+        ['BillingFlow#MQ Input.queueName', 'PROD.BILLING']
+      ]));
+      
+      expect(xml).toContain('<ConfigurableProperty uri="OrderFlow#HTTP Input.URLSpecifier" override="/prod/orders"/>');
+      expect(xml).toContain('<ConfigurableProperty uri="OrderFlow#MQ Output.queueName" override="PROD.ORDERS &amp; &quot;RETURNS&quot;"/>');
+      expect(xml).toContain('<ConfigurableProperty uri="OrderFlow#additionalInstances" override="0"/>');
+      expect(applied).toEqual(['OrderFlow#HTTP Input.URLSpecifier', 'OrderFlow#MQ Output.queueName']);
+      expect(unmatched).toEqual(['BillingFlow#MQ Input.queueName']);
+    });
+    
+    it('should match uris containing XML entities', () => {
+      const { xml } = applyOverridesToDescriptor(
+        '<Broker><ConfigurableProperty uri=\'Flow#A &amp; B.prop\'></ConfigurableProperty></Broker>',
+        new Map([['Flow#A & B.prop', 'x']])
+      );
+      
+      expect(xml).toBe('<Broker><ConfigurableProperty uri=\'Flow#A &amp; B.prop\' override="x"></ConfigurableProperty></Broker>');
+    });
+  });
+  
+  describe('applyBarOverrides', () => {
+    it('should rewrite the deployment descriptor inside the archive', () => {
+      const { buffer, applied } = applyBarOverrides(buildBar(BROKER_XML), new Map([['OrderFlow#MQ Output.queueName', 'PROD.ORDERS']]));
+      
+      expect(applied).toEqual(['OrderFlow#MQ Output.queueName']);
+      expect(readDescriptor(buffer)).toContain('uri="OrderFlow#MQ Output.queueName" override="PROD.ORDERS"');
+      expect(new AdmZip(buffer).getEntry('OrderApp.appzip').getData().toString()).toBe('application');
+    });
+    
+    it('should fail for archives without a deployment descriptor', () => {
+      const zip = new AdmZip();
+      zip.addFile('OrderApp.appzip', Buffer.from('application'));
+      
+      expect(() => applyBarOverrides(zip.toBuffer(), new Map())).toThrow('META-INF/broker.xml is missing');
+    });
+  });
+  
+  describe('createOverriddenBar', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-overrides-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should write an overridden copy under the same name and leave the local file unchanged', async () => {
+      const barFile = path.join(tempDir, 'order.bar');
+      const propertiesFile = path.join(tempDir, 'prod.properties');
+      const original = buildBar(BROKER_XML);
+      fs.writeFileSync(barFile, original);
+      fs.writeFileSync(propertiesFile, 'OrderFlow#HTTP Input.URLSpecifier=/prod/orders\n');
+      
+      const copy = await createOverriddenBar(barFile, propertiesFile);
+      
+      expect(path.basename(copy.filePath)).toBe('order.bar');
+      expect(copy.filePath).not.toBe(barFile);
+      expect(readDescriptor(fs.readFileSync(copy.filePath))).toContain('override="/prod/orders"');
+      expect(fs.readFileSync(barFile).equals(original)).toBe(true);
+      
+      copy.cleanup();
+      expect(fs.existsSync(path.dirname(copy.filePath))).toBe(false);
+    });
+  });
+});
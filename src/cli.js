@@ -0,0 +1,707 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { formatSummaryTable, listLocalBarFiles } from './reconcile.js';
+import { validateBarFile } from './bar-archive.js';
+import { resolvePassphrase, writeCredentialsFile } from './credentials.js';
+import { formatGitInfo } from './git-info.js';
+import { ConfigError, readEnvConfig, resolveConfig } from './config.js';
+import { ApprovalError } from './pending-changes.js';
+
+/**
+ * bar-sync command line interface: the long-running watcher plus one-shot
+ * commands for build pipelines.
+ */
+
+/**
+ * Exit codes returned by runCli
+ */
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2
+};
+
+/**
+ * Command line flags and the environment variable each one overrides
+ */
+const FLAG_ENV_VARS = {
+  config: 'BAR_SYNC_CONFIG',
+  target: 'BAR_SYNC_TARGETS',
+  'watch-dir': 'WATCH_DIRECTORY',
+  'api-base-url': 'API_BASE_URL',
+  'instance-id': 'INSTANCE_ID',
+  'server-id': 'INTEGRATION_SERVER_ID',
+  extension: 'FILE_EXTENSION',
+  debounce: 'DEBOUNCE_MS',
+  concurrency: 'UPLOAD_CONCURRENCY',
+  'delete-mode': 'DELETE_MODE',
+  force: 'FORCE_UPLOAD',
+  'dry-run': 'DRY_RUN',
+  reconcile: 'RECONCILE_ON_STARTUP',
+  'log-level': 'LOG_LEVEL',
+  'log-format': 'LOG_FORMAT',
+  'credentials-file': 'CREDENTIALS_FILE'
+};
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  target: { type: 'string', short: 't', multiple: true },
+  'watch-dir': { type: 'string', short: 'd' },
+  'api-base-url': { type: 'string' },
+  'instance-id': { type: 'string' },
+  'server-id': { type: 'string' },
+  extension: { type: 'string' },
+  debounce: { type: 'string' },
+  concurrency: { type: 'string' },
+  'delete-mode': { type: 'string' },
+  force: { type: 'boolean', short: 'f' },
+  'dry-run': { type: 'boolean', short: 'n' },
+  reconcile: { type: 'boolean' },
+  'log-level': { type: 'string' },
+  'log-format': { type: 'string' },
+  'credentials-file': { type: 'string' },
+  reason: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = ['watch', 'push', 'pull', 'status', 'diff', 'retry', 'check', 'history', 'rollback', 'pending', 'approve', 'reject', 'config', 'connectivity', 'encrypt-credentials', 'help'];
+
+// Commands that take file or directory arguments
+const PATH_COMMANDS = ['push', 'check'];
+
+export const USAGE = `Usage: bar-sync <command> [options]
+
+Commands:
+  watch                 Watch for BAR file changes and upload them (default)
+  push <file|dir>...    Upload files or directories once and exit
+  pull                  Download remote BAR files that are missing or changed locally
+  status                Show remote BAR files and integration server state
+  diff                  Compare local BAR files with the remote instance
+  retry                 Replay the failed upload queue
+  check <file|dir>...   Validate BAR files without uploading them
+  history <name>        List the archived versions of a BAR file
+  rollback <name> [version]
+                        Upload and deploy an archived version again (default: the one before the current)
+  pending               List the changes waiting for approval
+  approve <name>        Approve a pending change and upload it
+  reject <name>         Reject a pending change
+  config check          Check the configuration and report every problem
+  connectivity test     Check DNS, TLS, the token call and a read-only API call for each target
+  encrypt-credentials <json-file>
+                        Encrypt a plaintext JSON credentials file into CREDENTIALS_FILE
+  help                  Show this help
+
+Options (override the matching .env settings):
+  -c, --config <file>       Targets config file (BAR_SYNC_CONFIG)
+  -t, --target <name>       Only use this target; repeatable (BAR_SYNC_TARGETS)
+  -d, --watch-dir <dir>     Directory to watch (WATCH_DIRECTORY)
+      --api-base-url <url>  App Connect API base URL (API_BASE_URL)
+      --instance-id <id>    App Connect instance ID (INSTANCE_ID)
+      --server-id <id>      Integration server ID (INTEGRATION_SERVER_ID)
+      --extension <ext>     BAR file extension (FILE_EXTENSION)
+      --debounce <ms>       Debounce time in milliseconds (DEBOUNCE_MS)
+      --concurrency <n>     Maximum uploads at once (UPLOAD_CONCURRENCY)
+      --delete-mode <mode>  off, log or delete (DELETE_MODE)
+  -f, --force               Upload even if the content has not changed; with pull, replace
+                            local changes that were not uploaded; with rollback, override a
+                            protected target's Git gate or manual approval, in the audit log (FORCE_UPLOAD)
+  -n, --dry-run             Show what would be uploaded, deployed or deleted without doing it (DRY_RUN)
+      --reconcile           Reconcile existing files before watching (RECONCILE_ON_STARTUP)
+      --log-level <level>   debug, info, warn or error (LOG_LEVEL)
+      --log-format <format> pretty or json (LOG_FORMAT)
+      --credentials-file <file>
+                            Encrypted credentials file (CREDENTIALS_FILE)
+      --reason <text>       Reason for an approval, rejection or forced rollback, for the audit log
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 failure (or differences found by diff), 2 usage or configuration error`;
+
+/**
+ * Error for invalid command lines
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the executable and script name
+ * @returns {{command: string, args: string[], flags: Object}} Parsed command line
+ * @throws {UsageError} If the command or an option is invalid
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [command = 'watch', ...args] = parsed.positionals;
+  const flags = parsed.values;
+
+  if (flags.help) {
+    return { command: 'help', args: [], flags };
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  if (PATH_COMMANDS.includes(command) && args.length === 0) {
+    throw new UsageError(`${command} needs at least one file or directory`);
+  }
+
+  if (command === 'encrypt-credentials' && args.length !== 1) {
+    throw new UsageError('encrypt-credentials needs exactly one plaintext JSON file');
+  }
+
+  if (command === 'history' && args.length !== 1) {
+    throw new UsageError('history needs exactly one BAR file name');
+  }
+
+  if (command === 'rollback' && (args.length === 0 || args.length > 2)) {
+    throw new UsageError('rollback needs a BAR file name and optionally a version');
+  }
+
+  if (command === 'rollback' && args.length === 2 && !/^[1-9]\d*$/.test(args[1])) {
+    throw new UsageError(`rollback version must be a positive whole number (got "${args[1]}")`);
+  }
+
+  if (['approve', 'reject'].includes(command) && args.length !== 1) {
+    throw new UsageError(`${command} needs exactly one BAR file name`);
+  }
+
+  if (flags.reason !== undefined && !['approve', 'reject', 'rollback'].includes(command)) {
+    throw new UsageError('--reason is only for approve, reject and rollback');
+  }
+
+  if (command === 'config' && (args.length !== 1 || args[0] !== 'check')) {
+    throw new UsageError('config needs a subcommand: check');
+  }
+
+  if (command === 'connectivity' && (args.length !== 1 || args[0] !== 'test')) {
+    throw new UsageError('connectivity needs a subcommand: test');
+  }
+
+  if (!PATH_COMMANDS.includes(command) && !['history', 'rollback', 'approve', 'reject', 'config', 'connectivity', 'encrypt-credentials'].includes(command) && args.length > 0) {
+    throw new UsageError(`Unexpected argument for ${command}: ${args[0]}`);
+  }
+
+  return { command, args, flags };
+}
+
+/**
+ * Copy command line flags into the environment, where the configuration is read from
+ * @param {Object} flags - Parsed flags
+ * @param {Object} [env=process.env] - Environment to update
+ */
+export function applyFlagsToEnv(flags, env = process.env) {
+  for (const [flag, envVar] of Object.entries(FLAG_ENV_VARS)) {
+    const value = flags[flag];
+
+    if (value === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(value)) {
+      env[envVar] = value.join(',');
+    } else if (typeof value === 'boolean') {
+      env[envVar] = String(value);
+    } else if (['config', 'watch-dir', 'credentials-file'].includes(flag)) {
+      // Paths are relative to where the command was run
+      env[envVar] = path.resolve(value);
+    } else {
+      env[envVar] = value;
+    }
+  }
+}
+
+/**
+ * Upload files once and summarise the results
+ * @param {Object} app - Syncer module
+ * @param {string[]} paths - Files or directories to push
+ * @returns {Promise<number>} Exit code
+ */
+async function runPush(app, paths) {
+  const results = await app.pushFiles(paths, { force: app.config.forceUpload });
+  const failed = results.filter(({ result }) => !result.ok);
+
+  console.log('\n📋 Push summary');
+  for (const { filePath, target, result } of results) {
+    const icon = result.ok ? '✅' : '❌';
+    const where = target && app.config.targets.length > 1 ? ` → ${target}` : '';
+    let detail = result.deployed === false ? 'uploaded, deployment failed' : result.action;
+    if (result.action === 'dry-run') {
+      detail = `would ${result.method} ${result.size} bytes (sha256 ${result.hash.slice(0, 12)}) to ${result.url}`;
+    }
+    console.log(`   ${icon} ${path.basename(filePath)}${where}: ${detail}`);
+  }
+
+  if (app.config.dryRun) {
+    console.log('\n🧪 Dry run: nothing was uploaded, deployed or deleted');
+  }
+  console.log(`\n${results.length - failed.length} of ${results.length} succeeded`);
+  return failed.length > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * Download the remote BAR files that are missing or changed locally, and summarise the results
+ * @param {Object} app - Syncer module
+ * @returns {Promise<number>} Exit code: failure if a file could not be pulled or has local changes
+ */
+async function runPull(app) {
+  const rows = await app.pullBarFiles({ overwrite: app.config.forceUpload });
+  const problems = rows.filter((row) => row.result === 'failed' || row.result === 'conflict');
+
+  console.log('\n📋 Pull summary');
+  if (rows.length === 0) {
+    console.log('   No BAR files found remotely');
+  }
+  for (const row of rows) {
+    const icon = { failed: '❌', conflict: '⚠️ ' }[row.result] || '✅';
+    const where = app.config.targets.length > 1 ? ` ← ${row.target}` : '';
+    let detail = row.result;
+    if (row.result === 'failed') {
+      detail = `failed: ${row.error}`;
+    } else if (row.result === 'conflict') {
+      detail = 'kept local changes that were not uploaded (use --force to replace them)';
+    }
+    console.log(`   ${icon} ${row.file}${where}: ${detail}`);
+  }
+
+  if (app.config.dryRun) {
+    console.log('\n🧪 Dry run: nothing was written locally');
+  }
+  console.log(`\n${rows.length - problems.length} of ${rows.length} up to date`);
+  return problems.length > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * Check the connection to every target's instance, step by step, and report where it fails
+ * @param {Object} app - Syncer module
+ * @returns {Promise<number>} Exit code
+ */
+async function runConnectivityTest(app) {
+  const labels = { dns: 'DNS', tls: 'TLS', token: 'Token', api: 'API call' };
+  let exitCode = EXIT_CODES.success;
+
+  for (const target of app.config.targets) {
+    console.log(`🔌 ${target.name} (${target.apiBaseUrl})`);
+
+    const steps = await app.testConnection(target);
+    for (const { step, ok, detail } of steps) {
+      const icon = ok === null ? '⏭️ ' : ok ? '✅' : '❌';
+      console.log(`   ${icon} ${labels[step]}: ${detail}`);
+    }
+
+    const failed = steps.find((result) => result.ok === false);
+    if (failed) {
+      console.log(`   Failed at the ${labels[failed.step]} step`);
+      exitCode = EXIT_CODES.failure;
+    }
+  }
+
+  console.log(exitCode === EXIT_CODES.success ? '\n✅ Every target is reachable' : '\n❌ Some targets cannot be reached');
+  return exitCode;
+}
+
+/**
+ * Show the BAR files and integration server state of every target
+ * @param {Object} app - Syncer module
+ * @returns {Promise<number>} Exit code
+ */
+async function runStatus(app) {
+  let exitCode = EXIT_CODES.success;
+
+  for (const target of app.config.targets) {
+    console.log(`🎯 ${target.name} (${target.instanceId})`);
+
+    try {
+      const server = await app.getIntegrationServer(target);
+      const barUrls = (server && server.spec && server.spec.barURL) || [];
+
+      if (server) {
+        const phase = (server.status && server.status.phase) || 'Unknown';
+        console.log(`   Integration server ${target.integrationServerId}: ${phase}`);
+      } else {
+        console.log(`   Integration server ${target.integrationServerId}: not found`);
+      }
+
+      const remoteNames = await app.listRemoteBarFiles(target);
+      console.log(`   Remote BAR files (${remoteNames.length}):`);
+      for (const name of remoteNames) {
+        const deployed = barUrls.some((url) => url.endsWith(`/${name}`));
+        console.log(`     - ${name}${deployed ? ' (deployed)' : ''}`);
+      }
+    } catch (error) {
+      console.error(`   ❌ ${error.message}`);
+      exitCode = EXIT_CODES.failure;
+    }
+  }
+
+  return exitCode;
+}
+
+/**
+ * Show how local BAR files differ from the remote instances
+ * @param {Object} app - Syncer module
+ * @returns {Promise<number>} Exit code: failure if anything differs
+ */
+async function runDiff(app) {
+  const plan = await app.planSync({ deleteRemote: false });
+  const differences = plan.filter((row) => row.reason !== 'in sync');
+
+  if (plan.length === 0) {
+    console.log('No BAR files found locally or remotely');
+  } else {
+    console.log(formatSummaryTable(plan, { showTarget: app.config.targets.length > 1 }));
+  }
+
+  console.log(differences.length === 0
+    ? '\n✅ Local and remote BAR files are in sync'
+    : `\n${differences.length} difference(s) found`);
+  return differences.length > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * List the archived versions of a BAR file on every target
+ * @param {Object} app - Syncer module
+ * @param {string} name - BAR file name or path
+ * @returns {number} Exit code: failure if no target has a history for the file
+ */
+function runHistory(app, name) {
+  const fileName = path.basename(name);
+  let found = 0;
+
+  for (const target of app.config.targets) {
+    const versions = app.getBarHistory(fileName, target);
+    if (versions.length === 0) {
+      continue;
+    }
+    found++;
+
+    console.log(`🗄️  ${fileName}${app.config.targets.length > 1 ? ` → ${target.name}` : ''}`);
+    for (const [index, version] of versions.entries()) {
+      const notes = [
+        index === 0 ? 'current' : null,
+        version.rolledBackFrom !== undefined ? `rollback of v${version.rolledBackFrom}` : null
+      ].filter(Boolean);
+      const source = version.git !== undefined ? `  ${formatGitInfo(version.git)}` : '';
+      console.log(`   v${version.version}  ${version.uploadedAt}  sha256 ${version.hash.slice(0, 12)}  ${version.size} bytes${source}${notes.length > 0 ? `  (${notes.join(', ')})` : ''}`);
+    }
+  }
+
+  if (found === 0) {
+    console.error(`❌ No upload history for ${fileName} in ${app.config.historyDirectory}`);
+    return EXIT_CODES.failure;
+  }
+  return EXIT_CODES.success;
+}
+
+/**
+ * Upload and deploy an archived version of a BAR file again
+ * @param {Object} app - Syncer module
+ * @param {string} name - BAR file name or path
+ * @param {string} [version] - Version to roll back to (defaults to the one before the current version)
+ * @param {Object} [options] - Rollback options
+ * @param {boolean} [options.force] - Override a protected target's Git gate or manual approval mode
+ * @param {string} [options.reason] - Reason for the audit log
+ * @returns {Promise<number>} Exit code
+ */
+async function runRollback(app, name, version, { force, reason } = {}) {
+  if (app.config.targets.length > 1) {
+    console.error(`❌ rollback needs a single target; choose one with --target (configured: ${app.config.targets.map((target) => target.name).join(', ')})`);
+    return EXIT_CODES.usage;
+  }
+
+  const result = await app.rollbackBarFile(path.basename(name), version === undefined ? undefined : Number(version), undefined, {
+    force: Boolean(force),
+    by: os.userInfo().username,
+    reason
+  });
+
+  if (result.action === 'dry-run') {
+    console.log(`🧪 Dry run: would roll ${path.basename(name)} back to version ${result.version} (${result.size} bytes, sha256 ${result.hash.slice(0, 12)})`);
+  } else if (result.ok) {
+    console.log(`⏪ Rolled ${path.basename(name)} back to version ${result.version}`);
+  } else {
+    console.error(`❌ Rollback of ${path.basename(name)} to version ${result.version} ${result.deployed === false ? 'was uploaded but not deployed' : `failed: ${result.error}`}`);
+  }
+  return result.ok ? EXIT_CODES.success : EXIT_CODES.failure;
+}
+
+/**
+ * List the changes waiting for approval
+ * @param {Object} app - Syncer module
+ * @returns {number} Exit code
+ */
+function runPending(app) {
+  const changes = app.listPendingChanges();
+
+  if (changes.length === 0) {
+    console.log('📭 No changes are waiting for approval');
+    return EXIT_CODES.success;
+  }
+
+  console.log(`✋ ${changes.length} change(s) waiting for approval:`);
+  for (const change of changes) {
+    const superseded = change.superseded > 0 ? `  (${change.superseded} earlier version(s) since ${change.firstDetectedAt})` : '';
+    console.log(`   ${change.fileName} → ${change.target}  ${change.detectedAt}  sha256 ${change.hash.slice(0, 12)}${superseded}`);
+  }
+  return EXIT_CODES.success;
+}
+
+/**
+ * Approve a pending change and wait for its upload, or reject it
+ * @param {Object} app - Syncer module
+ * @param {string} command - "approve" or "reject"
+ * @param {string} name - BAR file name or path
+ * @param {string} [reason] - Reason for the audit log
+ * @returns {Promise<number>} Exit code: failure if there is no such change or the upload failed
+ */
+async function runDecision(app, command, name, reason) {
+  const file = path.isAbsolute(name) ? name : path.basename(name);
+  const by = os.userInfo().username;
+
+  try {
+    if (command === 'reject') {
+      const change = app.rejectPendingChange(file, { by, reason });
+      console.log(`👎 Rejected ${change.fileName} → ${change.target}`);
+      return EXIT_CODES.success;
+    }
+
+    const { change, upload } = await app.approvePendingChange(file, { by, reason });
+    const result = await upload;
+    if (result.ok) {
+      console.log(`👍 Approved ${change.fileName} → ${change.target}: ${result.action}`);
+    } else {
+      console.error(`❌ Approved ${change.fileName} → ${change.target}, but the upload ${result.deployed === false ? 'was not deployed' : `failed: ${result.error}`}`);
+    }
+    return result.ok ? EXIT_CODES.success : EXIT_CODES.failure;
+  } catch (error) {
+    if (error instanceof ApprovalError) {
+      console.error(`❌ ${error.message}`);
+      return EXIT_CODES.failure;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Validate BAR files (or every BAR file in the given directories) and report problems
+ * @param {string[]} paths - Files or directories to check
+ * @param {string} fileExtension - Extension of the BAR files to look for in directories
+ * @returns {Promise<number>} Exit code: failure if any file is invalid
+ */
+export async function runCheck(paths, fileExtension) {
+  let checked = 0;
+  let valid = 0;
+  let missing = 0;
+
+  for (const inputPath of paths) {
+    const resolvedPath = path.resolve(inputPath);
+
+    if (!fs.existsSync(resolvedPath)) {
+      console.error(`❌ No such file or directory: ${inputPath}`);
+      missing++;
+      continue;
+    }
+
+    const filePaths = fs.statSync(resolvedPath).isDirectory()
+      ? listLocalBarFiles(resolvedPath, fileExtension)
+      : [resolvedPath];
+
+    for (const filePath of filePaths) {
+      const result = await validateBarFile(filePath);
+      checked++;
+
+      if (result.valid) {
+        valid++;
+        console.log(`✅ ${path.basename(filePath)}: ${result.artefacts.length} deployable artefact(s)`);
+      } else {
+        console.log(`❌ ${path.basename(filePath)}:`);
+        result.problems.forEach((problem) => console.log(`   - ${problem}`));
+      }
+    }
+  }
+
+  console.log(`\n${valid} of ${checked} BAR file(s) valid`);
+  return valid < checked || missing > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+}
+
+/**
+ * Check the configuration as the watcher would load it, and list the targets it
+ * builds or every problem found, including watch directories that do not exist
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Exit code: usage (configuration error) if there are problems
+ */
+export function runConfigCheck(env = process.env) {
+  const config = readEnvConfig(env);
+  const problems = [];
+
+  try {
+    resolveConfig(config, env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    problems.push(...error.problems);
+  }
+
+  // The watcher cannot start without its watch directories
+  for (const directory of new Set(config.targets.map((target) => target.watchDirectory))) {
+    if (directory && !fs.existsSync(directory)) {
+      problems.push(`Watch directory does not exist: ${directory}; create it, or fix WATCH_DIRECTORY or the target's watchDirectory`);
+    }
+  }
+  for (const directory of new Set(config.targets.map((target) => target.inboxDirectory).filter(Boolean))) {
+    if (!fs.existsSync(directory)) {
+      problems.push(`Inbox directory does not exist: ${directory}; create it, or fix INBOX_DIRECTORY or the target's inboxDirectory`);
+    }
+  }
+
+  console.log(`🔧 Configuration from ${config.configFile ? `${config.configFile} and the environment` : 'the environment (.env)'}`);
+  for (const target of config.targets) {
+    const details = [
+      `${target.instanceId} / ${target.integrationServerId}`,
+      `watching ${target.watchDirectory}`,
+      target.inboxDirectory ? `inbox ${target.inboxDirectory}` : null,
+      `debounce ${target.debounceMs ?? config.debounceMs}ms`,
+      target.protected ? `protected (${target.allowedBranches.join(', ')})` : null,
+      target.approval ? 'changes need approval' : null
+    ].filter(Boolean);
+    console.log(`   🎯 ${target.name}: ${details.join(', ')}`);
+  }
+  if (config.credentialSources) {
+    const sources = Object.entries(config.credentialSources)
+      .filter(([, source]) => source)
+      .map(([name, source]) => `${name} from ${source}`);
+    if (sources.length > 0) {
+      console.log(`   🔐 Credentials: ${sources.join(', ')}`);
+    }
+  }
+
+  for (const warning of config.warnings || []) {
+    console.log(`⚠️  ${warning}`);
+  }
+
+  if (problems.length > 0) {
+    console.error(`\n❌ ${problems.length} problem(s) found:`);
+    problems.forEach((problem) => console.error(`   - ${problem.replace(/\n/g, '\n     ')}`));
+    return EXIT_CODES.usage;
+  }
+
+  console.log('\n✅ Configuration is valid');
+  return EXIT_CODES.success;
+}
+
+/**
+ * Encrypt a plaintext JSON credentials file into CREDENTIALS_FILE, with the passphrase
+ * from CREDENTIALS_PASSPHRASE, CREDENTIALS_PASSPHRASE_FILE or CREDENTIALS_PASSPHRASE_COMMAND
+ * @param {string} inputFile - Plaintext JSON credentials
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {number} Exit code
+ */
+export function runEncryptCredentials(inputFile, env = process.env) {
+  if (!env.CREDENTIALS_FILE) {
+    console.error('❌ Set CREDENTIALS_FILE (or --credentials-file) to the encrypted file to write');
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    const names = writeCredentialsFile(path.resolve(inputFile), env.CREDENTIALS_FILE, resolvePassphrase(env));
+    console.log(`🔐 Encrypted ${names.join(', ')} to ${env.CREDENTIALS_FILE}`);
+    console.log(`   Delete ${inputFile} now that its credentials are encrypted`);
+    return EXIT_CODES.success;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return EXIT_CODES.failure;
+  }
+}
+
+/**
+ * Run the bar-sync CLI
+ * @param {string[]} argv - Arguments after the executable and script name
+ * @returns {Promise<number|null>} Exit code, or null if the process should keep running (watch)
+ */
+export async function runCli(argv) {
+  let command;
+  let args;
+  let flags;
+
+  try {
+    ({ command, args, flags } = parseCliArgs(argv));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    return EXIT_CODES.usage;
+  }
+
+  if (command === 'help') {
+    console.log(USAGE);
+    return EXIT_CODES.success;
+  }
+
+  applyFlagsToEnv(flags);
+
+  // Before any setting is read, so every command sees the same settings as the watcher; flags still win
+  dotenv.config();
+
+  // Checking archives needs no credentials, so it runs without loading the syncer
+  if (command === 'check') {
+    return runCheck(args, process.env.FILE_EXTENSION || '.bar');
+  }
+
+  if (command === 'config') {
+    // Checked without loading the syncer, which would exit on the first invalid configuration
+    return runConfigCheck();
+  }
+
+  if (command === 'encrypt-credentials') {
+    return runEncryptCredentials(args[0]);
+  }
+
+  // Configuration is read when the syncer module loads, so import it after applying flags
+  const app = await import('../index.js');
+
+  try {
+    switch (command) {
+      case 'watch':
+        await app.initializeWatcher();
+        return null;
+      case 'push':
+        return await runPush(app, args);
+      case 'pull':
+        return await runPull(app);
+      case 'connectivity':
+        return await runConnectivityTest(app);
+      case 'status':
+        return await runStatus(app);
+      case 'diff':
+        return await runDiff(app);
+      case 'history':
+        return runHistory(app, args[0]);
+      case 'rollback':
+        return await runRollback(app, args[0], args[1], { force: flags.force, reason: flags.reason });
+      case 'pending':
+        return runPending(app);
+      case 'approve':
+      case 'reject':
+        return await runDecision(app, command, args[0], flags.reason);
+      case 'retry': {
+        const { failed } = await app.replayFailedUploads();
+        return failed > 0 ? EXIT_CODES.failure : EXIT_CODES.success;
+      }
+    }
+  } catch (error) {
+    console.error(`❌ ${command} failed:`, error.message);
+    return EXIT_CODES.failure;
+  }
+}
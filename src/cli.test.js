@@ -0,0 +1,293 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { parseCliArgs, applyFlagsToEnv, runCli, runCheck, runConfigCheck, runEncryptCredentials, UsageError, EXIT_CODES } from './cli.js';
+import { decryptCredentials } from './credentials.js';
+
+describe('CLI', () => {
+  describe('parseCliArgs', () => {
+    it('should default to the watch command', () => {
+      expect(parseCliArgs([])).toEqual({ command: 'watch', args: [], flags: {} });
+    });
+    
+    it('should collect push paths and flags', () => {
+      const { command, args, flags } = parseCliArgs(['push', 'a.bar', 'builds', '--force', '-t', 'dev', '--target', 'prod']);
+      
+      expect(command).toBe('push');
+      expect(args).toEqual(['a.bar', 'builds']);
+      expect(flags).toEqual(expect.objectContaining({ force: true, target: ['dev', 'prod'] }));
+    });
+    
+    it('should treat --help as the help command', () => {
+      expect(parseCliArgs(['status', '--help']).command).toBe('help');
+    });
+    
+    it('should reject unknown commands and options', () => {
+      expect(() => parseCliArgs(['deploy'])).toThrow(new UsageError('Unknown command: deploy'));
+      expect(() => parseCliArgs(['status', '--verbose'])).toThrow(UsageError);
+    });
+    
+    it('should require paths for push and reject them elsewhere', () => {
+      expect(() => parseCliArgs(['push'])).toThrow('push needs at least one file or directory');
+      expect(() => parseCliArgs(['check'])).toThrow('check needs at least one file or directory');
+      expect(() => parseCliArgs(['diff', 'a.bar'])).toThrow('Unexpected argument for diff: a.bar');
+      expect(() => parseCliArgs(['pull', 'orders.bar'])).toThrow('Unexpected argument for pull: orders.bar');
+      expect(() => parseCliArgs(['encrypt-credentials'])).toThrow('encrypt-credentials needs exactly one plaintext JSON file');
+    });
+    
+    it('should take pull with the force and dry-run flags', () => {
+      expect(parseCliArgs(['pull', '--force', '-n'])).toEqual({ command: 'pull', args: [], flags: expect.objectContaining({ force: true, 'dry-run': true }) });
+    });
+    
+    it('should take a BAR file name and an optional version for history and rollback', () => {
+      expect(parseCliArgs(['history', 'orders.bar']).args).toEqual(['orders.bar']);
+      expect(parseCliArgs(['rollback', 'orders.bar', '2']).args).toEqual(['orders.bar', '2']);
+      expect(() => parseCliArgs(['history'])).toThrow('history needs exactly one BAR file name');
+      expect(() => parseCliArgs(['rollback', 'orders.bar', '2', '3'])).toThrow('rollback needs a BAR file name and optionally a version');
+      expect(() => parseCliArgs(['rollback', 'orders.bar', 'v2'])).toThrow('rollback version must be a positive whole number (got "v2")');
+    });
+    
+    it('should take a BAR file name and an optional reason for approve and reject', () => {
+      expect(parseCliArgs(['approve', 'orders.bar', '--reason', 'Reviewed'])).toEqual({
+        command: 'approve',
+        args: ['orders.bar'],
+        flags: { reason: 'Reviewed' }
+      });
+      expect(parseCliArgs(['pending']).args).toEqual([]);
+      expect(() => parseCliArgs(['reject'])).toThrow('reject needs exactly one BAR file name');
+      expect(() => parseCliArgs(['push', 'a.bar', '--reason', 'x'])).toThrow('--reason is only for approve, reject and rollback');
+    });
+    
+    it('should take only the check subcommand for config and test for connectivity', () => {
+      expect(parseCliArgs(['config', 'check'])).toEqual({ command: 'config', args: ['check'], flags: {} });
+      expect(() => parseCliArgs(['config'])).toThrow('config needs a subcommand: check');
+      expect(() => parseCliArgs(['config', 'edit'])).toThrow('config needs a subcommand: check');
+      expect(parseCliArgs(['connectivity', 'test', '-t', 'prod'])).toEqual({ command: 'connectivity', args: ['test'], flags: { target: ['prod'] } });
+      expect(() => parseCliArgs(['connectivity'])).toThrow('connectivity needs a subcommand: test');
+    });
+  });
+  
+  describe('applyFlagsToEnv', () => {
+    it('should map flags onto the environment variables they override', () => {
+      const env = { API_BASE_URL: 'https://from-env.test' };
+      
+      applyFlagsToEnv({
+        'api-base-url': 'https://from-flag.test',
+        'watch-dir': 'bars',
+        target: ['dev', 'prod'],
+        force: true,
+        'dry-run': true,
+        debounce: '250',
+        concurrency: '2'
+      }, env);
+      
+      expect(env).toEqual({
+        API_BASE_URL: 'https://from-flag.test',
+        WATCH_DIRECTORY: path.resolve('bars'),
+        BAR_SYNC_TARGETS: 'dev,prod',
+        FORCE_UPLOAD: 'true',
+        DRY_RUN: 'true',
+        DEBOUNCE_MS: '250',
+        UPLOAD_CONCURRENCY: '2'
+      });
+    });
+    
+    it('should leave unset flags alone', () => {
+      const env = { DELETE_MODE: 'log' };
+      
+      applyFlagsToEnv({}, env);
+      
+      expect(env).toEqual({ DELETE_MODE: 'log' });
+    });
+  });
+  
+  describe('runCli', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should print usage and succeed for help', async () => {
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      
+      await expect(runCli(['help'])).resolves.toBe(EXIT_CODES.success);
+      expect(mockConsoleLog).toHaveBeenCalledWith(expect.stringContaining('Usage: bar-sync <command> [options]'));
+    });
+    
+    it('should exit with the usage code for invalid command lines', async () => {
+      const mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await expect(runCli(['deploy'])).resolves.toBe(EXIT_CODES.usage);
+      expect(mockConsoleError).toHaveBeenCalledWith('❌ Unknown command: deploy\n');
+    });
+    
+    it('should read .env before checking archives, so check uses the configured FILE_EXTENSION', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-cli-'));
+      const workingDirectory = process.cwd();
+      const mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      fs.writeFileSync(path.join(tempDir, '.env'), 'FILE_EXTENSION=.zipbar\n');
+      const zip = new AdmZip();
+      zip.addFile('META-INF/broker.xml', Buffer.from('<Broker/>'));
+      zip.addFile('Orders.cmf', Buffer.from('compiled flow'));
+      zip.writeZip(path.join(tempDir, 'orders.zipbar'));
+      
+      try {
+        process.chdir(tempDir);
+        await expect(runCli(['check', tempDir])).resolves.toBe(EXIT_CODES.success);
+        expect(mockConsoleLog).toHaveBeenCalledWith('✅ orders.zipbar: 1 deployable artefact(s)');
+      } finally {
+        process.chdir(workingDirectory);
+        delete process.env.FILE_EXTENSION;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+  
+  describe('runEncryptCredentials', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-cli-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+    
+    it('should encrypt the file with the configured passphrase', () => {
+      const input = path.join(tempDir, 'credentials.json');
+      const output = path.join(tempDir, 'credentials.enc.json');
+      fs.writeFileSync(input, JSON.stringify({ CLIENT_SECRET: 'from-plaintext' }));
+      
+      expect(runEncryptCredentials(input, { CREDENTIALS_FILE: output, CREDENTIALS_PASSPHRASE: 'pass' })).toBe(EXIT_CODES.success);
+      expect(console.log).toHaveBeenCalledWith(`🔐 Encrypted CLIENT_SECRET to ${output}`);
+      expect(decryptCredentials(JSON.parse(fs.readFileSync(output, 'utf8')), 'pass')).toEqual({ CLIENT_SECRET: 'from-plaintext' });
+    });
+    
+    it('should need an output file and a passphrase, and not echo invalid JSON', () => {
+      const input = path.join(tempDir, 'credentials.json');
+      fs.writeFileSync(input, '{"CLIENT_SECRET": leaked-secret}');
+      
+      expect(runEncryptCredentials(input, {})).toBe(EXIT_CODES.usage);
+      expect(runEncryptCredentials(input, { CREDENTIALS_FILE: path.join(tempDir, 'out.json') })).toBe(EXIT_CODES.failure);
+      expect(runEncryptCredentials(input, { CREDENTIALS_FILE: path.join(tempDir, 'out.json'), CREDENTIALS_PASSPHRASE: 'pass' }))
+        .toBe(EXIT_CODES.failure);
+      expect(console.error).toHaveBeenLastCalledWith(`❌ Cannot read ${input} (not valid JSON)`);
+      expect(JSON.stringify(console.error.mock.calls)).not.toContain('leaked-secret');
+    });
+  });
+  
+  describe('runCheck', () => {
+    let tempDir;
+    let mockConsoleLog;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-cli-'));
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+    
+    it('should succeed when every BAR file in a directory is valid', async () => {
+      const zip = new AdmZip();
+      zip.addFile('META-INF/broker.xml', Buffer.from('<Broker/>'));
+      zip.addFile('Orders.cmf', Buffer.from('compiled flow'));
+      zip.writeZip(path.join(tempDir, 'orders.bar'));
+      
+      await expect(runCheck([tempDir], '.bar')).resolves.toBe(EXIT_CODES.success);
+      expect(mockConsoleLog).toHaveBeenCalledWith('✅ orders.bar: 1 deployable artefact(s)');
+    });
+    
+    it('should fail and list the problems of invalid files', async () => {
+      fs.writeFileSync(path.join(tempDir, 'empty.bar'), '');
+      
+      await expect(runCheck([path.join(tempDir, 'empty.bar')], '.bar')).resolves.toBe(EXIT_CODES.failure);
+      expect(mockConsoleLog).toHaveBeenCalledWith('   - file is empty');
+    });
+  });
+  
+  describe('runConfigCheck', () => {
+    let tempDir;
+    let mockConsoleLog;
+    let mockConsoleError;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-cli-'));
+      mockConsoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockConsoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+    
+    it('should list the targets of a valid configuration', () => {
+      const env = {
+        CLIENT_ID: 'id',
+        CLIENT_SECRET: 'secret',
+        API_KEY: 'key',
+        INSTANCE_ID: 'instance',
+        INTEGRATION_SERVER_ID: 'server',
+        WATCH_DIRECTORY: tempDir,
+        DEBOUNCE_MS: '500'
+      };
+      
+      expect(runConfigCheck(env)).toBe(EXIT_CODES.success);
+      expect(mockConsoleLog).toHaveBeenCalledWith(`   🎯 default: instance / server, watching ${tempDir}, debounce 500ms`);
+      expect(mockConsoleLog).toHaveBeenCalledWith('   🔐 Credentials: CLIENT_ID from plain value, CLIENT_SECRET from plain value, API_KEY from plain value');
+      expect(mockConsoleLog).toHaveBeenLastCalledWith('\n✅ Configuration is valid');
+    });
+    
+    it('should report every problem at once, including a missing watch directory', () => {
+      const missing = path.join(tempDir, 'missing');
+      const env = {
+        CLIENT_ID: 'id',
+        CLIENT_SECRET: 'secret',
+        API_KEY: 'key',
+        INTEGRATION_SERVER_ID: 'server',
+        WATCH_DIRECTORY: missing,
+        DEBOUNCE_MS: '1s',
+        DEBOUNCE_MSS: '500'
+      };
+      
+      expect(runConfigCheck(env)).toBe(EXIT_CODES.usage);
+      expect(mockConsoleLog).toHaveBeenCalledWith('⚠️  DEBOUNCE_MSS is not a bar-sync setting; did you mean DEBOUNCE_MS?');
+      expect(mockConsoleError).toHaveBeenCalledWith('\n❌ 3 problem(s) found:');
+      const problems = mockConsoleError.mock.calls.map(([message]) => message).join('\n');
+      expect(problems).toContain('DEBOUNCE_MS');
+      expect(problems).toContain('INSTANCE_ID is not set');
+      expect(problems).toContain(`Watch directory does not exist: ${missing}`);
+    });
+    
+    it('should show each target\'s inbox and report a missing one', () => {
+      const inbox = path.join(tempDir, 'drops');
+      const env = {
+        CLIENT_ID: 'id',
+        CLIENT_SECRET: 'secret',
+        API_KEY: 'key',
+        INSTANCE_ID: 'instance',
+        INTEGRATION_SERVER_ID: 'server',
+        WATCH_DIRECTORY: path.join(tempDir, 'bars'),
+        INBOX_DIRECTORY: inbox
+      };
+      fs.mkdirSync(env.WATCH_DIRECTORY);
+      
+      expect(runConfigCheck(env)).toBe(EXIT_CODES.usage);
+      expect(mockConsoleLog).toHaveBeenCalledWith(`   🎯 default: instance / server, watching ${env.WATCH_DIRECTORY}, inbox ${inbox}, debounce 1000ms`);
+      expect(mockConsoleError.mock.calls.map(([message]) => message).join('\n')).toContain(`Inbox directory does not exist: ${inbox}`);
+      
+      fs.mkdirSync(inbox);
+      expect(runConfigCheck(env)).toBe(EXIT_CODES.success);
+    });
+  });
+});
@@ -0,0 +1,566 @@
+import fs from 'fs';
+import path from 'path';
+import { readConfigFile, buildTargets } from './targets.js';
+import { notifiersFromEnv, validateNotifiers } from './notifiers.js';
+import { resolveEnvCredentials, runSecretCommand, CREDENTIAL_SETTINGS } from './credentials.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { readTlsFiles } from './connection.js';
+
+/**
+ * Syncer configuration from environment variables (and the config file they point to).
+ * Every setting is described in SETTINGS, with its type and default. Reading the
+ * settings never fails; resolving them fetches the credentials, checks every setting
+ * and builds the sync targets, reporting all the problems found at once.
+ */
+
+/**
+ * Error for invalid configuration, so callers can tell it from a failed upload
+ */
+export class ConfigError extends Error {
+  constructor(message, problems = [message]) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Settings read from environment variables. Each has the config key it is stored
+ * under, its type (string, path, url, integer, boolean, choice or list) and its
+ * default; integers can have a minimum and maximum, choices a list of values.
+ * Settings without a key are only checked here and read elsewhere. Aliases are
+ * other names the setting is read from, such as the lower case proxy variables.
+ */
+export const SETTINGS = [
+  { name: 'WATCH_DIRECTORY', key: 'watchDirectory', type: 'path', default: './BARfiles' },
+  { name: 'FILE_EXTENSION', key: 'fileExtension', type: 'string', default: '.bar', pattern: /^\.[^./\\]+$/, expected: 'an extension starting with a dot' },
+  { name: 'API_BASE_URL', key: 'apiBaseUrl', type: 'url', default: 'https://api.appconnect.ibmcloud.com' },
+  { name: 'INSTANCE_ID', key: 'instanceId', type: 'string' },
+  { name: 'INTEGRATION_SERVER_ID', key: 'integrationServerId', type: 'string' },
+  { name: 'BAR_OVERRIDES_FILE', key: 'overridesFile', type: 'path' },
+  { name: 'INBOX_DIRECTORY', key: 'inboxDirectory', type: 'path' },
+  { name: 'BAR_SYNC_CONFIG', key: 'configFile', type: 'string' },
+  { name: 'GIT_REPOSITORY', key: 'gitRepository', type: 'path' },
+  { name: 'GIT_ALLOWED_BRANCHES', key: 'gitAllowedBranches', type: 'list', default: ['main', 'master'] },
+  { name: 'PROTECTED_TARGETS', key: 'protectedTargets', type: 'list', default: [] },
+  { name: 'APPROVAL_TARGETS', key: 'approvalTargets', type: 'list', default: [] },
+  { name: 'DEBOUNCE_MS', key: 'debounceMs', type: 'integer', default: 1000, min: 0 },
+  { name: 'WATCH_POLLING', key: 'watchPolling', type: 'boolean', default: false },
+  { name: 'WATCH_POLL_INTERVAL_MS', key: 'watchPollIntervalMs', type: 'integer', default: 1000, min: 1 },
+  { name: 'WRITE_STABILITY_MS', key: 'writeStabilityMs', type: 'integer', default: 500, min: 0, expected: 'a whole number, 0 to upload without waiting' },
+  { name: 'WRITE_POLL_INTERVAL_MS', key: 'writePollIntervalMs', type: 'integer', default: 100, min: 1 },
+  { name: 'DEPLOY_POLL_INTERVAL_MS', key: 'deployPollIntervalMs', type: 'integer', default: 5000, min: 1 },
+  { name: 'DEPLOY_TIMEOUT_MS', key: 'deployTimeoutMs', type: 'integer', default: 300000, min: 0 },
+  { name: 'RETRY_MAX_ATTEMPTS', key: 'retryMaxAttempts', type: 'integer', default: 5, min: 1 },
+  { name: 'RETRY_BASE_DELAY_MS', key: 'retryBaseDelayMs', type: 'integer', default: 1000, min: 0 },
+  { name: 'RETRY_MAX_DELAY_MS', key: 'retryMaxDelayMs', type: 'integer', default: 60000, min: 0 },
+  { name: 'UPLOAD_CONCURRENCY', key: 'uploadConcurrency', type: 'integer', default: 4, min: 1 },
+  { name: 'SHUTDOWN_TIMEOUT_MS', key: 'shutdownTimeoutMs', type: 'integer', default: 30000, min: 0 },
+  { name: 'TOKEN_REFRESH_MARGIN_MS', key: 'tokenRefreshMarginMs', type: 'integer', default: 300000, min: 0 },
+  { name: 'BAR_HISTORY_SIZE', key: 'historySize', type: 'integer', default: 5, min: 0, expected: 'a whole number, 0 to keep no history' },
+  { name: 'STATE_DIRECTORY', key: 'stateDirectory', type: 'path' },
+  { name: 'DEAD_LETTER_FILE', key: 'deadLetterFile', type: 'path' },
+  { name: 'MANIFEST_FILE', key: 'manifestFile', type: 'path' },
+  { name: 'BAR_HISTORY_DIRECTORY', key: 'historyDirectory', type: 'path' },
+  { name: 'PENDING_CHANGES_FILE', key: 'pendingChangesFile', type: 'path' },
+  { name: 'APPROVAL_AUDIT_FILE', key: 'approvalAuditFile', type: 'path' },
+  { name: 'FORCE_UPLOAD', key: 'forceUpload', type: 'boolean', default: false },
+  { name: 'DRY_RUN', key: 'dryRun', type: 'boolean', default: false },
+  { name: 'DRY_RUN_CHECK_TOKEN', key: 'dryRunCheckToken', type: 'boolean', default: false },
+  { name: 'VALIDATE_BAR_FILES', key: 'validateBarFiles', type: 'boolean', default: true },
+  { name: 'GIT_METADATA', key: 'gitMetadata', type: 'boolean', default: false },
+  { name: 'RECONCILE_ON_STARTUP', key: 'reconcileOnStartup', type: 'boolean', default: false },
+  { name: 'RECONCILE_DELETE_REMOTE', key: 'reconcileDeleteRemote', type: 'boolean', default: false },
+  { name: 'DELETE_MODE', key: 'deleteMode', type: 'choice', choices: ['off', 'log', 'delete'], default: 'off' },
+  { name: 'DELETE_GRACE_MS', key: 'deleteGraceMs', type: 'integer', default: 30000, min: 0 },
+  { name: 'HTTPS_PROXY', key: 'httpsProxy', type: 'url', aliases: ['https_proxy'] },
+  { name: 'HTTP_PROXY', key: 'httpProxy', type: 'url', aliases: ['http_proxy'] },
+  { name: 'NO_PROXY', key: 'noProxy', type: 'list', default: [], aliases: ['no_proxy'] },
+  { name: 'TLS_CA_FILES', key: 'tlsCaFiles', type: 'list', default: [] },
+  { name: 'TLS_CLIENT_CERT_FILE', key: 'tlsClientCertFile', type: 'path' },
+  { name: 'TLS_CLIENT_KEY_FILE', key: 'tlsClientKeyFile', type: 'path' },
+  { name: 'TLS_CLIENT_KEY_PASSPHRASE', key: 'tlsClientKeyPassphrase', type: 'string' },
+  { name: 'REQUEST_TIMEOUT_MS', key: 'requestTimeoutMs', type: 'integer', default: 30000, min: 0, expected: 'a whole number, 0 for no timeout' },
+  { name: 'UPLOAD_TIMEOUT_MS', key: 'uploadTimeoutMs', type: 'integer', default: 600000, min: 0, expected: 'a whole number, 0 for no timeout' },
+  { name: 'SYNC_DIRECTION', key: 'syncDirection', type: 'choice', choices: ['push', 'pull', 'both'], default: 'push' },
+  { name: 'PULL_INTERVAL_MS', key: 'pullIntervalMs', type: 'integer', default: 300000, min: 1 },
+  { name: 'LOG_LEVEL', key: 'logLevel', type: 'choice', choices: Object.keys(LOG_LEVELS), default: 'info' },
+  { name: 'LOG_FORMAT', key: 'logFormat', type: 'choice', choices: LOG_FORMATS, default: 'pretty' },
+  { name: 'LOG_FILE', key: 'logFile', type: 'string' },
+  { name: 'LOG_FILE_MAX_SIZE', key: 'logFileMaxSize', type: 'integer', default: 10 * 1024 * 1024, min: 1 },
+  { name: 'LOG_FILE_MAX_FILES', key: 'logFileMaxFiles', type: 'integer', default: 5, min: 1 },
+  { name: 'CONTROL_API_PORT', key: 'controlApiPort', type: 'integer', default: null, min: 0, max: 65535, expected: 'a port number' },
+  { name: 'CONTROL_API_HOST', key: 'controlApiHost', type: 'string', default: '127.0.0.1' },
+  { name: 'CONTROL_API_TOKEN', key: 'controlApiToken', type: 'string' },
+  { name: 'NOTIFY_DESKTOP', type: 'boolean', default: false }
+];
+
+// Target settings a config file can set, checked as the variables they stand in for; buildTargets resolves the paths
+const TARGET_CHECKED_SETTINGS = ['apiBaseUrl', 'instanceId', 'integrationServerId']
+  .map((key) => SETTINGS.find((setting) => setting.key === key));
+
+// Other variables the syncer reads, so they are not mistaken for misspelt settings
+const OTHER_VARIABLES = [
+  ...Object.values(CREDENTIAL_SETTINGS).flatMap((name) => [name, `${name}_FILE`, `${name}_COMMAND`]),
+  'CREDENTIALS_FILE',
+  'CREDENTIALS_PASSPHRASE',
+  'CREDENTIALS_PASSPHRASE_FILE',
+  'CREDENTIALS_PASSPHRASE_COMMAND',
+  'BAR_SYNC_TARGETS',
+  'NOTIFY_WEBHOOK_URL',
+  'NOTIFY_WEBHOOK_PAYLOAD',
+  'NOTIFY_ON'
+];
+
+/**
+ * Describe what a setting expects, for problem messages
+ * @param {Object} setting - Entry in SETTINGS
+ * @returns {string} Expectation, e.g. "a positive integer"
+ */
+function describeExpected(setting) {
+  if (setting.expected) {
+    return setting.expected;
+  }
+
+  switch (setting.type) {
+    case 'integer':
+      return setting.min >= 1 ? 'a positive integer' : 'a whole number';
+    case 'boolean':
+      return 'true or false';
+    case 'url':
+      return 'an http(s) URL';
+    case 'choice':
+      return `one of ${setting.choices.slice(0, -1).join(', ')} or ${setting.choices[setting.choices.length - 1]}`;
+    default:
+      return 'a value';
+  }
+}
+
+/**
+ * Parse one setting's value
+ * @param {Object} setting - Entry in SETTINGS
+ * @param {string} raw - Value from the environment
+ * @param {string} [name=setting.name] - Name for the problem, e.g. a target setting in the config file
+ * @returns {{value: *}|{problem: string}} Parsed value, or why it is invalid
+ */
+function parseSetting(setting, raw, name = setting.name) {
+  let value = raw;
+  let valid = true;
+
+  switch (setting.type) {
+    case 'integer':
+      value = Number(raw);
+      valid = /^\d+$/.test(raw.trim()) &&
+        (setting.min === undefined || value >= setting.min) &&
+        (setting.max === undefined || value <= setting.max);
+      break;
+    case 'boolean':
+      value = raw === 'true';
+      valid = raw === 'true' || raw === 'false';
+      break;
+    case 'url':
+      valid = /^https?:\/\/[^/\s]+/.test(raw);
+      value = raw.replace(/\/+$/, '');
+      break;
+    case 'choice':
+      valid = setting.choices.includes(raw);
+      break;
+    case 'path':
+      value = path.resolve(raw);
+      break;
+    case 'list':
+      value = raw.split(',').map((item) => item.trim()).filter(Boolean);
+      break;
+    default:
+      valid = !setting.pattern || setting.pattern.test(raw);
+  }
+
+  if (!valid) {
+    return { problem: `${name} must be ${describeExpected(setting)} (got "${raw}")` };
+  }
+
+  return { value };
+}
+
+/**
+ * Suggest a fix for an invalid setting
+ * @param {Object} setting - Entry in SETTINGS
+ * @returns {string} Suggestion
+ */
+function suggestFix(setting) {
+  if (setting.default === undefined || setting.default === null) {
+    return `fix or remove ${setting.name}`;
+  }
+
+  const example = Array.isArray(setting.default) ? setting.default.join(',') : setting.default;
+  return `e.g. ${setting.name}=${example}, or remove it to use the default`;
+}
+
+/**
+ * Get a setting's default value; default paths are relative to the working directory
+ * @param {Object} setting - Entry in SETTINGS
+ * @returns {*} Default value
+ */
+function getDefault(setting) {
+  return setting.type === 'path' && setting.default ? path.resolve(setting.default) : setting.default;
+}
+
+/**
+ * Check whether a variable name is probably a misspelling of a setting: at most two
+ * letters added, removed or changed, for names long enough for that to be unlikely by chance
+ * @param {string} name - Variable name
+ * @param {string} candidate - Setting name
+ * @returns {boolean} True if the names are that close
+ */
+function isNearMiss(name, candidate) {
+  if (candidate.length < 8 || Math.abs(name.length - candidate.length) > 2) {
+    return false;
+  }
+
+  // Edit distance, one row at a time
+  let previous = Array.from({ length: candidate.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= name.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= candidate.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (name[i - 1] === candidate[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[candidate.length] <= 2;
+}
+
+/**
+ * Check whether a path is a directory or inside it
+ * @param {string} candidate - Path to check
+ * @param {string} directory - Directory
+ * @returns {boolean} True if the path is the directory or inside it
+ */
+function isInsideDirectory(candidate, directory) {
+  const relativePath = path.relative(directory, candidate);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Check that a proxy URL can be parsed and its user name and password decoded, as they are
+ * for the Proxy-Authorization header. The problem never includes the URL, which may hold a password
+ * @param {string} proxyUrl - Proxy URL
+ * @param {string} name - Setting name for the problem
+ * @returns {string|null} Problem, or null if the URL is fine
+ */
+function checkProxyUrl(proxyUrl, name) {
+  let proxy;
+  try {
+    proxy = new URL(proxyUrl);
+  } catch (error) {
+    return `${name} is not a valid URL`;
+  }
+
+  try {
+    decodeURIComponent(proxy.username);
+    decodeURIComponent(proxy.password);
+  } catch (error) {
+    return `${name} has a user name or password with an invalid % escape; write a literal % as %25`;
+  }
+
+  return null;
+}
+
+/**
+ * Get a setting's raw value from the environment, under its name or one of its aliases
+ * @param {Object} setting - Entry in SETTINGS
+ * @param {Object} env - Environment variables
+ * @returns {string|undefined} Raw value, or undefined if it is not set
+ */
+function getRawValue(setting, env) {
+  return [setting.name, ...(setting.aliases || [])]
+    .map((name) => env[name])
+    .find((raw) => raw !== undefined && raw !== '');
+}
+
+/**
+ * Join configuration problems into one message
+ * @param {string[]} problems - Problems found
+ * @returns {string} The problem, or a list of them
+ */
+function formatProblems(problems) {
+  if (problems.length === 1) {
+    return problems[0];
+  }
+
+  return `${problems.length} configuration problems:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`;
+}
+
+/**
+ * Read the settings from environment variables, with their defaults. Invalid values
+ * are replaced by the default here and reported by resolveConfig.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Configuration, without credentials or targets (see resolveConfig)
+ */
+export function readEnvConfig(env) {
+  const config = {};
+
+  for (const setting of SETTINGS) {
+    if (!setting.key) {
+      continue;
+    }
+
+    const raw = getRawValue(setting, env);
+    const parsed = raw === undefined ? { problem: 'not set' } : parseSetting(setting, raw);
+    config[setting.key] = parsed.problem ? getDefault(setting) : parsed.value;
+  }
+
+  // The syncer's state is kept next to the config file, or in the watch directory, unless a path is given
+  config.stateDirectory = config.stateDirectory || (config.configFile
+    ? path.join(path.dirname(config.configFile), '.bar-sync')
+    : path.join(config.watchDirectory, '.bar-sync'));
+  config.deadLetterFile = config.deadLetterFile || path.join(config.stateDirectory, 'failed-uploads.json');
+  config.manifestFile = config.manifestFile || path.join(config.stateDirectory, 'manifest.json');
+  config.historyDirectory = config.historyDirectory || path.join(config.stateDirectory, 'history');
+  config.pendingChangesFile = config.pendingChangesFile || path.join(config.stateDirectory, 'pending-changes.json');
+  config.approvalAuditFile = config.approvalAuditFile || path.join(config.stateDirectory, 'approval-audit.jsonl');
+  config.tlsCaFiles = config.tlsCaFiles.map((file) => path.resolve(file));
+
+  return config;
+}
+
+/**
+ * Check every setting in the environment against SETTINGS
+ * @param {Object} env - Environment variables
+ * @returns {{problems: string[], warnings: string[]}} Invalid values, each with a suggested fix,
+ *   and variables that look like misspelt settings
+ */
+export function checkEnvSettings(env) {
+  const problems = [];
+
+  for (const setting of SETTINGS) {
+    const raw = getRawValue(setting, env);
+    if (raw === undefined) {
+      continue;
+    }
+
+    const parsed = parseSetting(setting, raw);
+    if (parsed.problem) {
+      problems.push(`${parsed.problem}; ${suggestFix(setting)}`);
+    }
+  }
+
+  const known = [...SETTINGS.flatMap((setting) => [setting.name, ...(setting.aliases || [])]), ...OTHER_VARIABLES];
+  const warnings = Object.keys(env)
+    .filter((name) => !known.includes(name))
+    .map((name) => ({ name, match: known.find((candidate) => isNearMiss(name, candidate)) }))
+    .filter(({ match }) => match)
+    .map(({ name, match }) => `${name} is not a bar-sync setting; did you mean ${match}?`);
+
+  return { problems, warnings };
+}
+
+/**
+ * Logger options for a configuration
+ * @param {Object} config - Configuration, as returned by readEnvConfig
+ * @returns {Object} Options for createLogger
+ */
+export function getLoggerOptions(config) {
+  return {
+    level: config.logLevel,
+    format: config.logFormat,
+    file: config.logFile,
+    maxFileSize: config.logFileMaxSize,
+    maxFiles: config.logFileMaxFiles,
+    secrets: [config.controlApiToken, config.tlsClientKeyPassphrase]
+  };
+}
+
+/**
+ * Fetch the credentials, check the settings and build the sync targets: one from the
+ * environment, or every target in the config file
+ * @param {Object} config - Configuration, as returned by readEnvConfig; completed in place
+ * @param {Object} env - Environment variables
+ * @param {Object} [options] - Resolution options
+ * @param {Function} [options.runCommand=runSecretCommand] - Runs credential commands; a reload passes one that
+ *   answers from the output of the commands already run
+ * @returns {Object} The configuration, with credentials, their sources, targets, warnings about variables
+ *   that look like misspelt settings and the output of each credential command (credentialCommands)
+ * @throws {ConfigError} Listing every credential that cannot be read and every invalid setting
+ */
+export function resolveConfig(config, env, { runCommand = runSecretCommand } = {}) {
+  const { problems, warnings } = checkEnvSettings(env);
+  config.warnings = warnings;
+
+  // Output of each credential command, so reloading the config file need not run it again
+  config.credentialCommands = new Map();
+  const runCredentialCommand = (command, label) => {
+    const secret = runCommand(command, label);
+    config.credentialCommands.set(command, secret);
+    return secret;
+  };
+
+  // Credentials, each from <NAME>_FILE, <NAME>_COMMAND, the encrypted CREDENTIALS_FILE or <NAME> itself.
+  // Errors name the source that failed, never the value
+  let credentialStore = {};
+  try {
+    const credentials = resolveEnvCredentials(env, runCredentialCommand);
+    Object.assign(config, credentials.values);
+    config.credentialSources = credentials.sources;
+    credentialStore = credentials.store;
+  } catch (error) {
+    problems.push(...error.message.split('\n'));
+  }
+
+  // A config file validates its own targets below
+  if (!config.configFile && config.credentialSources) {
+    for (const [setting, name] of Object.entries(CREDENTIAL_SETTINGS)) {
+      if (!config[setting]) {
+        problems.push(`${name} is not set (set ${name}, ${name}_FILE, ${name}_COMMAND or CREDENTIALS_FILE)`);
+      }
+    }
+  }
+
+  if (!config.configFile && !config.instanceId) {
+    problems.push('INSTANCE_ID is not set in .env file; set it to the App Connect instance ID, or use --instance-id');
+  }
+
+  if (!config.configFile && !config.integrationServerId) {
+    problems.push('INTEGRATION_SERVER_ID is not set in .env file; set it to the integration server to deploy to, or use --server-id');
+  }
+
+  if (!config.configFile && config.overridesFile && !fs.existsSync(config.overridesFile)) {
+    problems.push(`BAR_OVERRIDES_FILE ${config.overridesFile} does not exist`);
+  }
+
+  for (const [key, name] of [['httpsProxy', 'HTTPS_PROXY'], ['httpProxy', 'HTTP_PROXY']]) {
+    const problem = config[key] ? checkProxyUrl(config[key], name) : null;
+    if (problem) {
+      problems.push(problem);
+    }
+  }
+
+  // CA certificates and the client certificate for every API call, read now so a bad file is reported with the rest
+  try {
+    config.tls = readTlsFiles(config);
+  } catch (error) {
+    problems.push(...error.message.split('\n'));
+  }
+
+  // Notifiers from the environment; targets in a config file can set their own
+  let envNotifiers = [];
+  try {
+    envNotifiers = notifiersFromEnv(env);
+    problems.push(...validateNotifiers(envNotifiers, 'NOTIFY_*'));
+  } catch (error) {
+    problems.push(error.message);
+  }
+
+  const targetSettings = {
+    apiBaseUrl: config.apiBaseUrl,
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    apiKey: config.apiKey,
+    instanceId: config.instanceId,
+    integrationServerId: config.integrationServerId,
+    watchDirectory: config.watchDirectory,
+    overridesFile: config.overridesFile,
+    inboxDirectory: config.inboxDirectory,
+    gitRepository: config.gitRepository,
+    allowedBranches: config.gitAllowedBranches,
+    debounceMs: config.debounceMs,
+    notify: envNotifiers
+  };
+
+  config.targets = [];
+  if (config.configFile) {
+    try {
+      config.targets = buildTargets(
+        readConfigFile(config.configFile),
+        targetSettings,
+        path.dirname(path.resolve(config.configFile)),
+        credentialStore,
+        runCredentialCommand
+      );
+    } catch (error) {
+      problems.push(`Invalid config file ${config.configFile}:\n${error.message}`);
+    }
+
+    // Values from the config file are parsed as the environment's are, e.g. API URLs lose their trailing slash
+    for (const target of config.targets) {
+      for (const setting of TARGET_CHECKED_SETTINGS) {
+        if (target[setting.key] === undefined || target[setting.key] === null || target[setting.key] === '') {
+          continue;
+        }
+        const parsed = parseSetting(setting, String(target[setting.key]), `Target "${target.name}" ${setting.key}`);
+        if (parsed.problem) {
+          problems.push(`Invalid config file ${config.configFile}: ${parsed.problem}`);
+        } else {
+          target[setting.key] = parsed.value;
+        }
+      }
+    }
+  } else {
+    config.targets = [{ name: 'default', ...targetSettings, include: ['**'], exclude: [] }];
+  }
+
+  // Target names can only be checked once the config file has been read
+  if (config.targets.length > 0) {
+    const configured = config.targets.map((target) => target.name).join(', ');
+
+    // Targets that only accept uploads from a clean workspace on an allowed branch; a config file can also set "protected"
+    const unknownProtected = config.protectedTargets.filter((name) => !config.targets.some((target) => target.name === name));
+    if (unknownProtected.length > 0) {
+      problems.push(`Unknown PROTECTED_TARGETS: ${unknownProtected.join(', ')} (configured: ${configured})`);
+    }
+    for (const target of config.targets) {
+      target.protected = target.protected === true || config.protectedTargets.includes(target.name);
+    }
+
+    // Targets whose watched changes wait for approval instead of being uploaded; a config file can also set "approval"
+    const unknownApproval = config.approvalTargets.filter((name) => !config.targets.some((target) => target.name === name));
+    if (unknownApproval.length > 0) {
+      problems.push(`Unknown APPROVAL_TARGETS: ${unknownApproval.join(', ')} (configured: ${configured})`);
+    }
+    for (const target of config.targets) {
+      target.approval = target.approval === true || config.approvalTargets.includes(target.name);
+    }
+
+    // The watcher would upload BAR files dropped into an inbox inside a watch directory as they are
+    for (const inboxDirectory of new Set(config.targets.map((target) => target.inboxDirectory).filter(Boolean))) {
+      const watched = config.targets.find((target) => isInsideDirectory(inboxDirectory, target.watchDirectory));
+      if (watched) {
+        problems.push(`Inbox directory ${inboxDirectory} is inside the watch directory ${watched.watchDirectory}; move it outside`);
+      }
+    }
+    if (config.syncDirection === 'pull' && config.targets.some((target) => target.inboxDirectory)) {
+      problems.push('An inbox cannot be used with SYNC_DIRECTION=pull, which never uploads; remove INBOX_DIRECTORY (or inboxDirectory) or choose push or both');
+    }
+
+    // Optionally restrict this run to some of the targets (e.g. `bar-sync push --target prod`)
+    const selected = (env.BAR_SYNC_TARGETS || '').split(',').map((name) => name.trim()).filter(Boolean);
+    const unknown = selected.filter((name) => !config.targets.some((target) => target.name === name));
+    if (unknown.length > 0) {
+      problems.push(`Unknown target(s): ${unknown.join(', ')} (configured: ${configured})`);
+    }
+    if (selected.length > 0) {
+      config.targets = config.targets.filter((target) => selected.includes(target.name));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(formatProblems(problems), problems);
+  }
+
+  return config;
+}
+
+/**
+ * Read and resolve the configuration in one step, for embedding the syncer
+ * @param {Object} [env=process.env] - Environment variables
+ * @param {Object} [options] - Resolution options, as for resolveConfig
+ * @returns {Object} Configuration for createSyncer
+ * @throws {ConfigError} Listing every credential that cannot be read and every invalid setting
+ */
+export function loadConfig(env = process.env, options = {}) {
+  return resolveConfig(readEnvConfig(env), env, options);
+}
@@ -0,0 +1,438 @@
+import fs from 'fs';
+import net from 'net';
+import dns from 'dns';
+import tls from 'tls';
+import http from 'http';
+import https from 'https';
+
+/**
+ * Network settings for the App Connect API: an HTTP(S) proxy with NO_PROXY exceptions,
+ * extra CA certificates, a client certificate for mutual TLS and request timeouts.
+ * The syncer sends every request through the fetch built by createConnectionFetch;
+ * the connectivity test checks each step of the connection with lookupHost and checkTls.
+ */
+
+/**
+ * Error for a request that got no response in time, so it is retried like a network error
+ */
+export class RequestTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+/**
+ * Error for a proxy that cannot be reached or refuses to open a tunnel
+ */
+export class ProxyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProxyError';
+  }
+}
+
+// Certificate errors that mean the server's CA is not trusted yet
+const UNTRUSTED_CA_CODES = [
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'DEPTH_ZERO_SELF_SIGNED_CERT'
+];
+
+/**
+ * Read a PEM file for the TLS settings
+ * @param {string} label - Setting the file comes from, for problem messages
+ * @param {string} file - Path to the file
+ * @param {RegExp} pattern - What the file must contain
+ * @param {string} expected - Description of what it must contain
+ * @param {string[]} problems - Problems found so far; added to
+ * @returns {string|null} File contents, or null if it cannot be used
+ */
+function readPemFile(label, file, pattern, expected, problems) {
+  let contents;
+  try {
+    contents = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    problems.push(`${label} file ${file} cannot be read (${error.code || error.message})`);
+    return null;
+  }
+
+  if (!pattern.test(contents)) {
+    problems.push(`${label} file ${file} has no PEM ${expected}`);
+    return null;
+  }
+  return contents;
+}
+
+/**
+ * Read the extra CA certificates and the client certificate and key for mutual TLS
+ * @param {Object} settings - Configuration
+ * @param {string[]} [settings.tlsCaFiles] - PEM files of CA certificates to trust as well as the built-in ones
+ * @param {string} [settings.tlsClientCertFile] - PEM client certificate
+ * @param {string} [settings.tlsClientKeyFile] - PEM private key of the client certificate
+ * @returns {{ca: string[], cert: string|null, key: string|null}} Certificates and key
+ * @throws {Error} Listing every file that cannot be read or used, one per line
+ */
+export function readTlsFiles({ tlsCaFiles = [], tlsClientCertFile, tlsClientKeyFile }) {
+  const problems = [];
+
+  const ca = tlsCaFiles
+    .map((file) => readPemFile('TLS_CA_FILES', file, /-----BEGIN CERTIFICATE-----/, 'certificates', problems))
+    .filter(Boolean);
+
+  if (Boolean(tlsClientCertFile) !== Boolean(tlsClientKeyFile)) {
+    problems.push(tlsClientCertFile
+      ? 'TLS_CLIENT_CERT_FILE is set without TLS_CLIENT_KEY_FILE; set both for mutual TLS'
+      : 'TLS_CLIENT_KEY_FILE is set without TLS_CLIENT_CERT_FILE; set both for mutual TLS');
+  }
+  const cert = tlsClientCertFile
+    ? readPemFile('TLS_CLIENT_CERT_FILE', tlsClientCertFile, /-----BEGIN CERTIFICATE-----/, 'certificate', problems)
+    : null;
+  const key = tlsClientKeyFile
+    ? readPemFile('TLS_CLIENT_KEY_FILE', tlsClientKeyFile, /-----BEGIN [A-Z ]*PRIVATE KEY-----/, 'private key', problems)
+    : null;
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  return { ca, cert, key };
+}
+
+/**
+ * Get the TLS options for connections to the API. Extra CAs are trusted as well as
+ * Node's built-in ones, not instead of them.
+ * @param {Object} settings - Configuration, with tls from readTlsFiles
+ * @returns {Object} Options for tls.connect and https.Agent; empty if nothing is configured
+ */
+function getTlsOptions({ tls: files, tlsClientKeyPassphrase }) {
+  const options = {};
+  if (files && files.ca.length > 0) {
+    options.ca = [...tls.rootCertificates, ...files.ca];
+  }
+  if (files && files.cert && files.key) {
+    options.cert = files.cert;
+    options.key = files.key;
+    if (tlsClientKeyPassphrase) {
+      options.passphrase = tlsClientKeyPassphrase;
+    }
+  }
+  return options;
+}
+
+/**
+ * Check whether NO_PROXY exempts a URL from the proxy. Entries are host names, which
+ * also match their subdomains (with or without a leading "." or "*."), IP addresses,
+ * CIDR ranges such as 10.0.0.0/8, any of those with a ":port", or "*" for every host.
+ * @param {string} url - Request URL
+ * @param {string[]} [noProxy=[]] - NO_PROXY entries
+ * @returns {boolean} True if the request should not use the proxy
+ */
+export function isProxyBypassed(url, noProxy = []) {
+  const parsed = new URL(url);
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+
+  return noProxy.some((rawEntry) => {
+    const entry = rawEntry.trim().toLowerCase();
+    if (entry === '*') {
+      return true;
+    }
+
+    // A port follows the last colon, except in a bare IPv6 address
+    const portMatch = /^(.+):(\d+)$/.exec(entry);
+    const [pattern, entryPort] = portMatch && !net.isIPv6(entry)
+      ? [portMatch[1].replace(/^\[|\]$/g, ''), portMatch[2]]
+      : [entry.replace(/^\[|\]$/g, ''), null];
+    if (entryPort && entryPort !== port) {
+      return false;
+    }
+
+    if (pattern.includes('/')) {
+      const [address, prefix] = pattern.split('/');
+      const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+      if (!net.isIP(address) || !net.isIP(host) || (net.isIPv6(host) ? 'ipv6' : 'ipv4') !== family) {
+        return false;
+      }
+      const range = new net.BlockList();
+      range.addSubnet(address, Number(prefix), family);
+      return range.check(host, family);
+    }
+
+    const domain = pattern.replace(/^\*?\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Get the proxy a request goes through: HTTPS_PROXY for https URLs and HTTP_PROXY for
+ * http URLs, unless NO_PROXY exempts the host
+ * @param {string} url - Request URL
+ * @param {Object} settings - Configuration, with httpsProxy, httpProxy and noProxy
+ * @returns {string|null} Proxy URL, or null to connect directly
+ */
+export function getProxyForUrl(url, { httpsProxy, httpProxy, noProxy }) {
+  const proxy = url.startsWith('https:') ? httpsProxy : httpProxy;
+  return proxy && !isProxyBypassed(url, noProxy) ? proxy : null;
+}
+
+/**
+ * Describe a proxy without the credentials in its URL, for logs
+ * @param {string} proxyUrl - Proxy URL
+ * @returns {string} Protocol, host and port
+ */
+export function describeProxy(proxyUrl) {
+  const { protocol, host } = new URL(proxyUrl);
+  return `${protocol}//${host}`;
+}
+
+/**
+ * Get the basic authentication header for the user name and password in a proxy URL
+ * @param {URL} proxy - Proxy URL
+ * @returns {string|null} Proxy-Authorization header value, or null if the URL has no user name
+ */
+function getProxyAuthorization(proxy) {
+  if (!proxy.username) {
+    return null;
+  }
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+}
+
+/**
+ * Open a tunnel to a host through a proxy with an HTTP CONNECT request
+ * @param {string} proxyUrl - Proxy URL, optionally with a user name and password
+ * @param {string} host - Host to connect to
+ * @param {number|string} port - Port to connect to
+ * @param {Object} [tlsOptions] - CA certificates for an https:// proxy
+ * @param {number} [timeoutMs=0] - How long to wait for the proxy to answer the CONNECT request; 0 means no timeout
+ * @returns {Promise<net.Socket>} Socket connected to the host
+ * @throws {ProxyError} If the proxy cannot be reached, does not answer in time or refuses the tunnel
+ */
+function openTunnel(proxyUrl, host, port, tlsOptions = {}, timeoutMs = 0) {
+  const proxy = new URL(proxyUrl);
+  const secure = proxy.protocol === 'https:';
+  const headers = { host: `${host}:${port}` };
+  const authorization = getProxyAuthorization(proxy);
+  if (authorization) {
+    headers['proxy-authorization'] = authorization;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (secure ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (secure ? 443 : 80),
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers,
+      agent: false,
+      ca: tlsOptions.ca
+    });
+    const timer = timeoutMs > 0
+      ? setTimeout(() => request.destroy(new Error(`no response to CONNECT after ${timeoutMs}ms`)), timeoutMs)
+      : null;
+
+    request.once('connect', (response, socket) => {
+      clearTimeout(timer);
+      if (response.statusCode === 200) {
+        resolve(socket);
+        return;
+      }
+      socket.destroy();
+      reject(new ProxyError(`Proxy ${proxy.host} refused to connect to ${host}:${port}: ${response.statusCode} ${response.statusMessage}`));
+    });
+    request.once('error', (error) => {
+      clearTimeout(timer);
+      reject(new ProxyError(`Cannot reach proxy ${proxy.host}: ${error.message}`));
+    });
+    request.end();
+  });
+}
+
+/**
+ * HTTPS agent that connects through a proxy tunnel
+ */
+class HttpsTunnelAgent extends https.Agent {
+  constructor(proxyUrl, options, connectTimeoutMs) {
+    super(options);
+    this.proxyUrl = proxyUrl;
+    this.connectTimeoutMs = connectTimeoutMs;
+  }
+
+  createConnection(options, callback) {
+    openTunnel(this.proxyUrl, options.host, options.port, this.options, this.connectTimeoutMs).then(
+      (socket) => callback(null, tls.connect({ ...options, socket })),
+      callback
+    );
+  }
+}
+
+/**
+ * HTTP agent that sends requests for http:// API URLs to the proxy in absolute form
+ * (GET http://host/path), as plain HTTP proxies expect; many only allow CONNECT to port 443
+ */
+class HttpProxyAgent extends http.Agent {
+  constructor(proxyUrl, options) {
+    super(options);
+    this.proxy = new URL(proxyUrl);
+  }
+
+  addRequest(request, options) {
+    const host = net.isIPv6(options.host) ? `[${options.host}]` : options.host;
+    request.path = `http://${host}:${options.port || 80}${request.path}`;
+    const authorization = getProxyAuthorization(this.proxy);
+    if (authorization) {
+      request.setHeader('proxy-authorization', authorization);
+    }
+
+    // Connections go to the proxy, and are pooled by it
+    const secure = this.proxy.protocol === 'https:';
+    super.addRequest(request, {
+      ...options,
+      host: this.proxy.hostname,
+      hostname: this.proxy.hostname,
+      port: this.proxy.port || (secure ? 443 : 80)
+    });
+  }
+
+  createConnection(options, callback) {
+    if (this.proxy.protocol === 'https:') {
+      return tls.connect({ ...options, servername: net.isIP(options.host) ? undefined : options.host, ca: this.options.ca });
+    }
+    return super.createConnection(options, callback);
+  }
+}
+
+/**
+ * Build the agent for API requests, as a function of the request URL (as node-fetch accepts)
+ * @param {Object} settings - Configuration
+ * @returns {Function|undefined} Agent for each URL, or undefined if no proxy or TLS setting is used
+ */
+function createAgent(settings) {
+  const tlsOptions = getTlsOptions(settings);
+  const customTls = Object.keys(tlsOptions).length > 0;
+  if (!customTls && !settings.httpsProxy && !settings.httpProxy) {
+    return undefined;
+  }
+
+  // One agent per proxy and protocol, so connections are reused
+  const agents = new Map();
+  const agentFor = (key, create) => {
+    if (!agents.has(key)) {
+      agents.set(key, create());
+    }
+    return agents.get(key);
+  };
+
+  return (parsedUrl) => {
+    const secure = parsedUrl.protocol === 'https:';
+    const proxy = getProxyForUrl(parsedUrl.href, settings);
+
+    if (proxy) {
+      return agentFor(`${parsedUrl.protocol} ${proxy}`, () => (secure
+        ? new HttpsTunnelAgent(proxy, tlsOptions, settings.requestTimeoutMs)
+        : new HttpProxyAgent(proxy, tlsOptions)));
+    }
+    return secure && customTls ? agentFor('https:', () => new https.Agent(tlsOptions)) : undefined;
+  };
+}
+
+/**
+ * Wrap fetch so every request uses the proxy and TLS settings and times out. A request
+ * can set its own timeoutMs, e.g. uploads of large BAR files; 0 means no timeout.
+ * @param {Function} fetch - fetch implementation
+ * @param {Object} settings - Configuration
+ * @param {string} [settings.httpsProxy] - Proxy for https URLs
+ * @param {string} [settings.httpProxy] - Proxy for http URLs
+ * @param {string[]} [settings.noProxy] - Hosts that are not proxied
+ * @param {Object} [settings.tls] - CA certificates, client certificate and key, from readTlsFiles
+ * @param {string} [settings.tlsClientKeyPassphrase] - Passphrase of the client key
+ * @param {number} [settings.requestTimeoutMs] - Default timeout for a response, and for a proxy to answer CONNECT
+ * @returns {Function} fetch with the same signature, plus the timeoutMs option
+ * @throws {RequestTimeoutError} From the returned fetch, if there is no response in time
+ */
+export function createConnectionFetch(fetch, settings = {}) {
+  const agent = createAgent(settings);
+
+  return async (url, { timeoutMs = settings.requestTimeoutMs, ...options } = {}) => {
+    const timeout = timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null;
+    const signal = timeout && options.signal ? AbortSignal.any([options.signal, timeout]) : timeout || options.signal;
+
+    try {
+      return await fetch(url, {
+        ...options,
+        ...(agent && { agent }),
+        ...(signal && { signal })
+      });
+    } catch (error) {
+      // A cancelled request is reported as cancelled, not as timed out
+      if (timeout && timeout.aborted && !(options.signal && options.signal.aborted)) {
+        throw new RequestTimeoutError(`${options.method || 'GET'} ${new URL(url).host} timed out after ${timeoutMs}ms`);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Resolve a host name, as the first step of the connectivity test
+ * @param {string} hostname - Host name or IP address
+ * @returns {Promise<string[]>} Addresses
+ * @throws {Error} If the name cannot be resolved
+ */
+export async function lookupHost(hostname) {
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.map(({ address }) => address);
+  } catch (error) {
+    throw new Error(`Cannot resolve ${hostname} (${error.code || error.message})`);
+  }
+}
+
+/**
+ * Make a TLS connection to an https URL with the proxy and TLS settings, and describe it
+ * @param {string} url - https URL
+ * @param {Object} settings - Configuration, as for createConnectionFetch
+ * @returns {Promise<{protocol: string, subject: string, issuer: string, validTo: string}>} Negotiated
+ *   protocol and the server certificate
+ * @throws {Error} If the proxy, the handshake or the certificate check fails, with a hint for untrusted CAs
+ */
+export async function checkTls(url, settings = {}) {
+  const { hostname, port } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const tlsOptions = getTlsOptions(settings);
+  const proxy = getProxyForUrl(url, settings);
+  const socket = proxy ? await openTunnel(proxy, host, port || 443, tlsOptions, settings.requestTimeoutMs) : undefined;
+
+  return new Promise((resolve, reject) => {
+    const connection = tls.connect({
+      host,
+      port: port || 443,
+      servername: net.isIP(host) ? undefined : host,
+      socket,
+      ...tlsOptions
+    });
+    const timer = settings.requestTimeoutMs > 0
+      ? setTimeout(() => connection.destroy(new Error(`no response after ${settings.requestTimeoutMs}ms`)), settings.requestTimeoutMs)
+      : null;
+
+    connection.once('secureConnect', () => {
+      clearTimeout(timer);
+      const certificate = connection.getPeerCertificate();
+      const name = (part) => (part && (part.CN || part.O)) || 'unknown';
+      resolve({
+        protocol: connection.getProtocol(),
+        subject: name(certificate.subject),
+        issuer: name(certificate.issuer),
+        validTo: certificate.valid_to
+      });
+      connection.end();
+    });
+    connection.once('error', (error) => {
+      clearTimeout(timer);
+      const hint = UNTRUSTED_CA_CODES.includes(error.code) ? '; add the CA that issued the server certificate to TLS_CA_FILES' : '';
+      reject(new Error(`TLS handshake with ${host} failed: ${error.code ? `${error.code} ` : ''}${error.message}${hint}`));
+    });
+  });
+}
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics.js';
+import { ApprovalError } from './pending-changes.js';
+
+/**
+ * Embedded HTTP API for a running watcher: probes for container orchestrators,
+ * a status document for dashboards and a few control actions.
+ */
+
+// Request bodies are small JSON documents
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Routes that stand in for a reviewer's decision: refused unless a token is configured
+const TOKEN_REQUIRED_ROUTES = new Set(['POST /approve', 'POST /reject']);
+
+// Response status for each reason an approval or rejection cannot be made
+const APPROVAL_ERROR_STATUS = {
+  'not-found': 404,
+  ambiguous: 409,
+  changed: 409
+};
+
+/**
+ * Run an approval or rejection requested through the API. Who decided is recorded as the
+ * control API and the client's address; a "by" field in the body is ignored, since the caller controls it.
+ * @param {Function} decide - Handler that approves or rejects the change
+ * @param {Object|null} body - Request body: file, and optionally target and reason
+ * @param {http.IncomingMessage} request - Request, for the client's address
+ * @param {number} status - Response status on success
+ * @param {string} field - Response field set to true on success
+ * @returns {Promise<Object>} Route result
+ */
+async function decidePendingChange(decide, body, request, status, field) {
+  if (!body || typeof body.file !== 'string' || body.file === '') {
+    return { status: 400, body: { error: 'Request body must be JSON with a "file" name' } };
+  }
+
+  try {
+    const by = `control API (${request.socket.remoteAddress})`;
+    const change = await decide({ file: body.file, target: body.target, by, reason: body.reason });
+    return { status, body: { [field]: true, change } };
+  } catch (error) {
+    if (error instanceof ApprovalError) {
+      return { status: APPROVAL_ERROR_STATUS[error.reason] || 409, body: { error: error.message } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Routes, keyed by "METHOD path". Each handler is called with the syncer callbacks, the parsed
+ * body and the request, and returns the response status and either a JSON body or plain text with its content type.
+ */
+const ROUTES = {
+  'GET /health': () => ({ status: 200, body: { status: 'ok' } }),
+
+  'GET /ready': (handlers) => (handlers.isReady()
+    ? { status: 200, body: { ready: true } }
+    : { status: 503, body: { ready: false } }),
+
+  'GET /status': (handlers) => ({ status: 200, body: handlers.getStatus() }),
+
+  'GET /metrics': (handlers) => ({ status: 200, text: handlers.getMetrics(), contentType: METRICS_CONTENT_TYPE }),
+
+  'POST /reupload': async (handlers, body) => {
+    if (!body || typeof body.file !== 'string' || body.file === '') {
+      return { status: 400, body: { error: 'Request body must be JSON with a "file" path' } };
+    }
+
+    const filePath = await handlers.reupload(body.file);
+    return filePath
+      ? { status: 202, body: { accepted: true, file: filePath } }
+      : { status: 404, body: { error: `No such BAR file: ${body.file}` } };
+  },
+
+  'POST /pause': (handlers) => ({ status: 200, body: { paused: true, ...handlers.pause() } }),
+
+  'POST /resume': (handlers) => ({ status: 200, body: { paused: false, ...handlers.resume() } }),
+
+  'POST /retry': (handlers) => {
+    handlers.retry();
+    return { status: 202, body: { accepted: true } };
+  },
+
+  'GET /pending': (handlers) => ({ status: 200, body: { pending: handlers.listPending() } }),
+
+  // The approved change is uploaded in the background, like a re-upload
+  'POST /approve': (handlers, body, request) => decidePendingChange(handlers.approve, body, request, 202, 'approved'),
+
+  'POST /reject': (handlers, body, request) => decidePendingChange(handlers.reject, body, request, 200, 'rejected'),
+
+  'POST /pull': (handlers) => {
+    handlers.pull();
+    return { status: 202, body: { accepted: true } };
+  }
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} [headers={}] - Extra headers
+ */
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request to read
+ * @returns {Promise<Object|null>} Parsed body, or null if the body is empty
+ * @throws {Error} With a `status` of 400 or 413 if the body is invalid or too large
+ */
+async function readJsonBody(request) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large');
+      error.status = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (text === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    const error = new Error('Request body is not valid JSON');
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Check a request's bearer token, without leaking its length or content through timing
+ * @param {http.IncomingMessage} request - Request to check
+ * @param {string} token - Expected token
+ * @returns {boolean} True if the request carries the token
+ */
+function isAuthorized(request, token) {
+  const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+  const actual = crypto.createHash('sha256').update(request.headers.authorization || '').digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check that a request was addressed to this server by IP address, localhost or the name it is
+ * bound to. A web page that points its own domain name at 127.0.0.1 (DNS rebinding) sends that name.
+ * @param {http.IncomingMessage} request - Request to check
+ * @param {string} [host] - Address or name the server is bound to
+ * @returns {boolean} True if the Host header is allowed
+ */
+function isAllowedHost(request, host) {
+  if (!request.headers.host) {
+    return true;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(`http://${request.headers.host}`).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return false;
+  }
+  return hostname === 'localhost' || net.isIP(hostname) !== 0 || hostname === host;
+}
+
+/**
+ * Check that a request body is declared as JSON. Browsers send other content types, or none,
+ * from any page without asking first; application/json needs a CORS preflight, which this server never grants.
+ * @param {http.IncomingMessage} request - Request to check
+ * @returns {boolean} True if the Content-Type is application/json
+ */
+function isJsonRequest(request) {
+  return (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+}
+
+/**
+ * Route a request to its handler
+ * @param {Object} handlers - Syncer callbacks
+ * @param {Object} options - Server options
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {http.ServerResponse} response - Response to write
+ */
+async function handleRequest(handlers, options, request, response) {
+  if (!isAllowedHost(request, options.host)) {
+    sendJson(response, 403, { error: `Host ${request.headers.host} is not allowed; use localhost or the control API's address` });
+    return;
+  }
+
+  const { pathname } = new URL(request.url, 'http://localhost');
+  const routeKey = `${request.method} ${pathname}`;
+  const route = ROUTES[routeKey];
+
+  if (!route) {
+    const allowed = Object.keys(ROUTES)
+      .filter((key) => key.endsWith(` ${pathname}`))
+      .map((key) => key.split(' ')[0]);
+
+    if (allowed.length > 0) {
+      sendJson(response, 405, { error: `Method ${request.method} not allowed` }, { Allow: allowed.join(', ') });
+    } else {
+      sendJson(response, 404, { error: `Not found: ${pathname}` });
+    }
+    return;
+  }
+
+  if (TOKEN_REQUIRED_ROUTES.has(routeKey) && !options.token) {
+    sendJson(response, 403, { error: 'Set CONTROL_API_TOKEN to approve or reject changes through the control API' });
+    return;
+  }
+
+  // Probes and status stay open; actions need the token when one is configured
+  if (request.method === 'POST' && options.token && !isAuthorized(request, options.token)) {
+    sendJson(response, 401, { error: 'Missing or invalid bearer token' });
+    return;
+  }
+
+  if (request.method === 'POST' && !isJsonRequest(request)) {
+    sendJson(response, 415, { error: 'POST requests must have Content-Type: application/json' });
+    return;
+  }
+
+  const body = request.method === 'POST' ? await readJsonBody(request) : null;
+  const result = await route(handlers, body, request);
+  if (result.text !== undefined) {
+    response.writeHead(result.status, { 'Content-Type': result.contentType });
+    response.end(result.text);
+  } else {
+    sendJson(response, result.status, result.body);
+  }
+}
+
+/**
+ * Create the control API server (not yet listening)
+ * @param {Object} handlers - Syncer callbacks
+ * @param {Function} handlers.isReady - Returns true once the watcher is ready
+ * @param {Function} handlers.getStatus - Returns the status document
+ * @param {Function} handlers.getMetrics - Returns the metrics in the Prometheus text format
+ * @param {Function} handlers.reupload - Starts a forced re-upload of a file; resolves to its full path, or null if there is no such file
+ * @param {Function} handlers.pause - Pauses watching; returns extra response fields
+ * @param {Function} handlers.resume - Resumes watching; returns extra response fields
+ * @param {Function} handlers.retry - Starts replaying the failed upload queue
+ * @param {Function} handlers.listPending - Returns the changes waiting for approval
+ * @param {Function} handlers.approve - Approves a pending change and starts its upload; resolves to the change
+ * @param {Function} handlers.reject - Rejects a pending change; returns the change
+ * @param {Function} handlers.pull - Starts pulling the BAR files from the App Connect instances
+ * @param {Object} [options] - Server options
+ * @param {string} [options.token] - Bearer token required for POST requests; without it, approvals and rejections are refused
+ * @param {string} [options.host] - Address or name the server is bound to, accepted in the Host header besides
+ *   localhost and IP addresses
+ * @returns {http.Server} HTTP server
+ */
+export function createControlServer(handlers, options = {}) {
+  return http.createServer((request, response) => {
+    handleRequest(handlers, options, request, response).catch((error) => {
+      sendJson(response, error.status || 500, { error: error.message });
+    });
+  });
+}
+
+/**
+ * Start the control API
+ * @param {Object} handlers - Syncer callbacks, as for createControlServer
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Address to bind
+ * @param {string} [options.token] - Bearer token required for POST requests
+ * @returns {Promise<http.Server>} Listening server
+ */
+export function startControlServer(handlers, { port, host = '127.0.0.1', token } = {}) {
+  const server = createControlServer(handlers, { token, host });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,227 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import { startControlServer } from './control-server.js';
+import { ApprovalError } from './pending-changes.js';
+
+const JSON_HEADERS = { 'content-type': 'application/json' };
+
+describe('Control API server', () => {
+  let server;
+  let baseUrl;
+  let handlers;
+  
+  const start = async (options = {}) => {
+    server = await startControlServer(handlers, { port: 0, ...options });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+  
+  beforeEach(() => {
+    handlers = {
+      isReady: jest.fn().mockReturnValue(true),
+      getStatus: jest.fn().mockReturnValue({ paused: false, watchedPaths: ['/bars'] }),
+      getMetrics: jest.fn().mockReturnValue('# HELP up Up\n# TYPE up gauge\nup 1\n'),
+      reupload: jest.fn().mockResolvedValue('/bars/order.bar'),
+      pause: jest.fn().mockReturnValue({ pendingChanges: 0 }),
+      resume: jest.fn().mockReturnValue({ replayed: 2 }),
+      retry: jest.fn(),
+      listPending: jest.fn().mockReturnValue([{ fileName: 'order.bar', target: 'prod', hash: 'abc' }]),
+      approve: jest.fn().mockResolvedValue({ fileName: 'order.bar', target: 'prod', hash: 'abc' }),
+      reject: jest.fn().mockReturnValue({ fileName: 'order.bar', target: 'prod', hash: 'abc' }),
+      pull: jest.fn()
+    };
+  });
+  
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+  
+  it('should answer health and readiness probes', async () => {
+    await start();
+    
+    const health = await fetch(`${baseUrl}/health`);
+    expect(health.status).toBe(200);
+    await expect(health.json()).resolves.toEqual({ status: 'ok' });
+    
+    handlers.isReady.mockReturnValue(false);
+    const ready = await fetch(`${baseUrl}/ready`);
+    expect(ready.status).toBe(503);
+    await expect(ready.json()).resolves.toEqual({ ready: false });
+  });
+  
+  it('should return the status document', async () => {
+    await start();
+    
+    const response = await fetch(`${baseUrl}/status`);
+    
+    await expect(response.json()).resolves.toEqual({ paused: false, watchedPaths: ['/bars'] });
+  });
+  
+  it('should serve metrics in the Prometheus text format', async () => {
+    await start();
+    
+    const response = await fetch(`${baseUrl}/metrics`);
+    
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    await expect(response.text()).resolves.toBe('# HELP up Up\n# TYPE up gauge\nup 1\n');
+  });
+  
+  it('should start re-uploads and report unknown files', async () => {
+    await start();
+    const post = (body) => fetch(`${baseUrl}/reupload`, { method: 'POST', headers: JSON_HEADERS, body });
+    
+    const accepted = await post(JSON.stringify({ file: 'order.bar' }));
+    expect(accepted.status).toBe(202);
+    await expect(accepted.json()).resolves.toEqual({ accepted: true, file: '/bars/order.bar' });
+    expect(handlers.reupload).toHaveBeenCalledWith('order.bar');
+    
+    handlers.reupload.mockResolvedValue(null);
+    expect((await post(JSON.stringify({ file: 'missing.bar' }))).status).toBe(404);
+    expect((await post('')).status).toBe(400);
+    expect((await post('{not json')).status).toBe(400);
+  });
+  
+  it('should pause, resume and replay failed uploads', async () => {
+    await start();
+    
+    const paused = await fetch(`${baseUrl}/pause`, { method: 'POST', headers: JSON_HEADERS });
+    await expect(paused.json()).resolves.toEqual({ paused: true, pendingChanges: 0 });
+    
+    const resumed = await fetch(`${baseUrl}/resume`, { method: 'POST', headers: JSON_HEADERS });
+    await expect(resumed.json()).resolves.toEqual({ paused: false, replayed: 2 });
+    
+    const retry = await fetch(`${baseUrl}/retry`, { method: 'POST', headers: JSON_HEADERS });
+    expect(retry.status).toBe(202);
+    expect(handlers.retry).toHaveBeenCalled();
+  });
+  
+  it('should start a pull from the instance', async () => {
+    await start();
+    
+    const pull = await fetch(`${baseUrl}/pull`, { method: 'POST', headers: JSON_HEADERS });
+    
+    expect(pull.status).toBe(202);
+    await expect(pull.json()).resolves.toEqual({ accepted: true });
+    expect(handlers.pull).toHaveBeenCalled();
+  });
+  
+  it('should list, approve and reject pending changes', async () => {
+    await start({ token: 'control-token' });
+    const post = (route, body) => fetch(`${baseUrl}${route}`, {
+      method: 'POST',
+      headers: { ...JSON_HEADERS, authorization: 'Bearer control-token' },
+      body: JSON.stringify(body)
+    });
+    
+    const pending = await fetch(`${baseUrl}/pending`);
+    await expect(pending.json()).resolves.toEqual({ pending: [{ fileName: 'order.bar', target: 'prod', hash: 'abc' }] });
+    
+    // The caller cannot choose the name in the audit log
+    const approved = await post('/approve', { file: 'order.bar', target: 'prod', by: 'alex' });
+    expect(approved.status).toBe(202);
+    await expect(approved.json()).resolves.toEqual({ approved: true, change: { fileName: 'order.bar', target: 'prod', hash: 'abc' } });
+    expect(handlers.approve).toHaveBeenCalledWith({ file: 'order.bar', target: 'prod', by: 'control API (127.0.0.1)', reason: undefined });
+    
+    const rejected = await post('/reject', { file: 'order.bar', reason: 'Not yet' });
+    expect(rejected.status).toBe(200);
+    expect(handlers.reject).toHaveBeenCalledWith({ file: 'order.bar', target: undefined, by: 'control API (127.0.0.1)', reason: 'Not yet' });
+    
+    expect((await post('/approve', {})).status).toBe(400);
+  });
+  
+  it('should refuse approvals and rejections when no token is configured', async () => {
+    await start();
+    const post = (route) => fetch(`${baseUrl}${route}`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ file: 'order.bar' }) });
+    
+    const approved = await post('/approve');
+    expect(approved.status).toBe(403);
+    await expect(approved.json()).resolves.toEqual({ error: 'Set CONTROL_API_TOKEN to approve or reject changes through the control API' });
+    expect((await post('/reject')).status).toBe(403);
+    expect(handlers.approve).not.toHaveBeenCalled();
+    expect(handlers.reject).not.toHaveBeenCalled();
+  });
+  
+  it('should report changes that cannot be approved', async () => {
+    await start({ token: 'control-token' });
+    const post = (body) => fetch(`${baseUrl}/approve`, {
+      method: 'POST',
+      headers: { ...JSON_HEADERS, authorization: 'Bearer control-token' },
+      body: JSON.stringify(body)
+    });
+    
+    handlers.approve.mockRejectedValue(new ApprovalError('No change to missing.bar is waiting for approval', 'not-found'));
+    const missing = await post({ file: 'missing.bar' });
+    expect(missing.status).toBe(404);
+    await expect(missing.json()).resolves.toEqual({ error: 'No change to missing.bar is waiting for approval' });
+    
+    handlers.approve.mockRejectedValue(new ApprovalError('order.bar has changed since it was queued for approval', 'changed'));
+    expect((await post({ file: 'order.bar' })).status).toBe(409);
+  });
+  
+  it('should reject unknown paths and methods', async () => {
+    await start();
+    
+    expect((await fetch(`${baseUrl}/nope`)).status).toBe(404);
+    
+    const wrongMethod = await fetch(`${baseUrl}/pause`);
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('allow')).toBe('POST');
+  });
+  
+  it('should require the token for actions but not for probes', async () => {
+    await start({ token: 'control-token' });
+    
+    expect((await fetch(`${baseUrl}/health`)).status).toBe(200);
+    expect((await fetch(`${baseUrl}/pause`, { method: 'POST', headers: JSON_HEADERS })).status).toBe(401);
+    expect(handlers.pause).not.toHaveBeenCalled();
+    
+    const authorized = await fetch(`${baseUrl}/pause`, {
+      method: 'POST',
+      headers: { ...JSON_HEADERS, authorization: 'Bearer control-token' }
+    });
+    expect(authorized.status).toBe(200);
+  });
+  
+  it('should refuse actions not sent as JSON, which a web page could send without a preflight', async () => {
+    await start();
+    
+    const plainText = await fetch(`${baseUrl}/pause`, { method: 'POST', headers: { 'content-type': 'text/plain' }, body: '{}' });
+    expect(plainText.status).toBe(415);
+    await expect(plainText.json()).resolves.toEqual({ error: 'POST requests must have Content-Type: application/json' });
+    expect((await fetch(`${baseUrl}/pull`, { method: 'POST' })).status).toBe(415);
+    expect(handlers.pause).not.toHaveBeenCalled();
+    expect(handlers.pull).not.toHaveBeenCalled();
+    
+    const json = await fetch(`${baseUrl}/pause`, { method: 'POST', headers: { 'content-type': 'application/json; charset=utf-8' } });
+    expect(json.status).toBe(200);
+  });
+  
+  it('should refuse requests addressed to another host name, as after DNS rebinding', async () => {
+    await start({ host: '127.0.0.1' });
+    const get = (host) => new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/status`, { headers: { host } }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }).on('error', reject);
+    });
+    
+    expect(await get('attacker.example:9464')).toBe(403);
+    expect(await get(`localhost:${server.address().port}`)).toBe(200);
+    expect(await get(`127.0.0.1:${server.address().port}`)).toBe(200);
+    expect(await get(`[::1]:${server.address().port}`)).toBe(200);
+    expect(handlers.getStatus).toHaveBeenCalledTimes(3);
+  });
+  
+  it('should report handler errors as 500 responses', async () => {
+    handlers.getStatus.mockImplementation(() => {
+      throw new Error('state file unreadable');
+    });
+    await start();
+    
+    const response = await fetch(`${baseUrl}/status`);
+    
+    expect(response.status).toBe(500);
+    await expect(response.json()).resolves.toEqual({ error: 'state file unreadable' });
+  });
+});
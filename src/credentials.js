@@ -0,0 +1,373 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { exec, execSync } from 'child_process';
+
+/**
+ * Credential sources, so secrets need not sit in a plaintext .env file. Each
+ * credential can come from a file (e.g. a mounted Docker or Kubernetes secret), the
+ * output of a command (e.g. a password manager CLI), an encrypted credentials file
+ * unlocked by a passphrase, or, as a last resort, a plain value.
+ *
+ * Errors name the setting and where it was read from, never the secret itself.
+ */
+
+/**
+ * Target settings that can be read from a credential source, and their environment variables
+ */
+export const CREDENTIAL_SETTINGS = {
+  clientId: 'CLIENT_ID',
+  clientSecret: 'CLIENT_SECRET',
+  apiKey: 'API_KEY'
+};
+
+const CREDENTIALS_FORMAT = 'bar-sync-credentials';
+
+// scrypt cost parameters; N=2^15 takes about 100ms and 32 MB
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Error for a credential that cannot be read
+ */
+export class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+/**
+ * Read a secret from a file, dropping the trailing newline most editors and `echo` add
+ * @param {string} file - Path to the file
+ * @param {string} label - Setting name for error messages
+ * @returns {string} Secret
+ * @throws {CredentialError} If the file cannot be read or is empty
+ */
+export function readSecretFile(file, label) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new CredentialError(`${label} file ${file} cannot be read (${error.code || error.message})`);
+  }
+
+  const secret = content.replace(/\r?\n$/, '');
+  if (secret === '') {
+    throw new CredentialError(`${label} file ${file} is empty`);
+  }
+
+  return secret;
+}
+
+/**
+ * Read a secret from the standard output of a shell command
+ * @param {string} command - Command to run
+ * @param {string} label - Setting name for error messages
+ * @returns {string} Secret (stdout without its trailing newline)
+ * @throws {CredentialError} If the command fails or prints nothing. Its output is not included.
+ */
+export function runSecretCommand(command, label) {
+  let output;
+  try {
+    output = execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: COMMAND_TIMEOUT_MS });
+  } catch (error) {
+    const reason = error.code === 'ETIMEDOUT' || error.signal ? 'timed out or was killed' : `exited with code ${error.status}`;
+    throw new CredentialError(`${label} command ${reason}`);
+  }
+
+  return readCommandOutput(output, label);
+}
+
+/**
+ * Read a secret from the standard output of a shell command without blocking the event loop,
+ * for a running watcher
+ * @param {string} command - Command to run
+ * @param {string} label - Setting name for error messages
+ * @returns {Promise<string>} Secret (stdout without its trailing newline)
+ * @throws {CredentialError} If the command fails or prints nothing. Its output is not included.
+ */
+export function runSecretCommandAsync(command, label) {
+  return new Promise((resolve, reject) => {
+    const child = exec(command, { encoding: 'utf8', timeout: COMMAND_TIMEOUT_MS }, (error, output) => {
+      if (error) {
+        const reason = error.killed || error.signal ? 'timed out or was killed' : `exited with code ${error.code}`;
+        reject(new CredentialError(`${label} command ${reason}`));
+        return;
+      }
+
+      try {
+        resolve(readCommandOutput(output, label));
+      } catch (outputError) {
+        reject(outputError);
+      }
+    });
+    child.stdin.end();
+  });
+}
+
+/**
+ * Take the secret from a command's output
+ * @param {string} output - Standard output
+ * @param {string} label - Setting name for error messages
+ * @returns {string} Output without its trailing newline
+ * @throws {CredentialError} If the command printed nothing
+ */
+function readCommandOutput(output, label) {
+  const secret = output.replace(/\r?\n$/, '');
+  if (secret === '') {
+    throw new CredentialError(`${label} command printed nothing`);
+  }
+
+  return secret;
+}
+
+/**
+ * Derive the encryption key for a credentials file
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Random salt stored in the file
+ * @param {Object} params - scrypt parameters
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(passphrase, salt, params) {
+  return crypto.scryptSync(passphrase, salt, 32, { ...params, maxmem: 128 * params.N * params.r * 2 });
+}
+
+/**
+ * Encrypt credentials with a passphrase (scrypt key derivation, AES-256-GCM)
+ * @param {Object} credentials - Credentials: CLIENT_ID, CLIENT_SECRET and API_KEY, and optionally
+ *   "targets" mapping target names to their clientId, clientSecret and apiKey
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Encrypted credentials document, ready to be written as JSON
+ */
+export function encryptCredentials(credentials, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+  return {
+    format: CREDENTIALS_FORMAT,
+    version: 1,
+    kdf: { name: 'scrypt', ...SCRYPT_PARAMS, salt: salt.toString('base64') },
+    cipher: 'aes-256-gcm',
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an encrypted credentials document
+ * @param {Object} document - Document created by encryptCredentials
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Credentials
+ * @throws {CredentialError} If the document is not a credentials file, or the passphrase is wrong
+ */
+export function decryptCredentials(document, passphrase) {
+  if (!document || document.format !== CREDENTIALS_FORMAT || document.version !== 1) {
+    throw new CredentialError('not a bar-sync credentials file');
+  }
+
+  const { N, r, p, salt } = document.kdf;
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p }),
+    Buffer.from(document.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(document.tag, 'base64'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(document.data, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new CredentialError('wrong passphrase, or the file has been modified');
+  }
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Resolve one credential from its possible sources, in order of precedence:
+ * file, command, encrypted credentials file, plain value
+ * @param {Object} sources - Possible sources
+ * @param {string} [sources.file] - Path to a file containing the secret
+ * @param {string} [sources.command] - Command that prints the secret
+ * @param {string} [sources.stored] - Value from the encrypted credentials file
+ * @param {string} [sources.value] - Plain value
+ * @param {string} label - Setting name for error messages
+ * @param {Function} [runCommand=runSecretCommand] - Runs a command, as runSecretCommand does
+ * @returns {{value: string|undefined, source: string|null}} Secret and a description of where it came from
+ * @throws {CredentialError} If the chosen source fails
+ */
+export function resolveSecret({ file, command, stored, value }, label, runCommand = runSecretCommand) {
+  if (file) {
+    return { value: readSecretFile(file, label), source: `file ${file}` };
+  }
+
+  if (command) {
+    return { value: runCommand(command, label), source: 'command' };
+  }
+
+  if (stored) {
+    return { value: stored, source: 'encrypted credentials file' };
+  }
+
+  return { value: value || undefined, source: value ? 'plain value' : null };
+}
+
+/**
+ * Get the passphrase for the encrypted credentials file from CREDENTIALS_PASSPHRASE,
+ * CREDENTIALS_PASSPHRASE_FILE or CREDENTIALS_PASSPHRASE_COMMAND
+ * @param {Object} env - Environment variables
+ * @param {Function} [runCommand] - Runs a command, as runSecretCommand does
+ * @returns {string} Passphrase
+ * @throws {CredentialError} If no passphrase is configured or its source fails
+ */
+export function resolvePassphrase(env, runCommand) {
+  const { value } = resolveSecret({
+    file: env.CREDENTIALS_PASSPHRASE_FILE,
+    command: env.CREDENTIALS_PASSPHRASE_COMMAND,
+    value: env.CREDENTIALS_PASSPHRASE
+  }, 'CREDENTIALS_PASSPHRASE', runCommand);
+
+  if (!value) {
+    throw new CredentialError('CREDENTIALS_FILE needs a passphrase: set CREDENTIALS_PASSPHRASE, CREDENTIALS_PASSPHRASE_FILE or CREDENTIALS_PASSPHRASE_COMMAND');
+  }
+
+  return value;
+}
+
+/**
+ * Read and decrypt the encrypted credentials file
+ * @param {string} file - Path to the file
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Credentials
+ * @throws {CredentialError} If the file cannot be read or decrypted
+ */
+export function readCredentialsFile(file, passphrase) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CredentialError(`Cannot read credentials file ${file} (${error.code || 'not valid JSON'})`);
+  }
+
+  try {
+    return decryptCredentials(document, passphrase);
+  } catch (error) {
+    throw new CredentialError(`Cannot decrypt credentials file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Encrypt a plaintext JSON credentials file
+ * @param {string} inputFile - Plaintext JSON credentials
+ * @param {string} outputFile - Encrypted file to write
+ * @param {string} passphrase - Passphrase
+ * @returns {string[]} Names of the credentials written (never their values)
+ * @throws {CredentialError} If the input is not a JSON object
+ */
+export function writeCredentialsFile(inputFile, outputFile, passphrase) {
+  let credentials;
+  try {
+    credentials = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  } catch (error) {
+    // JSON.parse errors quote the text around the problem, which could be a secret
+    throw new CredentialError(`Cannot read ${inputFile} (${error.code || 'not valid JSON'})`);
+  }
+
+  if (!credentials || typeof credentials !== 'object' || Array.isArray(credentials)) {
+    throw new CredentialError(`${inputFile} must contain a JSON object`);
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(encryptCredentials(credentials, passphrase), null, 2), { mode: 0o600 });
+
+  const targetNames = Object.keys(credentials.targets || {}).map((name) => `targets.${name}`);
+  return [...Object.keys(credentials).filter((key) => key !== 'targets'), ...targetNames];
+}
+
+/**
+ * Resolve the credentials set through environment variables: for each of CLIENT_ID,
+ * CLIENT_SECRET and API_KEY, <NAME>_FILE, then <NAME>_COMMAND, then the encrypted
+ * CREDENTIALS_FILE, then <NAME> itself
+ * @param {Object} env - Environment variables
+ * @param {Function} [runCommand] - Runs a command, as runSecretCommand does
+ * @returns {{values: Object, sources: Object, store: Object}} Credentials by target setting name,
+ *   where each came from by variable name, and the decrypted credentials file (empty if there is none)
+ * @throws {CredentialError} Listing every credential that could not be read, one per line
+ */
+export function resolveEnvCredentials(env, runCommand) {
+  const problems = [];
+  let store = {};
+
+  if (env.CREDENTIALS_FILE) {
+    try {
+      store = readCredentialsFile(env.CREDENTIALS_FILE, resolvePassphrase(env, runCommand));
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  const values = {};
+  const sources = {};
+
+  for (const [setting, name] of Object.entries(CREDENTIAL_SETTINGS)) {
+    try {
+      const resolved = resolveSecret({
+        file: env[`${name}_FILE`],
+        command: env[`${name}_COMMAND`],
+        stored: store[name],
+        value: env[name]
+      }, name, runCommand);
+      values[setting] = resolved.value;
+      sources[name] = resolved.source;
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new CredentialError(problems.join('\n'));
+  }
+
+  return { values, sources, store };
+}
+
+/**
+ * Resolve a config file target's credentials in place: <setting>File, then
+ * <setting>Command, then the target's entry in the encrypted credentials file, then
+ * the plain (or inherited) setting
+ * @param {Object} target - Target with its settings merged
+ * @param {Object} options - Resolution options
+ * @param {string} options.baseDirectory - Directory relative secret file paths are resolved against
+ * @param {Object} [options.store={}] - Decrypted credentials file
+ * @param {Function} [options.runCommand] - Runs a command, as runSecretCommand does
+ * @returns {string[]} Problems found
+ */
+export function resolveTargetCredentials(target, { baseDirectory, store = {}, runCommand }) {
+  const problems = [];
+  const stored = (store.targets && store.targets[target.name]) || {};
+
+  for (const setting of Object.keys(CREDENTIAL_SETTINGS)) {
+    const file = target[`${setting}File`];
+
+    try {
+      target[setting] = resolveSecret({
+        file: file ? path.resolve(baseDirectory, file) : undefined,
+        command: target[`${setting}Command`],
+        stored: stored[setting],
+        value: target[setting]
+      }, setting, runCommand).value;
+    } catch (error) {
+      problems.push(error.message);
+    }
+
+    delete target[`${setting}File`];
+    delete target[`${setting}Command`];
+  }
+
+  return problems;
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CredentialError,
+  readSecretFile,
+  runSecretCommand,
+  runSecretCommandAsync,
+  encryptCredentials,
+  decryptCredentials,
+  writeCredentialsFile,
+  resolveEnvCredentials,
+  resolveTargetCredentials
+} from './credentials.js';
+
+describe('Credentials', () => {
+  let tempDir;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-credentials-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  describe('readSecretFile', () => {
+    it('should drop the trailing newline', () => {
+      const file = path.join(tempDir, 'client_secret');
+      fs.writeFileSync(file, 'mounted-secret\n');
+      
+      expect(readSecretFile(file, 'CLIENT_SECRET')).toBe('mounted-secret');
+    });
+    
+    it('should report missing and empty files', () => {
+      const file = path.join(tempDir, 'api_key');
+      
+      expect(() => readSecretFile(file, 'API_KEY')).toThrow(`API_KEY file ${file} cannot be read (ENOENT)`);
+      fs.writeFileSync(file, '\n');
+      expect(() => readSecretFile(file, 'API_KEY')).toThrow(`API_KEY file ${file} is empty`);
+    });
+  });
+  
+  describe('runSecretCommand', () => {
+    it('should use the command output', () => {
+      expect(runSecretCommand('echo from-the-vault', 'CLIENT_SECRET')).toBe('from-the-vault');
+    });
+    
+    it('should not include the command output in errors', () => {
+      let error;
+      try {
+        runSecretCommand('echo leaked-secret; echo leaked-secret >&2; exit 3', 'CLIENT_SECRET');
+      } catch (caught) {
+        error = caught;
+      }
+      
+      expect(error).toBeInstanceOf(CredentialError);
+      expect(error.message).toBe('CLIENT_SECRET command exited with code 3');
+      expect(() => runSecretCommand('true', 'API_KEY')).toThrow('API_KEY command printed nothing');
+    });
+    
+    it('should run the command in the background and report failures the same way', async () => {
+      await expect(runSecretCommandAsync('echo from-the-vault', 'CLIENT_SECRET')).resolves.toBe('from-the-vault');
+      await expect(runSecretCommandAsync('echo leaked-secret; exit 3', 'CLIENT_SECRET')).rejects.toThrow(new CredentialError('CLIENT_SECRET command exited with code 3'));
+      await expect(runSecretCommandAsync('true', 'API_KEY')).rejects.toThrow('API_KEY command printed nothing');
+    });
+  });
+  
+  describe('encrypted credentials', () => {
+    it('should round-trip credentials without storing them in plain text', () => {
+      const credentials = { CLIENT_SECRET: 'top-secret', targets: { prod: { apiKey: 'prod-key' } } };
+      const document = encryptCredentials(credentials, 'correct horse');
+      
+      expect(JSON.stringify(document)).not.toContain('top-secret');
+      expect(decryptCredentials(document, 'correct horse')).toEqual(credentials);
+    });
+    
+    it('should reject a wrong passphrase and tampered files', () => {
+      const document = encryptCredentials({ API_KEY: 'key' }, 'correct horse');
+      
+      expect(() => decryptCredentials(document, 'wrong')).toThrow('wrong passphrase, or the file has been modified');
+      expect(() => decryptCredentials({ ...document, data: Buffer.from('tampered').toString('base64') }, 'correct horse'))
+        .toThrow('wrong passphrase, or the file has been modified');
+      expect(() => decryptCredentials({ CLIENT_SECRET: 'plain' }, 'correct horse')).toThrow('not a bar-sync credentials file');
+    });
+    
+    it('should encrypt a plaintext file and list what it wrote', () => {
+      const input = path.join(tempDir, 'credentials.json');
+      const output = path.join(tempDir, 'state', 'credentials.enc.json');
+      fs.writeFileSync(input, JSON.stringify({ CLIENT_ID: 'id', API_KEY: 'key', targets: { prod: { clientSecret: 's' } } }));
+      
+      expect(writeCredentialsFile(input, output, 'passphrase')).toEqual(['CLIENT_ID', 'API_KEY', 'targets.prod']);
+      expect(decryptCredentials(JSON.parse(fs.readFileSync(output, 'utf8')), 'passphrase').API_KEY).toBe('key');
+    });
+  });
+  
+  describe('resolveEnvCredentials', () => {
+    it('should prefer files, then commands, then the credentials file, then plain values', () => {
+      const secretFile = path.join(tempDir, 'client_secret');
+      const credentialsFile = path.join(tempDir, 'credentials.enc.json');
+      fs.writeFileSync(secretFile, 'secret-from-file\n');
+      fs.writeFileSync(credentialsFile, JSON.stringify(encryptCredentials({ CLIENT_SECRET: 'stored', CLIENT_ID: 'stored-id' }, 'pass')));
+      
+      const resolved = resolveEnvCredentials({
+        CLIENT_ID: 'plain-id',
+        CLIENT_SECRET: 'plain-secret',
+        CLIENT_SECRET_FILE: secretFile,
+        API_KEY_COMMAND: 'echo key-from-command',
+        CREDENTIALS_FILE: credentialsFile,
+        CREDENTIALS_PASSPHRASE: 'pass'
+      });
+      
+      expect(resolved.values).toEqual({ clientId: 'stored-id', clientSecret: 'secret-from-file', apiKey: 'key-from-command' });
+      expect(resolved.sources).toEqual({
+        CLIENT_ID: 'encrypted credentials file',
+        CLIENT_SECRET: `file ${secretFile}`,
+        API_KEY: 'command'
+      });
+      expect(resolveEnvCredentials({ API_KEY: 'plain-key' }).sources).toEqual({ CLIENT_ID: null, CLIENT_SECRET: null, API_KEY: 'plain value' });
+    });
+    
+    it('should report every problem without the secrets', () => {
+      const credentialsFile = path.join(tempDir, 'credentials.enc.json');
+      fs.writeFileSync(credentialsFile, JSON.stringify(encryptCredentials({ CLIENT_SECRET: 'stored' }, 'pass')));
+      
+      expect(() => resolveEnvCredentials({
+        CREDENTIALS_FILE: credentialsFile,
+        CREDENTIALS_PASSPHRASE: 'not-the-passphrase',
+        API_KEY_COMMAND: 'exit 1'
+      })).toThrow([
+        `Cannot decrypt credentials file ${credentialsFile}: wrong passphrase, or the file has been modified`,
+        'API_KEY command exited with code 1'
+      ].join('\n'));
+      expect(() => resolveEnvCredentials({ CREDENTIALS_FILE: credentialsFile }))
+        .toThrow('CREDENTIALS_FILE needs a passphrase');
+    });
+  });
+  
+  describe('resolveTargetCredentials', () => {
+    it('should resolve relative secret files and drop the source settings', () => {
+      fs.writeFileSync(path.join(tempDir, 'prod-key'), 'prod-api-key');
+      const target = { name: 'prod', clientId: 'id', apiKeyFile: 'prod-key', clientSecretCommand: 'echo prod-secret' };
+      
+      expect(resolveTargetCredentials(target, { baseDirectory: tempDir })).toEqual([]);
+      expect(target).toEqual({ name: 'prod', clientId: 'id', clientSecret: 'prod-secret', apiKey: 'prod-api-key' });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Persistent queue of uploads that failed after all retries.
+ *
+ * The queue is a JSON array stored on disk with one entry per key (a file and the
+ * target it was going to), so a file that fails repeatedly only appears once, with
+ * its latest error.
+ */
+
+/**
+ * Read all entries from the failed upload queue
+ * @param {string} queueFile - Path to the queue file
+ * @param {Object} [fileSystem=fs] - File system module to read the queue with
+ * @returns {Array<Object>} Queued entries, oldest first
+ */
+export function readDeadLetters(queueFile, fileSystem = fs) {
+  if (!fileSystem.existsSync(queueFile)) {
+    return [];
+  }
+  
+  const content = fileSystem.readFileSync(queueFile, 'utf8');
+  if (!content.trim()) {
+    return [];
+  }
+  
+  const entries = JSON.parse(content);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Failed upload queue is not a JSON array: ${queueFile}`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Write entries to the failed upload queue, replacing its contents
+ * @param {string} queueFile - Path to the queue file
+ * @param {Array<Object>} entries - Entries to store
+ * @param {Object} [fileSystem=fs] - File system module to write the queue with
+ */
+function writeDeadLetters(queueFile, entries, fileSystem = fs) {
+  fileSystem.mkdirSync(path.dirname(queueFile), { recursive: true });
+  
+  // Write to a temporary file first so a crash never leaves a half-written queue
+  const tempFile = `${queueFile}.tmp`;
+  fileSystem.writeFileSync(tempFile, JSON.stringify(entries, null, 2));
+  fileSystem.renameSync(tempFile, queueFile);
+}
+
+/**
+ * Add (or replace) an entry in the failed upload queue
+ * @param {string} queueFile - Path to the queue file
+ * @param {Object} entry - Entry to store; must have a key
+ * @param {Object} [fileSystem=fs] - File system module to update the queue with
+ * @returns {Array<Object>} Updated queue entries
+ */
+export function addDeadLetter(queueFile, entry, fileSystem = fs) {
+  const entries = readDeadLetters(queueFile, fileSystem).filter((existing) => existing.key !== entry.key);
+  entries.push(entry);
+  writeDeadLetters(queueFile, entries, fileSystem);
+  return entries;
+}
+
+/**
+ * Remove an entry from the failed upload queue
+ * @param {string} queueFile - Path to the queue file
+ * @param {string} key - Key of the entry to remove
+ * @param {Object} [fileSystem=fs] - File system module to update the queue with
+ * @returns {boolean} True if an entry was removed
+ */
+export function removeDeadLetter(queueFile, key, fileSystem = fs) {
+  const entries = readDeadLetters(queueFile, fileSystem);
+  const remaining = entries.filter((entry) => entry.key !== key);
+  
+  if (remaining.length === entries.length) {
+    return false;
+  }
+  
+  writeDeadLetters(queueFile, remaining, fileSystem);
+  return true;
+}
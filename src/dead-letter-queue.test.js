@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readDeadLetters, addDeadLetter, removeDeadLetter } from './dead-letter-queue.js';
+
+describe('Failed upload queue', () => {
+  let tempDir;
+  let queueFile;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-dlq-'));
+    queueFile = path.join(tempDir, 'state', 'failed-uploads.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  it('should return an empty queue when the file does not exist', () => {
+    expect(readDeadLetters(queueFile)).toEqual([]);
+  });
+  
+  it('should persist entries and create the state directory', () => {
+    addDeadLetter(queueFile, { key: 'default:/bars/a.bar', error: '503 Service Unavailable' });
+    
+    expect(fs.existsSync(queueFile)).toBe(true);
+    expect(readDeadLetters(queueFile)).toEqual([
+      { key: 'default:/bars/a.bar', error: '503 Service Unavailable' }
+    ]);
+  });
+  
+  it('should keep a single entry per key with the latest error', () => {
+    addDeadLetter(queueFile, { key: 'default:/bars/a.bar', error: 'first' });
+    addDeadLetter(queueFile, { key: 'prod:/bars/a.bar', error: 'other' });
+    addDeadLetter(queueFile, { key: 'default:/bars/a.bar', error: 'second' });
+    
+    expect(readDeadLetters(queueFile)).toEqual([
+      { key: 'prod:/bars/a.bar', error: 'other' },
+      { key: 'default:/bars/a.bar', error: 'second' }
+    ]);
+  });
+  
+  it('should remove entries by key', () => {
+    addDeadLetter(queueFile, { key: 'default:/bars/a.bar' });
+    
+    expect(removeDeadLetter(queueFile, 'default:/bars/a.bar')).toBe(true);
+    expect(removeDeadLetter(queueFile, 'default:/bars/a.bar')).toBe(false);
+    expect(readDeadLetters(queueFile)).toEqual([]);
+  });
+});
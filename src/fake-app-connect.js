@@ -0,0 +1,262 @@
+import http from 'http';
+
+/**
+ * In-process fake of the App Connect API: tokens, BAR files and integration
+ * runtimes, kept in memory. It checks credentials and bearer tokens like the
+ * real API, so the syncer's token, upload, 401 and retry flows can be tested
+ * end to end without the network. Tests can revoke tokens and make the next
+ * requests to a route fail.
+ */
+
+/**
+ * Routes, keyed by "METHOD path" with ":name" standing for a path segment.
+ * Each handler returns the response status, an optional JSON body (or raw bytes) and optional headers.
+ */
+const ROUTES = {
+  'POST /api/v1/tokens': (fake, { request, body }) => {
+    const json = parseJson(body);
+    const { credentials } = fake;
+
+    if (request.headers['x-ibm-client-id'] !== credentials.clientId ||
+        request.headers['x-ibm-client-secret'] !== credentials.clientSecret ||
+        request.headers['x-ibm-instance-id'] !== credentials.instanceId ||
+        !json || json.apiKey !== credentials.apiKey) {
+      return { status: 401, body: { error: 'Invalid client credentials or API key' } };
+    }
+
+    const token = `fake-token-${++fake.state.tokensIssued}`;
+    fake.state.tokens.add(token);
+    return { status: 200, body: { access_token: token, token_type: 'Bearer', expires_in: fake.tokenLifetimeSeconds } };
+  },
+
+  'GET /api/v1/bar-files': (fake) => ({
+    status: 200,
+    body: [...fake.state.barFiles.keys()].map((name) => ({ name, url: fake.barFileUrl(name) }))
+  }),
+
+  'GET /api/v1/bar-files/:name': (fake, { name }) => {
+    const barFile = fake.state.barFiles.get(name);
+    return barFile
+      ? { status: 200, raw: barFile.content }
+      : { status: 404, body: { error: `No BAR file named ${name}` } };
+  },
+
+  'PUT /api/v1/bar-files/:name': (fake, { name, body }) => {
+    const content = readUploadedFile(body);
+    fake.state.barFiles.set(name, { content, size: content.length, uploadedAt: new Date().toISOString() });
+    return { status: 200, body: { name, url: fake.barFileUrl(name) } };
+  },
+
+  'DELETE /api/v1/bar-files/:name': (fake, { name }) => {
+    if (!fake.state.barFiles.delete(name)) {
+      return { status: 404, body: { error: `No BAR file named ${name}` } };
+    }
+    return { status: 204 };
+  },
+
+  'POST /api/v1/integration-runtimes': (fake, { body }) => {
+    const json = parseJson(body);
+    if (!json || !json.name) {
+      return { status: 400, body: { error: 'Request body must be JSON with a "name"' } };
+    }
+    if (fake.state.runtimes.has(json.name)) {
+      return { status: 409, body: { error: `Integration runtime ${json.name} already exists` } };
+    }
+
+    const runtime = { name: json.name, spec: json.spec || {}, status: { phase: fake.runtimePhase } };
+    fake.state.runtimes.set(json.name, runtime);
+    return { status: 201, body: runtime };
+  },
+
+  'GET /api/v1/integration-runtimes/:name': (fake, { name }) => {
+    const runtime = fake.state.runtimes.get(name);
+    return runtime
+      ? { status: 200, body: runtime }
+      : { status: 404, body: { error: `No integration runtime named ${name}` } };
+  },
+
+  'PUT /api/v1/integration-runtimes/:name': (fake, { name, body }) => {
+    const json = parseJson(body);
+    if (!fake.state.runtimes.has(name)) {
+      return { status: 404, body: { error: `No integration runtime named ${name}` } };
+    }
+
+    const runtime = { name, spec: (json && json.spec) || {}, status: { phase: fake.runtimePhase } };
+    fake.state.runtimes.set(name, runtime);
+    return { status: 200, body: runtime };
+  }
+};
+
+/**
+ * Parse a JSON request body
+ * @param {Buffer} body - Request body
+ * @returns {Object|null} Parsed body, or null if it is not JSON
+ */
+function parseJson(body) {
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the BAR file from an upload body, which is multipart form data with one file part
+ * @param {Buffer} body - Request body
+ * @returns {Buffer} File content, or the whole body if it is not multipart
+ */
+function readUploadedFile(body) {
+  const boundaryEnd = body.indexOf('\r\n');
+  if (!body.toString('latin1', 0, 2).startsWith('--') || boundaryEnd === -1) {
+    return body;
+  }
+
+  const boundary = body.subarray(0, boundaryEnd);
+  const start = body.indexOf('\r\n\r\n', boundaryEnd) + 4;
+  const end = body.indexOf(Buffer.concat([Buffer.from('\r\n'), boundary]), start);
+  return start < 4 || end === -1 ? body : body.subarray(start, end);
+}
+
+/**
+ * Find the route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {{key: string, name: string|undefined}|null} Route key and the ":name" segment, or null if no route matches
+ */
+function matchRoute(method, pathname) {
+  if (ROUTES[`${method} ${pathname}`]) {
+    return { key: `${method} ${pathname}` };
+  }
+
+  const separator = pathname.lastIndexOf('/');
+  const key = `${method} ${pathname.slice(0, separator)}/:name`;
+  return ROUTES[key] ? { key, name: decodeURIComponent(pathname.slice(separator + 1)) } : null;
+}
+
+/**
+ * Read a whole request body
+ * @param {http.IncomingMessage} request - Request to read
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Start a fake App Connect API on a local port
+ * @param {Object} [options] - Fake API options
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+ * @param {string} [options.host='127.0.0.1'] - Address to bind
+ * @param {Object} [options.credentials] - clientId, clientSecret, apiKey and instanceId the token endpoint accepts
+ * @param {number} [options.tokenLifetimeSeconds=3600] - expires_in of issued tokens
+ * @param {string} [options.runtimePhase='Ready'] - Status phase of integration runtimes after they are created or updated
+ * @returns {Promise<Object>} Fake API: `url`, `credentials`, `state` (issued tokens, BAR files and runtimes),
+ *   `requests` (every request received, with its status), revokeTokens(), failNext() and close()
+ */
+export function startFakeAppConnect({
+  port = 0,
+  host = '127.0.0.1',
+  credentials = {},
+  tokenLifetimeSeconds = 3600,
+  runtimePhase = 'Ready'
+} = {}) {
+  const fake = {
+    url: null,
+    credentials: {
+      clientId: 'fake-client-id',
+      clientSecret: 'fake-client-secret',
+      apiKey: 'fake-api-key',
+      instanceId: 'fake-instance-id',
+      ...credentials
+    },
+    tokenLifetimeSeconds,
+    runtimePhase,
+    state: {
+      tokensIssued: 0,
+      tokens: new Set(),
+      barFiles: new Map(),
+      runtimes: new Map()
+    },
+    requests: [],
+    failures: [],
+
+    barFileUrl: (name) => `${fake.url}/api/v1/bar-files/${encodeURIComponent(name)}`,
+
+    /**
+     * Reject every token issued so far, as if they had expired or been revoked
+     */
+    revokeTokens: () => {
+      fake.state.tokens.clear();
+    },
+
+    /**
+     * Fail the next requests to a route
+     * @param {string} route - Route key, e.g. "PUT /api/v1/bar-files/:name"
+     * @param {number} status - Response status
+     * @param {Object} [options] - Failure options
+     * @param {number} [options.times=1] - Number of requests to fail
+     * @param {Object} [options.headers] - Response headers, e.g. Retry-After
+     */
+    failNext: (route, status, { times = 1, headers = {} } = {}) => {
+      if (!ROUTES[route]) {
+        throw new Error(`Unknown route: ${route}`);
+      }
+      fake.failures.push({ route, status, headers, remaining: times });
+    },
+
+    // Keep-alive connections would otherwise hold the server open
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+
+  const handle = async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const body = await readBody(request);
+    const route = matchRoute(request.method, pathname);
+    let result;
+
+    const failure = route && fake.failures.find((candidate) => candidate.route === route.key && candidate.remaining > 0);
+    if (!route) {
+      result = { status: 404, body: { error: `Not found: ${request.method} ${pathname}` } };
+    } else if (failure) {
+      failure.remaining--;
+      result = { status: failure.status, body: { error: 'Injected failure' }, headers: failure.headers };
+    } else if (route.key !== 'POST /api/v1/tokens' &&
+        !fake.state.tokens.has((request.headers.authorization || '').replace(/^Bearer /, ''))) {
+      result = { status: 401, body: { error: 'Missing, expired or revoked bearer token' } };
+    } else {
+      result = ROUTES[route.key](fake, { request, body, name: route.name });
+    }
+
+    fake.requests.push({ method: request.method, path: pathname, route: route ? route.key : null, status: result.status });
+    if (result.raw !== undefined) {
+      response.writeHead(result.status, { 'Content-Type': 'application/octet-stream', ...result.headers });
+      response.end(result.raw);
+      return;
+    }
+    response.writeHead(result.status, { 'Content-Type': 'application/json', ...result.headers });
+    response.end(result.body === undefined ? '' : JSON.stringify(result.body));
+  };
+
+  const server = http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ error: error.message }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      fake.url = `http://${host}:${server.address().port}`;
+      resolve(fake);
+    });
+  });
+}
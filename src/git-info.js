@@ -0,0 +1,95 @@
+import { execFile } from 'child_process';
+import picomatch from 'picomatch';
+
+/**
+ * Git state of the workspace BAR files are built from: the commit, branch and
+ * whether there are uncommitted changes. It is recorded with each upload, and
+ * protected targets only accept uploads from a clean workspace on an allowed branch.
+ */
+
+const GIT_TIMEOUT_MS = 10000;
+
+/**
+ * Run a git command in a directory
+ * @param {Function} run - execFile-compatible process runner
+ * @param {string} directory - Directory to run git in
+ * @param {string[]} args - git arguments
+ * @returns {Promise<string>} Trimmed standard output
+ */
+function git(run, directory, args) {
+  return new Promise((resolve, reject) => {
+    run('git', ['-C', directory, ...args], { encoding: 'utf8', timeout: GIT_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(String(stdout).trim());
+      }
+    });
+  });
+}
+
+/**
+ * Read the Git state of the repository containing a directory
+ * @param {string} directory - Directory inside the repository
+ * @param {Object} [options] - Options
+ * @param {Function} [options.run=execFile] - Runs git
+ * @returns {Promise<Object|null>} repository (top-level directory), commit (full SHA), branch
+ *   (null for a detached HEAD) and dirty (uncommitted changes to tracked files), or null if the
+ *   directory is not in a Git repository with at least one commit
+ */
+export async function readGitInfo(directory, { run = execFile } = {}) {
+  let output;
+  try {
+    output = await git(run, directory, ['rev-parse', '--show-toplevel', 'HEAD', '--abbrev-ref', 'HEAD']);
+  } catch (error) {
+    return null;
+  }
+
+  const [repository, commit, branch] = output.split('\n');
+  // Untracked files are usually build output, such as the BAR files themselves, so only tracked changes count
+  const status = await git(run, directory, ['status', '--porcelain', '--untracked-files=no']);
+
+  return {
+    repository,
+    commit,
+    branch: branch === 'HEAD' ? null : branch,
+    dirty: status !== ''
+  };
+}
+
+/**
+ * Describe a Git state for log messages, e.g. "main@3f9a1c0d2b7e (dirty)"
+ * @param {Object|null} info - Git state from readGitInfo
+ * @returns {string} Description
+ */
+export function formatGitInfo(info) {
+  if (!info) {
+    return 'not in a Git repository';
+  }
+
+  return `${info.branch || 'detached HEAD'}@${info.commit.slice(0, 12)}${info.dirty ? ' (dirty)' : ''}`;
+}
+
+/**
+ * Check whether a Git state may be uploaded to a protected target
+ * @param {Object|null} info - Git state from readGitInfo
+ * @param {string[]} allowedBranches - Branch names or globs, e.g. ["main", "release/*"]
+ * @returns {string[]} Reasons to refuse the upload; empty if it is allowed
+ */
+export function checkGitGate(info, allowedBranches) {
+  if (!info) {
+    return ['the source is not in a Git repository'];
+  }
+
+  const problems = [];
+  if (info.dirty) {
+    problems.push('the workspace has uncommitted changes');
+  }
+  if (!info.branch) {
+    problems.push('HEAD is detached, not on a branch');
+  } else if (!picomatch.isMatch(info.branch, allowedBranches)) {
+    problems.push(`branch ${info.branch} is not one of ${allowedBranches.join(', ')}`);
+  }
+
+  return problems;
+}
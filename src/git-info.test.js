@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readGitInfo, formatGitInfo, checkGitGate } from './git-info.js';
+
+describe('Git info', () => {
+  let tempDir;
+  let repository;
+  
+  const gitCommand = (...args) => execFileSync('git', ['-C', repository, '-c', 'user.name=Test', '-c', 'user.email=test@example.test', ...args], { encoding: 'utf8' }).trim();
+  
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-git-')));
+    repository = path.join(tempDir, 'workspace');
+    fs.mkdirSync(path.join(repository, 'bars'), { recursive: true });
+    gitCommand('init', '--quiet', '--initial-branch=main');
+    fs.writeFileSync(path.join(repository, 'flow.msgflow'), 'v1');
+    gitCommand('add', '.');
+    gitCommand('commit', '--quiet', '-m', 'Initial flow');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  describe('readGitInfo', () => {
+    it('should read the commit and branch of the repository containing a directory', async () => {
+      const info = await readGitInfo(path.join(repository, 'bars'));
+      
+      expect(info).toEqual({
+        repository,
+        commit: gitCommand('rev-parse', 'HEAD'),
+        branch: 'main',
+        dirty: false
+      });
+    });
+    
+    it('should count changes to tracked files as dirty, but not untracked build output', async () => {
+      fs.writeFileSync(path.join(repository, 'bars', 'orders.bar'), 'built');
+      expect((await readGitInfo(repository)).dirty).toBe(false);
+      
+      fs.writeFileSync(path.join(repository, 'flow.msgflow'), 'v2');
+      expect((await readGitInfo(repository)).dirty).toBe(true);
+    });
+    
+    it('should report a detached HEAD without a branch', async () => {
+      gitCommand('checkout', '--quiet', '--detach');
+      
+      expect((await readGitInfo(repository)).branch).toBeNull();
+    });
+    
+    it('should return null outside a Git repository', async () => {
+      const outside = path.join(tempDir, 'outside');
+      fs.mkdirSync(outside);
+      
+      await expect(readGitInfo(outside)).resolves.toBeNull();
+    });
+  });
+  
+  describe('formatGitInfo', () => {
+    it('should describe the branch, short commit and dirty state', () => {
+      expect(formatGitInfo({ commit: '3f9a1c0d2b7e4a5b', branch: 'main', dirty: true })).toBe('main@3f9a1c0d2b7e (dirty)');
+      expect(formatGitInfo({ commit: '3f9a1c0d2b7e4a5b', branch: null, dirty: false })).toBe('detached HEAD@3f9a1c0d2b7e');
+      expect(formatGitInfo(null)).toBe('not in a Git repository');
+    });
+  });
+  
+  describe('checkGitGate', () => {
+    it('should allow a clean workspace on an allowed branch', () => {
+      expect(checkGitGate({ commit: 'abc', branch: 'release/2.1', dirty: false }, ['main', 'release/*'])).toEqual([]);
+    });
+    
+    it('should list every reason to refuse an upload', () => {
+      expect(checkGitGate({ commit: 'abc', branch: 'feature/x', dirty: true }, ['main'])).toEqual([
+        'the workspace has uncommitted changes',
+        'branch feature/x is not one of main'
+      ]);
+      expect(checkGitGate({ commit: 'abc', branch: null, dirty: false }, ['main'])).toEqual(['HEAD is detached, not on a branch']);
+      expect(checkGitGate(null, ['main'])).toEqual(['the source is not in a Git repository']);
+    });
+  });
+});
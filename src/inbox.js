@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+/**
+ * Inbox directories, for build servers that drop a zip of BAR files (or a single
+ * BAR file) instead of writing into the watch directory. The syncer unpacks each
+ * drop's BAR files into the watch directory and syncs them; this module reads the
+ * drops and files them in the inbox's done/ or failed/ folder afterwards.
+ */
+
+/**
+ * Folders inside an inbox that processed drops are moved to
+ */
+export const INBOX_FOLDERS = {
+  done: 'done',
+  failed: 'failed'
+};
+
+/**
+ * Check whether a file dropped into an inbox is something to unpack
+ * @param {string} filePath - Path to the dropped file
+ * @param {string} fileExtension - Extension of BAR files
+ * @returns {boolean} True for zip archives and BAR files
+ */
+export function isInboxDrop(filePath, fileExtension) {
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.zip' || extension === fileExtension.toLowerCase();
+}
+
+/**
+ * Read the BAR files in a drop. A BAR file is its own only entry; a zip archive's BAR
+ * files keep their folders, so include and exclude patterns such as orders/*.bar
+ * still apply once they are unpacked. Hidden files and macOS resource forks are skipped.
+ * @param {string} filePath - Path to the dropped file
+ * @param {string} fileExtension - Extension of BAR files
+ * @param {Object} [fileSystem=fs] - File system module to read the drop with
+ * @returns {Array<{name: string, data: Buffer}>} BAR files, each with its path inside the drop (using forward slashes)
+ * @throws {Error} If the drop is not a readable zip archive, has an entry outside its own folder or has no BAR files
+ */
+export function readInboxDrop(filePath, fileExtension, fileSystem = fs) {
+  if (path.extname(filePath).toLowerCase() === fileExtension.toLowerCase()) {
+    return [{ name: path.basename(filePath), data: fileSystem.readFileSync(filePath) }];
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(fileSystem.readFileSync(filePath)).getEntries();
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)} is not a valid zip archive (${error.message})`);
+  }
+
+  const barFiles = [];
+  for (const entry of entries) {
+    const name = path.posix.normalize(entry.entryName.replace(/\\/g, '/'));
+    const parts = name.split('/');
+
+    if (entry.isDirectory || path.posix.extname(name).toLowerCase() !== fileExtension.toLowerCase() ||
+        parts[0] === '__MACOSX' || parts.some((part) => part.startsWith('.') && part !== '..')) {
+      continue;
+    }
+
+    // Entries such as ../../etc/x.bar would be written outside the watch directory
+    if (path.posix.isAbsolute(name) || parts.includes('..')) {
+      throw new Error(`${path.basename(filePath)} has an entry outside the archive: ${entry.entryName}`);
+    }
+
+    barFiles.push({ name, data: entry.getData() });
+  }
+
+  if (barFiles.length === 0) {
+    throw new Error(`${path.basename(filePath)} contains no ${fileExtension} files`);
+  }
+
+  return barFiles;
+}
+
+/**
+ * Move a processed drop into its inbox's done or failed folder. The name is prefixed
+ * with the time, so drops with the same name are kept apart. Failed drops get a
+ * "<name>.errors.txt" file next to them listing the problems.
+ * @param {string} filePath - Path to the dropped file
+ * @param {string} outcome - "done" or "failed"
+ * @param {Object} [options] - Filing options
+ * @param {Date} [options.now] - Time to prefix the name with (defaults to now)
+ * @param {string[]} [options.problems=[]] - Problems to write next to a failed drop
+ * @param {Object} [options.fileSystem=fs] - File system module to move the drop with
+ * @returns {string} Path the drop was moved to
+ */
+export function fileInboxDrop(filePath, outcome, { now = new Date(), problems = [], fileSystem = fs } = {}) {
+  const folder = path.join(path.dirname(filePath), INBOX_FOLDERS[outcome]);
+  fileSystem.mkdirSync(folder, { recursive: true });
+
+  const destination = path.join(folder, `${now.toISOString().replace(/[:.]/g, '-')}-${path.basename(filePath)}`);
+  fileSystem.renameSync(filePath, destination);
+
+  if (problems.length > 0) {
+    fileSystem.writeFileSync(`${destination}.errors.txt`, `${problems.join('\n')}\n`);
+  }
+
+  return destination;
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { isInboxDrop, readInboxDrop, fileInboxDrop } from './inbox.js';
+
+// Write a zip archive from a map of entry names to contents
+const writeZip = (filePath, entries) => {
+  const zip = new AdmZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.addFile(name, Buffer.from(content));
+  }
+  zip.writeZip(filePath);
+  return filePath;
+};
+
+describe('Inbox', () => {
+  let inboxDirectory;
+  
+  beforeEach(() => {
+    inboxDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-inbox-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(inboxDirectory, { recursive: true, force: true });
+  });
+  
+  it('should unpack zip archives and BAR files', () => {
+    expect(isInboxDrop('/inbox/release-42.zip', '.bar')).toBe(true);
+    expect(isInboxDrop('/inbox/orders.BAR', '.bar')).toBe(true);
+    expect(isInboxDrop('/inbox/notes.txt', '.bar')).toBe(false);
+  });
+  
+  it('should read the BAR files in a zip archive with their folders', () => {
+    const zipPath = writeZip(path.join(inboxDirectory, 'release.zip'), {
+      'orders/orders.bar': 'orders v1',
+      'billing.bar': 'billing v1',
+      'README.txt': 'release notes',
+      '__MACOSX/orders/._orders.bar': 'resource fork',
+      '.hidden.bar': 'hidden'
+    });
+    
+    expect(readInboxDrop(zipPath, '.bar').map(({ name, data }) => `${name}=${data.toString()}`).sort())
+      .toEqual(['billing.bar=billing v1', 'orders/orders.bar=orders v1']);
+  });
+  
+  it('should read a dropped BAR file as it is', () => {
+    const barPath = path.join(inboxDirectory, 'orders.bar');
+    fs.writeFileSync(barPath, 'orders v1');
+    
+    expect(readInboxDrop(barPath, '.bar')).toEqual([{ name: 'orders.bar', data: Buffer.from('orders v1') }]);
+  });
+  
+  it('should reject drops that are not zip archives, have no BAR files or escape their folder', () => {
+    const brokenPath = path.join(inboxDirectory, 'broken.zip');
+    fs.writeFileSync(brokenPath, 'not a zip');
+    const emptyPath = writeZip(path.join(inboxDirectory, 'empty.zip'), { 'README.txt': 'nothing to deploy' });
+    const escapingPath = path.join(inboxDirectory, 'escaping.zip');
+    const zip = new AdmZip();
+    zip.addFile('placeholder.bar', Buffer.from('x'));
+    zip.getEntries()[0].entryName = '../../outside.bar';
+    zip.writeZip(escapingPath);
+    
+    expect(() => readInboxDrop(brokenPath, '.bar')).toThrow('broken.zip is not a valid zip archive');
+    expect(() => readInboxDrop(emptyPath, '.bar')).toThrow('empty.zip contains no .bar files');
+    expect(() => readInboxDrop(escapingPath, '.bar')).toThrow('escaping.zip has an entry outside the archive: ../../outside.bar');
+  });
+  
+  it('should move processed drops to done or failed under a timestamped name', () => {
+    const now = new Date(Date.UTC(2024, 4, 1, 9, 30, 0));
+    const first = writeZip(path.join(inboxDirectory, 'release.zip'), { 'orders.bar': 'orders v1' });
+    
+    const done = fileInboxDrop(first, 'done', { now });
+    const second = writeZip(path.join(inboxDirectory, 'release.zip'), { 'orders.bar': 'orders v2' });
+    const failed = fileInboxDrop(second, 'failed', { now, problems: ['orders.bar → prod: Upload failed: 500'] });
+    
+    expect(done).toBe(path.join(inboxDirectory, 'done', '2024-05-01T09-30-00-000Z-release.zip'));
+    expect(failed).toBe(path.join(inboxDirectory, 'failed', '2024-05-01T09-30-00-000Z-release.zip'));
+    expect(fs.existsSync(first)).toBe(false);
+    expect(fs.readFileSync(`${failed}.errors.txt`, 'utf8')).toBe('orders.bar → prod: Upload failed: 500\n');
+    expect(fs.existsSync(`${done}.errors.txt`)).toBe(false);
+  });
+});
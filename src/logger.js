@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Levelled logger with human-readable ("pretty") or JSON lines output, an optional
+ * size-rotated log file and redaction of secrets and bearer tokens.
+ */
+
+/**
+ * Log levels, lowest first
+ */
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are always secret, whatever they contain
+const SECRET_KEYS = /^(authorization|token|access_?token|refresh_?token|client_?secret|x-ibm-client-secret|api_?key|password|passphrase|secret)$/i;
+
+const BEARER_TOKEN = /\b(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi;
+
+// Console method for each level, so errors go to stderr
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * Remove secrets from a log message or field value
+ * @param {*} value - Value to redact
+ * @param {string[]} [secrets=[]] - Known secret values (credentials, tokens) to mask wherever they appear
+ * @returns {*} Copy of the value with secrets replaced by "[REDACTED]"
+ */
+export function redact(value, secrets = []) {
+  if (typeof value === 'string') {
+    let result = value.replace(BEARER_TOKEN, `$1${REDACTED}`);
+    for (const secret of secrets) {
+      result = result.split(secret).join(REDACTED);
+    }
+    return result;
+  }
+
+  if (value instanceof Error) {
+    return redact(value.message, secrets);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, secrets));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SECRET_KEYS.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, secrets);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Format a log entry as a single JSON line. The emoji and indentation that prefix
+ * pretty messages are dropped.
+ * @param {Object} entry - Log entry with time, level, message and fields
+ * @returns {string} JSON line
+ */
+export function formatJson({ time, level, message, fields }) {
+  return JSON.stringify({
+    time,
+    level,
+    msg: message.replace(/^[^\p{L}\p{N}"'([]+/u, ''),
+    ...fields
+  });
+}
+
+/**
+ * Create a file writer that rotates the file once it reaches a maximum size,
+ * keeping a number of older files as <file>.1 (newest) to <file>.<maxFiles>
+ * @param {string} file - Log file path
+ * @param {Object} options - Rotation options
+ * @param {number} options.maxSize - Size in bytes after which the file is rotated
+ * @param {number} options.maxFiles - Number of rotated files to keep
+ * @returns {Function} Function that appends a line to the file
+ */
+export function createRotatingFileWriter(file, { maxSize, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const rotate = () => {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.rmSync(file, { force: true });
+    }
+    size = 0;
+  };
+
+  return (line) => {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+
+    if (size > 0 && size + bytes > maxSize) {
+      rotate();
+    }
+
+    fs.appendFileSync(file, data);
+    size += bytes;
+  };
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level='info'] - Lowest level to log: debug, info, warn or error
+ * @param {string} [options.format='pretty'] - Console format: pretty (message only) or json (one JSON object per line)
+ * @param {string} [options.file] - Optional log file; always written as JSON lines
+ * @param {number} [options.maxFileSize=10485760] - Size in bytes after which the log file is rotated
+ * @param {number} [options.maxFiles=5] - Number of rotated log files to keep
+ * @param {string[]} [options.secrets=[]] - Secret values to redact from every message and field
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} Logger with debug, info, warn and error methods taking a message and optional fields
+ */
+export function createLogger(options = {}) {
+  const {
+    level = 'info',
+    format = 'pretty',
+    file,
+    maxFileSize = 10 * 1024 * 1024,
+    maxFiles = 5,
+    now = () => new Date()
+  } = options;
+  // Secrets shorter than this would redact ordinary words
+  const secrets = (options.secrets || []).filter((secret) => typeof secret === 'string' && secret.length >= 4);
+  // Secrets that are replaced rather than added to, such as each target's current token, so refreshes do not pile up
+  const slots = new Map();
+  let redacted = secrets;
+  const threshold = LOG_LEVELS[level];
+
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level "${level}" (expected one of ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected one of ${LOG_FORMATS.join(', ')})`);
+  }
+
+  let writeFile = file ? createRotatingFileWriter(file, { maxSize: maxFileSize, maxFiles }) : null;
+
+  const log = (entryLevel, message, fields = {}) => {
+    if (LOG_LEVELS[entryLevel] < threshold) {
+      return;
+    }
+
+    const entry = {
+      time: now().toISOString(),
+      level: entryLevel,
+      message: redact(String(message), redacted),
+      fields: redact(fields, redacted)
+    };
+
+    console[CONSOLE_METHODS[entryLevel]](format === 'json' ? formatJson(entry) : entry.message);
+
+    if (writeFile) {
+      try {
+        writeFile(formatJson(entry));
+      } catch (error) {
+        // Keep running without the file rather than failing every log call
+        writeFile = null;
+        console.error(`❌ Cannot write log file ${file}: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    level,
+    format,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+
+    /**
+     * Redact a secret (e.g. a newly generated token) from all later log entries
+     * @param {string} secret - Secret value
+     */
+    addSecret(secret) {
+      if (typeof secret === 'string' && secret.length >= 4 && !secrets.includes(secret)) {
+        secrets.push(secret);
+        redacted = [...secrets, ...slots.values()];
+      }
+    },
+
+    /**
+     * Redact a secret that replaces the previous one in its slot (e.g. a target's current token)
+     * @param {string} slot - Slot name
+     * @param {string|null} secret - Secret value, or null to empty the slot
+     */
+    setSecret(slot, secret) {
+      if (typeof secret === 'string' && secret.length >= 4) {
+        slots.set(slot, secret);
+      } else {
+        slots.delete(slot);
+      }
+      redacted = [...secrets, ...slots.values()];
+    }
+  };
+}
@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Upload manifest: maps each BAR file (keyed together with the target it was
+ * uploaded to) to the SHA-256 hash of the content that was last uploaded
+ * successfully, so unchanged files are not uploaded again.
+ */
+
+/**
+ * Calculate the SHA-256 hash of a file
+ * @param {string} filePath - Path of the file to hash
+ * @param {Object} [fileSystem=fs] - File system module to read the file with
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export function hashFile(filePath, fileSystem = fs) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fileSystem.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Read the upload manifest
+ * @param {string} manifestFile - Path to the manifest file
+ * @param {Object} [fileSystem=fs] - File system module to read the manifest with
+ * @returns {Object<string, {hash: string, uploadedAt: string}>} Entries by key
+ */
+export function readManifest(manifestFile, fileSystem = fs) {
+  if (!fileSystem.existsSync(manifestFile)) {
+    return {};
+  }
+  
+  const content = fileSystem.readFileSync(manifestFile, 'utf8');
+  return content.trim() ? JSON.parse(content) : {};
+}
+
+/**
+ * Write the upload manifest, replacing its contents
+ * @param {string} manifestFile - Path to the manifest file
+ * @param {Object} manifest - Entries by key
+ * @param {Object} [fileSystem=fs] - File system module to write the manifest with
+ */
+function writeManifest(manifestFile, manifest, fileSystem = fs) {
+  fileSystem.mkdirSync(path.dirname(manifestFile), { recursive: true });
+  
+  const tempFile = `${manifestFile}.tmp`;
+  fileSystem.writeFileSync(tempFile, JSON.stringify(manifest, null, 2));
+  fileSystem.renameSync(tempFile, manifestFile);
+}
+
+/**
+ * Get the hash that was last uploaded for a file
+ * @param {string} manifestFile - Path to the manifest file
+ * @param {string} key - Manifest key of the BAR file
+ * @param {Object} [fileSystem=fs] - File system module to read the manifest with
+ * @returns {string|null} Hash, or null if the file has never been uploaded
+ */
+export function getUploadedHash(manifestFile, key, fileSystem = fs) {
+  const entry = readManifest(manifestFile, fileSystem)[key];
+  return entry ? entry.hash : null;
+}
+
+/**
+ * Record a successful upload in the manifest
+ * @param {string} manifestFile - Path to the manifest file
+ * @param {string} key - Manifest key of the BAR file
+ * @param {string} hash - Hash of the uploaded content
+ * @param {Object} [fileSystem=fs] - File system module to update the manifest with
+ */
+export function recordUpload(manifestFile, key, hash, fileSystem = fs) {
+  const manifest = readManifest(manifestFile, fileSystem);
+  manifest[key] = { hash, uploadedAt: new Date().toISOString() };
+  writeManifest(manifestFile, manifest, fileSystem);
+}
+
+/**
+ * Remove a file from the manifest
+ * @param {string} manifestFile - Path to the manifest file
+ * @param {string} key - Manifest key of the BAR file
+ * @param {Object} [fileSystem=fs] - File system module to update the manifest with
+ * @returns {boolean} True if the file was in the manifest
+ */
+export function forgetUpload(manifestFile, key, fileSystem = fs) {
+  const manifest = readManifest(manifestFile, fileSystem);
+  if (!(key in manifest)) {
+    return false;
+  }
+  
+  delete manifest[key];
+  writeManifest(manifestFile, manifest, fileSystem);
+  return true;
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { hashFile, readManifest, getUploadedHash, recordUpload, forgetUpload } from './manifest.js';
+
+describe('Upload manifest', () => {
+  let tempDir;
+  let manifestFile;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-manifest-'));
+    manifestFile = path.join(tempDir, '.bar-sync', 'manifest.json');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  it('should hash file contents with SHA-256', async () => {
+    const filePath = path.join(tempDir, 'test-flow.bar');
+    fs.writeFileSync(filePath, 'hello');
+    
+    await expect(hashFile(filePath)).resolves.toBe(
+      '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+    );
+  });
+  
+  it('should give the same hash when only the modification time changes', async () => {
+    const filePath = path.join(tempDir, 'test-flow.bar');
+    fs.writeFileSync(filePath, 'same content');
+    const before = await hashFile(filePath);
+    
+    fs.utimesSync(filePath, new Date(), new Date(Date.now() + 60000));
+    
+    await expect(hashFile(filePath)).resolves.toBe(before);
+  });
+  
+  it('should reject when the file cannot be read', async () => {
+    await expect(hashFile(path.join(tempDir, 'missing.bar'))).rejects.toThrow('ENOENT');
+  });
+  
+  it('should record and return uploaded hashes', () => {
+    expect(getUploadedHash(manifestFile, '/bars/a.bar')).toBeNull();
+    
+    recordUpload(manifestFile, '/bars/a.bar', 'abc123');
+    
+    expect(getUploadedHash(manifestFile, '/bars/a.bar')).toBe('abc123');
+    expect(readManifest(manifestFile)['/bars/a.bar'].uploadedAt).toEqual(expect.any(String));
+  });
+  
+  it('should forget files', () => {
+    recordUpload(manifestFile, '/bars/a.bar', 'abc123');
+    
+    expect(forgetUpload(manifestFile, '/bars/a.bar')).toBe(true);
+    expect(forgetUpload(manifestFile, '/bars/a.bar')).toBe(false);
+    expect(readManifest(manifestFile)).toEqual({});
+  });
+});
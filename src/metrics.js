@@ -0,0 +1,185 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms with labels,
+ * rendered in the Prometheus text exposition format (version 0.0.4).
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set, e.g. {target="prod",status="500"}
+ * @param {Object} labels - Label values by name
+ * @returns {string} Rendered labels, or an empty string when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value, using Prometheus' spelling of infinity
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Keep only the declared labels, in declaration order, so the same label set always maps to the same series
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values given by the caller
+ * @returns {{key: string, labels: Object}} Series key and normalised labels
+ */
+function normaliseLabels(labelNames, labels = {}) {
+  const normalised = {};
+  for (const name of labelNames) {
+    normalised[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  }
+  return { key: JSON.stringify(normalised), labels: normalised };
+}
+
+/**
+ * Create a metrics registry
+ * @returns {Object} Registry with counter, gauge and histogram factories and a render method
+ */
+export function createRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * Create a counter
+     * @param {string} name - Metric name, ending in _total
+     * @param {string} help - Description
+     * @param {string[]} [labelNames=[]] - Label names
+     * @returns {{inc: Function, get: Function}} Counter
+     */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+
+      return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, value = 1) {
+          const { key, labels: normalised } = normaliseLabels(labelNames, labels);
+          const current = series.get(key) || { labels: normalised, value: 0 };
+          current.value += value;
+          series.set(key, current);
+        },
+        get(labels = {}) {
+          const entry = series.get(normaliseLabels(labelNames, labels).key);
+          return entry ? entry.value : 0;
+        },
+        samples() {
+          if (labelNames.length === 0 && series.size === 0) {
+            return [{ name, labels: {}, value: 0 }];
+          }
+          return [...series.values()].map((entry) => ({ name, labels: entry.labels, value: entry.value }));
+        }
+      });
+    },
+
+    /**
+     * Create a gauge, either set directly or read when metrics are rendered
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Function} [collect] - Returns the current value when metrics are rendered
+     * @returns {{set: Function}} Gauge
+     */
+    gauge(name, help, collect) {
+      let value = 0;
+
+      return register({
+        name,
+        help,
+        type: 'gauge',
+        set(newValue) {
+          value = newValue;
+        },
+        samples() {
+          return [{ name, labels: {}, value: collect ? collect() : value }];
+        }
+      });
+    },
+
+    /**
+     * Create a histogram
+     * @param {string} name - Metric name, including the unit
+     * @param {string} help - Description
+     * @param {number[]} buckets - Upper bounds, ascending
+     * @param {string[]} [labelNames=[]] - Label names
+     * @returns {{observe: Function}} Histogram
+     */
+    histogram(name, help, buckets, labelNames = []) {
+      const series = new Map();
+
+      return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+          const { key, labels: normalised } = normaliseLabels(labelNames, labels);
+          const current = series.get(key) || { labels: normalised, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          buckets.forEach((bound, index) => {
+            if (value <= bound) {
+              current.counts[index]++;
+            }
+          });
+          current.sum += value;
+          current.count++;
+          series.set(key, current);
+        },
+        samples() {
+          const samples = [];
+          for (const entry of series.values()) {
+            buckets.forEach((bound, index) => {
+              samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: bound }, value: entry.counts[index] });
+            });
+            samples.push({ name: `${name}_bucket`, labels: { ...entry.labels, le: Infinity }, value: entry.count });
+            samples.push({ name: `${name}_sum`, labels: entry.labels, value: entry.sum });
+            samples.push({ name: `${name}_count`, labels: entry.labels, value: entry.count });
+          }
+          return samples;
+        }
+      });
+    },
+
+    /**
+     * Render every metric in the Prometheus text format
+     * @returns {string} Metrics text
+     */
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const sample of metric.samples()) {
+          const labels = Object.fromEntries(Object.entries(sample.labels)
+            .map(([label, value]) => [label, label === 'le' ? formatValue(value) : value]));
+          lines.push(`${sample.name}${formatLabels(labels)} ${formatValue(sample.value)}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
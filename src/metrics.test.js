@@ -0,0 +1,73 @@
+import { describe, it, expect } from '@jest/globals';
+import { createRegistry } from './metrics.js';
+
+describe('Metrics', () => {
+  it('should render counters with help, type and labels', () => {
+    const registry = createRegistry();
+    const uploads = registry.counter('uploads_total', 'Uploads', ['target', 'status']);
+    
+    uploads.inc({ target: 'prod', status: 500 });
+    uploads.inc({ status: 500, target: 'prod' }, 2);
+    uploads.inc({ target: 'dev', status: 201 });
+    
+    expect(uploads.get({ target: 'prod', status: 500 })).toBe(3);
+    expect(registry.render()).toBe([
+      '# HELP uploads_total Uploads',
+      '# TYPE uploads_total counter',
+      'uploads_total{target="prod",status="500"} 3',
+      'uploads_total{target="dev",status="201"} 1',
+      ''
+    ].join('\n'));
+  });
+  
+  it('should report unlabelled counters as zero before they are used', () => {
+    const registry = createRegistry();
+    registry.counter('changes_total', 'Changes');
+    
+    expect(registry.render()).toContain('\nchanges_total 0\n');
+  });
+  
+  it('should escape label values', () => {
+    const registry = createRegistry();
+    registry.counter('files_total', 'Files', ['file']).inc({ file: 'C:\\bars\\"order"\n.bar' });
+    
+    expect(registry.render()).toContain('files_total{file="C:\\\\bars\\\\\\"order\\"\\n.bar"} 1');
+  });
+  
+  it('should render cumulative histogram buckets with sum and count', () => {
+    const registry = createRegistry();
+    const duration = registry.histogram('duration_seconds', 'Duration', [0.5, 1], ['target']);
+    
+    duration.observe({ target: 'prod' }, 0.2);
+    duration.observe({ target: 'prod' }, 0.7);
+    duration.observe({ target: 'prod' }, 3);
+    
+    expect(registry.render()).toBe([
+      '# HELP duration_seconds Duration',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{target="prod",le="0.5"} 1',
+      'duration_seconds_bucket{target="prod",le="1"} 2',
+      'duration_seconds_bucket{target="prod",le="+Inf"} 3',
+      'duration_seconds_sum{target="prod"} 3.9',
+      'duration_seconds_count{target="prod"} 3',
+      ''
+    ].join('\n'));
+  });
+  
+  it('should read collected gauges when rendering', () => {
+    const registry = createRegistry();
+    let depth = 1;
+    registry.gauge('queue_depth', 'Queue depth', () => depth);
+    
+    expect(registry.render()).toContain('\nqueue_depth 1\n');
+    depth = 4;
+    expect(registry.render()).toContain('\nqueue_depth 4\n');
+  });
+  
+  it('should reject duplicate metric names', () => {
+    const registry = createRegistry();
+    registry.counter('uploads_total', 'Uploads');
+    
+    expect(() => registry.gauge('uploads_total', 'Uploads')).toThrow('Metric uploads_total is already registered');
+  });
+});
@@ -0,0 +1,346 @@
+import { execFile } from 'child_process';
+
+/**
+ * Notifications of upload and deploy results: an outgoing webhook with a templated
+ * JSON payload (Slack, Teams and most chat tools accept one) and desktop
+ * notifications through the operating system's notifier.
+ */
+
+/**
+ * Results a notifier can be limited to with its "on" setting
+ */
+export const NOTIFY_EVENTS = ['success', 'failure'];
+
+export const NOTIFIER_TYPES = ['webhook', 'desktop'];
+
+/**
+ * Payload sent by webhooks without a template; Slack and Teams both show "text"
+ */
+export const DEFAULT_PAYLOAD = { text: '{{message}}' };
+
+/**
+ * Values available to payload templates as {{name}}
+ */
+export const TEMPLATE_FIELDS = [
+  'event', 'stage', 'message', 'file', 'filePath', 'target', 'integrationServer',
+  'instance', 'action', 'status', 'error', 'hash', 'time'
+];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Build notifier settings from environment variables, for the default target
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} Notifier settings (empty when none are configured)
+ * @throws {Error} If NOTIFY_WEBHOOK_PAYLOAD is not valid JSON
+ */
+export function notifiersFromEnv(env) {
+  const notifiers = [];
+  const on = env.NOTIFY_ON ? env.NOTIFY_ON.split(',').map((event) => event.trim()).filter(Boolean) : undefined;
+
+  if (env.NOTIFY_WEBHOOK_URL) {
+    let payload;
+    if (env.NOTIFY_WEBHOOK_PAYLOAD) {
+      try {
+        payload = JSON.parse(env.NOTIFY_WEBHOOK_PAYLOAD);
+      } catch (error) {
+        throw new Error(`NOTIFY_WEBHOOK_PAYLOAD is not valid JSON (${error.message})`);
+      }
+    }
+    notifiers.push({ type: 'webhook', url: env.NOTIFY_WEBHOOK_URL, on, payload });
+  }
+
+  if (env.NOTIFY_DESKTOP === 'true') {
+    notifiers.push({ type: 'desktop', on });
+  }
+
+  return notifiers;
+}
+
+/**
+ * Check a target's notifier settings
+ * @param {*} notify - Value of the target's "notify" setting
+ * @param {string} label - Target description for problem messages
+ * @returns {string[]} Problems found
+ */
+export function validateNotifiers(notify, label) {
+  if (notify === undefined || notify === null) {
+    return [];
+  }
+
+  if (!Array.isArray(notify)) {
+    return [`${label} notify must be a list of notifiers`];
+  }
+
+  const problems = [];
+
+  notify.forEach((notifier, index) => {
+    const notifierLabel = `${label} notifier #${index + 1}`;
+
+    if (!notifier || !NOTIFIER_TYPES.includes(notifier.type)) {
+      problems.push(`${notifierLabel} has an unknown type (expected one of ${NOTIFIER_TYPES.join(', ')})`);
+      return;
+    }
+
+    const events = notifier.on === undefined ? NOTIFY_EVENTS : [].concat(notifier.on);
+    for (const event of events) {
+      if (!NOTIFY_EVENTS.includes(event)) {
+        problems.push(`${notifierLabel} has an unknown "on" value "${event}" (expected ${NOTIFY_EVENTS.join(' and/or ')})`);
+      }
+    }
+
+    if (notifier.type === 'webhook') {
+      if (!notifier.url || !/^https?:\/\//.test(notifier.url)) {
+        problems.push(`${notifierLabel} needs an http(s) url`);
+      }
+
+      for (const field of findPlaceholders(notifier.payload)) {
+        if (!TEMPLATE_FIELDS.includes(field)) {
+          problems.push(`${notifierLabel} payload uses unknown field {{${field}}} (available: ${TEMPLATE_FIELDS.join(', ')})`);
+        }
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * List the {{placeholders}} used anywhere in a template
+ * @param {*} template - Template value
+ * @returns {string[]} Placeholder names
+ */
+function findPlaceholders(template) {
+  if (typeof template === 'string') {
+    return [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((match) => match[1]);
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.values(template).flatMap(findPlaceholders);
+  }
+
+  return [];
+}
+
+/**
+ * Fill in a payload template. Placeholders are replaced inside strings at any depth,
+ * so the result is always valid JSON whatever the values contain.
+ * @param {*} template - Template: an object, array or string with {{name}} placeholders
+ * @param {Object} values - Values by placeholder name; missing values become empty strings
+ * @returns {*} Rendered payload
+ */
+export function renderTemplate(template, values) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => renderTemplate(item, values));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, values)]));
+  }
+
+  return template;
+}
+
+/**
+ * Decide whether an upload result is worth a notification
+ * @param {Object} result - Result returned by uploadBarFile
+ * @returns {string|null} "success", "failure", or null for skipped and cancelled uploads
+ */
+export function getNotificationEvent(result) {
+  if (result.action === 'uploaded') {
+    return result.ok ? 'success' : 'failure';
+  }
+
+  if (['failed', 'queued', 'invalid', 'blocked'].includes(result.action)) {
+    return 'failure';
+  }
+
+  return null;
+}
+
+/**
+ * Describe an upload result for notifiers
+ * @param {Object} details - Upload details
+ * @param {Object} details.target - Sync target
+ * @param {string} details.filePath - Full path to the BAR file
+ * @param {Object} details.result - Result returned by uploadBarFile
+ * @param {Date} [details.time] - When the upload finished
+ * @returns {Object} Notification, with every template field
+ */
+export function buildNotification({ target, filePath, result, time = new Date() }) {
+  const event = getNotificationEvent(result);
+  const file = filePath.split(/[\\/]/).pop();
+  // Uploaded files that did not become ready failed at the deploy stage
+  const stage = result.action === 'uploaded' ? 'deploy' : 'upload';
+  const where = `${target.integrationServerId} (${target.name})`;
+
+  let message;
+  if (event === 'success') {
+    message = result.deployed === null
+      ? `✅ ${file} uploaded to ${where}`
+      : `✅ ${file} uploaded and deployed to ${where}`;
+  } else {
+    message = `❌ ${file} failed to ${stage} to ${where}: ${result.error || 'deployment did not become ready'}`;
+  }
+
+  return {
+    event,
+    stage,
+    message,
+    file,
+    filePath,
+    target: target.name,
+    integrationServer: target.integrationServerId,
+    instance: target.instanceId,
+    action: result.action,
+    status: result.status,
+    error: result.error,
+    hash: result.hash,
+    time: time.toISOString()
+  };
+}
+
+/**
+ * Get the command that shows a desktop notification on a platform. The title and
+ * message are passed as arguments or environment variables, never spliced into a script.
+ * @param {string} platform - Value of process.platform
+ * @param {string} title - Notification title
+ * @param {string} message - Notification text
+ * @returns {{command: string, args: string[], env?: Object}|null} Command, or null if the platform is not supported
+ */
+export function getDesktopCommand(platform, title, message) {
+  if (platform === 'darwin') {
+    return {
+      command: 'osascript',
+      args: [
+        '-e', 'on run argv',
+        '-e', 'display notification (item 2 of argv) with title (item 1 of argv)',
+        '-e', 'end run',
+        title,
+        message
+      ]
+    };
+  }
+
+  if (platform === 'linux') {
+    return { command: 'notify-send', args: ['--app-name=bar-sync', title, message] };
+  }
+
+  if (platform === 'win32') {
+    const script = [
+      'Add-Type -AssemblyName System.Windows.Forms',
+      '$icon = New-Object System.Windows.Forms.NotifyIcon',
+      '$icon.Icon = [System.Drawing.SystemIcons]::Information',
+      '$icon.Visible = $true',
+      '$icon.ShowBalloonTip(5000, $env:BAR_SYNC_TITLE, $env:BAR_SYNC_MESSAGE, "None")',
+      'Start-Sleep -Seconds 5',
+      '$icon.Dispose()'
+    ].join('; ');
+    return {
+      command: 'powershell.exe',
+      args: ['-NoProfile', '-NonInteractive', '-Command', script],
+      env: { BAR_SYNC_TITLE: title, BAR_SYNC_MESSAGE: message }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Post a notification to a webhook
+ * @param {Object} notifier - Webhook settings: url, optional headers and payload template
+ * @param {Object} notification - Notification built by buildNotification
+ * @param {Function} fetch - Fetch implementation
+ */
+async function sendWebhook(notifier, notification, fetch) {
+  const response = await fetch(notifier.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...notifier.headers },
+    body: JSON.stringify(renderTemplate(notifier.payload || DEFAULT_PAYLOAD, notification)),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`webhook returned ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Show a desktop notification
+ * @param {Object} notification - Notification built by buildNotification
+ * @param {Object} options - Platform and process runner
+ */
+function sendDesktop(notification, { platform, run }) {
+  const title = notification.event === 'success' ? 'BAR sync succeeded' : 'BAR sync failed';
+  const command = getDesktopCommand(platform, title, notification.message);
+
+  if (!command) {
+    return Promise.reject(new Error(`desktop notifications are not supported on ${platform}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    run(command.command, command.args, { env: { ...process.env, ...command.env }, timeout: WEBHOOK_TIMEOUT_MS }, (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Send a notification to every notifier whose filter matches it. Notifier errors
+ * are logged as warnings and never fail the upload.
+ * @param {Array<Object>} notifiers - Target's notifier settings
+ * @param {Object} notification - Notification built by buildNotification
+ * @param {Object} options - Dependencies
+ * @param {Function} options.fetch - Fetch implementation for webhooks
+ * @param {Object} options.logger - Logger for notifier failures
+ * @param {string} [options.platform=process.platform] - Platform, for desktop notifications
+ * @param {Function} [options.run=execFile] - Runs the desktop notifier command
+ * @returns {Promise<number>} Number of notifications sent
+ */
+export async function sendNotifications(notifiers, notification, { fetch, logger, platform = process.platform, run = execFile }) {
+  const matching = (notifiers || []).filter((notifier) =>
+    (notifier.on === undefined ? NOTIFY_EVENTS : [].concat(notifier.on)).includes(notification.event));
+
+  const results = await Promise.allSettled(matching.map((notifier) => (notifier.type === 'webhook'
+    ? sendWebhook(notifier, notification, fetch)
+    : sendDesktop(notification, { platform, run }))));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      const notifier = matching[index];
+      // Webhook URLs often embed a secret, so only the host is logged
+      const name = notifier.type === 'webhook' ? `webhook to ${safeHost(notifier.url)}` : 'desktop notification';
+      logger.warn(`⚠️  Could not send ${name}: ${result.reason.message}`, {
+        file: notification.file,
+        target: notification.target,
+        notifier: notifier.type
+      });
+    }
+  });
+
+  return results.filter((result) => result.status === 'fulfilled').length;
+}
+
+/**
+ * Get the host of a URL for log messages
+ * @param {string} url - URL
+ * @returns {string} Host, or "an invalid URL"
+ */
+function safeHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'an invalid URL';
+  }
+}
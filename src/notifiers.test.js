@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { describe, it, expect } from '@jest/globals';
+import {
+  notifiersFromEnv,
+  validateNotifiers,
+  renderTemplate,
+  getNotificationEvent,
+  buildNotification,
+  getDesktopCommand,
+  sendNotifications
+} from './notifiers.js';
+
+const target = { name: 'orders-dev', integrationServerId: 'orders', instanceId: 'dev-instance' };
+const time = new Date('2024-05-01T09:30:00.000Z');
+
+describe('Notifiers', () => {
+  describe('notifiersFromEnv', () => {
+    it('should build a webhook and a desktop notifier with a shared filter', () => {
+      expect(notifiersFromEnv({
+        NOTIFY_WEBHOOK_URL: 'https://hooks.example.test/abc',
+        NOTIFY_WEBHOOK_PAYLOAD: '{"text": "{{message}}"}',
+        NOTIFY_DESKTOP: 'true',
+        NOTIFY_ON: 'failure'
+      })).toEqual([
+        { type: 'webhook', url: 'https://hooks.example.test/abc', on: ['failure'], payload: { text: '{{message}}' } },
+        { type: 'desktop', on: ['failure'] }
+      ]);
+      expect(notifiersFromEnv({})).toEqual([]);
+    });
+    
+    it('should reject a payload that is not JSON', () => {
+      expect(() => notifiersFromEnv({ NOTIFY_WEBHOOK_URL: 'https://hooks.example.test', NOTIFY_WEBHOOK_PAYLOAD: '{text' }))
+        .toThrow('NOTIFY_WEBHOOK_PAYLOAD is not valid JSON');
+    });
+  });
+  
+  describe('validateNotifiers', () => {
+    it('should accept valid settings', () => {
+      expect(validateNotifiers([
+        { type: 'webhook', url: 'https://hooks.example.test', on: 'failure', payload: { text: '{{file}} {{ error }}' } },
+        { type: 'desktop', on: ['success', 'failure'] }
+      ], 'Target "dev"')).toEqual([]);
+      expect(validateNotifiers(undefined, 'Target "dev"')).toEqual([]);
+    });
+    
+    it('should report every problem', () => {
+      expect(validateNotifiers([
+        { type: 'email' },
+        { type: 'webhook', on: 'always', payload: { text: '{{filename}}' } }
+      ], 'Target "dev"')).toEqual([
+        'Target "dev" notifier #1 has an unknown type (expected one of webhook, desktop)',
+        'Target "dev" notifier #2 has an unknown "on" value "always" (expected success and/or failure)',
+        'Target "dev" notifier #2 needs an http(s) url',
+        expect.stringContaining('Target "dev" notifier #2 payload uses unknown field {{filename}}')
+      ]);
+      expect(validateNotifiers({ type: 'desktop' }, 'Target "dev"')).toEqual(['Target "dev" notify must be a list of notifiers']);
+    });
+  });
+  
+  describe('renderTemplate', () => {
+    it('should fill placeholders at any depth and keep the payload valid JSON', () => {
+      const payload = renderTemplate({
+        text: '{{file}} failed: {{error}}',
+        attachments: [{ title: '{{target}}', fields: [{ value: '{{missing}}' }] }],
+        unfurl: false
+      }, { file: 'order.bar', error: 'bad "quote"\nnext line', target: 'dev' });
+      
+      expect(payload).toEqual({
+        text: 'order.bar failed: bad "quote"\nnext line',
+        attachments: [{ title: 'dev', fields: [{ value: '' }] }],
+        unfurl: false
+      });
+      expect(JSON.parse(JSON.stringify(payload))).toEqual(payload);
+    });
+  });
+  
+  describe('buildNotification', () => {
+    it('should classify results', () => {
+      expect(getNotificationEvent({ ok: true, action: 'uploaded' })).toBe('success');
+      expect(getNotificationEvent({ ok: false, action: 'uploaded' })).toBe('failure');
+      expect(getNotificationEvent({ ok: false, action: 'queued' })).toBe('failure');
+      expect(getNotificationEvent({ ok: false, action: 'invalid' })).toBe('failure');
+      expect(getNotificationEvent({ ok: false, action: 'blocked' })).toBe('failure');
+      expect(getNotificationEvent({ ok: true, action: 'skipped' })).toBeNull();
+      expect(getNotificationEvent({ ok: false, action: 'cancelled' })).toBeNull();
+    });
+    
+    it('should describe successes and upload and deploy failures', () => {
+      const filePath = '/bars/orders/order.bar';
+      
+      expect(buildNotification({ target, filePath, result: { ok: true, action: 'uploaded', deployed: true, hash: 'abc' }, time }))
+        .toEqual({
+          event: 'success',
+          stage: 'deploy',
+          message: '✅ order.bar uploaded and deployed to orders (orders-dev)',
+          file: 'order.bar',
+          filePath,
+          target: 'orders-dev',
+          integrationServer: 'orders',
+          instance: 'dev-instance',
+          action: 'uploaded',
+          status: undefined,
+          error: undefined,
+          hash: 'abc',
+          time: '2024-05-01T09:30:00.000Z'
+        });
+      expect(buildNotification({ target, filePath, result: { ok: false, action: 'uploaded', deployed: false }, time }).message)
+        .toBe('❌ order.bar failed to deploy to orders (orders-dev): deployment did not become ready');
+      expect(buildNotification({ target, filePath, result: { ok: false, action: 'queued', status: 500, error: '500 Server Error' }, time }))
+        .toEqual(expect.objectContaining({
+          event: 'failure',
+          stage: 'upload',
+          status: 500,
+          message: '❌ order.bar failed to upload to orders (orders-dev): 500 Server Error'
+        }));
+    });
+  });
+  
+  describe('getDesktopCommand', () => {
+    it('should pass the text as arguments or environment variables', () => {
+      const message = '"; rm -rf ~ #';
+      
+      expect(getDesktopCommand('darwin', 'Title', message).args.slice(-2)).toEqual(['Title', message]);
+      expect(getDesktopCommand('linux', 'Title', message)).toEqual({
+        command: 'notify-send',
+        args: ['--app-name=bar-sync', 'Title', message]
+      });
+      
+      const windows = getDesktopCommand('win32', 'Title', message);
+      expect(windows.args.join(' ')).not.toContain(message);
+      expect(windows.env).toEqual({ BAR_SYNC_TITLE: 'Title', BAR_SYNC_MESSAGE: message });
+      
+      expect(getDesktopCommand('aix', 'Title', message)).toBeNull();
+    });
+  });
+  
+  describe('sendNotifications', () => {
+    const failure = buildNotification({
+      target,
+      filePath: '/bars/order.bar',
+      result: { ok: false, action: 'queued', error: '503 Unavailable' },
+      time
+    });
+    
+    const createLogger = () => ({ warn: jest.fn() });
+    
+    it('should post the rendered payload to webhooks whose filter matches', async () => {
+      const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+      
+      const sent = await sendNotifications([
+        { type: 'webhook', url: 'https://hooks.example.test/failures', on: 'failure', headers: { 'X-Team': 'integration' } },
+        { type: 'webhook', url: 'https://hooks.example.test/successes', on: ['success'] }
+      ], failure, { fetch, logger: createLogger() });
+      
+      expect(sent).toBe(1);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe('https://hooks.example.test/failures');
+      expect(options.headers).toEqual({ 'Content-Type': 'application/json', 'X-Team': 'integration' });
+      expect(JSON.parse(options.body)).toEqual({ text: '❌ order.bar failed to upload to orders (orders-dev): 503 Unavailable' });
+    });
+    
+    it('should run the desktop notifier', async () => {
+      const run = jest.fn((command, args, options, callback) => callback(null));
+      
+      const sent = await sendNotifications([{ type: 'desktop' }], failure, {
+        fetch: jest.fn(),
+        logger: createLogger(),
+        platform: 'linux',
+        run
+      });
+      
+      expect(sent).toBe(1);
+      expect(run).toHaveBeenCalledWith('notify-send', ['--app-name=bar-sync', 'BAR sync failed', failure.message],
+        expect.any(Object), expect.any(Function));
+    });
+    
+    it('should log notifier failures without the webhook path', async () => {
+      const logger = createLogger();
+      const fetch = jest.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+      
+      const sent = await sendNotifications([
+        { type: 'webhook', url: 'https://hooks.example.test/services/T000/SECRET' },
+        { type: 'desktop' }
+      ], failure, { fetch, logger, platform: 'aix' });
+      
+      expect(sent).toBe(0);
+      expect(logger.warn.mock.calls.map(([message]) => message)).toEqual([
+        '⚠️  Could not send webhook to hooks.example.test: webhook returned 404 Not Found',
+        '⚠️  Could not send desktop notification: desktop notifications are not supported on aix'
+      ]);
+    });
+  });
+});
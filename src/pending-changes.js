@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Changes waiting for approval before they are uploaded to a target in manual
+ * approval mode, and the audit log of every approval and rejection.
+ *
+ * Pending changes are a JSON array stored on disk with one entry per key (a file and
+ * its target), so a file saved several times before anyone reviews it appears once,
+ * with its latest content. The audit log is append-only, one JSON object per line.
+ */
+
+/**
+ * Error for approvals and rejections that cannot be made, so the CLI and control
+ * API can tell them from failed uploads
+ */
+export class ApprovalError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} reason - "not-found", "ambiguous" (the file is pending for several targets)
+   *   or "changed" (the file changed after it was queued)
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = 'ApprovalError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Read the changes waiting for approval
+ * @param {string} pendingFile - Path to the pending changes file
+ * @param {Object} [fileSystem=fs] - File system module to read the file with
+ * @returns {Array<Object>} Pending changes, oldest first
+ */
+export function readPendingChanges(pendingFile, fileSystem = fs) {
+  if (!fileSystem.existsSync(pendingFile)) {
+    return [];
+  }
+
+  const content = fileSystem.readFileSync(pendingFile, 'utf8');
+  if (!content.trim()) {
+    return [];
+  }
+
+  const entries = JSON.parse(content);
+  if (!Array.isArray(entries)) {
+    throw new Error(`Pending changes file is not a JSON array: ${pendingFile}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Write the pending changes, replacing the file's contents
+ * @param {string} pendingFile - Path to the pending changes file
+ * @param {Array<Object>} entries - Pending changes
+ * @param {Object} [fileSystem=fs] - File system module to write the file with
+ */
+function writePendingChanges(pendingFile, entries, fileSystem = fs) {
+  fileSystem.mkdirSync(path.dirname(pendingFile), { recursive: true });
+
+  // Write to a temporary file first so a crash never leaves a half-written file
+  const tempFile = `${pendingFile}.tmp`;
+  fileSystem.writeFileSync(tempFile, JSON.stringify(entries, null, 2));
+  fileSystem.renameSync(tempFile, pendingFile);
+}
+
+/**
+ * Add a change to the pending list. A change already pending for the same key is
+ * superseded: the new change replaces it, keeps its place in the list and counts it.
+ * @param {string} pendingFile - Path to the pending changes file
+ * @param {Object} change - Change to add: key, target, filePath, fileName, hash and detectedAt
+ * @param {Object} [fileSystem=fs] - File system module to update the file with
+ * @returns {{change: Object, superseded: Object|null}} Stored change, and the change it replaced
+ */
+export function addPendingChange(pendingFile, change, fileSystem = fs) {
+  const entries = readPendingChanges(pendingFile, fileSystem);
+  const index = entries.findIndex((entry) => entry.key === change.key);
+  const superseded = index === -1 ? null : entries[index];
+
+  const stored = superseded
+    ? { ...change, firstDetectedAt: superseded.firstDetectedAt, superseded: superseded.superseded + 1 }
+    : { ...change, firstDetectedAt: change.detectedAt, superseded: 0 };
+
+  if (superseded) {
+    entries[index] = stored;
+  } else {
+    entries.push(stored);
+  }
+
+  writePendingChanges(pendingFile, entries, fileSystem);
+  return { change: stored, superseded };
+}
+
+/**
+ * Remove a change from the pending list
+ * @param {string} pendingFile - Path to the pending changes file
+ * @param {string} key - Key of the change to remove
+ * @param {Object} [fileSystem=fs] - File system module to update the file with
+ * @returns {Object|null} Removed change, or null if there was none
+ */
+export function removePendingChange(pendingFile, key, fileSystem = fs) {
+  const entries = readPendingChanges(pendingFile, fileSystem);
+  const removed = entries.find((entry) => entry.key === key);
+
+  if (!removed) {
+    return null;
+  }
+
+  writePendingChanges(pendingFile, entries.filter((entry) => entry !== removed), fileSystem);
+  return removed;
+}
+
+/**
+ * Append an approval or rejection to the audit log
+ * @param {string} auditFile - Path to the audit log
+ * @param {Object} entry - Decision: time, action ("approved" or "rejected"), target, file, hash, by and reason
+ * @param {Object} [fileSystem=fs] - File system module to write the audit log with
+ */
+export function appendAuditEntry(auditFile, entry, fileSystem = fs) {
+  fileSystem.mkdirSync(path.dirname(auditFile), { recursive: true });
+  fileSystem.appendFileSync(auditFile, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Read the audit log
+ * @param {string} auditFile - Path to the audit log
+ * @param {Object} [fileSystem=fs] - File system module to read the audit log with
+ * @returns {Array<Object>} Decisions, oldest first
+ */
+export function readAuditLog(auditFile, fileSystem = fs) {
+  if (!fileSystem.existsSync(auditFile)) {
+    return [];
+  }
+
+  return fileSystem.readFileSync(auditFile, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line));
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readPendingChanges, addPendingChange, removePendingChange, appendAuditEntry, readAuditLog } from './pending-changes.js';
+
+describe('Pending changes', () => {
+  let tempDir;
+  let pendingFile;
+  let auditFile;
+  
+  const change = (fileName, hash, detectedAt, target = 'prod') => ({
+    key: `${target}:/bars/${fileName}`,
+    target,
+    filePath: `/bars/${fileName}`,
+    fileName,
+    hash,
+    detectedAt
+  });
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-pending-'));
+    pendingFile = path.join(tempDir, 'state', 'pending-changes.json');
+    auditFile = path.join(tempDir, 'state', 'approval-audit.jsonl');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  it('should return no changes before anything is pending', () => {
+    expect(readPendingChanges(pendingFile)).toEqual([]);
+  });
+  
+  it('should keep pending changes in the order they were first seen', () => {
+    addPendingChange(pendingFile, change('orders.bar', 'hash-1', '2024-05-01T09:00:00.000Z'));
+    addPendingChange(pendingFile, change('billing.bar', 'hash-2', '2024-05-01T09:05:00.000Z'));
+    
+    expect(readPendingChanges(pendingFile).map(({ fileName, superseded }) => ({ fileName, superseded }))).toEqual([
+      { fileName: 'orders.bar', superseded: 0 },
+      { fileName: 'billing.bar', superseded: 0 }
+    ]);
+  });
+  
+  it('should collapse newer versions of the same file into one change', () => {
+    addPendingChange(pendingFile, change('orders.bar', 'hash-1', '2024-05-01T09:00:00.000Z'));
+    addPendingChange(pendingFile, change('billing.bar', 'hash-2', '2024-05-01T09:05:00.000Z'));
+    addPendingChange(pendingFile, change('orders.bar', 'hash-3', '2024-05-01T09:10:00.000Z'));
+    
+    const { change: latest, superseded } = addPendingChange(pendingFile, change('orders.bar', 'hash-4', '2024-05-01T09:15:00.000Z'));
+    
+    expect(superseded.hash).toBe('hash-3');
+    expect(latest).toEqual(expect.objectContaining({
+      hash: 'hash-4',
+      detectedAt: '2024-05-01T09:15:00.000Z',
+      firstDetectedAt: '2024-05-01T09:00:00.000Z',
+      superseded: 2
+    }));
+    expect(readPendingChanges(pendingFile).map(({ fileName, hash }) => `${fileName}@${hash}`)).toEqual(['orders.bar@hash-4', 'billing.bar@hash-2']);
+  });
+  
+  it('should keep each target\'s changes apart', () => {
+    addPendingChange(pendingFile, change('orders.bar', 'hash-1', '2024-05-01T09:00:00.000Z', 'test'));
+    addPendingChange(pendingFile, change('orders.bar', 'hash-1', '2024-05-01T09:00:00.000Z', 'prod'));
+    
+    expect(readPendingChanges(pendingFile).map(({ target }) => target)).toEqual(['test', 'prod']);
+  });
+  
+  it('should remove a change and report whether there was one', () => {
+    addPendingChange(pendingFile, change('orders.bar', 'hash-1', '2024-05-01T09:00:00.000Z'));
+    
+    expect(removePendingChange(pendingFile, 'prod:/bars/orders.bar')).toEqual(expect.objectContaining({ hash: 'hash-1' }));
+    expect(removePendingChange(pendingFile, 'prod:/bars/orders.bar')).toBeNull();
+    expect(readPendingChanges(pendingFile)).toEqual([]);
+  });
+  
+  it('should append decisions to the audit log', () => {
+    appendAuditEntry(auditFile, { action: 'approved', file: 'orders.bar', by: 'alex' });
+    appendAuditEntry(auditFile, { action: 'rejected', file: 'billing.bar', by: 'sam', reason: 'Wrong endpoint' });
+    
+    expect(fs.readFileSync(auditFile, 'utf8').trim().split('\n')).toHaveLength(2);
+    expect(readAuditLog(auditFile)).toEqual([
+      { action: 'approved', file: 'orders.bar', by: 'alex' },
+      { action: 'rejected', file: 'billing.bar', by: 'sam', reason: 'Wrong endpoint' }
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Startup reconciliation: compare the BAR files in the watch directory with
+ * the ones already stored on the App Connect instance.
+ */
+
+/**
+ * Recursively list BAR files in a directory, skipping dotfiles and dot directories
+ * @param {string} directory - Directory to search
+ * @param {string} fileExtension - Extension of the files to list (e.g. ".bar")
+ * @param {Object} [fileSystem=fs] - File system module to read the directory with
+ * @returns {string[]} Full paths of matching files, sorted
+ */
+export function listLocalBarFiles(directory, fileExtension, fileSystem = fs) {
+  const files = [];
+  
+  for (const entry of fileSystem.readdirSync(directory, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+    
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listLocalBarFiles(entryPath, fileExtension, fileSystem));
+    } else if (entry.isFile() && path.extname(entry.name) === fileExtension) {
+      files.push(entryPath);
+    }
+  }
+  
+  return files.sort();
+}
+
+/**
+ * Work out what has to happen to bring the remote instance in line with the local directory
+ * @param {Object} options - Reconciliation inputs
+ * @param {Array<{filePath: string, remoteName: string, hash: string}>} options.localFiles - Local BAR files
+ * @param {string[]} options.remoteNames - Names of the BAR files on the instance
+ * @param {Object<string, {hash: string}>} options.manifest - Upload manifest keyed by file path
+ * @param {boolean} [options.deleteRemote=false] - Delete remote BAR files that have no local file
+ * @returns {Array<{name: string, filePath: string|null, action: string, reason: string}>} One row per BAR file
+ */
+export function planReconciliation({ localFiles, remoteNames, manifest, deleteRemote = false }) {
+  const remaining = new Set(remoteNames);
+  const plan = [];
+  
+  for (const { filePath, remoteName, hash } of localFiles) {
+    const uploaded = manifest[filePath];
+    let action = 'upload';
+    let reason;
+    
+    if (!remaining.has(remoteName)) {
+      reason = 'missing on remote';
+    } else if (!uploaded) {
+      reason = 'not uploaded by this syncer';
+    } else if (uploaded.hash !== hash) {
+      reason = 'content changed';
+    } else {
+      action = 'none';
+      reason = 'in sync';
+    }
+    
+    remaining.delete(remoteName);
+    plan.push({ name: remoteName, filePath, action, reason });
+  }
+  
+  for (const remoteName of [...remaining].sort()) {
+    plan.push({
+      name: remoteName,
+      filePath: null,
+      action: deleteRemote ? 'delete' : 'none',
+      reason: 'no local file'
+    });
+  }
+  
+  return plan;
+}
+
+/**
+ * Format reconciliation results as a plain-text table
+ * @param {Array<{name: string, action: string, reason: string, target?: string, result?: string}>} rows - Reconciliation rows
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.showTarget=false] - Add a column with each row's target
+ * @returns {string} Table with one line per row
+ */
+export function formatSummaryTable(rows, { showTarget = false } = {}) {
+  const columns = [
+    ...(showTarget ? [{ title: 'Target', value: (row) => row.target }] : []),
+    { title: 'BAR file', value: (row) => row.name },
+    { title: 'Action', value: (row) => row.action },
+    { title: 'Reason', value: (row) => row.reason },
+    { title: 'Result', value: (row) => row.result || '-' }
+  ];
+  
+  const widths = columns.map((column) =>
+    Math.max(column.title.length, ...rows.map((row) => column.value(row).length))
+  );
+  const formatLine = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  
+  return [
+    formatLine(columns.map((column) => column.title)),
+    formatLine(widths.map((width) => '─'.repeat(width))),
+    ...rows.map((row) => formatLine(columns.map((column) => column.value(row))))
+  ].join('\n');
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listLocalBarFiles, planReconciliation, formatSummaryTable } from './reconcile.js';
+
+describe('Startup reconciliation', () => {
+  describe('listLocalBarFiles', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-reconcile-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should list BAR files recursively and skip dotfiles', () => {
+      fs.mkdirSync(path.join(tempDir, 'orders'));
+      fs.mkdirSync(path.join(tempDir, '.bar-sync'));
+      fs.writeFileSync(path.join(tempDir, 'b.bar'), '');
+      fs.writeFileSync(path.join(tempDir, 'notes.txt'), '');
+      fs.writeFileSync(path.join(tempDir, '.hidden.bar'), '');
+      fs.writeFileSync(path.join(tempDir, 'orders', 'a.bar'), '');
+      fs.writeFileSync(path.join(tempDir, '.bar-sync', 'c.bar'), '');
+      
+      expect(listLocalBarFiles(tempDir, '.bar')).toEqual([
+        path.join(tempDir, 'b.bar'),
+        path.join(tempDir, 'orders', 'a.bar')
+      ]);
+    });
+  });
+  
+  describe('planReconciliation', () => {
+    const localFiles = [
+      { filePath: '/bars/new.bar', remoteName: 'new.bar.bar', hash: 'h1' },
+      { filePath: '/bars/same.bar', remoteName: 'same.bar.bar', hash: 'h2' },
+      { filePath: '/bars/changed.bar', remoteName: 'changed.bar.bar', hash: 'h3' },
+      { filePath: '/bars/foreign.bar', remoteName: 'foreign.bar.bar', hash: 'h4' }
+    ];
+    const remoteNames = ['same.bar.bar', 'changed.bar.bar', 'foreign.bar.bar', 'orphan.bar.bar'];
+    const manifest = {
+      '/bars/same.bar': { hash: 'h2' },
+      '/bars/changed.bar': { hash: 'old' }
+    };
+    
+    it('should upload missing and changed files and leave matching ones alone', () => {
+      const plan = planReconciliation({ localFiles, remoteNames, manifest });
+      
+      expect(plan).toEqual([
+        { name: 'new.bar.bar', filePath: '/bars/new.bar', action: 'upload', reason: 'missing on remote' },
+        { name: 'same.bar.bar', filePath: '/bars/same.bar', action: 'none', reason: 'in sync' },
+        { name: 'changed.bar.bar', filePath: '/bars/changed.bar', action: 'upload', reason: 'content changed' },
+        { name: 'foreign.bar.bar', filePath: '/bars/foreign.bar', action: 'upload', reason: 'not uploaded by this syncer' },
+        { name: 'orphan.bar.bar', filePath: null, action: 'none', reason: 'no local file' }
+      ]);
+    });
+    
+    it('should only delete remote files without a local file when asked to', () => {
+      const plan = planReconciliation({ localFiles, remoteNames, manifest, deleteRemote: true });
+      
+      expect(plan.filter((row) => row.action === 'delete').map((row) => row.name)).toEqual(['orphan.bar.bar']);
+    });
+  });
+  
+  describe('formatSummaryTable', () => {
+    it('should align columns', () => {
+      const table = formatSummaryTable([
+        { name: 'a.bar.bar', action: 'upload', reason: 'missing on remote', result: 'uploaded' },
+        { name: 'orphan.bar.bar', action: 'none', reason: 'no local file' }
+      ]);
+      
+      expect(table.split('\n')).toEqual([
+        'BAR file        Action  Reason             Result',
+        '──────────────  ──────  ─────────────────  ────────',
+        'a.bar.bar       upload  missing on remote  uploaded',
+        'orphan.bar.bar  none    no local file      -'
+      ]);
+    });
+    
+    it('should add a target column when asked to', () => {
+      const table = formatSummaryTable([
+        { target: 'prod', name: 'a.bar.bar', action: 'none', reason: 'in sync' }
+      ], { showTarget: true });
+      
+      expect(table.split('\n')[0]).toBe('Target  BAR file   Action  Reason   Result');
+      expect(table.split('\n')[2]).toBe('prod    a.bar.bar  none    in sync  -');
+    });
+  });
+});
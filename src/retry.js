@@ -0,0 +1,53 @@
+/**
+ * Retry helpers for App Connect API calls
+ */
+
+/**
+ * Check whether an HTTP status code is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for rate limiting (429) and server errors (5xx)
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Calculate the delay before the next attempt using exponential backoff with jitter
+ * @param {number} attempt - Number of the attempt that just failed (starting at 1)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay after the first failed attempt
+ * @param {number} options.maxDelayMs - Upper bound for the delay
+ * @param {Function} [random=Math.random] - Random number source, between 0 and 1
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const exponentialDelay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  
+  // "Equal jitter": keep half of the delay, randomise the other half
+  const halfDelay = exponentialDelay / 2;
+  return Math.round(halfDelay + random() * halfDelay);
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null|undefined} value - Header value, either seconds or an HTTP date
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+  
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  
+  return Math.max(0, date - now);
+}
@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import { isRetryableStatus, getBackoffDelay, parseRetryAfter } from './retry.js';
+
+describe('Retry helpers', () => {
+  describe('isRetryableStatus', () => {
+    it('should retry rate limiting and server errors', () => {
+      expect(isRetryableStatus(429)).toBe(true);
+      expect(isRetryableStatus(500)).toBe(true);
+      expect(isRetryableStatus(503)).toBe(true);
+    });
+    
+    it('should not retry client errors', () => {
+      expect(isRetryableStatus(400)).toBe(false);
+      expect(isRetryableStatus(401)).toBe(false);
+      expect(isRetryableStatus(404)).toBe(false);
+    });
+  });
+  
+  describe('getBackoffDelay', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 10000 };
+    
+    it('should double the delay with each attempt', () => {
+      expect(getBackoffDelay(1, options, () => 1)).toBe(1000);
+      expect(getBackoffDelay(2, options, () => 1)).toBe(2000);
+      expect(getBackoffDelay(3, options, () => 1)).toBe(4000);
+    });
+    
+    it('should keep at least half of the delay when adding jitter', () => {
+      expect(getBackoffDelay(3, options, () => 0)).toBe(2000);
+      expect(getBackoffDelay(3, options, () => 0.5)).toBe(3000);
+    });
+    
+    it('should never exceed the maximum delay', () => {
+      expect(getBackoffDelay(10, options, () => 1)).toBe(10000);
+    });
+  });
+  
+  describe('parseRetryAfter', () => {
+    it('should parse a delay in seconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+    });
+    
+    it('should parse an HTTP date', () => {
+      const now = Date.parse('Wed, 21 Oct 2015 07:28:00 GMT');
+      expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:30 GMT', now)).toBe(30000);
+    });
+    
+    it('should return null for missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+});
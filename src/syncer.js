@@ -0,0 +1,3126 @@
+import chokidar from 'chokidar';
+import crypto from 'crypto';
+import nodeFs from 'fs';
+import os from 'os';
+import path from 'path';
+import FormData from 'form-data';
+import nodeFetch from 'node-fetch';
+import { isRetryableStatus, getBackoffDelay, parseRetryAfter } from './retry.js';
+import { readDeadLetters, addDeadLetter, removeDeadLetter } from './dead-letter-queue.js';
+import { hashFile, readManifest, getUploadedHash, recordUpload, forgetUpload } from './manifest.js';
+import { readHistory, recordVersion } from './bar-history.js';
+import { ApprovalError, readPendingChanges, addPendingChange, removePendingChange, appendAuditEntry } from './pending-changes.js';
+import { readGitInfo, formatGitInfo, checkGitGate } from './git-info.js';
+import { listLocalBarFiles, planReconciliation, formatSummaryTable } from './reconcile.js';
+import { isFileInTarget, getTargetsForFile } from './targets.js';
+import { validateBarFile } from './bar-archive.js';
+import { createOverriddenBar } from './bar-overrides.js';
+import { isInboxDrop, readInboxDrop, fileInboxDrop } from './inbox.js';
+import { createLogger } from './logger.js';
+import { getLoggerOptions } from './config.js';
+import { startControlServer } from './control-server.js';
+import { createRegistry } from './metrics.js';
+import { createUploadQueue } from './upload-queue.js';
+import { getNotificationEvent, buildNotification, sendNotifications } from './notifiers.js';
+import { TokenError, getTokenExpiry, createTokenEntry } from './tokens.js';
+import { CredentialError, runSecretCommandAsync } from './credentials.js';
+import { createConnectionFetch, getProxyForUrl, describeProxy, lookupHost, checkTls } from './connection.js';
+
+/**
+ * The sync engine: watches BAR files, uploads and deploys them, and keeps the
+ * remote instance in line with the watch directories. Everything it talks to
+ * (HTTP, the file system, the file watcher and the clock) can be swapped out,
+ * so it can be embedded in other Node tooling and tested without the network.
+ */
+
+/**
+ * Clock used unless one is given: the real time and timers
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer)
+};
+
+// Longest delay setTimeout supports; later refreshes are rescheduled when it fires
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// How long a file the syncer wrote itself is remembered after its debounce time, if the watcher never reports it
+const WRITTEN_FILE_GRACE_MS = 60000;
+
+/**
+ * Key a file's debounce timers, manifest entry and failed upload entry by target,
+ * so a file synced to several targets is tracked separately for each of them
+ * @param {Object} target - Sync target
+ * @param {string} filePath - Full path to the BAR file
+ * @returns {string} State key
+ */
+function getStateKey(target, filePath) {
+  return `${target.name}:${filePath}`;
+}
+
+/**
+ * Split a state key back into its target name and file path
+ * @param {string} stateKey - Key built by getStateKey
+ * @returns {{target: string, filePath: string}} Target name and file path
+ */
+function parseStateKey(stateKey) {
+  const separator = stateKey.indexOf(':');
+  return { target: stateKey.slice(0, separator), filePath: stateKey.slice(separator + 1) };
+}
+
+/**
+ * Get the name a local BAR file is stored under on the App Connect instance
+ * @param {string} fileName - Local file name
+ * @returns {string} Remote BAR file name
+ */
+export function getRemoteBarName(fileName) {
+  // Uploads have always been stored under the local file name plus ".bar";
+  // keep that so archives uploaded by earlier versions still match
+  return `${fileName}.bar`;
+}
+
+/**
+ * Get the local file name for a BAR file stored on the App Connect instance, the reverse of getRemoteBarName
+ * @param {string} remoteName - Remote BAR file name
+ * @param {string} fileExtension - Extension of local BAR files
+ * @returns {string|null} Local file name, or null if the remote file is not a BAR file that can be pulled
+ */
+export function getLocalBarName(remoteName, fileExtension) {
+  // Never write outside the watch directory, whatever the instance calls a file
+  if (remoteName !== path.basename(remoteName) || remoteName.startsWith('.')) {
+    return null;
+  }
+
+  // Files the syncer uploaded have ".bar" added; files uploaded another way, such as from the dashboard, do not
+  if (remoteName.endsWith(`${fileExtension}.bar`)) {
+    return remoteName.slice(0, -'.bar'.length);
+  }
+  return remoteName.endsWith(fileExtension) ? remoteName : null;
+}
+
+/**
+ * Shorten text (such as an error response body) for a log message
+ * @param {string} text - Text to shorten
+ * @param {number} [maxLength=200] - Maximum length
+ * @returns {string} Text, cut off with an ellipsis if it was too long
+ */
+function truncate(text, maxLength = 200) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * Build the bar-files API URL for a remote BAR file
+ * @param {string} remoteName - Remote BAR file name
+ * @param {Object} target - Sync target
+ * @returns {string} API URL
+ */
+function getBarFileUrl(remoteName, target) {
+  return `${target.apiBaseUrl}/api/v1/bar-files/${remoteName}`;
+}
+
+/**
+ * Create a syncer. Nothing is watched until start() is called, and nothing
+ * exits the process: errors are thrown or returned in upload results.
+ * @param {Object} options - Syncer options
+ * @param {Object} options.config - Configuration, as returned by loadConfig
+ * @param {Object} [options.logger] - Logger (defaults to one built from the LOG_* settings)
+ * @param {Function} [options.fetch] - fetch implementation for the App Connect API and notifiers (defaults to node-fetch);
+ *   requests go through it with the proxy, TLS and timeout settings added
+ * @param {Object} [options.fs] - File system module used to check for and read BAR files (defaults to fs)
+ * @param {Function} [options.watch] - Creates the file watcher, with the same signature and events as chokidar.watch
+ * @param {Object} [options.clock] - Time source with now(), setTimeout() and clearTimeout() (defaults to systemClock)
+ * @param {Function} [options.git] - Reads the Git state of a directory (defaults to readGitInfo)
+ * @param {Function} [options.reloadConfig] - Reads the configuration again, as loadConfig does; when given,
+ *   the targets are reloaded whenever the config file (BAR_SYNC_CONFIG) changes
+ * @returns {Object} Syncer: start() and stop(), the upload, deploy and reconcile operations, and its state
+ */
+export function createSyncer({
+  config,
+  logger = createLogger(getLoggerOptions(config)),
+  fetch: baseFetch = nodeFetch,
+  fs = nodeFs,
+  watch = (paths, options) => chokidar.watch(paths, options),
+  clock = systemClock,
+  git = readGitInfo,
+  reloadConfig = null
+}) {
+  // Credentials from the config file are redacted from logs too, as are webhook URLs, which often embed a token
+  logger.addSecret(config.clientSecret);
+  logger.addSecret(config.apiKey);
+  for (const target of config.targets) {
+    logger.addSecret(target.clientSecret);
+    logger.addSecret(target.apiKey);
+    for (const notifier of target.notify || []) {
+      logger.addSecret(notifier.url);
+    }
+  }
+  for (const proxyUrl of [config.httpsProxy, config.httpProxy].filter(Boolean)) {
+    logger.addSecret(decodeURIComponent(new URL(proxyUrl).password));
+  }
+
+  // Every request uses the proxy, CA, client certificate and timeout settings
+  const fetch = createConnectionFetch(baseFetch, config);
+
+  // File watcher, config file watcher, inbox watcher and control API, while started
+  let watcher = null;
+  let configWatcher = null;
+  let inboxWatcher = null;
+  let reloadTimer = null;
+  let controlServer = null;
+
+  // Reloads run one at a time, so a slow credential command cannot let an older config file win
+  let reloadQueue = Promise.resolve();
+
+  // Debounce map to prevent multiple uploads for rapid file changes, keyed by target and file
+  const debounceTimers = new Map();
+
+  // Grace period timers for locally deleted files, so a quick delete-and-recreate is not propagated
+  const pendingDeletions = new Map();
+
+  // Token cache, one token per target
+  const tokenCache = new Map();
+
+  // Token requests in flight, shared by every caller that misses the cache meanwhile, and background refresh timers
+  const tokenRequests = new Map();
+  const tokenRefreshTimers = new Map();
+
+  // Files the syncer wrote into a watch directory itself (pulled from the instance or unpacked from an inbox),
+  // keyed like the debounce timers, with their hash, where they came from and the timer forgetting them,
+  // so the watcher does not sync them again
+  const writtenFiles = new Map();
+
+  // Periodic pulls (SYNC_DIRECTION pull or both) while started, and the summary of the latest pull
+  let pullTimer = null;
+  let pullsScheduled = false;
+  let runningPull = null;
+  let lastPull = null;
+
+  // Inbox drops are unpacked one at a time, in the order they arrive
+  let inboxQueue = Promise.resolve();
+
+  // Result of the latest upload of each file to each target, keyed like the debounce timers
+  const lastResults = new Map();
+
+  // Watcher state for the control API: changes seen while paused are handled on resume.
+  // Once shutting down, no new uploads are started.
+  const watcherState = {
+    ready: false,
+    paused: false,
+    pausedChanges: new Set(),
+    shuttingDown: false
+  };
+
+  // Uploads interrupted by a shutdown and saved to the failed upload queue, counted for drainUploads
+  let interruptedUploads = 0;
+
+  // Uploads that have left the debounce timers, at most UPLOAD_CONCURRENCY at a time and one at a time per file and target.
+  // A newer change to a file replaces its waiting upload and cancels its running one.
+  const uploadQueue = createUploadQueue({
+    concurrency: config.uploadConcurrency,
+    run: ({ filePath, target, force, approvedHash }, signal) => uploadBarFile(filePath, { target, force, approvedHash, signal })
+      .then((result) => {
+        if (result.action === 'cancelled' && signal.reason === 'shutdown') {
+          persistUpload(filePath, target, 'Interrupted by shutdown', approvedHash);
+          interruptedUploads++;
+        }
+        return result;
+      }),
+    merge: (queued, next) => ({ ...next, force: queued.force || next.force })
+  });
+
+  // Prometheus metrics, served by the control API at /metrics
+  const metricsRegistry = createRegistry();
+  const metrics = {
+    changesDetected: metricsRegistry.counter('bar_sync_changes_detected_total', 'BAR file changes seen by the watcher', ['event']),
+    uploadsAttempted: metricsRegistry.counter('bar_sync_uploads_attempted_total', 'Upload attempts, including retries', ['target']),
+    uploadsSucceeded: metricsRegistry.counter('bar_sync_uploads_succeeded_total', 'Successful uploads', ['target']),
+    uploadsFailed: metricsRegistry.counter('bar_sync_uploads_failed_total', 'Failed upload attempts, by HTTP status ("network" when there was no response)', ['target', 'status']),
+    uploadsSkipped: metricsRegistry.counter('bar_sync_uploads_skipped_total', 'Uploads skipped because the file was unchanged', ['target']),
+    tokenGenerations: metricsRegistry.counter('bar_sync_token_generations_total', 'Authentication tokens requested', ['target']),
+    tokenCacheHits: metricsRegistry.counter('bar_sync_token_cache_hits_total', 'Authentication tokens served from the cache', ['target']),
+    unauthorizedRetries: metricsRegistry.counter('bar_sync_unauthorized_retries_total', 'API requests retried with a new token after a 401 response', ['target']),
+    tokenFailures: metricsRegistry.counter('bar_sync_token_failures_total', 'Failed authentication token requests', ['target']),
+    inboxDrops: metricsRegistry.counter('bar_sync_inbox_drops_total', 'Files dropped into an inbox and processed, by outcome (done or failed)', ['outcome']),
+    filesPulled: metricsRegistry.counter('bar_sync_files_pulled_total', 'BAR files downloaded from the instance into a watch directory', ['target']),
+    uploadDuration: metricsRegistry.histogram('bar_sync_upload_duration_seconds', 'Duration of upload attempts',
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60], ['target']),
+    barSize: metricsRegistry.histogram('bar_sync_bar_size_bytes', 'Size of uploaded BAR files',
+      [64 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024, 64 * 1024 * 1024, 256 * 1024 * 1024], ['target'])
+  };
+  metricsRegistry.gauge('bar_sync_upload_queue_depth', 'Uploads waiting for the debounce period, queued or in progress',
+    () => debounceTimers.size + uploadQueue.waiting().length + uploadQueue.running().length);
+  metricsRegistry.gauge('bar_sync_failed_uploads', 'Entries in the failed upload queue',
+    () => readDeadLetters(config.deadLetterFile, fs).length);
+  metricsRegistry.gauge('bar_sync_pending_approvals', 'Changes waiting for approval',
+    () => readPendingChanges(config.pendingChangesFile, fs).length);
+
+  /**
+   * Describe a file for log messages, naming the target when there is more than one
+   * @param {string} fileName - Name of the BAR file
+   * @param {Object} target - Sync target
+   * @returns {string} Description
+   */
+  function describeFile(fileName, target) {
+    return config.targets.length > 1 ? `${fileName} → ${target.name}` : fileName;
+  }
+
+  /**
+   * Describe the Git source of an upload for log messages, if it was read
+   * @param {Object|null|undefined} source - Git state from readSourceInfo
+   * @returns {string} " from main@3f9a1c0d2b7e", " from outside Git", or nothing
+   */
+  function describeSource(source) {
+    if (source === undefined) {
+      return '';
+    }
+
+    return source ? ` from ${formatGitInfo(source)}` : ' from outside Git';
+  }
+
+  /**
+   * Get an authentication token for a target, from the cache while it is valid.
+   * Callers that miss the cache at the same time share a single token request.
+   * @param {Object} [target] - Sync target whose credentials to use (defaults to the first target)
+   * @returns {Promise<string>} Authentication token
+   * @throws {TokenError} If the token request fails
+   */
+  async function generateToken(target = config.targets[0]) {
+    // Check if we have a valid cached token
+    const cached = tokenCache.get(target.name);
+    if (cached && clock.now() < cached.expiry) {
+      logger.debug('🔑 Using cached authentication token', { target: target.name });
+      metrics.tokenCacheHits.inc({ target: target.name });
+      return cached.token;
+    }
+
+    return requestSharedToken(target);
+  }
+
+  /**
+   * Start a token request for a target, or join the one already in flight
+   * @param {Object} target - Sync target
+   * @returns {Promise<string>} Authentication token
+   */
+  function requestSharedToken(target) {
+    if (!tokenRequests.has(target.name)) {
+      tokenRequests.set(target.name, requestToken(target).finally(() => tokenRequests.delete(target.name)));
+    }
+
+    return tokenRequests.get(target.name);
+  }
+
+  /**
+   * Request a new token from the IBM App Connect API, cache it until it expires and
+   * schedule its refresh
+   * @param {Object} target - Sync target
+   * @returns {Promise<string>} Authentication token
+   * @throws {TokenError} If the request fails or the response has no token
+   */
+  async function requestToken(target) {
+    metrics.tokenGenerations.inc({ target: target.name });
+    logger.info(config.targets.length > 1
+      ? `🔑 Generating new authentication token for ${target.name}...`
+      : '🔑 Generating new authentication token...', { target: target.name });
+
+    const tokenUrl = `${target.apiBaseUrl}/api/v1/tokens`;
+    const requestBody = {
+      apiKey: target.apiKey
+    };
+
+    let tokenData;
+    try {
+      const response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+          'X-IBM-Instance-Id': target.instanceId,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'X-IBM-Client-Id': target.clientId,
+          'X-IBM-Client-Secret': target.clientSecret
+        },
+        body: JSON.stringify(requestBody)
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new TokenError(`Token generation failed: ${response.status} ${response.statusText} - ${errorText}`, response.status);
+      }
+
+      tokenData = await response.json();
+    } catch (error) {
+      metrics.tokenFailures.inc({ target: target.name });
+      // Network errors have no status, so they are retried like any other network error
+      throw error instanceof TokenError ? error : new TokenError(`Token generation failed: ${error.message}`);
+    }
+
+    if (!tokenData || !tokenData.access_token) {
+      metrics.tokenFailures.inc({ target: target.name });
+      throw new TokenError('Token generation failed: the response did not include an access_token');
+    }
+
+    // Each target's token replaces its last one, so a long-running watcher does not collect them
+    logger.setSecret(`token:${target.name}`, tokenData.access_token);
+
+    const now = clock.now();
+    const { expiresAt, source } = getTokenExpiry(tokenData, now);
+    const entry = createTokenEntry(tokenData.access_token, expiresAt, now, config.tokenRefreshMarginMs);
+    tokenCache.set(target.name, entry);
+    scheduleTokenRefresh(target, entry);
+
+    logger.info(`✅ Authentication token generated successfully (valid for ${Math.round((expiresAt - now) / 60000)} minutes)`, {
+      target: target.name,
+      expiresAt: new Date(expiresAt).toISOString(),
+      expirySource: source
+    });
+    return entry.token;
+  }
+
+  /**
+   * Refresh a cached token in the background shortly before it expires, so uploads
+   * never wait for a token. If the refresh fails the cached token is used until it
+   * expires, and the next caller requests a new one.
+   * @param {Object} target - Sync target
+   * @param {Object} entry - Token cache entry to refresh
+   */
+  function scheduleTokenRefresh(target, entry) {
+    clock.clearTimeout(tokenRefreshTimers.get(target.name));
+
+    const timer = clock.setTimeout(() => {
+      tokenRefreshTimers.delete(target.name);
+
+      if (watcherState.shuttingDown || tokenCache.get(target.name) !== entry) {
+        return;
+      }
+
+      if (clock.now() < entry.refreshAt) {
+        scheduleTokenRefresh(target, entry);
+        return;
+      }
+
+      logger.debug('🔑 Refreshing authentication token before it expires', { target: target.name });
+      requestSharedToken(target).catch((error) => {
+        logger.warn(`⚠️  Background token refresh failed: ${error.message}`, { target: target.name, status: error.status, error });
+      });
+    }, Math.min(Math.max(0, entry.refreshAt - clock.now()), MAX_TIMER_DELAY_MS));
+
+    // Refreshing tokens is no reason to keep a one-shot command running (injected clocks may not have unref)
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    tokenRefreshTimers.set(target.name, timer);
+  }
+
+  /**
+   * Drop a cached token the API has rejected. A newer token cached meanwhile by
+   * another request is kept.
+   * @param {Object} target - Sync target
+   * @param {string} token - Rejected token
+   */
+  function invalidateToken(target, token) {
+    const cached = tokenCache.get(target.name);
+
+    if (cached && cached.token === token) {
+      tokenCache.delete(target.name);
+      clock.clearTimeout(tokenRefreshTimers.get(target.name));
+      tokenRefreshTimers.delete(target.name);
+    }
+  }
+
+  /**
+   * Call the App Connect API with a target's credentials. A 401 response is retried
+   * once with a new token, in case the cached one was revoked or expired early.
+   * @param {Object} target - Sync target
+   * @param {string} url - Request URL
+   * @param {Object} [options] - fetch options; the authentication headers are added
+   * @returns {Promise<Object>} Response
+   * @throws {TokenError} If no token can be obtained
+   */
+  async function apiFetch(target, url, options = {}) {
+    const send = async () => {
+      const token = await generateToken(target);
+      const response = await fetch(url, {
+        ...options,
+        headers: {
+          'X-IBM-Instance-Id': target.instanceId,
+          'X-IBM-Client-Id': target.clientId,
+          'authorization': `Bearer ${token}`,
+          ...options.headers
+        }
+      });
+      return { token, response };
+    };
+
+    const first = await send();
+    if (first.response.status !== 401) {
+      return first.response;
+    }
+
+    logger.info('🔄 Token was rejected, retrying with a new one...', { target: target.name });
+    invalidateToken(target, first.token);
+    metrics.unauthorizedRetries.inc({ target: target.name });
+    return (await send()).response;
+  }
+
+  /**
+   * Hash a BAR file as it will be uploaded to a target. With overrides the properties
+   * file is part of what is uploaded, so a change to either one changes the hash.
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @param {string|null} [overridesFile] - Properties file to hash (defaults to the target's overrides file)
+   * @returns {Promise<string>} SHA-256 hex digest
+   */
+  async function hashUpload(filePath, target, overridesFile = target.overridesFile) {
+    const hash = await hashFile(filePath, fs);
+
+    if (!overridesFile) {
+      return hash;
+    }
+
+    const overridesHash = await hashFile(overridesFile, fs);
+    return crypto.createHash('sha256').update(`${hash}:${overridesHash}`).digest('hex');
+  }
+
+  /**
+   * Upload BAR file to IBM App Connect API, retrying transient failures.
+   * Files that are not valid BAR archives are rejected without being sent.
+   * Targets with an overrides file get an overridden copy; the local file is not changed.
+   * Files whose content matches the last successful upload are skipped.
+   * Uploads that still fail after the last attempt are added to the failed upload queue.
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} [options] - Upload options
+   * @param {Object} [options.target] - Sync target to upload to (defaults to the first target)
+   * @param {boolean} [options.force] - Upload even if the content has not changed
+   * @param {string} [options.approvedHash] - Hash of the approved version of the file; any other content is held for approval again
+   * @param {AbortSignal} [options.signal] - Cancels the upload; it is not retried or queued
+   * @returns {Promise<Object>} Upload result: `ok` is true if the file is up to date remotely and deployed;
+   *   `action` is "uploaded", "skipped", "invalid", "blocked" (refused by a protected target's Git gate), "failed",
+   *   "cancelled", "queued" (failed and added to the failed upload queue), "pending approval" (changed since it was
+   *   approved, and waiting for approval again) or "dry-run" (with DRY_RUN set: the request that would have been sent, with its size and URL)
+   */
+  async function uploadBarFile(filePath, options = {}) {
+    const target = options.target || config.targets[0];
+    const result = await uploadToTarget(filePath, target, {
+      force: options.force || config.forceUpload,
+      approvedHash: options.approvedHash,
+      signal: options.signal
+    });
+
+    lastResults.set(getStateKey(target, filePath), {
+      target: target.name,
+      file: path.basename(filePath),
+      filePath,
+      ok: result.ok,
+      action: result.action,
+      deployed: result.deployed,
+      status: result.status,
+      error: result.error,
+      hash: result.hash,
+      finishedAt: new Date(clock.now()).toISOString()
+    });
+
+    notifyResult(target, filePath, result);
+
+    return result;
+  }
+
+  /**
+   * Tell the target's notifiers about an upload result, in the background
+   * @param {Object} target - Sync target
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} result - Upload result, as returned by uploadBarFile
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  function notifyResult(target, filePath, result) {
+    if (!target.notify || target.notify.length === 0 || !getNotificationEvent(result)) {
+      return Promise.resolve(0);
+    }
+
+    return sendNotifications(target.notify, buildNotification({ target, filePath, result }), { fetch, logger });
+  }
+
+  /**
+   * Queue an upload, so it runs within the concurrency limit and never alongside
+   * another upload of the same file to the same target
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} [options] - Upload options
+   * @param {Object} [options.target] - Sync target to upload to (defaults to the first target)
+   * @param {boolean} [options.force] - Upload even if the content has not changed
+   * @param {string} [options.approvedHash] - Hash of the approved version of the file, for targets in manual approval mode
+   * @returns {Promise<Object>} Upload result, as returned by uploadBarFile. An upload replaced by a
+   *   newer one for the same file resolves with the newer upload's result.
+   */
+  function queueUpload(filePath, options = {}) {
+    const target = options.target || config.targets[0];
+
+    if (watcherState.shuttingDown) {
+      persistUpload(filePath, target, 'Changed during shutdown', options.approvedHash);
+      return Promise.resolve({ ok: false, action: 'queued', error: 'Shutting down' });
+    }
+
+    return uploadQueue.enqueue(getStateKey(target, filePath), { filePath, target, force: options.force, approvedHash: options.approvedHash });
+  }
+
+  /**
+   * Save an upload that could not run to the failed upload queue, so it is replayed on the next start
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @param {string} reason - Why the upload did not run
+   * @param {string} [approvedHash] - Hash of the approved version, for an approved upload
+   */
+  function persistUpload(filePath, target, reason, approvedHash) {
+    const fileName = path.basename(filePath);
+
+    addDeadLetter(config.deadLetterFile, {
+      key: getStateKey(target, filePath),
+      target: target.name,
+      filePath,
+      fileName,
+      failedAt: new Date(clock.now()).toISOString(),
+      attempts: 0,
+      status: null,
+      error: reason,
+      approvedHash: approvedHash || null
+    }, fs);
+    logger.info(`📥 Saved ${describeFile(fileName, target)} to the failed upload queue for the next start`, { file: fileName, target: target.name, reason });
+  }
+
+  /**
+   * Stop taking uploads and let the running ones finish. Uploads waiting for their
+   * debounce period or a free slot, and running uploads still going after the timeout,
+   * including ones waiting for their deployment, are cancelled and saved to the failed
+   * upload queue so the next start replays them.
+   * @param {number} [timeoutMs] - How long to wait for running uploads (defaults to SHUTDOWN_TIMEOUT_MS)
+   * @returns {Promise<{completed: number, persisted: number}>} Uploads that finished and uploads saved for later
+   */
+  async function drainUploads(timeoutMs = config.shutdownTimeoutMs) {
+    watcherState.shuttingDown = true;
+    let persisted = 0;
+
+    for (const timer of tokenRefreshTimers.values()) {
+      clock.clearTimeout(timer);
+    }
+    tokenRefreshTimers.clear();
+
+    for (const [stateKey, timer] of debounceTimers) {
+      clock.clearTimeout(timer);
+      const { target: targetName, filePath } = parseStateKey(stateKey);
+      persistUpload(filePath, config.targets.find((target) => target.name === targetName), 'Changed during shutdown');
+      persisted++;
+    }
+    debounceTimers.clear();
+
+    for (const stateKey of [...writtenFiles.keys()]) {
+      forgetWrittenFile(stateKey);
+    }
+
+    for (const { filePath, target, approvedHash } of uploadQueue.clear({ ok: false, action: 'queued', error: 'Shutting down' })) {
+      persistUpload(filePath, target, 'Waiting to upload at shutdown', approvedHash);
+      persisted++;
+    }
+
+    const running = uploadQueue.running();
+    if (running.length === 0) {
+      return { completed: 0, persisted };
+    }
+
+    logger.info(`⏳ Waiting up to ${timeoutMs}ms for ${running.length} upload(s) to finish...`, { count: running.length, timeoutMs });
+
+    let timer;
+    const timedOut = await Promise.race([
+      uploadQueue.onIdle().then(() => false),
+      new Promise((resolve) => {
+        timer = clock.setTimeout(() => resolve(true), timeoutMs);
+      })
+    ]);
+    clock.clearTimeout(timer);
+
+    if (!timedOut) {
+      return { completed: running.length, persisted };
+    }
+
+    // Cancelled uploads and interrupted deployments save themselves to the failed upload queue; uploads
+    // that finish before they notice the cancellation count as completed
+    const interruptedBefore = interruptedUploads;
+    uploadQueue.abortAll('shutdown');
+    await uploadQueue.onIdle();
+    const interrupted = interruptedUploads - interruptedBefore;
+
+    return { completed: running.length - interrupted, persisted: persisted + interrupted };
+  }
+
+  /**
+   * Validate, deduplicate, override and send a BAR file to one target
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @param {Object} options - Upload options
+   * @param {boolean} options.force - Upload even if the content has not changed
+   * @param {string} [options.approvedHash] - Hash of the approved version of the file
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @returns {Promise<Object>} Upload result, as returned by uploadBarFile
+   */
+  async function uploadToTarget(filePath, target, { force, approvedHash, signal }) {
+    const fileName = path.basename(filePath);
+    const label = describeFile(fileName, target);
+
+    if (!fs.existsSync(filePath)) {
+      logger.error(`❌ Cannot upload ${label}: file no longer exists`, { file: fileName, target: target.name });
+      return { ok: false, action: 'failed', error: 'File no longer exists' };
+    }
+
+    if (!approvedHash) {
+      return uploadVersion(filePath, target, { force, signal, sourcePath: filePath, overridesFile: target.overridesFile });
+    }
+
+    // An approved change is sent from a copy, so the bytes checked against the approval are the bytes uploaded
+    let snapshot;
+    try {
+      snapshot = snapshotUpload(filePath, target);
+    } catch (error) {
+      logger.error(`❌ Cannot read ${fileName}: ${error.message}`, { file: fileName, target: target.name, error });
+      return { ok: false, action: 'failed', error: error.message };
+    }
+
+    try {
+      return await uploadVersion(filePath, target, { force, approvedHash, signal, sourcePath: snapshot.filePath, overridesFile: snapshot.overridesFile });
+    } finally {
+      snapshot.cleanup();
+    }
+  }
+
+  /**
+   * Copy a BAR file and its target's overrides file to a temporary directory
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @returns {{filePath: string, overridesFile: string|null, cleanup: Function}} Copies, and a function removing them
+   */
+  function snapshotUpload(filePath, target) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-'));
+    const cleanup = () => fs.rmSync(directory, { recursive: true, force: true });
+
+    try {
+      const copyPath = path.join(directory, path.basename(filePath));
+      fs.copyFileSync(filePath, copyPath);
+
+      let overridesFile = null;
+      if (target.overridesFile) {
+        overridesFile = path.join(directory, `overrides-${path.basename(target.overridesFile)}`);
+        fs.copyFileSync(target.overridesFile, overridesFile);
+      }
+
+      return { filePath: copyPath, overridesFile, cleanup };
+    } catch (error) {
+      cleanup();
+      throw error;
+    }
+  }
+
+  /**
+   * Validate, deduplicate, override and send one version of a BAR file to a target
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @param {Object} options - Upload options
+   * @param {boolean} options.force - Upload even if the content has not changed
+   * @param {string} [options.approvedHash] - Hash of the approved version; other content is held for approval again
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {string} options.sourcePath - File to read the content from (the BAR file, or a copy of it)
+   * @param {string|null} options.overridesFile - Properties file to apply (the target's, or a copy of it)
+   * @returns {Promise<Object>} Upload result, as returned by uploadBarFile
+   */
+  async function uploadVersion(filePath, target, { force, approvedHash, signal, sourcePath, overridesFile }) {
+    const fileName = path.basename(filePath);
+    const label = describeFile(fileName, target);
+    const stateKey = getStateKey(target, filePath);
+
+    // Retrying cannot fix a broken archive, so invalid files are neither uploaded nor queued
+    if (config.validateBarFiles) {
+      const validation = await validateBarFile(sourcePath, fs);
+      if (!validation.valid) {
+        const reason = validation.problems.join('; ');
+        logger.error(`❌ Not uploading ${label}: invalid BAR file: ${reason}`, { file: fileName, target: target.name, problems: validation.problems });
+        return { ok: false, action: 'invalid', error: `Invalid BAR file: ${reason}` };
+      }
+    }
+
+    let hash;
+    try {
+      hash = await hashUpload(sourcePath, target, overridesFile);
+    } catch (error) {
+      logger.error(`❌ Cannot read ${fileName}: ${error.message}`, { file: fileName, target: target.name, error });
+      return { ok: false, action: 'failed', error: error.message };
+    }
+
+    if (approvedHash && hash !== approvedHash) {
+      logger.error(`✋ Not uploading ${label}: it has changed since it was approved (sha256 ${approvedHash.slice(0, 12)}, now ${hash.slice(0, 12)}); the new version is waiting for approval`, {
+        file: fileName,
+        target: target.name,
+        hash,
+        approvedHash
+      });
+      if (!config.dryRun) {
+        addPendingChange(config.pendingChangesFile, {
+          key: stateKey,
+          target: target.name,
+          filePath,
+          fileName,
+          hash,
+          detectedAt: new Date(clock.now()).toISOString()
+        }, fs);
+        removeDeadLetter(config.deadLetterFile, stateKey, fs);
+      }
+      return { ok: false, action: 'pending approval', hash, error: 'Changed since it was approved' };
+    }
+
+    if (!force && getUploadedHash(config.manifestFile, stateKey, fs) === hash) {
+      logger.info(`⏭️  Skipping ${label}: unchanged since last upload (sha256 ${hash.slice(0, 12)})`, { file: fileName, target: target.name, hash });
+      metrics.uploadsSkipped.inc({ target: target.name });
+      return { ok: true, action: 'skipped', hash };
+    }
+
+    const source = await readSourceInfo(target);
+    if (target.protected) {
+      const problems = checkGitGate(source, target.allowedBranches);
+      if (problems.length > 0) {
+        const reason = problems.join('; ');
+        logger.error(`🔒 Not uploading ${label}: ${target.name} is a protected target and ${reason}`, { file: fileName, target: target.name, git: source, problems });
+        return { ok: false, action: 'blocked', hash, error: `Protected target: ${reason}` };
+      }
+    }
+
+    let overridden = null;
+    if (overridesFile) {
+      try {
+        overridden = await createOverriddenBar(sourcePath, overridesFile, fs);
+      } catch (error) {
+        logger.error(`❌ Cannot apply overrides from ${target.overridesFile} to ${label}: ${error.message}`, { file: fileName, target: target.name, error });
+        return { ok: false, action: 'failed', hash, error: `Overrides failed: ${error.message}` };
+      }
+
+      logger.info(`🔧 Applied ${overridden.applied.length} override(s) from ${path.basename(target.overridesFile)} to ${label}`, {
+        file: fileName,
+        target: target.name,
+        applied: overridden.applied
+      });
+      if (overridden.unmatched.length > 0) {
+        logger.info(`   Not in ${fileName}: ${overridden.unmatched.join(', ')}`, { file: fileName, target: target.name, unmatched: overridden.unmatched });
+      }
+    }
+
+    try {
+      const uploadPath = overridden ? overridden.filePath : sourcePath;
+      return config.dryRun
+        ? await planUpload(filePath, uploadPath, { target, label, hash, git: source })
+        : await sendBarFile(filePath, uploadPath, { target, label, stateKey, hash, approved: Boolean(approvedHash), signal, git: source });
+    } finally {
+      if (overridden) {
+        overridden.cleanup();
+      }
+    }
+  }
+
+  /**
+   * Read the Git state of the workspace a target's BAR files are built from, when
+   * Git metadata is enabled or the target is protected
+   * @param {Object} target - Sync target
+   * @returns {Promise<Object|null|undefined>} Git state from readGitInfo, null if the source is not
+   *   in a Git repository, or undefined if it is not needed
+   */
+  async function readSourceInfo(target) {
+    if (!config.gitMetadata && !target.protected) {
+      return undefined;
+    }
+
+    const directory = target.gitRepository || target.watchDirectory;
+    try {
+      return await git(directory);
+    } catch (error) {
+      logger.warn(`⚠️  Could not read the Git state of ${directory}: ${error.message}`, { target: target.name, error });
+      return null;
+    }
+  }
+
+  /**
+   * Describe the upload and deployment a dry run leaves out. No token is requested
+   * unless DRY_RUN_CHECK_TOKEN is set, so credentials can be checked separately.
+   * @param {string} filePath - Full path to the local BAR file
+   * @param {string} uploadPath - File that would be sent (the local file, or an overridden copy of it)
+   * @param {Object} upload - Upload details
+   * @param {Object} upload.target - Sync target
+   * @param {string} upload.label - Description of the file for log messages
+   * @param {string} upload.hash - Hash of the upload
+   * @param {Object|null} [upload.git] - Git state of the source, if it was read
+   * @returns {Promise<Object>} Upload result with action "dry-run", or "failed" if the token check fails
+   */
+  async function planUpload(filePath, uploadPath, { target, label, hash, git: source }) {
+    const fileName = path.basename(filePath);
+    const remoteName = getRemoteBarName(fileName);
+    const url = getBarFileUrl(remoteName, target);
+    const size = fs.statSync(uploadPath).size;
+    const fields = { file: fileName, target: target.name, hash, size, method: 'PUT', url, dryRun: true, git: source };
+
+    if (config.dryRunCheckToken) {
+      try {
+        await generateToken(target);
+      } catch (error) {
+        logger.error(`🔑 Dry run: no authentication token for ${label} (${error.message})`, { ...fields, status: error.status, stage: 'token', error });
+        return { ok: false, action: 'failed', hash, status: error.status, error: error.message };
+      }
+    }
+
+    logger.info(`🧪 Dry run: would PUT ${label} (${size} bytes, sha256 ${hash.slice(0, 12)}${describeSource(source)}) to ${url}`, fields);
+    logger.info(`🧪 Dry run: would deploy ${remoteName} to integration server ${target.integrationServerId} on ${target.instanceId}`, {
+      file: fileName,
+      target: target.name,
+      server: target.integrationServerId,
+      dryRun: true
+    });
+
+    return { ok: true, action: 'dry-run', hash, size, method: 'PUT', url, deployed: null };
+  }
+
+  /**
+   * Send a BAR file with retries, then deploy it; queue it if every attempt fails
+   * @param {string} filePath - Full path to the local BAR file
+   * @param {string} uploadPath - File to send (the local file, or an overridden copy of it)
+   * @param {Object} upload - Upload details
+   * @param {Object} upload.target - Sync target
+   * @param {string} upload.label - Description of the file for log messages
+   * @param {string} upload.stateKey - Manifest and failed upload queue key
+   * @param {string} upload.hash - Hash to record once the upload succeeds
+   * @param {boolean} [upload.approved] - The content is an approved change; a failed upload is queued with its
+   *   hash, so replaying it sends that version without a new approval
+   * @param {AbortSignal} [upload.signal] - Cancels the upload, or interrupts its deployment; an interrupted
+   *   deployment is not recorded in the manifest, so replaying the upload deploys it again
+   * @param {number} [upload.rolledBackFrom] - Archived version being uploaded again; a failed rollback
+   *   is not queued, as replaying the queue would upload the local file instead
+   * @param {Object|null} [upload.git] - Git state of the source, recorded in the logs and BAR history
+   * @returns {Promise<Object>} Upload result, as returned by uploadBarFile
+   */
+  async function sendBarFile(filePath, uploadPath, { target, label, stateKey, hash, approved, signal, rolledBackFrom, git: source }) {
+    const fileName = path.basename(filePath);
+    let lastError = null;
+    let lastStatus = null;
+    let tokenRetried = false;
+
+    const cancelled = () => {
+      logger.info(`⏹️  Cancelled upload of ${label} (${signal.reason})`, { file: fileName, target: target.name, reason: signal.reason });
+      return { ok: false, action: 'cancelled', hash, error: `Cancelled: ${signal.reason}` };
+    };
+
+    for (let attempt = 1; attempt <= config.retryMaxAttempts; attempt++) {
+      if (signal && signal.aborted) {
+        return cancelled();
+      }
+
+      let retryAfterMs = null;
+      const startedAt = clock.now();
+      const fields = { file: fileName, target: target.name, hash, attempt, git: source };
+
+      try {
+        if (attempt === 1) {
+          logger.info(`📤 Uploading ${label}...`, fields);
+        } else {
+          logger.info(`📤 Uploading ${label} (attempt ${attempt}/${config.retryMaxAttempts})...`, fields);
+        }
+
+        // Generate authentication token
+        const token = await generateToken(target);
+
+        // Read the file
+        const fileStream = fs.createReadStream(uploadPath);
+        const stats = fs.statSync(uploadPath);
+        fields.size = stats.size;
+        if (attempt === 1) {
+          metrics.barSize.observe({ target: target.name }, stats.size);
+        }
+
+        // Create form data
+        const formData = new FormData();
+        formData.append('file', fileStream, {
+          filename: fileName,
+          contentType: 'application/octet-stream',
+          knownLength: stats.size
+        });
+
+        // Construct API endpoint
+        // Based on IBM App Connect Public API: POST /v1/integration_servers/{id}/bar_files
+        // Reference: https://community.ibm.com/community/user/blogs/adam-roberts/2023/07/27/introducing-the-app-connect-public-api
+        const apiUrl = getBarFileUrl(getRemoteBarName(fileName), target);
+
+        // Make API request
+        metrics.uploadsAttempted.inc({ target: target.name });
+        const response = await fetch(apiUrl, {
+          method: 'PUT',
+          headers: {
+            'X-IBM-Instance-Id': target.instanceId,
+            'X-IBM-Client-Id': target.clientId,
+            'authorization': `Bearer ${token}`,
+            'Content-Type': 'application/octet-stream'
+          },
+          body: formData,
+          signal,
+          timeoutMs: config.uploadTimeoutMs
+        });
+        metrics.uploadDuration.observe({ target: target.name }, (clock.now() - startedAt) / 1000);
+
+        if (response.ok) {
+          metrics.uploadsSucceeded.inc({ target: target.name });
+          const result = await response.json();
+          logger.info(`✅ Successfully uploaded ${label}${describeSource(source)}`, { ...fields, status: response.status, durationMs: clock.now() - startedAt });
+          logger.debug(`   Upload response for ${label}`, { ...fields, response: result });
+
+          archiveUpload(filePath, uploadPath, { target, label, hash, response: result, rolledBackFrom, git: source });
+
+          if (removeDeadLetter(config.deadLetterFile, stateKey, fs)) {
+            logger.info(`📭 Removed ${label} from the failed upload queue`, { file: fileName, target: target.name });
+          }
+
+          // Roll the new BAR out to the integration server
+          let deployed = null;
+          if (result && result.url) {
+            deployed = await deployBarFile(fileName, result.url, target, { signal });
+          } else {
+            logger.warn(`⚠️  Upload response for ${label} did not include a BAR URL, skipping deployment`, { file: fileName, target: target.name });
+          }
+
+          // A failed deployment leaves the hash out of the manifest, so saving the same file again deploys it again
+          if (deployed !== false) {
+            recordUpload(config.manifestFile, stateKey, hash, fs);
+          } else if (signal && signal.aborted) {
+            return { ok: false, action: 'cancelled', hash, deployed, response: result, error: `Cancelled during deployment: ${signal.reason}` };
+          }
+
+          return { ok: deployed !== false, action: 'uploaded', hash, deployed, response: result };
+        }
+
+        const errorText = await response.text();
+        logger.error(`❌ Failed to upload ${label}: ${response.status} ${response.statusText} - ${truncate(errorText)}`, {
+          ...fields,
+          status: response.status,
+          durationMs: clock.now() - startedAt,
+          error: errorText
+        });
+
+        lastError = `${response.status} ${response.statusText} - ${errorText}`;
+        lastStatus = response.status;
+        metrics.uploadsFailed.inc({ target: target.name, status: response.status });
+
+        // If the token was rejected, retry once straight away with a new one; the retry is not counted as an attempt
+        if (response.status === 401 && !tokenRetried) {
+          logger.info('🔄 Token was rejected, retrying with a new one...', { target: target.name });
+          invalidateToken(target, token);
+          metrics.unauthorizedRetries.inc({ target: target.name });
+          tokenRetried = true;
+          attempt--;
+          continue;
+        }
+
+        if (!isRetryableStatus(response.status)) {
+          return { ok: false, action: 'failed', hash, status: lastStatus, error: lastError };
+        }
+
+        retryAfterMs = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+      } catch (error) {
+        if (signal && signal.aborted) {
+          return cancelled();
+        }
+
+        // A token failure means the file was never sent, so say so rather than reporting a failed upload
+        logger.error(error instanceof TokenError
+          ? `🔑 Could not upload ${label}: no authentication token (${error.message})`
+          : `❌ Error uploading ${label}: ${error.message}`, {
+          ...fields,
+          status: error.status,
+          stage: error instanceof TokenError ? 'token' : 'upload',
+          durationMs: clock.now() - startedAt,
+          error
+        });
+
+        lastError = error.message;
+        lastStatus = error.status || null;
+        metrics.uploadsFailed.inc({ target: target.name, status: error.status || 'network' });
+
+        // Network errors have no status; token errors carry the token endpoint's status
+        if (error.status && !isRetryableStatus(error.status)) {
+          return { ok: false, action: 'failed', hash, status: lastStatus, error: lastError };
+        }
+      }
+
+      if (attempt < config.retryMaxAttempts) {
+        const delayMs = retryAfterMs !== null
+          ? retryAfterMs
+          : getBackoffDelay(attempt, { baseDelayMs: config.retryBaseDelayMs, maxDelayMs: config.retryMaxDelayMs });
+        logger.info(`⏳ Retrying ${label} in ${delayMs}ms...`, { file: fileName, target: target.name, delayMs });
+        await sleep(delayMs, signal);
+      }
+    }
+
+    if (signal && signal.aborted) {
+      return cancelled();
+    }
+
+    logger.error(`❌ Giving up on ${label} after ${config.retryMaxAttempts} attempts`, {
+      file: fileName,
+      target: target.name,
+      status: lastStatus,
+      error: lastError
+    });
+    if (rolledBackFrom !== undefined) {
+      return { ok: false, action: 'failed', hash, status: lastStatus, error: lastError };
+    }
+    addDeadLetter(config.deadLetterFile, {
+      key: stateKey,
+      target: target.name,
+      filePath,
+      fileName,
+      failedAt: new Date(clock.now()).toISOString(),
+      attempts: config.retryMaxAttempts,
+      status: lastStatus,
+      error: lastError,
+      approvedHash: approved ? hash : null
+    }, fs);
+    logger.info(`📥 Added ${label} to the failed upload queue (${config.deadLetterFile})`, { file: fileName, target: target.name });
+
+    return { ok: false, action: 'queued', hash, status: lastStatus, error: lastError };
+  }
+
+  /**
+   * Keep a copy of a successful upload in the BAR history. The upload has already
+   * succeeded, so a failure to archive it is only logged.
+   * @param {string} filePath - Full path to the local BAR file
+   * @param {string} uploadPath - File that was sent (the local file, or an overridden copy of it)
+   * @param {Object} upload - Upload details
+   * @param {Object} upload.target - Sync target
+   * @param {string} upload.label - Description of the file for log messages
+   * @param {string} upload.hash - Hash of the upload
+   * @param {Object} upload.response - bar-files API response
+   * @param {number} [upload.rolledBackFrom] - Archived version that was uploaded again
+   * @param {Object|null} [upload.git] - Git state of the source
+   */
+  function archiveUpload(filePath, uploadPath, { target, label, hash, response, rolledBackFrom, git: source }) {
+    if (config.historySize === 0) {
+      return;
+    }
+
+    try {
+      const version = recordVersion(config.historyDirectory, {
+        target: target.name,
+        filePath,
+        uploadPath,
+        hash,
+        response,
+        uploadedAt: new Date(clock.now()).toISOString(),
+        rolledBackFrom,
+        git: source
+      }, config.historySize, fs);
+      logger.debug(`🗄️  Archived ${label} as version ${version.version}`, { file: path.basename(filePath), target: target.name, version: version.version });
+    } catch (error) {
+      logger.warn(`⚠️  Could not archive ${label} in the BAR history: ${error.message}`, { file: path.basename(filePath), target: target.name, error });
+    }
+  }
+
+  /**
+   * List the archived versions of a BAR file on a target
+   * @param {string} fileName - BAR file name (a path is reduced to its file name)
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @returns {Array<Object>} Versions, newest first, as returned by readHistory
+   */
+  function getBarHistory(fileName, target = config.targets[0]) {
+    return readHistory(config.historyDirectory, target.name, path.basename(fileName), fs);
+  }
+
+  /**
+   * Upload an archived version of a BAR file again and redeploy it. The local file is
+   * not changed, so its next change (or a reconciliation) uploads it as usual.
+   * Rollbacks to a protected target pass the same Git gate as uploads, and rollbacks to a
+   * target in manual approval mode are refused, unless forced; a forced rollback is logged
+   * and recorded in the approval audit log.
+   * @param {string} fileName - BAR file name (a path is reduced to its file name)
+   * @param {number} [version] - Version to roll back to (defaults to the newest version
+   *   whose content differs from the current one)
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @param {Object} [options] - Rollback options
+   * @param {boolean} [options.force=false] - Roll back even if the Git gate or manual approval mode would refuse it
+   * @param {string} [options.by='unknown'] - Who forced the rollback, for the audit log
+   * @param {string} [options.reason] - Why, for the audit log
+   * @returns {Promise<Object>} Upload result with the version, and action "rolled-back" if it was uploaded,
+   *   or "blocked" if it was refused
+   * @throws {Error} If the file has no such version in the BAR history
+   */
+  async function rollbackBarFile(fileName, version, target = config.targets[0], { force = false, by = 'unknown', reason } = {}) {
+    const name = path.basename(fileName);
+    const versions = getBarHistory(name, target);
+
+    if (versions.length === 0) {
+      throw new Error(`No upload history for ${describeFile(name, target)} in ${config.historyDirectory}`);
+    }
+
+    const entry = version === undefined
+      ? versions.find((candidate) => candidate.hash !== versions[0].hash)
+      : versions.find((candidate) => candidate.version === version);
+
+    if (!entry) {
+      throw new Error(version === undefined
+        ? `No earlier version of ${describeFile(name, target)} to roll back to`
+        : `No version ${version} of ${describeFile(name, target)} (archived versions: ${versions.map((candidate) => candidate.version).join(', ')})`);
+    }
+
+    if (!fs.existsSync(entry.archivePath)) {
+      throw new Error(`Archived copy of ${describeFile(name, target)} version ${entry.version} is missing: ${entry.archivePath}`);
+    }
+
+    const label = `${describeFile(name, target)} version ${entry.version}`;
+
+    const refusals = [];
+    if (target.protected) {
+      const problems = checkGitGate(await readSourceInfo(target), target.allowedBranches);
+      if (problems.length > 0) {
+        refusals.push(`${target.name} is a protected target and ${problems.join('; ')}`);
+      }
+    }
+    if (target.approval) {
+      refusals.push(`${target.name} is in manual approval mode`);
+    }
+
+    if (refusals.length > 0 && !force) {
+      const refusal = refusals.join('; ');
+      logger.error(`🔒 Not rolling back ${label}: ${refusal} (force the rollback to override)`, { file: name, target: target.name, version: entry.version, problems: refusals });
+      return { ok: false, action: 'blocked', hash: entry.hash, version: entry.version, error: `${refusal}; force the rollback to override` };
+    }
+
+    if (refusals.length > 0) {
+      logger.warn(`⚠️  ${by} forced the rollback of ${label}${reason ? ` (${reason})` : ''}, overriding: ${refusals.join('; ')}`, {
+        file: name,
+        target: target.name,
+        version: entry.version,
+        overridden: refusals,
+        by,
+        reason
+      });
+      if (!config.dryRun) {
+        appendAuditEntry(config.approvalAuditFile, {
+          time: new Date(clock.now()).toISOString(),
+          action: 'forced-rollback',
+          target: target.name,
+          file: name,
+          filePath: entry.filePath,
+          hash: entry.hash,
+          version: entry.version,
+          overridden: refusals,
+          by,
+          reason: reason || null
+        }, fs);
+      }
+    }
+
+    logger.info(`⏪ Rolling back ${describeFile(name, target)} to version ${entry.version} (uploaded ${entry.uploadedAt}, sha256 ${entry.hash.slice(0, 12)})`, {
+      file: name,
+      target: target.name,
+      version: entry.version,
+      hash: entry.hash
+    });
+
+    const result = config.dryRun
+      ? await planUpload(entry.filePath, entry.archivePath, { target, label, hash: entry.hash })
+      : await sendBarFile(entry.filePath, entry.archivePath, {
+        target,
+        label,
+        stateKey: getStateKey(target, entry.filePath),
+        hash: entry.hash,
+        rolledBackFrom: entry.version,
+        git: entry.git
+      });
+
+    return { ...result, action: result.action === 'uploaded' ? 'rolled-back' : result.action, version: entry.version };
+  }
+
+  /**
+   * Upload every file in the failed upload queue again. On targets in manual approval mode,
+   * approved uploads are sent only if the file still has the approved content, and any other
+   * entry is moved to the pending changes instead.
+   * @returns {Promise<{succeeded: number, failed: number, held: number}>} Replay summary
+   */
+  async function replayFailedUploads() {
+    const entries = readDeadLetters(config.deadLetterFile, fs);
+    const summary = { succeeded: 0, failed: 0, held: 0 };
+
+    if (entries.length === 0) {
+      logger.info('📭 Failed upload queue is empty');
+      return summary;
+    }
+
+    logger.info(`🔁 Replaying ${entries.length} failed upload(s)...`, { count: entries.length });
+
+    for (const entry of entries) {
+      const target = config.targets.find((candidate) => candidate.name === entry.target);
+
+      if (!target) {
+        logger.info(`🗑️  Dropping ${entry.fileName} from the failed upload queue: target ${entry.target} is no longer configured`, {
+          file: entry.fileName,
+          target: entry.target
+        });
+        removeDeadLetter(config.deadLetterFile, entry.key, fs);
+        continue;
+      }
+
+      if (!fs.existsSync(entry.filePath)) {
+        logger.info(`🗑️  Dropping ${entry.fileName} from the failed upload queue: file no longer exists`, {
+          file: entry.fileName,
+          target: entry.target
+        });
+        removeDeadLetter(config.deadLetterFile, entry.key, fs);
+        continue;
+      }
+
+      // Whether it was held or there was nothing to hold, the upload is no longer waiting to be replayed
+      if (target.approval && !entry.approvedHash) {
+        const result = await uploadOrHold(entry.filePath, target);
+        if (!config.dryRun) {
+          removeDeadLetter(config.deadLetterFile, entry.key, fs);
+        }
+        summary[result.action === 'pending approval' ? 'held' : 'succeeded']++;
+        continue;
+      }
+
+      const result = await queueUpload(entry.filePath, { target, approvedHash: entry.approvedHash || undefined });
+      if (result.action === 'pending approval') {
+        summary.held++;
+      } else if (result.ok) {
+        summary.succeeded++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    logger.info(`🔁 Replay finished: ${summary.succeeded} succeeded, ${summary.failed} failed, ${summary.held} waiting for approval`, summary);
+    return summary;
+  }
+
+  /**
+   * List the BAR files stored on the App Connect instance
+   * @param {Object} [target] - Sync target whose instance to list (defaults to the first target)
+   * @returns {Promise<string[]>} Remote BAR file names
+   */
+  async function listRemoteBarFiles(target = config.targets[0]) {
+    const response = await apiFetch(target, `${target.apiBaseUrl}/api/v1/bar-files`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Listing BAR files failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const body = await response.json();
+    const entries = Array.isArray(body) ? body : (body.barFiles || body.items || []);
+
+    // Entries are either plain names or objects describing the BAR file
+    return entries.map((entry) => (typeof entry === 'string' ? entry : entry.name));
+  }
+
+  /**
+   * Delete a BAR file from the App Connect instance
+   * @param {string} remoteName - Remote BAR file name
+   * @param {Object} [target] - Sync target whose instance to delete from (defaults to the first target)
+   */
+  async function deleteRemoteBarFile(remoteName, target = config.targets[0]) {
+    const response = await apiFetch(target, getBarFileUrl(remoteName, target), {
+      method: 'DELETE'
+    });
+
+    if (!response.ok && response.status !== 404) {
+      const errorText = await response.text();
+      throw new Error(`Deleting ${remoteName} failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+  }
+
+  /**
+   * Download a BAR file from the App Connect instance
+   * @param {string} remoteName - Remote BAR file name
+   * @param {Object} [target] - Sync target whose instance to download from (defaults to the first target)
+   * @returns {Promise<Buffer>} BAR file content
+   */
+  async function downloadRemoteBarFile(remoteName, target = config.targets[0]) {
+    const response = await apiFetch(target, getBarFileUrl(remoteName, target), {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/octet-stream'
+      },
+      timeoutMs: config.uploadTimeoutMs
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Downloading ${remoteName} failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  /**
+   * Check each step of the connection to a target's instance in turn: resolving the host
+   * name (the proxy's, when one is used), the TLS handshake, a token request and a
+   * read-only API call. Steps after the first one that fails are skipped.
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @returns {Promise<Array<{step: string, ok: boolean|null, detail: string}>>} Result of each step:
+   *   "dns", "tls", "token" and "api"; ok is null for a skipped step
+   */
+  async function testConnection(target = config.targets[0]) {
+    const { protocol, hostname } = new URL(target.apiBaseUrl);
+    const proxy = getProxyForUrl(target.apiBaseUrl, config);
+
+    const checks = [
+      ['dns', async () => {
+        const host = proxy ? new URL(proxy).hostname : hostname;
+        const addresses = await lookupHost(host);
+        return `${host} → ${addresses.join(', ')}${proxy ? ` (proxy ${describeProxy(proxy)} resolves ${hostname})` : ''}`;
+      }],
+      ['tls', async () => {
+        if (protocol !== 'https:') {
+          return `not used by ${target.apiBaseUrl}`;
+        }
+        const connection = await checkTls(target.apiBaseUrl, config);
+        return `${connection.protocol}, certificate for ${connection.subject} issued by ${connection.issuer}, valid until ${connection.validTo}`;
+      }],
+      ['token', async () => {
+        await requestToken(target);
+        return `token issued for instance ${target.instanceId}`;
+      }],
+      ['api', async () => {
+        const remoteNames = await listRemoteBarFiles(target);
+        return `GET /api/v1/bar-files listed ${remoteNames.length} BAR file(s)`;
+      }]
+    ];
+
+    const steps = [];
+    for (const [step, check] of checks) {
+      if (steps.some((result) => result.ok === false)) {
+        steps.push({ step, ok: null, detail: 'skipped' });
+        continue;
+      }
+      try {
+        steps.push({ step, ok: true, detail: await check() });
+      } catch (error) {
+        steps.push({ step, ok: false, detail: error.message });
+      }
+    }
+    return steps;
+  }
+
+  /**
+   * Remember a file the syncer is about to write into a watch directory, so the watcher does not
+   * sync it back. Nothing is remembered when the watcher would not upload the file to the target,
+   * and a file the watcher never reports is forgotten once its debounce time and a grace period pass.
+   * @param {string} filePath - Full path the file is written to
+   * @param {Object} target - Sync target the file was written for
+   * @param {string} hash - Hash of the written content
+   * @param {string} source - Where the file came from, for the log
+   */
+  function rememberWrittenFile(filePath, target, hash, source) {
+    const watched = getTargetsForFile(config.targets, filePath).some((routed) => routed.name === target.name);
+    if (config.syncDirection === 'pull' || !watched) {
+      return;
+    }
+
+    const stateKey = getStateKey(target, filePath);
+    forgetWrittenFile(stateKey);
+    const timer = clock.setTimeout(() => writtenFiles.delete(stateKey), getDebounceMs(target) + config.writeStabilityMs + WRITTEN_FILE_GRACE_MS);
+
+    // Forgetting a file is no reason to keep a one-shot command running (injected clocks may not have unref)
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    writtenFiles.set(stateKey, { hash, source, timer });
+  }
+
+  /**
+   * Forget a file the syncer wrote, cancelling the timer that would forget it
+   * @param {string} stateKey - State key of the file
+   */
+  function forgetWrittenFile(stateKey) {
+    if (writtenFiles.has(stateKey)) {
+      clock.clearTimeout(writtenFiles.get(stateKey).timer);
+      writtenFiles.delete(stateKey);
+    }
+  }
+
+  /**
+   * Download one remote BAR file into a watch directory if it is missing or different locally.
+   * A local file that changed since it was last uploaded or pulled is kept unless overwrite is set.
+   * @param {string} remoteName - Remote BAR file name
+   * @param {string} filePath - Full path to write the BAR file to
+   * @param {Object} target - Sync target
+   * @param {boolean} overwrite - Replace local changes that were not uploaded
+   * @returns {Promise<string>} "downloaded", "would download", "unchanged" or "conflict"
+   */
+  async function pullBarFile(remoteName, filePath, target, overwrite) {
+    const fileName = path.basename(filePath);
+    const label = describeFile(fileName, target);
+    const stateKey = getStateKey(target, filePath);
+
+    const content = await downloadRemoteBarFile(remoteName, target);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const localHash = fs.existsSync(filePath) ? await hashFile(filePath, fs) : null;
+    const syncedHash = getUploadedHash(config.manifestFile, stateKey, fs);
+
+    if (localHash === hash) {
+      // Already the same; recorded so the watcher and reconciliation do not upload it again
+      if (syncedHash !== hash && !config.dryRun) {
+        recordUpload(config.manifestFile, stateKey, hash, fs);
+      }
+      return 'unchanged';
+    }
+
+    if (localHash !== null && localHash !== syncedHash && !overwrite) {
+      logger.warn(`⚠️  Not pulling ${label}: it has local changes that were not uploaded (force the pull to replace them)`, {
+        file: fileName,
+        target: target.name,
+        hash,
+        localHash
+      });
+      return 'conflict';
+    }
+
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: would download ${remoteName} to ${filePath} (${content.length} bytes, sha256 ${hash.slice(0, 12)})`, {
+        file: fileName,
+        target: target.name,
+        hash,
+        dryRun: true
+      });
+      return 'would download';
+    }
+
+    // Recorded as uploaded before the file appears, so the watcher sees nothing new to send.
+    // The file is written under a dotfile name, which is not watched, and renamed into place
+    recordUpload(config.manifestFile, stateKey, hash, fs);
+    rememberWrittenFile(filePath, target, hash, 'pulled from App Connect');
+    const tempFile = path.join(path.dirname(filePath), `.${fileName}.pulling`);
+    fs.writeFileSync(tempFile, content);
+    fs.renameSync(tempFile, filePath);
+
+    metrics.filesPulled.inc({ target: target.name });
+    logger.info(`📥 Pulled ${label} from App Connect (${content.length} bytes, sha256 ${hash.slice(0, 12)})`, {
+      file: fileName,
+      target: target.name,
+      hash,
+      size: content.length
+    });
+    return 'downloaded';
+  }
+
+  /**
+   * Download the BAR files on each target's App Connect instance that are missing or
+   * different locally into its watch directory. Pulled files are recorded as uploaded,
+   * so the watcher does not send them back. Targets with an overrides file are skipped:
+   * their instance has the overridden copies, which must not replace the local files.
+   * @param {Object} [options] - Pull options
+   * @param {boolean} [options.overwrite] - Replace local files whose changes were not uploaded (defaults to FORCE_UPLOAD)
+   * @returns {Promise<Array<Object>>} One row per remote BAR file: target, remoteName, file, filePath and result
+   *   ("downloaded", "would download", "unchanged", "conflict" or "failed", with an error)
+   */
+  async function pullBarFiles({ overwrite = config.forceUpload } = {}) {
+    logger.info('📥 Pulling BAR files from App Connect...');
+
+    const rows = [];
+    const claimed = new Set();
+
+    for (const target of config.targets) {
+      if (target.overridesFile) {
+        logger.info(`⏭️  Not pulling for ${target.name}: its uploads have overrides applied, so the remote copies are not the local files`, { target: target.name });
+        continue;
+      }
+
+      const remoteNames = await listRemoteBarFiles(target);
+
+      for (const remoteName of remoteNames) {
+        const fileName = getLocalBarName(remoteName, config.fileExtension);
+
+        // A copy the syncer uploaded wins over one uploaded another way under the local name
+        if (!fileName || (fileName === remoteName && remoteNames.includes(getRemoteBarName(fileName)))) {
+          continue;
+        }
+
+        // Targets sharing a watch directory and instance pull each file once
+        const filePath = path.join(target.watchDirectory, fileName);
+        if (!isFileInTarget(target, filePath) || claimed.has(filePath)) {
+          continue;
+        }
+        claimed.add(filePath);
+
+        const row = { target: target.name, remoteName, file: fileName, filePath };
+        try {
+          row.result = await pullBarFile(remoteName, filePath, target, overwrite);
+        } catch (error) {
+          logger.error(`❌ Error pulling ${describeFile(fileName, target)}: ${error.message}`, { file: fileName, target: target.name, error });
+          row.result = 'failed';
+          row.error = error.message;
+        }
+        rows.push(row);
+      }
+    }
+
+    const count = (result) => rows.filter((row) => row.result === result).length;
+    lastPull = {
+      finishedAt: new Date(clock.now()).toISOString(),
+      downloaded: count(config.dryRun ? 'would download' : 'downloaded'),
+      unchanged: count('unchanged'),
+      conflicts: count('conflict'),
+      failed: count('failed')
+    };
+    logger.info(`📥 Pull finished: ${lastPull.downloaded} ${config.dryRun ? 'to download' : 'downloaded'}, ${lastPull.unchanged} unchanged` +
+      `${lastPull.conflicts > 0 ? `, ${lastPull.conflicts} with local changes kept` : ''}${lastPull.failed > 0 ? `, ${lastPull.failed} failed` : ''}`, lastPull);
+
+    return rows;
+  }
+
+  /**
+   * Pull every PULL_INTERVAL_MS while the syncer is started. A read-only mirror
+   * (SYNC_DIRECTION=pull) replaces local changes; with both directions they are kept.
+   */
+  function schedulePull() {
+    pullTimer = clock.setTimeout(() => {
+      pullTimer = null;
+      runningPull = pullBarFiles({ overwrite: config.syncDirection === 'pull' })
+        .catch((error) => {
+          logger.error(`❌ Pulling from App Connect failed: ${error.message}`, { error });
+        })
+        .finally(() => {
+          runningPull = null;
+          if (pullsScheduled) {
+            schedulePull();
+          }
+        });
+    }, config.pullIntervalMs);
+  }
+
+  /**
+   * Compare each target's watch directory with the BAR files on its App Connect instance
+   * @param {Object} [options] - Planning options
+   * @param {boolean} [options.deleteRemote] - Plan deletion of remote-only BAR files (defaults to RECONCILE_DELETE_REMOTE)
+   * @returns {Promise<Array<Object>>} Plan rows, each naming its target, BAR file, action and reason
+   */
+  async function planSync({ deleteRemote = config.reconcileDeleteRemote } = {}) {
+    const manifest = readManifest(config.manifestFile, fs);
+    const localFilesByTarget = new Map();
+
+    for (const target of config.targets) {
+      const localFiles = [];
+      for (const filePath of listLocalBarFiles(target.watchDirectory, config.fileExtension, fs)) {
+        if (isFileInTarget(target, filePath)) {
+          localFiles.push({
+            filePath,
+            remoteName: getRemoteBarName(path.basename(filePath)),
+            hash: await hashUpload(filePath, target)
+          });
+        }
+      }
+      localFilesByTarget.set(target, localFiles);
+    }
+
+    const plan = [];
+
+    for (const [target, localFiles] of localFilesByTarget) {
+      // Files that other targets upload to the same instance are not remote-only
+      const claimedByOthers = new Set();
+      for (const [other, otherFiles] of localFilesByTarget) {
+        if (other !== target && other.apiBaseUrl === target.apiBaseUrl && other.instanceId === target.instanceId) {
+          otherFiles.forEach((file) => claimedByOthers.add(file.remoteName));
+        }
+      }
+
+      // The plan looks files up by path, so narrow the manifest to this target's entries
+      const targetManifest = {};
+      for (const { filePath } of localFiles) {
+        const entry = manifest[getStateKey(target, filePath)];
+        if (entry) {
+          targetManifest[filePath] = entry;
+        }
+      }
+
+      const rows = planReconciliation({
+        localFiles,
+        remoteNames: (await listRemoteBarFiles(target)).filter((name) => !claimedByOthers.has(name)),
+        manifest: targetManifest,
+        deleteRemote
+      });
+
+      plan.push(...rows.map((row) => ({ target: target.name, ...row })));
+    }
+
+    return plan;
+  }
+
+  /**
+   * Bring each target's App Connect instance in line with its watch directory: upload
+   * BAR files that are missing or different remotely and report (or delete) remote-only ones
+   * @returns {Promise<Array<Object>>} Reconciliation rows, including the target and the result of each action
+   */
+  async function reconcile() {
+    logger.info('🔄 Reconciling local BAR files with App Connect...');
+
+    const plan = await planSync();
+
+    for (const row of plan) {
+      const target = config.targets.find((candidate) => candidate.name === row.target);
+
+      if (row.action === 'upload' && target.approval) {
+        row.result = (await holdForApproval(row.filePath, target, { force: true })) ? 'pending approval' : 'failed';
+      } else if (row.action === 'upload') {
+        const result = await queueUpload(row.filePath, { target, force: true });
+        row.result = result.action === 'dry-run' ? 'would upload' : (result.ok ? 'uploaded' : 'failed');
+      } else if (row.action === 'delete' && config.dryRun) {
+        logger.info(`🧪 Dry run: would DELETE ${getBarFileUrl(row.name, target)}`, { file: row.name, target: row.target, dryRun: true });
+        row.result = 'would delete';
+      } else if (row.action === 'delete') {
+        try {
+          logger.info(`🗑️  Deleting remote BAR file ${row.name}...`, { file: row.name, target: row.target });
+          await deleteRemoteBarFile(row.name, target);
+          row.result = 'deleted';
+        } catch (error) {
+          logger.error(`❌ Error deleting ${row.name}: ${error.message}`, { file: row.name, target: row.target, error });
+          row.result = 'failed';
+        }
+      } else if (row.filePath === null) {
+        row.result = 'remote only';
+      }
+    }
+
+    // A table reads well on a terminal; log aggregators get one entry per file instead
+    if (logger.format === 'json') {
+      for (const row of plan) {
+        logger.info('Reconciled BAR file', {
+          file: row.name,
+          target: row.target,
+          action: row.action,
+          reason: row.reason,
+          result: row.result
+        });
+      }
+    } else {
+      logger.info('\n📋 Reconciliation summary');
+      logger.info(plan.length > 0
+        ? formatSummaryTable(plan, { showTarget: config.targets.length > 1 })
+        : '   No BAR files found locally or remotely');
+      logger.info('');
+    }
+
+    return plan;
+  }
+
+  /**
+   * Upload files (or every BAR file in the given directories) once, to every target they
+   * are routed to. Files outside all watch directories go to the only target, if there is one.
+   * Targets in manual approval mode hold the files for approval instead.
+   * @param {string[]} paths - Files or directories to push
+   * @param {Object} [options] - Push options
+   * @param {boolean} [options.force] - Upload (or hold) even if the content has not changed
+   * @returns {Promise<Array<{filePath: string, target: string|null, result: Object}>>} One entry per file and target
+   */
+  async function pushFiles(paths, options = {}) {
+    const results = [];
+
+    for (const inputPath of paths) {
+      const resolvedPath = path.resolve(inputPath);
+
+      if (!fs.existsSync(resolvedPath)) {
+        logger.error(`❌ No such file or directory: ${inputPath}`, { path: inputPath });
+        results.push({ filePath: resolvedPath, target: null, result: { ok: false, action: 'failed', error: 'Not found' } });
+        continue;
+      }
+
+      const filePaths = fs.statSync(resolvedPath).isDirectory()
+        ? listLocalBarFiles(resolvedPath, config.fileExtension, fs)
+        : [resolvedPath];
+
+      for (const filePath of filePaths) {
+        let targets = getTargetsForFile(config.targets, filePath);
+        if (targets.length === 0 && config.targets.length === 1) {
+          targets = config.targets;
+        }
+
+        if (targets.length === 0) {
+          logger.error(`❌ ${path.basename(filePath)} does not match any target`, { file: path.basename(filePath) });
+          results.push({ filePath, target: null, result: { ok: false, action: 'failed', error: 'No matching target' } });
+          continue;
+        }
+
+        for (const target of targets) {
+          results.push({ filePath, target: target.name, result: uploadOrHold(filePath, target, { force: options.force }) });
+        }
+      }
+    }
+
+    // Uploads run side by side, up to UPLOAD_CONCURRENCY at a time
+    for (const entry of results) {
+      entry.result = await entry.result;
+    }
+
+    return results;
+  }
+
+  /**
+   * Unpack a file dropped into an inbox: write its BAR files into the watch directory of
+   * the targets using the inbox, sync each one like a watched change (uploading it, or
+   * holding it for approval) and move the drop to the inbox's done/ folder, or to failed/
+   * if anything could not be read, routed or uploaded. In a dry run nothing is written or moved.
+   * A drop interrupted by shutdown stays in the inbox and is unpacked again on the next start.
+   * @param {string} filePath - Full path to the dropped file
+   * @returns {Promise<Object>} Outcome ("done", "failed", "dry-run" or "interrupted"), the path the drop
+   *   was moved to, the sync result of each BAR file and target, and the problems found
+   */
+  async function processInboxDrop(filePath) {
+    const dropName = path.basename(filePath);
+    const inboxDirectory = path.dirname(filePath);
+    const targets = config.targets.filter((target) => target.inboxDirectory === inboxDirectory);
+    const problems = [];
+    const files = [];
+
+    logger.info(`📬 Unpacking ${dropName} from the inbox...`, { file: dropName, inbox: inboxDirectory });
+
+    let barFiles = [];
+    if (targets.length === 0) {
+      problems.push(`No target uses the inbox ${inboxDirectory}`);
+    } else {
+      try {
+        barFiles = readInboxDrop(filePath, config.fileExtension, fs);
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+
+    for (const bar of barFiles) {
+      const hash = crypto.createHash('sha256').update(bar.data).digest('hex');
+
+      // Targets sharing the inbox but not their watch directory each get a copy
+      for (const watchDirectory of new Set(targets.map((target) => target.watchDirectory))) {
+        const barPath = path.join(watchDirectory, ...bar.name.split('/'));
+        const barTargets = targets.filter((target) => target.watchDirectory === watchDirectory && isFileInTarget(target, barPath));
+
+        if (barTargets.length === 0) {
+          problems.push(`${bar.name} does not match any target using this inbox`);
+          continue;
+        }
+
+        if (config.dryRun) {
+          logger.info(`🧪 Dry run: would unpack ${bar.name} to ${barPath} and sync it to ${barTargets.map((target) => target.name).join(', ')}`, {
+            file: bar.name,
+            hash,
+            dryRun: true
+          });
+          continue;
+        }
+
+        // Written under a dotfile name, which is not watched, and renamed into place
+        for (const target of barTargets) {
+          rememberWrittenFile(barPath, target, hash, 'unpacked from the inbox');
+        }
+        fs.mkdirSync(path.dirname(barPath), { recursive: true });
+        const tempFile = path.join(path.dirname(barPath), `.${path.basename(barPath)}.unpacking`);
+        fs.writeFileSync(tempFile, bar.data);
+        fs.renameSync(tempFile, barPath);
+
+        for (const target of barTargets) {
+          files.push({ filePath: barPath, target: target.name, result: uploadOrHold(barPath, target) });
+        }
+      }
+    }
+
+    // Uploads run side by side, up to UPLOAD_CONCURRENCY at a time
+    for (const entry of files) {
+      try {
+        entry.result = await entry.result;
+      } catch (error) {
+        entry.result = { ok: false, action: 'failed', error: error.message };
+      }
+      if (!entry.result.ok) {
+        problems.push(`${path.basename(entry.filePath)} → ${entry.target}: ${entry.result.error || entry.result.action}`);
+      }
+    }
+
+    if (config.dryRun) {
+      return { outcome: 'dry-run', movedTo: null, files, problems };
+    }
+
+    if (watcherState.shuttingDown) {
+      logger.info(`⏸️  Leaving ${dropName} in the inbox: the syncer stopped before it was synced`, { file: dropName });
+      return { outcome: 'interrupted', movedTo: null, files, problems };
+    }
+
+    const outcome = problems.length === 0 ? 'done' : 'failed';
+    const movedTo = fileInboxDrop(filePath, outcome, { now: new Date(clock.now()), problems, fileSystem: fs });
+    metrics.inboxDrops.inc({ outcome });
+
+    if (outcome === 'done') {
+      logger.info(`📬 Synced ${barFiles.length} BAR file(s) from ${dropName}, moved it to ${path.relative(inboxDirectory, movedTo)}`, { file: dropName, movedTo });
+    } else {
+      logger.error(`❌ Could not sync ${dropName}, moved it to ${path.relative(inboxDirectory, movedTo)}: ${problems.join('; ')}`, { file: dropName, movedTo, problems });
+    }
+    return { outcome, movedTo, files, problems };
+  }
+
+  /**
+   * Wait for a given number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Ends the wait early when aborted
+   * @returns {Promise<void>}
+   */
+  function sleep(ms, signal) {
+    return new Promise((resolve) => {
+      // The listener goes when the wait ends, so waits on one long-lived signal do not pile them up
+      const onAbort = () => {
+        clock.clearTimeout(timer);
+        resolve();
+      };
+      const timer = clock.setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Update (or create) a target's integration server so it runs the given BAR file
+   * @param {string} barUrl - URL of the uploaded BAR file, as returned by the bar-files API
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the requests
+   * @returns {Promise<Object>} Integration server definition returned by the API
+   */
+  async function updateIntegrationServer(barUrl, target = config.targets[0], { signal } = {}) {
+    const serverName = target.integrationServerId;
+    const serversUrl = `${target.apiBaseUrl}/api/v1/integration-runtimes`;
+    const serverUrl = `${serversUrl}/${encodeURIComponent(serverName)}`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+
+    const existingResponse = await apiFetch(target, serverUrl, { method: 'GET', headers, signal });
+
+    let response;
+    if (existingResponse.status === 404) {
+      logger.info(`🆕 Integration server ${serverName} not found, creating it...`, { target: target.name, server: serverName });
+      response = await apiFetch(target, serversUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ name: serverName, spec: { barURL: [barUrl] } }),
+        signal
+      });
+    } else if (existingResponse.ok) {
+      const server = await existingResponse.json();
+      const barUrls = (server.spec && server.spec.barURL) || [];
+      const spec = {
+        ...server.spec,
+        barURL: barUrls.includes(barUrl) ? barUrls : [...barUrls, barUrl]
+      };
+
+      logger.info(`🔧 Updating integration server ${serverName}...`, { target: target.name, server: serverName });
+      response = await apiFetch(target, serverUrl, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ name: serverName, spec }),
+        signal
+      });
+    } else {
+      response = existingResponse;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Integration server update failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Read a target's integration server
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Object|null>} Integration server definition, or null if it does not exist
+   */
+  async function getIntegrationServer(target = config.targets[0], { signal } = {}) {
+    const serverUrl = `${target.apiBaseUrl}/api/v1/integration-runtimes/${encodeURIComponent(target.integrationServerId)}`;
+    const response = await apiFetch(target, serverUrl, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      },
+      signal
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Integration server status check failed: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Poll a target's integration server until it is ready or has failed
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops polling
+   * @returns {Promise<Object>} Final integration server definition
+   * @throws {Error} If the server fails, does not become ready in time or polling is stopped
+   */
+  async function waitForIntegrationServer(target = config.targets[0], { signal } = {}) {
+    const serverName = target.integrationServerId;
+    const deadline = clock.now() + config.deployTimeoutMs;
+    let lastPhase = null;
+
+    while (clock.now() < deadline) {
+      if (signal && signal.aborted) {
+        throw new Error(`Stopped waiting for integration server ${serverName}: ${signal.reason}`);
+      }
+
+      const server = await getIntegrationServer(target, { signal });
+      if (!server) {
+        throw new Error(`Integration server ${serverName} does not exist`);
+      }
+
+      const phase = (server.status && server.status.phase) || 'Unknown';
+
+      if (phase !== lastPhase) {
+        logger.info(`   Integration server ${serverName} status: ${phase}`, { target: target.name, server: serverName, phase });
+        lastPhase = phase;
+      }
+
+      if (phase === 'Ready') {
+        return server;
+      }
+
+      if (phase === 'Failed' || phase === 'Error') {
+        const conditions = (server.status && server.status.conditions) || [];
+        const reason = conditions.map((condition) => condition.message).filter(Boolean).join('; ');
+        throw new Error(`Integration server ${serverName} failed to deploy${reason ? `: ${reason}` : ''}`);
+      }
+
+      await sleep(config.deployPollIntervalMs, signal);
+    }
+
+    throw new Error(`Timed out after ${config.deployTimeoutMs}ms waiting for integration server ${serverName} to become ready`);
+  }
+
+  /**
+   * Deploy an uploaded BAR file to a target's integration server and wait for the result
+   * @param {string} fileName - Name of the BAR file (for logging)
+   * @param {string} barUrl - URL of the uploaded BAR file
+   * @param {Object} [target] - Sync target (defaults to the first target)
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Interrupts the deployment, e.g. at shutdown
+   * @returns {Promise<boolean>} True if the integration server became ready
+   */
+  async function deployBarFile(fileName, barUrl, target = config.targets[0], { signal } = {}) {
+    const fields = { file: fileName, target: target.name, server: target.integrationServerId };
+    const startedAt = clock.now();
+
+    try {
+      logger.info(`🚢 Deploying ${fileName} to integration server ${target.integrationServerId}...`, fields);
+      await updateIntegrationServer(barUrl, target, { signal });
+
+      logger.info(`⏳ Waiting for integration server ${target.integrationServerId} to become ready...`, fields);
+      await waitForIntegrationServer(target, { signal });
+
+      logger.info(`✅ Successfully deployed ${fileName} to ${target.integrationServerId}`, { ...fields, durationMs: clock.now() - startedAt });
+      return true;
+    } catch (error) {
+      if (signal && signal.aborted) {
+        logger.info(`⏹️  Interrupted deployment of ${fileName} (${signal.reason})`, { ...fields, reason: signal.reason });
+        return false;
+      }
+      logger.error(`❌ Error deploying ${fileName}: ${error.message}`, { ...fields, durationMs: clock.now() - startedAt, error });
+      return false;
+    }
+  }
+
+  /**
+   * Queue an upload, or hold the file for approval if the target is in manual approval mode
+   * @param {string} filePath - Full path to the BAR file
+   * @param {Object} target - Sync target
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Upload (or hold) even if the content has not changed
+   * @returns {Promise<Object>} Upload result, as returned by uploadBarFile; a held file resolves with
+   *   action "pending approval", or "skipped" if there was nothing to hold
+   */
+  function uploadOrHold(filePath, target, { force } = {}) {
+    if (!target.approval) {
+      return queueUpload(filePath, { target, force });
+    }
+
+    return holdForApproval(filePath, target, { force: force || config.forceUpload })
+      .then((change) => ({ ok: true, action: change ? 'pending approval' : 'skipped' }));
+  }
+
+  /**
+   * Put a change to a target in manual approval mode on the pending list instead of
+   * uploading it. A change already pending for the file is superseded by this one.
+   * @param {string} filePath - Full path to the changed BAR file
+   * @param {Object} target - Sync target
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force] - Hold the file even if its content has already been uploaded
+   * @returns {Promise<Object|null>} Pending change, or null if there is nothing to approve
+   */
+  async function holdForApproval(filePath, target, { force = config.forceUpload } = {}) {
+    const fileName = path.basename(filePath);
+    const label = describeFile(fileName, target);
+    const stateKey = getStateKey(target, filePath);
+
+    let hash;
+    try {
+      hash = await hashUpload(filePath, target);
+    } catch (error) {
+      logger.error(`❌ Cannot read ${fileName}: ${error.message}`, { file: fileName, target: target.name, error });
+      return null;
+    }
+
+    if (!force && getUploadedHash(config.manifestFile, stateKey, fs) === hash) {
+      logger.info(`⏭️  Not holding ${label} for approval: unchanged since last upload (sha256 ${hash.slice(0, 12)})`, { file: fileName, target: target.name, hash });
+      return null;
+    }
+
+    const change = {
+      key: stateKey,
+      target: target.name,
+      filePath,
+      fileName,
+      hash,
+      detectedAt: new Date(clock.now()).toISOString()
+    };
+
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: would hold ${label} for approval (sha256 ${hash.slice(0, 12)})`, { file: fileName, target: target.name, hash, dryRun: true });
+      return change;
+    }
+
+    const { change: pending, superseded } = addPendingChange(config.pendingChangesFile, change, fs);
+    logger.info(`✋ ${label} is waiting for approval${superseded ? `, replacing the version pending since ${superseded.detectedAt}` : ''} (sha256 ${hash.slice(0, 12)})`, {
+      file: fileName,
+      target: target.name,
+      hash,
+      superseded: pending.superseded
+    });
+    return pending;
+  }
+
+  /**
+   * List the changes waiting for approval
+   * @returns {Array<Object>} Pending changes, oldest first: key, target, filePath, fileName, hash,
+   *   detectedAt (latest version), firstDetectedAt and superseded (earlier versions replaced)
+   */
+  function listPendingChanges() {
+    return readPendingChanges(config.pendingChangesFile, fs);
+  }
+
+  /**
+   * Find the pending change to a file, for one of the configured targets
+   * @param {string} file - BAR file name or full path
+   * @param {string} [targetName] - Target the change is for; needed if the file is pending for several
+   * @returns {Object} Pending change
+   * @throws {ApprovalError} If there is no such change, or several
+   */
+  function findPendingChange(file, targetName) {
+    const fileName = path.basename(file);
+    const matches = listPendingChanges().filter((change) =>
+      (path.isAbsolute(file) ? change.filePath === file : change.fileName === fileName) &&
+      (targetName ? change.target === targetName : config.targets.some((target) => target.name === change.target)));
+
+    if (matches.length === 0) {
+      throw new ApprovalError(`No change to ${fileName}${targetName ? ` for ${targetName}` : ''} is waiting for approval`, 'not-found');
+    }
+    if (matches.length > 1) {
+      throw new ApprovalError(`${fileName} is waiting for approval for several targets (${matches.map((change) => change.target).join(', ')}); choose one with --target, or "target" in the control API`, 'ambiguous');
+    }
+
+    return matches[0];
+  }
+
+  /**
+   * Record an approval or rejection in the audit log
+   * @param {string} action - "approved" or "rejected"
+   * @param {Object} change - Pending change
+   * @param {Object} decision - Who decided and why
+   */
+  function recordDecision(action, change, { by, reason }) {
+    appendAuditEntry(config.approvalAuditFile, {
+      time: new Date(clock.now()).toISOString(),
+      action,
+      target: change.target,
+      file: change.fileName,
+      filePath: change.filePath,
+      hash: change.hash,
+      detectedAt: change.detectedAt,
+      superseded: change.superseded,
+      by,
+      reason: reason || null
+    }, fs);
+  }
+
+  /**
+   * Approve a pending change and upload it. Only the reviewed content is approved: if
+   * the file has changed since, the pending change is updated and must be approved again,
+   * and if it changes before its upload runs, the upload is refused and the new version held.
+   * @param {string} file - BAR file name or full path
+   * @param {Object} [options] - Approval options
+   * @param {string} [options.target] - Target name; needed if the file is pending for several targets
+   * @param {string} [options.by='unknown'] - Who approved the change, for the audit log
+   * @param {string} [options.reason] - Comment for the audit log
+   * @returns {Promise<{change: Object, upload: Promise<Object>}>} Approved change, and its upload
+   *   (resolving to the result returned by uploadBarFile)
+   * @throws {ApprovalError} If there is no such change, it is ambiguous, or the file has changed or gone
+   */
+  async function approvePendingChange(file, { target: targetName, by = 'unknown', reason } = {}) {
+    const change = findPendingChange(file, targetName);
+    const target = config.targets.find((candidate) => candidate.name === change.target);
+    if (!target) {
+      throw new ApprovalError(`Target ${change.target} of the pending change to ${change.fileName} is not configured`, 'not-found');
+    }
+    const label = describeFile(change.fileName, target);
+
+    if (!fs.existsSync(change.filePath)) {
+      if (!config.dryRun) {
+        removePendingChange(config.pendingChangesFile, change.key, fs);
+      }
+      throw new ApprovalError(`${label} no longer exists, so it was removed from the pending changes`, 'not-found');
+    }
+
+    const hash = await hashUpload(change.filePath, target);
+    if (hash !== change.hash) {
+      if (!config.dryRun) {
+        addPendingChange(config.pendingChangesFile, {
+          key: change.key,
+          target: change.target,
+          filePath: change.filePath,
+          fileName: change.fileName,
+          hash,
+          detectedAt: new Date(clock.now()).toISOString()
+        }, fs);
+      }
+      throw new ApprovalError(`${label} has changed since it was queued for approval (sha256 ${change.hash.slice(0, 12)}, now ${hash.slice(0, 12)}); review the new version and approve it again`, 'changed');
+    }
+
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: would approve ${label} (sha256 ${hash.slice(0, 12)})`, { file: change.fileName, target: target.name, hash, dryRun: true });
+    } else {
+      removePendingChange(config.pendingChangesFile, change.key, fs);
+      recordDecision('approved', change, { by, reason });
+      logger.info(`👍 ${label} approved by ${by}${reason ? `: ${reason}` : ''}`, { file: change.fileName, target: target.name, hash, by, reason });
+    }
+
+    return { change, upload: queueUpload(change.filePath, { target, approvedHash: hash }) };
+  }
+
+  /**
+   * Reject a pending change: it is not uploaded, and the file's next change is held again
+   * @param {string} file - BAR file name or full path
+   * @param {Object} [options] - Rejection options
+   * @param {string} [options.target] - Target name; needed if the file is pending for several targets
+   * @param {string} [options.by='unknown'] - Who rejected the change, for the audit log
+   * @param {string} [options.reason] - Why, for the audit log
+   * @returns {Object} Rejected change
+   * @throws {ApprovalError} If there is no such change, or it is ambiguous
+   */
+  function rejectPendingChange(file, { target: targetName, by = 'unknown', reason } = {}) {
+    const change = findPendingChange(file, targetName);
+    const label = describeFile(change.fileName, { name: change.target });
+
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: would reject ${label}`, { file: change.fileName, target: change.target, dryRun: true });
+      return change;
+    }
+
+    removePendingChange(config.pendingChangesFile, change.key, fs);
+    recordDecision('rejected', change, { by, reason });
+    logger.info(`👎 ${label} rejected by ${by}${reason ? `: ${reason}` : ''}`, { file: change.fileName, target: change.target, hash: change.hash, by, reason });
+    return change;
+  }
+
+  /**
+   * Get how long a target waits after the last change to a file before uploading it
+   * @param {Object} target - Sync target
+   * @returns {number} Debounce time in milliseconds: the target's debounceMs, or DEBOUNCE_MS
+   */
+  function getDebounceMs(target) {
+    return target.debounceMs ?? config.debounceMs;
+  }
+
+  /**
+   * Upload a watched change to a target, or hold it for approval, unless it is a file
+   * the syncer has just written itself
+   * @param {string} filePath - Full path to the changed file
+   * @param {Object} target - Sync target
+   * @returns {Promise<void>}
+   */
+  async function syncChange(filePath, target) {
+    const fileName = path.basename(filePath);
+    const stateKey = getStateKey(target, filePath);
+
+    // Pulling or unpacking a file makes the watcher report it, but it is already synced (or being synced), even with FORCE_UPLOAD
+    if (writtenFiles.has(stateKey)) {
+      const written = writtenFiles.get(stateKey);
+      forgetWrittenFile(stateKey);
+      if (await hashFile(filePath, fs).catch(() => null) === written.hash) {
+        logger.info(`⏭️  Not uploading ${describeFile(fileName, target)}: it was just ${written.source}`, { file: fileName, target: target.name });
+        return;
+      }
+    }
+
+    if (target.approval) {
+      await holdForApproval(filePath, target).catch((error) => {
+        logger.error(`❌ Could not hold ${describeFile(fileName, target)} for approval: ${error.message}`, { file: fileName, target: target.name, error });
+      });
+    } else {
+      queueUpload(filePath, { target });
+    }
+  }
+
+  /**
+   * Handle file change with debouncing, for every target the file is routed to
+   * @param {string} filePath - Full path to the changed file
+   */
+  function handleFileChange(filePath) {
+    const fileName = path.basename(filePath);
+    const targets = getTargetsForFile(config.targets, filePath);
+
+    // A read-only mirror only takes changes from the instance, including the files it pulls itself
+    if (config.syncDirection === 'pull') {
+      logger.debug(`🪞 Not uploading ${fileName}: SYNC_DIRECTION is pull (read-only mirror)`, { file: fileName });
+      return;
+    }
+
+    if (watcherState.paused) {
+      watcherState.pausedChanges.add(filePath);
+      logger.info(`⏸️  Watching is paused, ${fileName} will be handled on resume`, { file: fileName });
+      return;
+    }
+
+    if (targets.length === 0) {
+      logger.info(`🚫 ${fileName} does not match any target, ignoring`, { file: fileName });
+      return;
+    }
+
+    for (const target of targets) {
+      const stateKey = getStateKey(target, filePath);
+
+      // The file is back, so a pending deletion no longer applies
+      if (pendingDeletions.has(stateKey)) {
+        clock.clearTimeout(pendingDeletions.get(stateKey));
+        pendingDeletions.delete(stateKey);
+        logger.info(`↩️  ${describeFile(fileName, target)} reappeared, cancelling remote deletion`, { file: fileName, target: target.name });
+      }
+
+      // Clear existing timer for this file
+      if (debounceTimers.has(stateKey)) {
+        clock.clearTimeout(debounceTimers.get(stateKey));
+      }
+
+      // Set new timer
+      const timer = clock.setTimeout(() => {
+        debounceTimers.delete(stateKey);
+        syncChange(filePath, target);
+      }, getDebounceMs(target));
+
+      debounceTimers.set(stateKey, timer);
+    }
+
+    const waitMs = Math.max(...targets.map(getDebounceMs));
+    logger.info(`⏱️  File change detected: ${fileName} (waiting ${waitMs}ms before upload)`, { file: fileName });
+  }
+
+  /**
+   * Handle a locally deleted file by deleting its remote copies after the grace period
+   * @param {string} filePath - Full path to the deleted file
+   */
+  function handleFileRemoval(filePath) {
+    const fileName = path.basename(filePath);
+
+    // A read-only mirror never changes the instance
+    if (config.syncDirection === 'pull') {
+      logger.debug(`🪞 Not removing the remote copy of ${fileName}: SYNC_DIRECTION is pull (read-only mirror)`, { file: fileName });
+      return;
+    }
+
+    if (watcherState.paused) {
+      watcherState.pausedChanges.add(filePath);
+      logger.info(`⏸️  Watching is paused, ${fileName} will be handled on resume`, { file: fileName });
+      return;
+    }
+
+    for (const target of getTargetsForFile(config.targets, filePath)) {
+      const stateKey = getStateKey(target, filePath);
+
+      // Don't upload a file that is gone
+      if (debounceTimers.has(stateKey)) {
+        clock.clearTimeout(debounceTimers.get(stateKey));
+        debounceTimers.delete(stateKey);
+      }
+
+      if (config.deleteMode === 'off') {
+        continue;
+      }
+
+      if (pendingDeletions.has(stateKey)) {
+        clock.clearTimeout(pendingDeletions.get(stateKey));
+      }
+
+      const timer = clock.setTimeout(() => {
+        pendingDeletions.delete(stateKey);
+        propagateFileRemoval(filePath, target);
+      }, config.deleteGraceMs);
+
+      pendingDeletions.set(stateKey, timer);
+      logger.info(`⏱️  File removal detected: ${describeFile(fileName, target)} (waiting ${config.deleteGraceMs}ms before removing remote copy)`, {
+        file: fileName,
+        target: target.name
+      });
+    }
+  }
+
+  /**
+   * Delete (or log) the remote copy of a locally deleted file, unless it has come back
+   * @param {string} filePath - Full path to the deleted file
+   * @param {Object} [target] - Sync target to delete from (defaults to the first target)
+   * @returns {Promise<boolean>} True if the remote copy was deleted
+   */
+  async function propagateFileRemoval(filePath, target = config.targets[0]) {
+    const fileName = path.basename(filePath);
+    const label = describeFile(fileName, target);
+    const remoteName = getRemoteBarName(fileName);
+    const stateKey = getStateKey(target, filePath);
+
+    // A rename by the toolkit during a rebuild puts the file back before the grace period ends
+    if (fs.existsSync(filePath)) {
+      logger.info(`↩️  ${label} exists again, keeping remote copy`, { file: fileName, target: target.name });
+      return false;
+    }
+
+    if (config.deleteMode === 'log') {
+      logger.info(`📝 ${label} was deleted locally; remote BAR file ${remoteName} left in place (DELETE_MODE=log)`, {
+        file: fileName,
+        target: target.name
+      });
+      return false;
+    }
+
+    // Deletions cannot be reviewed like uploads, so targets that need approval keep their remote copies
+    if (target.approval) {
+      logger.info(`📝 ${label} was deleted locally; remote BAR file ${remoteName} left in place because ${target.name} needs approval for changes`, {
+        file: fileName,
+        target: target.name
+      });
+      return false;
+    }
+
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: would DELETE ${getBarFileUrl(remoteName, target)}`, { file: fileName, target: target.name, dryRun: true });
+      return false;
+    }
+
+    try {
+      logger.info(`🗑️  Deleting remote BAR file ${remoteName}...`, { file: fileName, target: target.name });
+      await deleteRemoteBarFile(remoteName, target);
+      forgetUpload(config.manifestFile, stateKey, fs);
+      removeDeadLetter(config.deadLetterFile, stateKey, fs);
+      logger.info(`✅ Deleted remote BAR file ${remoteName}`, { file: fileName, target: target.name });
+      return true;
+    } catch (error) {
+      logger.error(`❌ Error deleting ${remoteName}: ${error.message}`, { file: fileName, target: target.name, error });
+      return false;
+    }
+  }
+
+  /**
+   * Stop acting on file changes. Changes seen while paused, including uploads and
+   * deletions that were waiting for their timers, are handled on resume.
+   * @returns {{pendingChanges: number}} Number of changes waiting for resume
+   */
+  function pauseWatching() {
+    watcherState.paused = true;
+
+    for (const timers of [debounceTimers, pendingDeletions]) {
+      for (const [stateKey, timer] of timers) {
+        clock.clearTimeout(timer);
+        watcherState.pausedChanges.add(parseStateKey(stateKey).filePath);
+      }
+      timers.clear();
+    }
+
+    logger.info('⏸️  Watching paused', { pendingChanges: watcherState.pausedChanges.size });
+    return { pendingChanges: watcherState.pausedChanges.size };
+  }
+
+  /**
+   * Resume acting on file changes, handling every change seen while paused
+   * @returns {{replayed: number}} Number of changes handled
+   */
+  function resumeWatching() {
+    const changes = [...watcherState.pausedChanges];
+    watcherState.paused = false;
+    watcherState.pausedChanges.clear();
+
+    logger.info(`▶️  Watching resumed, handling ${changes.length} change(s) seen while paused`, { replayed: changes.length });
+
+    for (const filePath of changes) {
+      if (fs.existsSync(filePath)) {
+        handleFileChange(filePath);
+      } else {
+        handleFileRemoval(filePath);
+      }
+    }
+
+    return { replayed: changes.length };
+  }
+
+  /**
+   * Describe what the syncer is doing, for the control API
+   * @returns {Object} Watcher state, targets with their token cache age, pending timers,
+   *   failed upload count and the latest result for each file and target
+   */
+  function getStatus() {
+    const now = clock.now();
+
+    return {
+      ready: watcherState.ready,
+      paused: watcherState.paused,
+      dryRun: config.dryRun,
+      syncDirection: config.syncDirection,
+      watchedPaths: [...new Set(config.targets.map((target) => target.watchDirectory))],
+      inboxDirectories: getInboxDirectories(),
+      polling: config.watchPolling,
+      fileExtension: config.fileExtension,
+      targets: config.targets.map((target) => {
+        const cached = tokenCache.get(target.name);
+        return {
+          name: target.name,
+          watchDirectory: target.watchDirectory,
+          instanceId: target.instanceId,
+          integrationServerId: target.integrationServerId,
+          debounceMs: getDebounceMs(target),
+          token: cached
+            ? { ageMs: now - cached.createdAt, expiresInMs: Math.max(0, cached.expiry - now) }
+            : null
+        };
+      }),
+      pendingUploads: [...debounceTimers.keys()].map(parseStateKey),
+      uploadQueue: {
+        concurrency: config.uploadConcurrency,
+        running: uploadQueue.running().map(parseStateKey),
+        waiting: uploadQueue.waiting().map(parseStateKey)
+      },
+      pendingDeletions: [...pendingDeletions.keys()].map(parseStateKey),
+      pausedChanges: [...watcherState.pausedChanges],
+      failedUploads: readDeadLetters(config.deadLetterFile, fs).length,
+      pendingApprovals: listPendingChanges(),
+      lastPull,
+      lastResults: [...lastResults.values()]
+    };
+  }
+
+  /**
+   * Render the metrics in the Prometheus text format, for the control API
+   * @returns {string} Metrics text
+   */
+  function getMetrics() {
+    return metricsRegistry.render();
+  }
+
+  /**
+   * Start a forced re-upload of a file in the background, for the control API
+   * @param {string} file - Full path, or a path relative to a watch directory
+   * @returns {string|null} Full path of the file being uploaded, or null if it does not exist
+   */
+  function requestReupload(file) {
+    const candidates = path.isAbsolute(file)
+      ? [file]
+      : config.targets.map((target) => path.join(target.watchDirectory, file));
+    const filePath = candidates.find((candidate) => fs.existsSync(candidate));
+
+    if (!filePath) {
+      return null;
+    }
+
+    logger.info(`🔁 Re-upload of ${path.basename(filePath)} requested`, { file: path.basename(filePath) });
+    pushFiles([filePath], { force: true }).catch((error) => {
+      logger.error(`❌ Re-upload of ${path.basename(filePath)} failed: ${error.message}`, { file: path.basename(filePath), error });
+    });
+
+    return filePath;
+  }
+
+  /**
+   * Watcher options for polling and waiting until files have been written
+   * @returns {Object} chokidar options: polling (WATCH_POLLING) for network file systems and
+   *   bind mounts, which do not report native events, and awaitWriteFinish unless WRITE_STABILITY_MS is 0
+   */
+  function getWatchOptions() {
+    const options = {};
+
+    if (config.watchPolling) {
+      options.usePolling = true;
+      options.interval = config.watchPollIntervalMs;
+      options.binaryInterval = config.watchPollIntervalMs;
+    }
+
+    options.awaitWriteFinish = config.writeStabilityMs > 0
+      ? { stabilityThreshold: config.writeStabilityMs, pollInterval: config.writePollIntervalMs }
+      : false;
+
+    return options;
+  }
+
+  /**
+   * Log the startup settings in pretty format
+   */
+  function logStartupBanner() {
+    logger.info('🚀 BAR File Watcher Started');
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    if (config.configFile) {
+      logger.info(`🗂️  Config file: ${config.configFile}`);
+      logger.info(`📄 File extension: ${config.fileExtension}`);
+      logger.info('🎯 Targets:');
+      for (const target of config.targets) {
+        logger.info(`   ${target.name}: ${target.watchDirectory} [${target.include.join(', ')}]` +
+          `${target.exclude.length > 0 ? ` excluding [${target.exclude.join(', ')}]` : ''}`);
+        logger.info(`      → ${target.integrationServerId} on ${target.instanceId} (${target.apiBaseUrl})`);
+      }
+    } else {
+      logger.info(`📁 Watching directory: ${config.watchDirectory}`);
+      logger.info(`📄 File extension: ${config.fileExtension}`);
+      logger.info(`🌐 API Base URL: ${config.apiBaseUrl}`);
+      logger.info(`🔑 Integration Server ID: ${config.integrationServerId}`);
+    }
+    // Where each credential came from, never its value
+    const credentialSources = Object.entries(config.credentialSources)
+      .filter(([, source]) => source)
+      .map(([name, source]) => `${name} from ${source}`);
+    if (credentialSources.length > 0) {
+      logger.info(`🔐 Credentials: ${credentialSources.join(', ')}`);
+    }
+    if (config.httpsProxy || config.httpProxy) {
+      const proxies = [config.httpsProxy, config.httpProxy].filter(Boolean).map(describeProxy);
+      logger.info(`🛰️  Proxy: ${[...new Set(proxies)].join(', ')}${config.noProxy.length > 0 ? ` (not for ${config.noProxy.join(', ')})` : ''}`);
+    }
+    if (config.tlsCaFiles.length > 0 || config.tlsClientCertFile) {
+      logger.info(`🔒 TLS: ${[
+        config.tlsCaFiles.length > 0 ? `extra CAs from ${config.tlsCaFiles.join(', ')}` : null,
+        config.tlsClientCertFile ? `client certificate ${config.tlsClientCertFile}` : null
+      ].filter(Boolean).join(', ')}`);
+    }
+    if (config.dryRun) {
+      logger.info(`🧪 Dry run: nothing will be uploaded, deployed or deleted${config.dryRunCheckToken ? ' (tokens are still requested)' : ''}`);
+    }
+    logger.info(`⏱️  Debounce time: ${config.debounceMs}ms`);
+    if (config.watchPolling) {
+      logger.info(`🔁 Polling for changes every ${config.watchPollIntervalMs}ms`);
+    }
+    for (const inboxDirectory of new Set(config.targets.map((target) => target.inboxDirectory).filter(Boolean))) {
+      const inboxTargets = config.targets.filter((target) => target.inboxDirectory === inboxDirectory).map((target) => target.name);
+      logger.info(`📬 Inbox: ${inboxDirectory} → ${inboxTargets.join(', ')}`);
+    }
+    if (config.syncDirection === 'pull') {
+      logger.info(`🪞 Sync direction: pull every ${config.pullIntervalMs}ms (read-only mirror, local changes are not uploaded)`);
+    } else if (config.syncDirection === 'both') {
+      logger.info(`🔃 Sync direction: both (local changes are uploaded, and the instance is pulled every ${config.pullIntervalMs}ms)`);
+    }
+    const approvalTargets = config.targets.filter((target) => target.approval).map((target) => target.name);
+    if (approvalTargets.length > 0) {
+      logger.info(`✋ Manual approval: ${approvalTargets.join(', ')} (changes wait in ${config.pendingChangesFile})`);
+    }
+    logger.info(`🔄 Startup reconciliation: ${config.reconcileOnStartup ? 'enabled' : 'disabled'}`);
+    logger.info(`🗑️  Deletion mode: ${config.deleteMode}${config.deleteMode === 'off' ? '' : ` (grace period ${config.deleteGraceMs}ms)`}`);
+    logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+  }
+
+  /**
+   * Get the inbox directories of the current targets
+   * @returns {string[]} Inbox directories, without duplicates
+   */
+  function getInboxDirectories() {
+    return [...new Set(config.targets.map((target) => target.inboxDirectory).filter(Boolean))];
+  }
+
+  /**
+   * Read the configuration again and switch to its targets: watch directories and inboxes
+   * that were added or removed are watched or unwatched, changed credentials get a new token
+   * and pending changes for targets that were removed are dropped. Other settings, such as
+   * the upload concurrency or the control API port, only change on a restart. If the new
+   * configuration is invalid, the current one is kept.
+   * @returns {Promise<boolean>} True if the configuration was reloaded
+   */
+  function reload() {
+    const reloaded = reloadQueue.then(reloadTargets);
+    reloadQueue = reloaded.catch(() => false);
+    return reloaded;
+  }
+
+  /**
+   * Read the configuration for a reload. Credential commands that have already run are
+   * answered from their output, so only new or changed ones run, in the background, before
+   * the configuration is read again with their output.
+   * @param {Map<string, string>} [outputs] - Output of each credential command run so far
+   * @returns {Promise<Object>} Configuration, as returned by reloadConfig
+   * @throws {Error} If the configuration is invalid or a credential command fails
+   */
+  async function readReloadedConfig(outputs = new Map(config.credentialCommands || [])) {
+    const missing = new Map();
+    let next;
+    let failure = null;
+    try {
+      next = reloadConfig({
+        runCommand: (command, label) => {
+          if (outputs.has(command)) {
+            return outputs.get(command);
+          }
+          missing.set(command, label);
+          // Stands in for the output until the command has run
+          return 'pending';
+        }
+      });
+    } catch (error) {
+      failure = error;
+    }
+
+    if (missing.size === 0) {
+      if (failure) {
+        throw failure;
+      }
+      return next;
+    }
+
+    // A stand-in can fail the configuration, e.g. as a CREDENTIALS_FILE passphrase, so it is read again once the commands have run
+    const results = await Promise.allSettled([...missing].map(async ([command, label]) => {
+      outputs.set(command, await runSecretCommandAsync(command, label));
+    }));
+    const failures = results.filter((result) => result.status === 'rejected').map((result) => result.reason.message);
+    if (failures.length > 0) {
+      throw new CredentialError(failures.join('\n'));
+    }
+    return readReloadedConfig(outputs);
+  }
+
+  /**
+   * Reload the configuration and switch to its targets, as described for reload
+   * @returns {Promise<boolean>} True if the configuration was reloaded
+   */
+  async function reloadTargets() {
+    if (!reloadConfig) {
+      return false;
+    }
+
+    let next;
+    try {
+      next = await readReloadedConfig();
+    } catch (error) {
+      logger.error(`❌ Not reloading ${config.configFile || 'the configuration'}, keeping the current targets: ${error.message}`, { error });
+      return false;
+    }
+
+    const previous = new Map(config.targets.map((target) => [target.name, target]));
+    const added = next.targets.filter((target) => !previous.has(target.name));
+    const removed = config.targets.filter((target) => !next.targets.some((candidate) => candidate.name === target.name));
+    const changed = next.targets.filter((target) => previous.has(target.name) &&
+      JSON.stringify(target) !== JSON.stringify(previous.get(target.name)));
+
+    for (const target of next.targets) {
+      logger.addSecret(target.clientSecret);
+      logger.addSecret(target.apiKey);
+      for (const notifier of target.notify || []) {
+        logger.addSecret(notifier.url);
+      }
+    }
+
+    // Tokens belong to a target's credentials, so changed and removed targets get new ones
+    for (const target of [...changed, ...removed]) {
+      tokenCache.delete(target.name);
+    }
+    for (const target of removed) {
+      logger.setSecret(`token:${target.name}`, null);
+    }
+
+    // Changes waiting for a removed target are dropped; running uploads finish
+    const removedNames = new Set(removed.map((target) => target.name));
+    for (const timers of [debounceTimers, pendingDeletions]) {
+      for (const [stateKey, timer] of timers) {
+        if (removedNames.has(parseStateKey(stateKey).target)) {
+          clock.clearTimeout(timer);
+          timers.delete(stateKey);
+        }
+      }
+    }
+
+    const watchedBefore = new Set(config.targets.map((target) => target.watchDirectory));
+    const watchedAfter = new Set(next.targets.map((target) => target.watchDirectory));
+    const inboxesBefore = getInboxDirectories();
+    config.targets = next.targets;
+    config.credentialCommands = next.credentialCommands;
+    const inboxesAfter = getInboxDirectories();
+
+    if (watcher) {
+      const newDirectories = [...watchedAfter].filter((directory) => !watchedBefore.has(directory));
+      const oldDirectories = [...watchedBefore].filter((directory) => !watchedAfter.has(directory));
+
+      for (const directory of newDirectories) {
+        if (fs.existsSync(directory)) {
+          watcher.add(directory);
+        } else {
+          logger.error(`❌ Watch directory does not exist: ${directory}`, { watchDirectory: directory });
+        }
+      }
+      if (oldDirectories.length > 0) {
+        watcher.unwatch(oldDirectories);
+      }
+
+      const newInboxes = inboxesAfter.filter((directory) => !inboxesBefore.includes(directory));
+      const oldInboxes = inboxesBefore.filter((directory) => !inboxesAfter.includes(directory));
+      const existingInboxes = newInboxes.filter((directory) => {
+        if (!fs.existsSync(directory)) {
+          logger.error(`❌ Inbox directory does not exist: ${directory}`, { inboxDirectory: directory });
+          return false;
+        }
+        return true;
+      });
+
+      if (oldInboxes.length > 0 && inboxWatcher) {
+        inboxWatcher.unwatch(oldInboxes);
+      }
+      if (existingInboxes.length > 0 && inboxWatcher) {
+        inboxWatcher.add(existingInboxes);
+      } else if (existingInboxes.length > 0) {
+        inboxWatcher = watchInboxes(existingInboxes);
+      }
+    }
+
+    const summary = [
+      added.length > 0 ? `added ${added.map((target) => target.name).join(', ')}` : null,
+      removed.length > 0 ? `removed ${removed.map((target) => target.name).join(', ')}` : null,
+      changed.length > 0 ? `changed ${changed.map((target) => target.name).join(', ')}` : null
+    ].filter(Boolean);
+    logger.info(`🔄 Reloaded ${config.configFile ? path.basename(config.configFile) : 'the configuration'}: ${summary.length > 0 ? summary.join('; ') : 'no target changes'}`, {
+      added: added.map((target) => target.name),
+      removed: removed.map((target) => target.name),
+      changed: changed.map((target) => target.name)
+    });
+    return true;
+  }
+
+  /**
+   * Watch inbox directories for drops. Drops already waiting in an inbox are unpacked
+   * straight away; done/ and failed/ are not watched.
+   * @param {string[]} directories - Inbox directories
+   * @returns {Object} Inbox watcher
+   */
+  function watchInboxes(directories) {
+    return watch(directories, {
+      ignored: /(^|[\/\\])\../, // ignore dotfiles
+      persistent: true,
+      ignoreInitial: false,
+      depth: 0,
+      ...getWatchOptions()
+    })
+      .on('add', (filePath) => {
+        if (!isInboxDrop(filePath, config.fileExtension) || !getInboxDirectories().includes(path.dirname(filePath))) {
+          return;
+        }
+        logger.info(`📬 Dropped into the inbox: ${path.basename(filePath)}`, { file: path.basename(filePath) });
+        inboxQueue = inboxQueue
+          .then(() => processInboxDrop(filePath))
+          .catch((error) => {
+            logger.error(`❌ Error processing ${path.basename(filePath)} from the inbox: ${error.message}`, { file: path.basename(filePath), error });
+          });
+      })
+      .on('error', (error) => {
+        logger.error(`❌ Inbox watcher error: ${error.message}`, { error });
+      });
+  }
+
+  /**
+   * Start watching: log the settings, reconcile existing files first if enabled,
+   * then watch for changes and start the control API if a port is set
+   * @returns {Promise<void>}
+   * @throws {Error} If a watch directory does not exist, the syncer is already started or the control API cannot listen
+   */
+  async function start() {
+    if (watcher) {
+      throw new Error('The syncer is already started');
+    }
+
+    const watchDirectories = [...new Set(config.targets.map((target) => target.watchDirectory))];
+
+    if (logger.format === 'json') {
+      logger.info('BAR file watcher started', {
+        configFile: config.configFile,
+        fileExtension: config.fileExtension,
+        debounceMs: config.debounceMs,
+        reconcileOnStartup: config.reconcileOnStartup,
+        deleteMode: config.deleteMode,
+        dryRun: config.dryRun,
+        syncDirection: config.syncDirection,
+        pullIntervalMs: config.syncDirection === 'push' ? undefined : config.pullIntervalMs,
+        watchPolling: config.watchPolling,
+        writeStabilityMs: config.writeStabilityMs,
+        httpsProxy: config.httpsProxy ? describeProxy(config.httpsProxy) : undefined,
+        httpProxy: config.httpProxy ? describeProxy(config.httpProxy) : undefined,
+        noProxy: config.noProxy,
+        tlsCaFiles: config.tlsCaFiles,
+        tlsClientCertFile: config.tlsClientCertFile,
+        requestTimeoutMs: config.requestTimeoutMs,
+        credentialSources: config.credentialSources,
+        targets: config.targets.map((target) => ({
+          name: target.name,
+          watchDirectory: target.watchDirectory,
+          include: target.include,
+          exclude: target.exclude,
+          instanceId: target.instanceId,
+          integrationServerId: target.integrationServerId,
+          apiBaseUrl: target.apiBaseUrl,
+          debounceMs: getDebounceMs(target),
+          inboxDirectory: target.inboxDirectory
+        }))
+      });
+    } else {
+      logStartupBanner();
+    }
+
+    // Check if watch directories exist
+    for (const watchDirectory of watchDirectories) {
+      if (!fs.existsSync(watchDirectory)) {
+        throw new Error(`Watch directory does not exist: ${watchDirectory}`);
+      }
+    }
+
+    const inboxDirectories = getInboxDirectories();
+    for (const inboxDirectory of inboxDirectories) {
+      if (!fs.existsSync(inboxDirectory)) {
+        throw new Error(`Inbox directory does not exist: ${inboxDirectory}`);
+      }
+    }
+
+    // Upload anything that changed while the watcher was not running; a read-only mirror uploads nothing
+    if (config.reconcileOnStartup && config.syncDirection !== 'pull') {
+      try {
+        await reconcile();
+      } catch (error) {
+        logger.error(`❌ Error during startup reconciliation: ${error.message}`, { error });
+      }
+    }
+
+    // Then bring down what changed on the instance, and keep pulling
+    if (config.syncDirection !== 'push') {
+      try {
+        await pullBarFiles({ overwrite: config.syncDirection === 'pull' });
+      } catch (error) {
+        logger.error(`❌ Error during startup pull: ${error.message}`, { error });
+      }
+      pullsScheduled = true;
+      schedulePull();
+    }
+
+    watcher = watch(watchDirectories, {
+      ignored: /(^|[\/\\])\../, // ignore dotfiles
+      persistent: true,
+      ignoreInitial: true, // don't trigger on initial scan
+      ...getWatchOptions()
+    });
+
+    // Watch for file changes
+    watcher
+      .on('add', (filePath) => {
+        if (path.extname(filePath) === config.fileExtension) {
+          metrics.changesDetected.inc({ event: 'add' });
+          logger.info(`➕ New file detected: ${path.basename(filePath)}`, { file: path.basename(filePath) });
+          handleFileChange(filePath);
+        }
+      })
+      .on('change', (filePath) => {
+        if (path.extname(filePath) === config.fileExtension) {
+          metrics.changesDetected.inc({ event: 'change' });
+          logger.info(`📝 File modified: ${path.basename(filePath)}`, { file: path.basename(filePath) });
+          handleFileChange(filePath);
+        }
+      })
+      .on('unlink', (filePath) => {
+        if (path.extname(filePath) === config.fileExtension) {
+          metrics.changesDetected.inc({ event: 'unlink' });
+          logger.info(`➖ File deleted: ${path.basename(filePath)}`, { file: path.basename(filePath) });
+          handleFileRemoval(filePath);
+        }
+      })
+      .on('error', (error) => {
+        logger.error(`❌ Watcher error: ${error.message}`, { error });
+      })
+      .on('ready', () => {
+        watcherState.ready = true;
+        logger.info('👀 Watching for BAR file changes...\n');
+
+        // Pick up anything that failed while we were last running
+        if (config.syncDirection !== 'pull') {
+          Promise.resolve()
+            .then(() => readDeadLetters(config.deadLetterFile, fs).length > 0 && replayFailedUploads())
+            .catch((error) => {
+              logger.error(`❌ Replaying failed uploads failed: ${error.message}`, { error });
+            });
+        }
+      });
+
+    if (inboxDirectories.length > 0) {
+      inboxWatcher = watchInboxes(inboxDirectories);
+    }
+
+    // Reload the targets when the config file is edited, once it has stopped changing
+    if (config.configFile && reloadConfig) {
+      configWatcher = watch([config.configFile], {
+        persistent: true,
+        ignoreInitial: true,
+        ...(config.watchPolling ? { usePolling: true, interval: config.watchPollIntervalMs } : {})
+      });
+      const scheduleReload = () => {
+        clock.clearTimeout(reloadTimer);
+        reloadTimer = clock.setTimeout(() => {
+          reloadTimer = null;
+          reload().catch((error) => {
+            logger.error(`❌ Reloading ${path.basename(config.configFile)} failed: ${error.message}`, { error });
+          });
+        }, config.debounceMs);
+      };
+      configWatcher
+        .on('add', scheduleReload)
+        .on('change', scheduleReload)
+        .on('error', (error) => {
+          logger.error(`❌ Config file watcher error: ${error.message}`, { error });
+        });
+    }
+
+    if (config.controlApiPort !== null) {
+      controlServer = await startControlServer({
+        isReady: () => watcherState.ready,
+        getStatus,
+        getMetrics,
+        reupload: requestReupload,
+        pause: pauseWatching,
+        resume: resumeWatching,
+        retry: () => {
+          replayFailedUploads().catch((error) => {
+            logger.error(`❌ Replaying failed uploads failed: ${error.message}`, { error });
+          });
+        },
+        listPending: listPendingChanges,
+        approve: async ({ file, target, by, reason }) => {
+          const { change, upload } = await approvePendingChange(file, { target, by, reason });
+          upload.catch((error) => {
+            logger.error(`❌ Upload of approved ${change.fileName} failed: ${error.message}`, { file: change.fileName, target: change.target, error });
+          });
+          return change;
+        },
+        reject: ({ file, target, by, reason }) => rejectPendingChange(file, { target, by, reason }),
+        pull: () => {
+          pullBarFiles().catch((error) => {
+            logger.error(`❌ Pulling from App Connect failed: ${error.message}`, { error });
+          });
+        }
+      }, { port: config.controlApiPort, host: config.controlApiHost, token: config.controlApiToken });
+
+      logger.info(`🎛️  Control API listening on http://${config.controlApiHost}:${controlServer.address().port}`, {
+        host: config.controlApiHost,
+        port: controlServer.address().port
+      });
+      if (!config.controlApiToken && config.targets.some((target) => target.approval)) {
+        logger.warn('⚠️  CONTROL_API_TOKEN is not set, so the control API refuses approvals and rejections; use bar-sync approve or set a token');
+      }
+    }
+  }
+
+  /**
+   * Stop watching and close the control API, then finish or save pending uploads
+   * (see drainUploads). A stopped syncer takes no new uploads.
+   * @param {number} [timeoutMs] - How long to wait for running uploads (defaults to SHUTDOWN_TIMEOUT_MS)
+   * @returns {Promise<{completed: number, persisted: number}>} Uploads that finished and uploads saved for later
+   */
+  async function stop(timeoutMs = config.shutdownTimeoutMs) {
+    if (watcher) {
+      await watcher.close();
+    }
+    if (configWatcher) {
+      clock.clearTimeout(reloadTimer);
+      await configWatcher.close();
+    }
+    if (inboxWatcher) {
+      await inboxWatcher.close();
+    }
+    if (controlServer) {
+      await new Promise((resolve) => controlServer.close(resolve));
+    }
+    pullsScheduled = false;
+    clock.clearTimeout(pullTimer);
+    if (runningPull) {
+      await runningPull;
+    }
+
+    const { completed, persisted } = await drainUploads(timeoutMs);
+    await inboxQueue;
+    if (completed > 0 || persisted > 0) {
+      logger.info(`🛑 ${completed} upload(s) finished, ${persisted} saved for the next start`, { completed, persisted });
+    }
+    return { completed, persisted };
+  }
+
+  return {
+    config,
+    logger,
+    metrics,
+    debounceTimers,
+    pendingDeletions,
+    writtenFiles,
+    tokenCache,
+    lastResults,
+    watcherState,
+    start,
+    stop,
+    reload,
+    generateToken,
+    uploadBarFile,
+    queueUpload,
+    drainUploads,
+    replayFailedUploads,
+    getBarHistory,
+    rollbackBarFile,
+    listPendingChanges,
+    approvePendingChange,
+    rejectPendingChange,
+    listRemoteBarFiles,
+    deleteRemoteBarFile,
+    downloadRemoteBarFile,
+    testConnection,
+    pullBarFiles,
+    planSync,
+    reconcile,
+    pushFiles,
+    processInboxDrop,
+    updateIntegrationServer,
+    getIntegrationServer,
+    waitForIntegrationServer,
+    deployBarFile,
+    handleFileChange,
+    handleFileRemoval,
+    propagateFileRemoval,
+    pauseWatching,
+    resumeWatching,
+    getStatus,
+    getMetrics,
+    requestReupload
+  };
+}
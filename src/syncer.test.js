@@ -0,0 +1,768 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter, getEventListeners } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import nodeFetch from 'node-fetch';
+import { hashFile } from './manifest.js';
+import { loadConfig } from './config.js';
+import { createLogger } from './logger.js';
+import { createSyncer } from './syncer.js';
+import { startFakeAppConnect } from './fake-app-connect.js';
+import { readAuditLog } from './pending-changes.js';
+import { addDeadLetter, readDeadLetters } from './dead-letter-queue.js';
+
+// Clock whose time only moves when the test advances it, firing the timers that fall due
+const createManualClock = (start = Date.UTC(2024, 4, 1, 9, 0, 0)) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+  
+  return {
+    now: () => now,
+    setTimeout: (callback, ms) => {
+      timers.set(nextId, { at: now + ms, callback });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance: (ms) => {
+      now += ms;
+      const due = [...timers].filter(([, timer]) => timer.at <= now).sort(([, a], [, b]) => a.at - b.at);
+      for (const [id, timer] of due) {
+        timers.delete(id);
+        timer.callback();
+      }
+    }
+  };
+};
+
+// chokidar-like watcher the test drives by emitting events
+const createFakeWatcher = () => {
+  const watcher = new EventEmitter();
+  watcher.close = jest.fn(async () => {});
+  watcher.add = jest.fn();
+  watcher.unwatch = jest.fn();
+  return watcher;
+};
+
+// Wait for work the syncer does in the background, such as hashing a file, to show its effect
+const waitUntil = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the syncer');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+describe('Syncer against the fake App Connect API', () => {
+  let fake;
+  let tempDir;
+  let watchDirectory;
+  let syncer;
+  
+  // Environment for the fake API, with state files in the temp directory
+  const testEnv = (env = {}) => ({
+    CLIENT_ID: fake.credentials.clientId,
+    CLIENT_SECRET: fake.credentials.clientSecret,
+    API_KEY: fake.credentials.apiKey,
+    INSTANCE_ID: fake.credentials.instanceId,
+    INTEGRATION_SERVER_ID: 'orders-server',
+    API_BASE_URL: fake.url,
+    WATCH_DIRECTORY: watchDirectory,
+    STATE_DIRECTORY: path.join(tempDir, 'state'),
+    VALIDATE_BAR_FILES: 'false',
+    RETRY_BASE_DELAY_MS: '1',
+    DEPLOY_POLL_INTERVAL_MS: '1',
+    ...env
+  });
+  
+  const createTestSyncer = (env = {}, options = {}) => createSyncer({
+    config: loadConfig(testEnv(env)),
+    logger: createLogger({ level: 'error' }),
+    ...options
+  });
+  
+  const writeBar = (name, content) => {
+    const filePath = path.join(watchDirectory, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  
+  // Drop a zip archive of BAR files, given as a map of entry names to contents
+  const writeZip = (filePath, entries) => {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) {
+      zip.addFile(name, Buffer.from(content));
+    }
+    zip.writeZip(filePath);
+    return filePath;
+  };
+  
+  beforeEach(async () => {
+    fake = await startFakeAppConnect();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-syncer-'));
+    watchDirectory = path.join(tempDir, 'bars');
+    fs.mkdirSync(watchDirectory);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(async () => {
+    if (syncer) {
+      await syncer.stop(0);
+      syncer = null;
+    }
+    await fake.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+  
+  it('should get a token, upload the BAR file and deploy it', async () => {
+    syncer = createTestSyncer();
+    const filePath = writeBar('orders.bar', 'orders v1');
+    
+    const result = await syncer.uploadBarFile(filePath);
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded', deployed: true }));
+    expect(fake.requests.map((request) => `${request.route} ${request.status}`)).toEqual([
+      'POST /api/v1/tokens 200',
+      'PUT /api/v1/bar-files/:name 200',
+      'GET /api/v1/integration-runtimes/:name 404',
+      'POST /api/v1/integration-runtimes 201',
+      'GET /api/v1/integration-runtimes/:name 200'
+    ]);
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v1');
+    expect(fake.state.runtimes.get('orders-server').spec.barURL).toEqual([fake.barFileUrl('orders.bar.bar')]);
+  });
+  
+  it('should upload and deploy the same content again after a failed deployment', async () => {
+    syncer = createTestSyncer({ DEPLOY_POLL_INTERVAL_MS: '1' });
+    const filePath = writeBar('orders.bar', 'orders v1');
+    fake.runtimePhase = 'Failed';
+    
+    expect(await syncer.uploadBarFile(filePath)).toEqual(expect.objectContaining({ ok: false, action: 'uploaded', deployed: false }));
+    
+    fake.runtimePhase = 'Ready';
+    const result = await syncer.uploadBarFile(filePath);
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded', deployed: true }));
+    expect(fake.requests.filter((request) => request.route === 'PUT /api/v1/bar-files/:name')).toHaveLength(2);
+    expect((await syncer.uploadBarFile(filePath)).action).toBe('skipped');
+  });
+  
+  it('should interrupt a deployment at the shutdown timeout and save the upload for the next start', async () => {
+    syncer = createTestSyncer({ DEPLOY_POLL_INTERVAL_MS: '60000', DEPLOY_TIMEOUT_MS: '300000' });
+    fake.runtimePhase = 'Deploying';
+    const filePath = writeBar('orders.bar', 'orders v1');
+    
+    const upload = syncer.queueUpload(filePath);
+    await waitUntil(() => fake.requests.some((request) => request.route === 'GET /api/v1/integration-runtimes/:name' && request.status === 200));
+    const drained = await syncer.drainUploads(10);
+    
+    expect(drained).toEqual({ completed: 0, persisted: 1 });
+    expect(await upload).toEqual(expect.objectContaining({ ok: false, action: 'cancelled', deployed: false }));
+    expect(readDeadLetters(syncer.config.deadLetterFile)).toEqual([expect.objectContaining({ filePath, error: 'Interrupted by shutdown' })]);
+    
+    fake.runtimePhase = 'Ready';
+    const replayed = createTestSyncer();
+    expect(await replayed.replayFailedUploads()).toEqual({ succeeded: 1, failed: 0, held: 0 });
+    await replayed.stop(0);
+  });
+  
+  it('should hash, validate, override and record uploads with the injected file system', async () => {
+    // The real file system, recording the first argument of every call
+    const calls = [];
+    const recorded = (target, prefix = '') => new Proxy(target, {
+      get: (object, name) => {
+        if (name === 'promises') {
+          return recorded(object.promises, 'promises.');
+        }
+        return typeof object[name] === 'function'
+          ? (...args) => {
+            calls.push(`${prefix}${String(name)} ${args[0]}`);
+            return object[name](...args);
+          }
+          : object[name];
+      }
+    });
+    const overridesFile = path.join(tempDir, 'prod.properties');
+    fs.writeFileSync(overridesFile, 'OrderFlow#queueName = PROD.ORDERS\n');
+    syncer = createTestSyncer({ VALIDATE_BAR_FILES: 'true', BAR_OVERRIDES_FILE: overridesFile }, { fs: recorded(fs) });
+    const filePath = writeZip(path.join(watchDirectory, 'orders.bar'), {
+      'META-INF/broker.xml': '<Broker></Broker>',
+      'orders.cmf': 'compiled flow'
+    });
+    
+    expect(await syncer.uploadBarFile(filePath)).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(calls).toEqual(expect.arrayContaining([
+      `createReadStream ${filePath}`,
+      `promises.readFile ${filePath}`,
+      `promises.readFile ${overridesFile}`,
+      `renameSync ${syncer.config.manifestFile}.tmp`,
+      `renameSync ${path.join(syncer.config.historyDirectory, 'default', 'orders.bar', 'history.json')}.tmp`
+    ]));
+  });
+  
+  it('should retry with a new token when the API rejects the cached one', async () => {
+    syncer = createTestSyncer();
+    const filePath = writeBar('orders.bar', 'orders v1');
+    await syncer.uploadBarFile(filePath);
+    fake.requests.length = 0;
+    
+    fake.revokeTokens();
+    writeBar('orders.bar', 'orders v2');
+    const result = await syncer.uploadBarFile(filePath);
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(fake.requests.slice(0, 3).map((request) => `${request.method} ${request.status}`))
+      .toEqual(['PUT 401', 'POST 200', 'PUT 200']);
+    expect(syncer.tokenCache.get('default').token).toBe('fake-token-2');
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v2');
+  });
+  
+  it('should retry transient failures', async () => {
+    syncer = createTestSyncer();
+    fake.failNext('PUT /api/v1/bar-files/:name', 503, { times: 2, headers: { 'Retry-After': '0' } });
+    
+    const result = await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'));
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(fake.requests.filter((request) => request.method === 'PUT').map((request) => request.status))
+      .toEqual([503, 503, 200]);
+  });
+  
+  it('should not leave abort listeners behind after waiting between retries', async () => {
+    syncer = createTestSyncer();
+    fake.failNext('PUT /api/v1/bar-files/:name', 503, { times: 3, headers: { 'Retry-After': '0' } });
+    const controller = new AbortController();
+    
+    const result = await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'), { signal: controller.signal });
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(getEventListeners(controller.signal, 'abort')).toEqual([]);
+  });
+  
+  it('should not send the file when the credentials are rejected', async () => {
+    syncer = createTestSyncer({ API_KEY: 'wrong-api-key' });
+    
+    const result = await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'));
+    
+    expect(result).toEqual(expect.objectContaining({ ok: false, action: 'failed', status: 401 }));
+    expect(result.error).toContain('Token generation failed: 401');
+    expect(fake.requests.map((request) => request.route)).toEqual(['POST /api/v1/tokens']);
+    expect(fake.state.barFiles.size).toBe(0);
+  });
+  
+  it('should test each step of the connection and skip the steps after a failure', async () => {
+    syncer = createTestSyncer();
+    
+    expect(await syncer.testConnection()).toEqual([
+      { step: 'dns', ok: true, detail: '127.0.0.1 → 127.0.0.1' },
+      { step: 'tls', ok: true, detail: `not used by ${fake.url}` },
+      { step: 'token', ok: true, detail: `token issued for instance ${fake.credentials.instanceId}` },
+      { step: 'api', ok: true, detail: 'GET /api/v1/bar-files listed 0 BAR file(s)' }
+    ]);
+    
+    const rejected = createTestSyncer({ API_KEY: 'wrong-api-key' });
+    const steps = await rejected.testConnection();
+    await rejected.stop(0);
+    
+    expect(steps.map(({ step, ok }) => `${step}:${ok}`)).toEqual(['dns:true', 'tls:true', 'token:false', 'api:null']);
+    expect(steps[2].detail).toContain('Token generation failed: 401');
+  });
+  
+  it('should refresh the token before it expires, by the injected clock', async () => {
+    const clock = createManualClock();
+    syncer = createTestSyncer({ TOKEN_REFRESH_MARGIN_MS: '300000' }, { clock });
+    
+    expect(await syncer.generateToken()).toBe('fake-token-1');
+    
+    // The refresh starts five minutes early; a caller after expiry joins it rather than sending another request
+    clock.advance(3600 * 1000 - 300000);
+    expect(await syncer.generateToken()).toBe('fake-token-1');
+    clock.advance(300000);
+    
+    expect(await syncer.generateToken()).toBe('fake-token-2');
+    expect(fake.state.tokensIssued).toBe(2);
+  });
+  
+  it('should upload files the watcher reports once the debounce period has passed', async () => {
+    const clock = createManualClock();
+    const watcher = createFakeWatcher();
+    const watch = jest.fn(() => watcher);
+    syncer = createTestSyncer({ DEBOUNCE_MS: '1000' }, { clock, watch });
+    
+    await syncer.start();
+    watcher.emit('ready');
+    watcher.emit('add', writeBar('orders.bar', 'orders v1'));
+    watcher.emit('add', path.join(watchDirectory, 'notes.txt'));
+    
+    expect(watch).toHaveBeenCalledWith([watchDirectory], expect.objectContaining({ ignoreInitial: true }));
+    expect(syncer.debounceTimers.size).toBe(1);
+    
+    clock.advance(1000);
+    const { completed } = await syncer.stop();
+    
+    expect(completed).toBe(1);
+    expect(watcher.close).toHaveBeenCalled();
+    expect(fake.state.barFiles.has('orders.bar.bar')).toBe(true);
+    expect(syncer.lastResults.get(`default:${path.join(watchDirectory, 'orders.bar')}`).action).toBe('uploaded');
+    syncer = null;
+  });
+  
+  it('should reload the targets, watch paths and debounce delays when the config file changes', async () => {
+    const clock = createManualClock();
+    const fileWatcher = createFakeWatcher();
+    const configWatcher = createFakeWatcher();
+    const watch = jest.fn().mockReturnValueOnce(fileWatcher).mockReturnValueOnce(configWatcher);
+    const configFile = path.join(tempDir, 'bar-sync.yaml');
+    const billingDirectory = path.join(tempDir, 'billing');
+    fs.mkdirSync(billingDirectory);
+    fs.writeFileSync(configFile, 'targets:\n  - name: orders\n    watchDirectory: bars\n');
+    const env = testEnv({ BAR_SYNC_CONFIG: configFile, DEBOUNCE_MS: '1000' });
+    syncer = createTestSyncer(env, { clock, watch, reloadConfig: (options) => loadConfig(env, options) });
+    
+    await syncer.start();
+    expect(watch).toHaveBeenLastCalledWith([configFile], expect.objectContaining({ ignoreInitial: true }));
+    
+    fs.writeFileSync(configFile, 'targets:\n  - name: billing\n    watchDirectory: billing\n    debounceMs: 5000\n');
+    configWatcher.emit('change', configFile);
+    clock.advance(1000);
+    await waitUntil(() => syncer.config.targets[0].name === 'billing');
+    
+    expect(syncer.config.targets.map((target) => target.name)).toEqual(['billing']);
+    expect(fileWatcher.add).toHaveBeenCalledWith(billingDirectory);
+    expect(fileWatcher.unwatch).toHaveBeenCalledWith([watchDirectory]);
+    
+    fs.writeFileSync(path.join(billingDirectory, 'billing.bar'), 'billing v1');
+    fileWatcher.emit('add', path.join(billingDirectory, 'billing.bar'));
+    clock.advance(1000);
+    expect(syncer.debounceTimers.size).toBe(1);
+    clock.advance(4000);
+    
+    const { completed } = await syncer.stop();
+    expect(completed).toBe(1);
+    expect(configWatcher.close).toHaveBeenCalled();
+    syncer = null;
+  });
+  
+  it('should keep the current targets when the reloaded configuration is invalid', async () => {
+    syncer = createTestSyncer({}, { reloadConfig: () => loadConfig(testEnv({ DEBOUNCE_MS: '1s' })) });
+    
+    expect(await syncer.reload()).toBe(false);
+    expect(syncer.config.targets.map((target) => target.name)).toEqual(['default']);
+  });
+  
+  it('should watch inbox directories added to the config file and unwatch removed ones', async () => {
+    const fileWatcher = createFakeWatcher();
+    const configWatcher = createFakeWatcher();
+    const inboxWatcher = createFakeWatcher();
+    const watch = jest.fn().mockReturnValueOnce(fileWatcher).mockReturnValueOnce(configWatcher).mockReturnValueOnce(inboxWatcher);
+    const configFile = path.join(tempDir, 'bar-sync.yaml');
+    const inboxDirectory = path.join(tempDir, 'inbox');
+    fs.mkdirSync(inboxDirectory);
+    fs.writeFileSync(configFile, 'targets:\n  - name: orders\n    watchDirectory: bars\n');
+    const env = testEnv({ BAR_SYNC_CONFIG: configFile });
+    syncer = createTestSyncer(env, { watch, reloadConfig: (options) => loadConfig(env, options) });
+    
+    await syncer.start();
+    fs.writeFileSync(configFile, 'targets:\n  - name: orders\n    watchDirectory: bars\n    inboxDirectory: inbox\n');
+    expect(await syncer.reload()).toBe(true);
+    
+    expect(watch).toHaveBeenLastCalledWith([inboxDirectory], expect.objectContaining({ ignoreInitial: false, depth: 0 }));
+    expect(syncer.getStatus().inboxDirectories).toEqual([inboxDirectory]);
+    
+    const zipPath = writeZip(path.join(inboxDirectory, 'release.zip'), { 'orders.bar': 'orders v1' });
+    inboxWatcher.emit('add', zipPath);
+    await waitUntil(() => fs.existsSync(path.join(inboxDirectory, 'done')));
+    expect(fake.state.barFiles.has('orders.bar.bar')).toBe(true);
+    
+    fs.writeFileSync(configFile, 'targets:\n  - name: orders\n    watchDirectory: bars\n');
+    expect(await syncer.reload()).toBe(true);
+    
+    expect(inboxWatcher.unwatch).toHaveBeenCalledWith([inboxDirectory]);
+    expect(syncer.getStatus().inboxDirectories).toEqual([]);
+    await syncer.stop();
+    expect(inboxWatcher.close).toHaveBeenCalled();
+    syncer = null;
+  });
+  
+  it('should run only new or changed credential commands on a reload, without blocking', async () => {
+    const configFile = path.join(tempDir, 'bar-sync.yaml');
+    const runs = path.join(tempDir, 'runs');
+    const secretCommand = (secret) => `echo run >> '${runs}' && echo ${secret}`;
+    const writeConfig = (secret) => fs.writeFileSync(configFile,
+      `targets:\n  - name: orders\n    watchDirectory: bars\n    clientSecretCommand: "${secretCommand(secret)}"\n`);
+    const countRuns = () => fs.readFileSync(runs, 'utf8').split('\n').filter(Boolean).length;
+    writeConfig(fake.credentials.clientSecret);
+    const env = testEnv({ BAR_SYNC_CONFIG: configFile });
+    syncer = createTestSyncer(env, { reloadConfig: (options) => loadConfig(env, options) });
+    expect(countRuns()).toBe(1);
+    
+    fs.appendFileSync(configFile, '    debounceMs: 5000\n');
+    expect(await syncer.reload()).toBe(true);
+    expect(countRuns()).toBe(1);
+    
+    writeConfig('rotated-secret');
+    const reloaded = syncer.reload();
+    expect(countRuns()).toBe(1);
+    expect(await reloaded).toBe(true);
+    
+    expect(countRuns()).toBe(2);
+    expect(syncer.config.targets[0].clientSecret).toBe('rotated-secret');
+  });
+  
+  it('should hold watched changes for approval and upload the approved version', async () => {
+    const clock = createManualClock();
+    const watcher = createFakeWatcher();
+    syncer = createTestSyncer({ APPROVAL_TARGETS: 'default', DEBOUNCE_MS: '1000' }, { clock, watch: jest.fn(() => watcher) });
+    
+    await syncer.start();
+    watcher.emit('add', writeBar('orders.bar', 'orders v1'));
+    clock.advance(1000);
+    await waitUntil(() => syncer.listPendingChanges().length === 1);
+    watcher.emit('change', writeBar('orders.bar', 'orders v2'));
+    clock.advance(1000);
+    await waitUntil(() => syncer.listPendingChanges()[0].superseded === 1);
+    
+    expect(syncer.listPendingChanges()).toEqual([expect.objectContaining({ fileName: 'orders.bar', target: 'default', superseded: 1 })]);
+    expect(fake.requests).toEqual([]);
+    
+    const { upload } = await syncer.approvePendingChange('orders.bar', { by: 'alex' });
+    
+    expect(await upload).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v2');
+    expect(syncer.listPendingChanges()).toEqual([]);
+    expect(readAuditLog(syncer.config.approvalAuditFile)).toEqual([expect.objectContaining({ action: 'approved', file: 'orders.bar', by: 'alex' })]);
+    await syncer.stop();
+    syncer = null;
+  });
+  
+  it('should hold an approved change again if the file is edited before its upload runs', async () => {
+    const clock = createManualClock();
+    const watcher = createFakeWatcher();
+    // Requests wait until the test releases them, so the second approved upload stays in the queue
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    const fetch = jest.fn(async (...args) => {
+      await released;
+      return nodeFetch(...args);
+    });
+    syncer = createTestSyncer({ APPROVAL_TARGETS: 'default', DEBOUNCE_MS: '1000', UPLOAD_CONCURRENCY: '1' }, { clock, watch: jest.fn(() => watcher), fetch });
+    
+    await syncer.start();
+    watcher.emit('add', writeBar('billing.bar', 'billing v1'));
+    watcher.emit('add', writeBar('orders.bar', 'orders v1'));
+    clock.advance(1000);
+    await waitUntil(() => syncer.listPendingChanges().length === 2);
+    
+    const billing = await syncer.approvePendingChange('billing.bar', { by: 'alex' });
+    const orders = await syncer.approvePendingChange('orders.bar', { by: 'alex' });
+    const filePath = writeBar('orders.bar', 'orders v2 (not reviewed)');
+    release();
+    
+    expect(await orders.upload).toEqual(expect.objectContaining({ ok: false, action: 'pending approval' }));
+    expect(await billing.upload).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(fake.state.barFiles.has('orders.bar.bar')).toBe(false);
+    expect(syncer.listPendingChanges()).toEqual([expect.objectContaining({ fileName: 'orders.bar', hash: await hashFile(filePath) })]);
+    await syncer.stop();
+    syncer = null;
+  });
+  
+  it('should hold pushed files for approval on an approval target', async () => {
+    syncer = createTestSyncer({ APPROVAL_TARGETS: 'default' });
+    const filePath = writeBar('orders.bar', 'orders v1');
+    
+    expect(await syncer.pushFiles([filePath], { force: true })).toEqual([
+      { filePath, target: 'default', result: { ok: true, action: 'pending approval' } }
+    ]);
+    expect(syncer.listPendingChanges()).toEqual([expect.objectContaining({ fileName: 'orders.bar', hash: await hashFile(filePath) })]);
+    expect(fake.requests).toEqual([]);
+  });
+  
+  it('should hold re-uploads for approval on an approval target', async () => {
+    syncer = createTestSyncer({ APPROVAL_TARGETS: 'default' });
+    const filePath = writeBar('orders.bar', 'orders v1');
+    
+    expect(syncer.requestReupload('orders.bar')).toBe(filePath);
+    await waitUntil(() => syncer.listPendingChanges().length === 1);
+    
+    expect(syncer.listPendingChanges()).toEqual([expect.objectContaining({ fileName: 'orders.bar', target: 'default' })]);
+    expect(fake.requests).toEqual([]);
+  });
+  
+  it('should replay only approved uploads to an approval target and hold the others', async () => {
+    syncer = createTestSyncer({ APPROVAL_TARGETS: 'default' });
+    const approvedPath = writeBar('orders.bar', 'orders v1');
+    const unapprovedPath = writeBar('billing.bar', 'billing v1');
+    const entry = (filePath, approvedHash) => ({
+      key: `default:${filePath}`,
+      target: 'default',
+      filePath,
+      fileName: path.basename(filePath),
+      failedAt: '2024-05-01T09:00:00.000Z',
+      attempts: 5,
+      status: 503,
+      error: '503 Service Unavailable',
+      approvedHash
+    });
+    addDeadLetter(syncer.config.deadLetterFile, entry(approvedPath, await hashFile(approvedPath)));
+    addDeadLetter(syncer.config.deadLetterFile, entry(unapprovedPath, null));
+    
+    expect(await syncer.replayFailedUploads()).toEqual({ succeeded: 1, failed: 0, held: 1 });
+    expect(fake.state.barFiles.has('orders.bar.bar')).toBe(true);
+    expect(fake.state.barFiles.has('billing.bar.bar')).toBe(false);
+    expect(syncer.listPendingChanges()).toEqual([expect.objectContaining({ fileName: 'billing.bar' })]);
+    expect(readDeadLetters(syncer.config.deadLetterFile)).toEqual([]);
+  });
+  
+  it('should pull missing and changed BAR files without the watcher sending them back', async () => {
+    const clock = createManualClock();
+    const watcher = createFakeWatcher();
+    const logger = createLogger({ level: 'error' });
+    const info = jest.spyOn(logger, 'info');
+    syncer = createTestSyncer({ SYNC_DIRECTION: 'both', FORCE_UPLOAD: 'true', DEBOUNCE_MS: '1000' }, { clock, watch: jest.fn(() => watcher), logger });
+    await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'));
+    
+    // A teammate uploads a new version and another BAR file from the dashboard
+    fake.state.barFiles.set('orders.bar.bar', { content: Buffer.from('orders v2') });
+    fake.state.barFiles.set('billing.bar', { content: Buffer.from('billing v1') });
+    fake.state.barFiles.set('release-notes.txt', { content: Buffer.from('notes') });
+    fake.requests.length = 0;
+    
+    await syncer.start();
+    watcher.emit('change', path.join(watchDirectory, 'orders.bar'));
+    watcher.emit('add', path.join(watchDirectory, 'billing.bar'));
+    clock.advance(1000);
+    await waitUntil(() => info.mock.calls.filter(([message]) => message.includes('just pulled from App Connect')).length === 2);
+    
+    expect(fs.readFileSync(path.join(watchDirectory, 'orders.bar'), 'utf8')).toBe('orders v2');
+    expect(fs.readFileSync(path.join(watchDirectory, 'billing.bar'), 'utf8')).toBe('billing v1');
+    expect(fs.readdirSync(watchDirectory).sort()).toEqual(['billing.bar', 'orders.bar']);
+    expect(syncer.getStatus().lastPull).toEqual(expect.objectContaining({ downloaded: 2, unchanged: 0, conflicts: 0, failed: 0 }));
+    expect(fake.requests.filter((request) => request.method !== 'GET' && request.route !== 'POST /api/v1/tokens')).toEqual([]);
+    await syncer.stop();
+    syncer = null;
+  });
+  
+  it('should forget a pulled file the watcher never reports once its debounce time and a grace period pass', async () => {
+    const clock = createManualClock();
+    syncer = createTestSyncer({ SYNC_DIRECTION: 'both', DEBOUNCE_MS: '1000', WRITE_STABILITY_MS: '500' }, { clock });
+    fake.state.barFiles.set('orders.bar.bar', { content: Buffer.from('orders v1') });
+    
+    expect((await syncer.pullBarFiles())[0].result).toBe('downloaded');
+    expect([...syncer.writtenFiles.keys()]).toEqual([`default:${path.join(watchDirectory, 'orders.bar')}`]);
+    
+    clock.advance(1500 + 59999);
+    expect(syncer.writtenFiles.size).toBe(1);
+    clock.advance(1);
+    expect(syncer.writtenFiles.size).toBe(0);
+  });
+  
+  it('should keep local changes that were not uploaded unless the pull overwrites them', async () => {
+    syncer = createTestSyncer();
+    const filePath = writeBar('orders.bar', 'orders (local edit)');
+    fake.state.barFiles.set('orders.bar.bar', { content: Buffer.from('orders v2') });
+    // An older copy uploaded under the local name gives way to the one the syncer uploads
+    fake.state.barFiles.set('orders.bar', { content: Buffer.from('orders v0') });
+    
+    expect(await syncer.pullBarFiles()).toEqual([expect.objectContaining({ file: 'orders.bar', remoteName: 'orders.bar.bar', result: 'conflict' })]);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('orders (local edit)');
+    
+    expect((await syncer.pullBarFiles({ overwrite: true }))[0].result).toBe('downloaded');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('orders v2');
+    expect((await syncer.pullBarFiles())[0].result).toBe('unchanged');
+    expect(await syncer.uploadBarFile(filePath)).toEqual(expect.objectContaining({ action: 'skipped' }));
+  });
+  
+  it('should keep a read-only mirror up to date and never upload local changes', async () => {
+    const clock = createManualClock();
+    const watcher = createFakeWatcher();
+    syncer = createTestSyncer({ SYNC_DIRECTION: 'pull', PULL_INTERVAL_MS: '60000', DELETE_MODE: 'delete' }, { clock, watch: jest.fn(() => watcher) });
+    fake.state.barFiles.set('orders.bar.bar', { content: Buffer.from('orders v1') });
+    
+    await syncer.start();
+    expect(fs.readFileSync(path.join(watchDirectory, 'orders.bar'), 'utf8')).toBe('orders v1');
+    expect(syncer.writtenFiles.size).toBe(0);
+    
+    watcher.emit('change', writeBar('orders.bar', 'orders (local edit)'));
+    watcher.emit('unlink', path.join(watchDirectory, 'billing.bar'));
+    expect(syncer.debounceTimers.size).toBe(0);
+    expect(syncer.pendingDeletions.size).toBe(0);
+    
+    fake.state.barFiles.set('orders.bar.bar', { content: Buffer.from('orders v2') });
+    clock.advance(60000);
+    await waitUntil(() => fs.readFileSync(path.join(watchDirectory, 'orders.bar'), 'utf8') === 'orders v2');
+    
+    expect(fake.requests.filter((request) => request.method !== 'GET' && request.route !== 'POST /api/v1/tokens')).toEqual([]);
+    await syncer.stop();
+    syncer = null;
+  });
+  
+  it('should unpack a zip dropped into the inbox, sync its BAR files and move it to done', async () => {
+    const fileWatcher = createFakeWatcher();
+    const inboxWatcher = createFakeWatcher();
+    const watch = jest.fn().mockReturnValueOnce(fileWatcher).mockReturnValueOnce(inboxWatcher);
+    const inboxDirectory = path.join(tempDir, 'inbox');
+    fs.mkdirSync(inboxDirectory);
+    syncer = createTestSyncer({
+      INBOX_DIRECTORY: inboxDirectory,
+      WATCH_POLLING: 'true',
+      WATCH_POLL_INTERVAL_MS: '2000',
+      WRITE_STABILITY_MS: '3000',
+      DEBOUNCE_MS: '1',
+      UPLOAD_CONCURRENCY: '1'
+    }, { watch });
+    
+    await syncer.start();
+    expect(watch).toHaveBeenNthCalledWith(1, [watchDirectory], expect.objectContaining({
+      usePolling: true,
+      interval: 2000,
+      awaitWriteFinish: { stabilityThreshold: 3000, pollInterval: 100 }
+    }));
+    expect(watch).toHaveBeenNthCalledWith(2, [inboxDirectory], expect.objectContaining({ ignoreInitial: false, depth: 0, usePolling: true }));
+    
+    const zipPath = writeZip(path.join(inboxDirectory, 'release.zip'), { 'orders.bar': 'orders v1', 'billing.bar': 'billing v1', 'README.txt': 'notes' });
+    inboxWatcher.emit('add', zipPath);
+    await waitUntil(() => fs.existsSync(path.join(inboxDirectory, 'done')));
+    
+    // The watcher then reports the unpacked files, which are not uploaded a second time
+    fileWatcher.emit('add', path.join(watchDirectory, 'orders.bar'));
+    await waitUntil(() => syncer.debounceTimers.size === 0);
+    await syncer.stop();
+    
+    expect(fs.readdirSync(path.join(inboxDirectory, 'done'))).toEqual([expect.stringMatching(/^\d{4}-\d{2}-\d{2}T[\d-]+Z-release\.zip$/)]);
+    expect(fs.readdirSync(inboxDirectory)).toEqual(['done']);
+    expect(fs.readdirSync(watchDirectory).sort()).toEqual(['billing.bar', 'orders.bar']);
+    expect(fake.requests.filter((request) => request.path.startsWith('/api/v1/bar-files/')).map((request) => request.path))
+      .toEqual(['/api/v1/bar-files/billing.bar.bar', '/api/v1/bar-files/orders.bar.bar']);
+    syncer = null;
+  });
+  
+  it('should move a drop to failed with its problems when a BAR file cannot be synced', async () => {
+    const inboxDirectory = path.join(tempDir, 'inbox');
+    fs.mkdirSync(inboxDirectory);
+    syncer = createTestSyncer({ INBOX_DIRECTORY: inboxDirectory, VALIDATE_BAR_FILES: 'true' });
+    
+    const result = await syncer.processInboxDrop(writeZip(path.join(inboxDirectory, 'release.zip'), { 'orders.bar': 'not a BAR archive' }));
+    
+    expect(result.outcome).toBe('failed');
+    expect(result.problems).toEqual([expect.stringMatching(/^orders\.bar → default: Invalid BAR file: /)]);
+    expect(path.dirname(result.movedTo)).toBe(path.join(inboxDirectory, 'failed'));
+    expect(fs.readFileSync(`${result.movedTo}.errors.txt`, 'utf8')).toContain('Invalid BAR file');
+    expect(fake.requests).toEqual([]);
+  });
+  
+  it('should roll back to the archived version and deploy it again', async () => {
+    syncer = createTestSyncer();
+    const filePath = writeBar('orders.bar', 'orders v1');
+    await syncer.uploadBarFile(filePath);
+    writeBar('orders.bar', 'orders v2 (broken)');
+    await syncer.uploadBarFile(filePath);
+    
+    const result = await syncer.rollbackBarFile('orders.bar');
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'rolled-back', version: 1, deployed: true }));
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v1');
+    expect(syncer.getBarHistory('orders.bar').map(({ version, rolledBackFrom }) => ({ version, rolledBackFrom }))).toEqual([
+      { version: 3, rolledBackFrom: 1 },
+      { version: 2, rolledBackFrom: undefined },
+      { version: 1, rolledBackFrom: undefined }
+    ]);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('orders v2 (broken)');
+  });
+  
+  it('should refuse uploads to a protected target from a dirty workspace or another branch', async () => {
+    const git = jest.fn(async () => ({ repository: tempDir, commit: '3f9a1c0d2b7e4a5b', branch: 'feature/x', dirty: true }));
+    syncer = createTestSyncer({ PROTECTED_TARGETS: 'default', GIT_ALLOWED_BRANCHES: 'main, release/*' }, { git });
+    
+    const result = await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'));
+    
+    expect(result).toEqual(expect.objectContaining({
+      ok: false,
+      action: 'blocked',
+      error: 'Protected target: the workspace has uncommitted changes; branch feature/x is not one of main, release/*'
+    }));
+    expect(git).toHaveBeenCalledWith(watchDirectory);
+    expect(fake.requests).toEqual([]);
+  });
+  
+  it('should refuse a rollback to a protected target from a dirty workspace unless it is forced', async () => {
+    let source = { repository: tempDir, commit: '3f9a1c0d2b7e4a5b', branch: 'main', dirty: false };
+    syncer = createTestSyncer({ PROTECTED_TARGETS: 'default', GIT_ALLOWED_BRANCHES: 'main' }, { git: jest.fn(async () => source) });
+    const filePath = writeBar('orders.bar', 'orders v1');
+    await syncer.uploadBarFile(filePath);
+    writeBar('orders.bar', 'orders v2 (broken)');
+    await syncer.uploadBarFile(filePath);
+    source = { ...source, dirty: true };
+    
+    expect(await syncer.rollbackBarFile('orders.bar')).toEqual(expect.objectContaining({
+      ok: false,
+      action: 'blocked',
+      version: 1,
+      error: 'default is a protected target and the workspace has uncommitted changes; force the rollback to override'
+    }));
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v2');
+    
+    const result = await syncer.rollbackBarFile('orders.bar', 1, undefined, { force: true, by: 'alex', reason: 'Outage' });
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'rolled-back', version: 1 }));
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v1');
+    expect(readAuditLog(syncer.config.approvalAuditFile)).toEqual([expect.objectContaining({
+      action: 'forced-rollback',
+      target: 'default',
+      file: 'orders.bar',
+      version: 1,
+      overridden: ['default is a protected target and the workspace has uncommitted changes'],
+      by: 'alex',
+      reason: 'Outage'
+    })]);
+  });
+  
+  it('should refuse a rollback to an approval target unless it is forced', async () => {
+    syncer = createTestSyncer();
+    const filePath = writeBar('orders.bar', 'orders v1');
+    await syncer.uploadBarFile(filePath);
+    writeBar('orders.bar', 'orders v2');
+    await syncer.uploadBarFile(filePath);
+    syncer.config.targets[0].approval = true;
+    
+    expect(await syncer.rollbackBarFile('orders.bar')).toEqual(expect.objectContaining({ ok: false, action: 'blocked', error: 'default is in manual approval mode; force the rollback to override' }));
+    expect(fake.state.barFiles.get('orders.bar.bar').content.toString()).toContain('orders v2');
+  });
+  
+  it('should record the Git source of each upload in the BAR history', async () => {
+    const source = { repository: tempDir, commit: '3f9a1c0d2b7e4a5b', branch: 'release/2.1', dirty: false };
+    syncer = createTestSyncer({ PROTECTED_TARGETS: 'default', GIT_ALLOWED_BRANCHES: 'main,release/*' }, { git: jest.fn(async () => source) });
+    
+    const result = await syncer.uploadBarFile(writeBar('orders.bar', 'orders v1'));
+    
+    expect(result).toEqual(expect.objectContaining({ ok: true, action: 'uploaded' }));
+    expect(syncer.getBarHistory('orders.bar')[0].git).toEqual(source);
+  });
+  
+  it('should log an unreadable failed upload queue at startup instead of crashing', async () => {
+    const watcher = createFakeWatcher();
+    const logger = createLogger({ level: 'error' });
+    const error = jest.spyOn(logger, 'error');
+    syncer = createTestSyncer({}, { watch: jest.fn(() => watcher), logger });
+    fs.mkdirSync(path.dirname(syncer.config.deadLetterFile), { recursive: true });
+    fs.writeFileSync(syncer.config.deadLetterFile, '{"not": "a list"}');
+    
+    await syncer.start();
+    watcher.emit('ready');
+    await waitUntil(() => error.mock.calls.length > 0);
+    
+    expect(error).toHaveBeenCalledWith(`❌ Replaying failed uploads failed: Failed upload queue is not a JSON array: ${syncer.config.deadLetterFile}`, expect.any(Object));
+  });
+  
+  it('should throw instead of exiting when a watch directory is missing', async () => {
+    syncer = createTestSyncer({ WATCH_DIRECTORY: path.join(tempDir, 'missing') }, { watch: jest.fn() });
+    
+    await expect(syncer.start()).rejects.toThrow(`Watch directory does not exist: ${path.join(tempDir, 'missing')}`);
+  });
+});
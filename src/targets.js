@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import picomatch from 'picomatch';
+import YAML from 'yaml';
+import { validateNotifiers } from './notifiers.js';
+import { resolveTargetCredentials } from './credentials.js';
+
+/**
+ * Sync targets: each target pairs a watch directory (and optional include/exclude
+ * globs) with the App Connect instance and integration server its BAR files go to.
+ */
+
+/**
+ * Settings every target needs, and the environment variable each one falls back to
+ */
+export const TARGET_SETTINGS = {
+  apiBaseUrl: 'API_BASE_URL',
+  clientId: 'CLIENT_ID',
+  clientSecret: 'CLIENT_SECRET',
+  apiKey: 'API_KEY',
+  instanceId: 'INSTANCE_ID',
+  integrationServerId: 'INTEGRATION_SERVER_ID',
+  watchDirectory: 'WATCH_DIRECTORY'
+};
+
+// Target names key the upload state as "<target>:<file>" and are listed with commas in
+// PROTECTED_TARGETS and APPROVAL_TARGETS, so they cannot contain separators
+const TARGET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Read a targets config file
+ * @param {string} configFile - Path to a .json, .yaml or .yml file
+ * @returns {Object} Parsed configuration
+ */
+export function readConfigFile(configFile) {
+  const content = fs.readFileSync(configFile, 'utf8');
+  const extension = path.extname(configFile).toLowerCase();
+
+  if (extension === '.yaml' || extension === '.yml') {
+    return YAML.parse(content) || {};
+  }
+
+  return JSON.parse(content);
+}
+
+/**
+ * Build the list of targets from a parsed config file
+ * @param {Object} fileConfig - Parsed config file with a "targets" array and optional "defaults"
+ * @param {Object} baseSettings - Settings taken from the environment, used when neither the target nor "defaults" set them
+ * @param {string} baseDirectory - Directory relative watch paths are resolved against
+ * @param {Object} [credentialStore={}] - Decrypted credentials file, whose "targets" entry can hold each target's credentials
+ * @param {Function} [runCommand] - Runs credential commands, as runSecretCommand does
+ * @returns {Array<Object>} Targets
+ * @throws {Error} Listing every problem found, one per line
+ */
+export function buildTargets(fileConfig, baseSettings, baseDirectory, credentialStore = {}, runCommand) {
+  const problems = [];
+  const targets = [];
+  const names = new Set();
+
+  if (!fileConfig || !Array.isArray(fileConfig.targets) || fileConfig.targets.length === 0) {
+    throw new Error('Config file must contain a non-empty "targets" array');
+  }
+
+  fileConfig.targets.forEach((entry, index) => {
+    const target = {
+      ...baseSettings,
+      ...fileConfig.defaults,
+      ...entry
+    };
+    const label = target.name ? `Target "${target.name}"` : `Target #${index + 1}`;
+
+    if (!target.name) {
+      problems.push(`${label} has no name`);
+    } else if (typeof target.name !== 'string' || !TARGET_NAME_PATTERN.test(target.name)) {
+      problems.push(`${label} name can only contain letters, digits, ".", "_" and "-", starting with a letter or digit`);
+    } else if (names.has(target.name)) {
+      problems.push(`${label} is defined more than once`);
+    }
+    names.add(target.name);
+
+    // clientSecretFile, clientSecretCommand and so on replace plain credentials in the config file
+    problems.push(...resolveTargetCredentials(target, { baseDirectory, store: credentialStore, runCommand })
+      .map((problem) => `${label} ${problem}`));
+
+    for (const [setting, envVar] of Object.entries(TARGET_SETTINGS)) {
+      if (!target[setting]) {
+        problems.push(`${label} is missing ${setting} (or ${envVar} in .env)`);
+      }
+    }
+
+    if (target.watchDirectory) {
+      target.watchDirectory = path.resolve(baseDirectory, target.watchDirectory);
+    }
+
+    if (target.overridesFile) {
+      target.overridesFile = path.resolve(baseDirectory, target.overridesFile);
+      if (!fs.existsSync(target.overridesFile)) {
+        problems.push(`${label} overridesFile ${target.overridesFile} does not exist`);
+      }
+    }
+
+    if (target.inboxDirectory) {
+      target.inboxDirectory = path.resolve(baseDirectory, target.inboxDirectory);
+    }
+
+    if (target.gitRepository) {
+      target.gitRepository = path.resolve(baseDirectory, target.gitRepository);
+    }
+
+    if (target.debounceMs !== undefined && !(Number.isInteger(target.debounceMs) && target.debounceMs >= 0)) {
+      problems.push(`${label} debounceMs must be a whole number of milliseconds`);
+    }
+
+    if (target.protected !== undefined && typeof target.protected !== 'boolean') {
+      problems.push(`${label} protected must be true or false`);
+    }
+
+    if (target.approval !== undefined && typeof target.approval !== 'boolean') {
+      problems.push(`${label} approval must be true or false`);
+    }
+
+    problems.push(...validateNotifiers(target.notify, label));
+
+    target.include = toArray(target.include, ['**']);
+    target.exclude = toArray(target.exclude, []);
+    target.allowedBranches = toArray(target.allowedBranches, ['main', 'master']);
+    targets.push(target);
+  });
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  return targets;
+}
+
+/**
+ * Normalise a glob setting to an array
+ * @param {string|string[]|undefined} value - Glob or list of globs
+ * @param {string[]} fallback - Value to use when none is set
+ * @returns {string[]} Globs
+ */
+function toArray(value, fallback) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a file belongs to a target: it must be inside the target's watch
+ * directory, match one of its include globs and none of its exclude globs
+ * @param {Object} target - Target to check
+ * @param {string} filePath - Full path to the file
+ * @returns {boolean} True if the file should be synced to the target
+ */
+export function isFileInTarget(target, filePath) {
+  const relativePath = path.relative(target.watchDirectory, path.resolve(filePath));
+
+  if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return false;
+  }
+
+  // Globs always use forward slashes, whatever the platform
+  const globPath = relativePath.split(path.sep).join('/');
+
+  return picomatch.isMatch(globPath, target.include) && !picomatch.isMatch(globPath, target.exclude);
+}
+
+/**
+ * Find every target a file should be synced to
+ * @param {Array<Object>} targets - Configured targets
+ * @param {string} filePath - Full path to the file
+ * @returns {Array<Object>} Matching targets, in config order
+ */
+export function getTargetsForFile(targets, filePath) {
+  return targets.filter((target) => isFileInTarget(target, filePath));
+}
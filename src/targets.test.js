@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readConfigFile, buildTargets, isFileInTarget, getTargetsForFile } from './targets.js';
+
+describe('Sync targets', () => {
+  const baseSettings = {
+    apiBaseUrl: 'https://api.example.test',
+    clientId: 'env-client-id',
+    clientSecret: 'env-client-secret',
+    apiKey: 'env-api-key',
+    instanceId: 'env-instance-id',
+    integrationServerId: undefined,
+    watchDirectory: undefined
+  };
+  
+  describe('readConfigFile', () => {
+    let tempDir;
+    
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-targets-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    it('should read JSON config files', () => {
+      const configFile = path.join(tempDir, 'bar-sync.json');
+      fs.writeFileSync(configFile, JSON.stringify({ targets: [{ name: 'dev' }] }));
+      
+      expect(readConfigFile(configFile)).toEqual({ targets: [{ name: 'dev' }] });
+    });
+    
+    it('should read YAML config files', () => {
+      const configFile = path.join(tempDir, 'bar-sync.yaml');
+      fs.writeFileSync(configFile, 'targets:\n  - name: dev\n    include: "orders/*.bar"\n');
+      
+      expect(readConfigFile(configFile)).toEqual({ targets: [{ name: 'dev', include: 'orders/*.bar' }] });
+    });
+  });
+  
+  describe('buildTargets', () => {
+    it('should layer target settings over defaults and the environment', () => {
+      const targets = buildTargets({
+        defaults: { instanceId: 'shared-instance', watchDirectory: 'bars' },
+        targets: [
+          { name: 'orders', integrationServerId: 'orders-server', include: 'orders/*.bar' },
+          { name: 'billing', integrationServerId: 'billing-server', instanceId: 'billing-instance' }
+        ]
+      }, baseSettings, '/work');
+      
+      expect(targets[0]).toEqual(expect.objectContaining({
+        name: 'orders',
+        clientId: 'env-client-id',
+        instanceId: 'shared-instance',
+        integrationServerId: 'orders-server',
+        watchDirectory: path.resolve('/work', 'bars'),
+        include: ['orders/*.bar'],
+        exclude: []
+      }));
+      expect(targets[1].instanceId).toBe('billing-instance');
+      expect(targets[1].include).toEqual(['**']);
+    });
+    
+    it('should report every problem at once', () => {
+      expect(() => buildTargets({
+        targets: [
+          { name: 'dev', watchDirectory: '/bars' },
+          { name: 'dev', integrationServerId: 'server', watchDirectory: '/bars' },
+          { integrationServerId: 'server', watchDirectory: '/bars' }
+        ]
+      }, baseSettings, '/work')).toThrow([
+        'Target "dev" is missing integrationServerId (or INTEGRATION_SERVER_ID in .env)',
+        'Target "dev" is defined more than once',
+        'Target #3 has no name'
+      ].join('\n'));
+    });
+    
+    it('should reject target names with separators, which would corrupt the upload state', () => {
+      expect(() => buildTargets({
+        targets: [
+          { name: 'prod:eu', watchDirectory: '/bars' },
+          { name: 'prod/eu', watchDirectory: '/bars' },
+          { name: 'prod,eu', watchDirectory: '/bars' },
+          { name: 42, watchDirectory: '/bars' },
+          { name: 'prod-eu_2.1', watchDirectory: '/bars' }
+        ]
+      }, { ...baseSettings, integrationServerId: 'server' }, '/work')).toThrow([
+        'Target "prod:eu" name can only contain letters, digits, ".", "_" and "-", starting with a letter or digit',
+        'Target "prod/eu" name can only contain letters, digits, ".", "_" and "-", starting with a letter or digit',
+        'Target "prod,eu" name can only contain letters, digits, ".", "_" and "-", starting with a letter or digit',
+        'Target "42" name can only contain letters, digits, ".", "_" and "-", starting with a letter or digit'
+      ].join('\n'));
+    });
+    
+    it('should resolve overrides files from the config directory and check they exist', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-targets-'));
+      fs.writeFileSync(path.join(tempDir, 'prod.properties'), 'OrderFlow#HTTP Input.URLSpecifier=/orders\n');
+      
+      try {
+        const [target] = buildTargets({
+          targets: [{ name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', overridesFile: 'prod.properties' }]
+        }, baseSettings, tempDir);
+        
+        expect(target.overridesFile).toBe(path.join(tempDir, 'prod.properties'));
+        expect(() => buildTargets({
+          targets: [{ name: 'test', integrationServerId: 'server', watchDirectory: 'bars', overridesFile: 'test.properties' }]
+        }, baseSettings, tempDir)).toThrow(`Target "test" overridesFile ${path.join(tempDir, 'test.properties')} does not exist`);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+    
+    it('should read the Git gate and approval settings of protected targets', () => {
+      const [prod, test] = buildTargets({
+        targets: [
+          { name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', protected: true, gitRepository: '..', allowedBranches: 'release/*' },
+          { name: 'test', integrationServerId: 'server', watchDirectory: 'bars' }
+        ]
+      }, baseSettings, '/work/config');
+      
+      expect(prod).toEqual(expect.objectContaining({ protected: true, gitRepository: path.resolve('/work'), allowedBranches: ['release/*'] }));
+      expect(test.allowedBranches).toEqual(['main', 'master']);
+      expect(() => buildTargets({
+        targets: [{ name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', protected: 'yes' }]
+      }, baseSettings, '/work')).toThrow('Target "prod" protected must be true or false');
+      expect(() => buildTargets({
+        targets: [{ name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', approval: 'manual' }]
+      }, baseSettings, '/work')).toThrow('Target "prod" approval must be true or false');
+    });
+    
+    it('should resolve inbox directories from the config directory', () => {
+      const [orders, billing] = buildTargets({
+        targets: [
+          { name: 'orders', integrationServerId: 'server', watchDirectory: 'bars', inboxDirectory: '../drops' },
+          { name: 'billing', integrationServerId: 'server', watchDirectory: 'bars' }
+        ]
+      }, baseSettings, '/work/config');
+      
+      expect(orders.inboxDirectory).toBe(path.resolve('/work/drops'));
+      expect(billing.inboxDirectory).toBeUndefined();
+    });
+    
+    it('should let targets override the debounce delay', () => {
+      const [orders, billing] = buildTargets({
+        defaults: { watchDirectory: 'bars' },
+        targets: [
+          { name: 'orders', integrationServerId: 'server', debounceMs: 5000 },
+          { name: 'billing', integrationServerId: 'server' }
+        ]
+      }, { ...baseSettings, debounceMs: 1000 }, '/work');
+      
+      expect(orders.debounceMs).toBe(5000);
+      expect(billing.debounceMs).toBe(1000);
+      expect(() => buildTargets({
+        targets: [{ name: 'orders', integrationServerId: 'server', watchDirectory: 'bars', debounceMs: '5s' }]
+      }, baseSettings, '/work')).toThrow('Target "orders" debounceMs must be a whole number of milliseconds');
+    });
+    
+    it('should report invalid notifier settings', () => {
+      expect(() => buildTargets({
+        targets: [{ name: 'dev', integrationServerId: 'server', watchDirectory: 'bars', notify: [{ type: 'webhook', on: 'failures' }] }]
+      }, baseSettings, '/work')).toThrow([
+        'Target "dev" notifier #1 has an unknown "on" value "failures" (expected success and/or failure)',
+        'Target "dev" notifier #1 needs an http(s) url'
+      ].join('\n'));
+    });
+    
+    it('should read target credentials from secret files and the encrypted credentials file', () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bar-sync-targets-'));
+      fs.writeFileSync(path.join(tempDir, 'prod-secret'), 'prod-client-secret\n');
+      
+      try {
+        const [prod, test] = buildTargets({
+          targets: [
+            { name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', clientSecretFile: 'prod-secret' },
+            { name: 'test', integrationServerId: 'server', watchDirectory: 'bars', apiKey: 'plain-api-key' }
+          ]
+        }, baseSettings, tempDir, { targets: { test: { apiKey: 'stored-api-key' } } });
+        
+        expect(prod.clientSecret).toBe('prod-client-secret');
+        expect(prod.clientSecretFile).toBeUndefined();
+        expect(prod.apiKey).toBe('env-api-key');
+        expect(test.apiKey).toBe('stored-api-key');
+        expect(() => buildTargets({
+          targets: [{ name: 'prod', integrationServerId: 'server', watchDirectory: 'bars', apiKeyFile: 'missing' }]
+        }, baseSettings, tempDir)).toThrow(`Target "prod" apiKey file ${path.join(tempDir, 'missing')} cannot be read (ENOENT)`);
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+    
+    it('should require a targets array', () => {
+      expect(() => buildTargets({}, baseSettings, '/work')).toThrow('non-empty "targets" array');
+    });
+  });
+  
+  describe('routing', () => {
+    const orders = { name: 'orders', watchDirectory: '/bars', include: ['orders/*.bar'], exclude: [] };
+    const billing = { name: 'billing', watchDirectory: '/bars', include: ['billing/**'], exclude: ['**/*-test.bar'] };
+    const everything = { name: 'everything', watchDirectory: '/bars', include: ['**'], exclude: [] };
+    
+    it('should match include globs relative to the watch directory', () => {
+      expect(isFileInTarget(orders, '/bars/orders/a.bar')).toBe(true);
+      expect(isFileInTarget(orders, '/bars/orders/nested/a.bar')).toBe(false);
+      expect(isFileInTarget(orders, '/bars/billing/a.bar')).toBe(false);
+    });
+    
+    it('should apply exclude globs', () => {
+      expect(isFileInTarget(billing, '/bars/billing/invoices.bar')).toBe(true);
+      expect(isFileInTarget(billing, '/bars/billing/invoices-test.bar')).toBe(false);
+    });
+    
+    it('should ignore files outside the watch directory', () => {
+      expect(isFileInTarget(everything, '/elsewhere/a.bar')).toBe(false);
+      expect(isFileInTarget(everything, '/bars')).toBe(false);
+    });
+    
+    it('should return every target a file belongs to', () => {
+      const targets = [orders, billing, everything];
+      
+      expect(getTargetsForFile(targets, '/bars/orders/a.bar').map((target) => target.name))
+        .toEqual(['orders', 'everything']);
+      expect(getTargetsForFile(targets, '/elsewhere/a.bar')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Authentication token lifetimes. The token endpoint's response says how long a
+ * token lasts (expires_in or exp); failing that, so does the token itself when it
+ * is a JWT. Tokens are refreshed shortly before they expire.
+ */
+
+/**
+ * Lifetime assumed when neither the response nor the token says (tokens typically last an hour)
+ */
+export const DEFAULT_TOKEN_LIFETIME_MS = 50 * 60 * 1000;
+
+// Stop using a token this long before it expires, to allow for clock skew and request time
+const EXPIRY_SKEW_MS = 30 * 1000;
+
+/**
+ * Error for a failed token request, so callers can tell it from a failed API call
+ */
+export class TokenError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the payload of a JWT without verifying it
+ * @param {string} token - Token
+ * @returns {Object|null} Payload, or null if the token is not a JWT
+ */
+export function decodeJwtPayload(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Work out when a token expires: expires_in (seconds from now) or exp (Unix time in
+ * seconds) in the token response, then exp in the JWT payload, then the default lifetime
+ * @param {Object} tokenData - Token endpoint response body
+ * @param {number} now - Time the token was received, in milliseconds
+ * @returns {{expiresAt: number, source: string}} Expiry time in milliseconds and where it came from
+ */
+export function getTokenExpiry(tokenData, now) {
+  const expiresIn = Number(tokenData.expires_in);
+  if (tokenData.expires_in !== undefined && Number.isFinite(expiresIn) && expiresIn > 0) {
+    return { expiresAt: now + expiresIn * 1000, source: 'expires_in' };
+  }
+
+  const exp = Number(tokenData.exp);
+  if (tokenData.exp !== undefined && Number.isFinite(exp) && exp * 1000 > now) {
+    return { expiresAt: exp * 1000, source: 'exp' };
+  }
+
+  const payload = decodeJwtPayload(tokenData.access_token);
+  if (payload && Number.isFinite(payload.exp) && payload.exp * 1000 > now) {
+    return { expiresAt: payload.exp * 1000, source: 'jwt' };
+  }
+
+  return { expiresAt: now + DEFAULT_TOKEN_LIFETIME_MS, source: 'default' };
+}
+
+/**
+ * Build a token cache entry
+ * @param {string} token - Token
+ * @param {number} expiresAt - When the token expires, in milliseconds
+ * @param {number} now - Time the token was received, in milliseconds
+ * @param {number} refreshMarginMs - How long before expiry to refresh the token
+ * @returns {{token: string, createdAt: number, expiresAt: number, expiry: number, refreshAt: number}} Entry;
+ *   the token is used until "expiry" and refreshed in the background at "refreshAt"
+ */
+export function createTokenEntry(token, expiresAt, now, refreshMarginMs) {
+  const lifetimeMs = expiresAt - now;
+  // Short-lived tokens are used for at least half their lifetime before being refreshed
+  const expiry = expiresAt - Math.min(EXPIRY_SKEW_MS, lifetimeMs / 2);
+  const refreshAt = Math.min(expiry, expiresAt - Math.min(refreshMarginMs, lifetimeMs / 2));
+
+  return { token, createdAt: now, expiresAt, expiry, refreshAt };
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from '@jest/globals';
+import { DEFAULT_TOKEN_LIFETIME_MS, decodeJwtPayload, getTokenExpiry, createTokenEntry } from './tokens.js';
+
+const now = Date.UTC(2024, 4, 1, 9, 0, 0);
+const jwt = (payload) => ['eyJhbGciOiJSUzI1NiJ9', Buffer.from(JSON.stringify(payload)).toString('base64url'), 'signature'].join('.');
+
+describe('Tokens', () => {
+  describe('decodeJwtPayload', () => {
+    it('should read the payload of a JWT', () => {
+      expect(decodeJwtPayload(jwt({ exp: 1714557600, sub: 'api-key' }))).toEqual({ exp: 1714557600, sub: 'api-key' });
+    });
+    
+    it('should return null for opaque tokens', () => {
+      expect(decodeJwtPayload('opaque-token')).toBeNull();
+      expect(decodeJwtPayload('a.not-json.c')).toBeNull();
+      expect(decodeJwtPayload(undefined)).toBeNull();
+    });
+  });
+  
+  describe('getTokenExpiry', () => {
+    it('should prefer expires_in, then exp, then the JWT payload', () => {
+      const exp = now / 1000 + 7200;
+      
+      expect(getTokenExpiry({ access_token: jwt({ exp }), expires_in: 3600, exp }, now))
+        .toEqual({ expiresAt: now + 3600000, source: 'expires_in' });
+      expect(getTokenExpiry({ access_token: jwt({ exp: exp + 60 }), exp }, now))
+        .toEqual({ expiresAt: exp * 1000, source: 'exp' });
+      expect(getTokenExpiry({ access_token: jwt({ exp }) }, now))
+        .toEqual({ expiresAt: exp * 1000, source: 'jwt' });
+    });
+    
+    it('should fall back to the default lifetime', () => {
+      expect(getTokenExpiry({ access_token: 'opaque-token' }, now))
+        .toEqual({ expiresAt: now + DEFAULT_TOKEN_LIFETIME_MS, source: 'default' });
+      expect(getTokenExpiry({ access_token: jwt({ exp: now / 1000 - 60 }), expires_in: 'soon' }, now).source).toBe('default');
+    });
+  });
+  
+  describe('createTokenEntry', () => {
+    it('should stop using a token just before it expires and refresh it before that', () => {
+      expect(createTokenEntry('token', now + 3600000, now, 300000)).toEqual({
+        token: 'token',
+        createdAt: now,
+        expiresAt: now + 3600000,
+        expiry: now + 3570000,
+        refreshAt: now + 3300000
+      });
+    });
+    
+    it('should use short-lived tokens for at least half their lifetime', () => {
+      const entry = createTokenEntry('token', now + 20000, now, 300000);
+      
+      expect(entry.expiry).toBe(now + 10000);
+      expect(entry.refreshAt).toBe(now + 10000);
+    });
+  });
+});
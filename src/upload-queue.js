@@ -0,0 +1,148 @@
+/**
+ * In-memory upload queue that limits how many uploads run at once and never runs two
+ * jobs with the same key (a file and its target) side by side.
+ *
+ * Queueing a key that is already waiting replaces the waiting job, and queueing a key
+ * that is running aborts the running job, so only the latest version of a file is sent.
+ */
+
+/**
+ * Create an upload queue
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Maximum number of jobs running at once
+ * @param {Function} options.run - Runs a job: called with its payload and an AbortSignal, resolves to its result
+ * @param {Function} [options.merge] - Combines a waiting payload with the one replacing it (defaults to the new payload)
+ * @returns {Object} Queue
+ */
+export function createUploadQueue({ concurrency, run, merge = (queued, next) => next }) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Upload concurrency must be a positive integer (got ${concurrency})`);
+  }
+
+  // Both maps keep insertion order, so waiting jobs start first come, first served
+  const waiting = new Map();
+  const running = new Map();
+  let idleWaiters = [];
+
+  const settle = (job, result) => {
+    for (const resolve of job.waiters) {
+      resolve(result);
+    }
+  };
+
+  const start = (job) => {
+    waiting.delete(job.key);
+    running.set(job.key, job);
+
+    Promise.resolve()
+      .then(() => run(job.payload, job.controller.signal))
+      .catch((error) => ({ ok: false, action: 'failed', error: error.message }))
+      .then((result) => {
+        running.delete(job.key);
+
+        // A superseded job reports the result of the job that replaced it
+        const replacement = waiting.get(job.key);
+        if (job.controller.signal.aborted && replacement && result.action === 'cancelled') {
+          replacement.waiters.push(...job.waiters);
+        } else {
+          settle(job, result);
+        }
+
+        pump();
+      });
+  };
+
+  const pump = () => {
+    for (const job of waiting.values()) {
+      if (running.size >= concurrency) {
+        break;
+      }
+      if (!running.has(job.key)) {
+        start(job);
+      }
+    }
+
+    if (waiting.size === 0 && running.size === 0) {
+      const waiters = idleWaiters;
+      idleWaiters = [];
+      waiters.forEach((resolve) => resolve());
+    }
+  };
+
+  return {
+    /**
+     * Queue a job, replacing a waiting job with the same key and aborting a running one
+     * @param {string} key - Job key; jobs with the same key never run at the same time
+     * @param {*} payload - Passed to run
+     * @returns {Promise<Object>} Result of the job, or of the job that superseded it
+     */
+    enqueue(key, payload) {
+      return new Promise((resolve) => {
+        const queued = waiting.get(key);
+
+        if (queued) {
+          queued.payload = merge(queued.payload, payload);
+          queued.waiters.push(resolve);
+        } else {
+          waiting.set(key, { key, payload, controller: new AbortController(), waiters: [resolve] });
+        }
+
+        if (running.has(key)) {
+          running.get(key).controller.abort('superseded');
+        }
+
+        pump();
+      });
+    },
+
+    /**
+     * Remove every job that has not started yet
+     * @param {Object} result - Result to settle the removed jobs with
+     * @returns {Array<*>} Payloads of the removed jobs
+     */
+    clear(result) {
+      const removed = [...waiting.values()];
+      waiting.clear();
+      removed.forEach((job) => settle(job, result));
+      pump();
+      return removed.map((job) => job.payload);
+    },
+
+    /**
+     * Abort every running job
+     * @param {string} reason - Abort reason, available to the job as signal.reason
+     */
+    abortAll(reason) {
+      for (const job of running.values()) {
+        job.controller.abort(reason);
+      }
+    },
+
+    /**
+     * Wait until no job is waiting or running
+     * @returns {Promise<void>}
+     */
+    onIdle() {
+      if (waiting.size === 0 && running.size === 0) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => idleWaiters.push(resolve));
+    },
+
+    /**
+     * Keys of the running jobs
+     * @returns {string[]} Keys, oldest first
+     */
+    running() {
+      return [...running.keys()];
+    },
+
+    /**
+     * Keys of the jobs waiting to start
+     * @returns {string[]} Keys, in the order they will start
+     */
+    waiting() {
+      return [...waiting.keys()];
+    }
+  };
+}
@@ -0,0 +1,139 @@
+import { describe, it, expect } from '@jest/globals';
+import { createUploadQueue } from './upload-queue.js';
+
+// A job that finishes when the test says so, or reports itself cancelled when aborted
+const createControlledRun = () => {
+  const started = [];
+  const finishers = new Map();
+  
+  const run = (payload, signal) => new Promise((resolve) => {
+    started.push(payload.id);
+    finishers.set(payload.id, resolve);
+    signal.addEventListener('abort', () => resolve({ ok: false, action: 'cancelled', id: payload.id, reason: signal.reason }));
+  });
+  
+  const finish = async (id) => {
+    finishers.get(id)({ ok: true, action: 'uploaded', id });
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  
+  return { run, started, finish };
+};
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Upload queue', () => {
+  it('should run at most the configured number of jobs at once', async () => {
+    const { run, started, finish } = createControlledRun();
+    const queue = createUploadQueue({ concurrency: 2, run });
+    
+    const results = ['a', 'b', 'c'].map((key) => queue.enqueue(key, { id: key }));
+    await tick();
+    
+    expect(started).toEqual(['a', 'b']);
+    expect(queue.running()).toEqual(['a', 'b']);
+    expect(queue.waiting()).toEqual(['c']);
+    
+    await finish('a');
+    expect(started).toEqual(['a', 'b', 'c']);
+    
+    await finish('b');
+    await finish('c');
+    await expect(Promise.all(results)).resolves.toEqual([
+      { ok: true, action: 'uploaded', id: 'a' },
+      { ok: true, action: 'uploaded', id: 'b' },
+      { ok: true, action: 'uploaded', id: 'c' }
+    ]);
+  });
+  
+  it('should keep only the latest waiting job for a key', async () => {
+    const { run, started, finish } = createControlledRun();
+    const queue = createUploadQueue({
+      concurrency: 1,
+      run,
+      merge: (queued, next) => ({ ...next, force: queued.force || next.force })
+    });
+    
+    queue.enqueue('a', { id: 'a1' });
+    const first = queue.enqueue('b', { id: 'b1', force: true });
+    const second = queue.enqueue('b', { id: 'b2' });
+    await tick();
+    
+    expect(queue.waiting()).toEqual(['b']);
+    
+    await finish('a1');
+    await finish('b2');
+    
+    expect(started).toEqual(['a1', 'b2']);
+    await expect(first).resolves.toEqual({ ok: true, action: 'uploaded', id: 'b2' });
+    await expect(second).resolves.toEqual({ ok: true, action: 'uploaded', id: 'b2' });
+  });
+  
+  it('should abort a running job when its key is queued again and run the new one after it', async () => {
+    const { run, started, finish } = createControlledRun();
+    const queue = createUploadQueue({ concurrency: 2, run });
+    
+    const superseded = queue.enqueue('a', { id: 'a1' });
+    await tick();
+    const latest = queue.enqueue('a', { id: 'a2' });
+    await tick();
+    
+    expect(started).toEqual(['a1', 'a2']);
+    
+    await finish('a2');
+    await expect(superseded).resolves.toEqual({ ok: true, action: 'uploaded', id: 'a2' });
+    await expect(latest).resolves.toEqual({ ok: true, action: 'uploaded', id: 'a2' });
+  });
+  
+  it('should never run two jobs with the same key at once', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const queue = createUploadQueue({
+      concurrency: 4,
+      // Ignores the abort signal, like an upload that has already been accepted
+      run: async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await tick();
+        active--;
+        return { ok: true, action: 'uploaded' };
+      }
+    });
+    
+    await Promise.all([queue.enqueue('a', {}), queue.enqueue('a', {}), queue.enqueue('a', {})]);
+    
+    expect(maxActive).toBe(1);
+  });
+  
+  it('should clear waiting jobs and abort running ones', async () => {
+    const { run } = createControlledRun();
+    const queue = createUploadQueue({ concurrency: 1, run });
+    
+    const running = queue.enqueue('a', { id: 'a' });
+    const waiting = queue.enqueue('b', { id: 'b' });
+    await tick();
+    
+    expect(queue.clear({ ok: false, action: 'queued' })).toEqual([{ id: 'b' }]);
+    await expect(waiting).resolves.toEqual({ ok: false, action: 'queued' });
+    
+    queue.abortAll('shutdown');
+    await expect(running).resolves.toEqual({ ok: false, action: 'cancelled', id: 'a', reason: 'shutdown' });
+    await expect(queue.onIdle()).resolves.toBeUndefined();
+  });
+  
+  it('should report jobs that throw as failed', async () => {
+    const queue = createUploadQueue({
+      concurrency: 1,
+      run: async () => {
+        throw new Error('disk full');
+      }
+    });
+    
+    await expect(queue.enqueue('a', {})).resolves.toEqual({ ok: false, action: 'failed', error: 'disk full' });
+  });
+  
+  it('should reject invalid concurrency', () => {
+    expect(() => createUploadQueue({ concurrency: 0, run: async () => ({}) }))
+      .toThrow('Upload concurrency must be a positive integer (got 0)');
+  });
+});